@@ -0,0 +1,76 @@
+/**
+ * Base class for renderer backends
+ *
+ * A backend turns a parsed Lottie animation into straight RGBA frames:
+ *   initialize()  - probe the engine, resolves true when usable
+ *   load()        - prepare an animation, returns a backend-specific handle
+ *   renderFrame() - render one frame of a loaded animation
+ *   capabilities() - Lottie features the engine supports
+ *   dispose()     - release the engine (helper processes, contexts)
+ */
+
+export class RendererBackend {
+  /**
+   * @param {string} name - Backend name used by `?renderer=`
+   */
+  constructor(name) {
+    this.name = name;
+    this.available = false;
+    this.version = null;
+    this.error = null;
+  }
+
+  /**
+   * Probe the engine
+   * @returns {Promise<boolean>} Whether the backend can render
+   */
+  async initialize() {
+    return false;
+  }
+
+  /**
+   * Prepare an animation for rendering
+   * @param {Object} animationData - Parsed Lottie JSON
+   * @returns {Promise<Object>} Handle passed to renderFrame()
+   */
+  async load(animationData) {
+    throw new Error(`${this.name} backend does not implement load()`);
+  }
+
+  /**
+   * Render a frame of a loaded animation
+   * @param {Object} handle - From load()
+   * @param {number} frame - Frame number (relative to `ip`)
+   * @param {number} width - Output width
+   * @param {number} height - Output height
+   * @returns {Promise<Buffer>} Straight RGBA pixels (width * height * 4 bytes)
+   */
+  async renderFrame(handle, frame, width, height) {
+    throw new Error(`${this.name} backend does not implement renderFrame()`);
+  }
+
+  /**
+   * Lottie features the engine supports
+   * @returns {Object} { native, masks, mattes, gradients, trimPaths, repeaters, text, images, expressions }
+   */
+  capabilities() {
+    return {};
+  }
+
+  /**
+   * Release the engine
+   */
+  async dispose() {}
+
+  /**
+   * Availability report for /health
+   */
+  getStatus() {
+    return {
+      available: this.available,
+      version: this.version,
+      error: this.error,
+      capabilities: this.capabilities()
+    };
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Renderer backend registry
+ * Backends are listed in priority order: the default renderer ('auto') is the
+ * first available one, later ones serve as fallbacks when a render fails
+ */
+
+import { RLottieBackend } from './rlottie.js';
+import { LottieWebBackend } from './lottieWeb.js';
+import { VectorBackend } from './vector.js';
+
+const BACKENDS = {
+  rlottie: options => new RLottieBackend(options),
+  'lottie-web': () => new LottieWebBackend(),
+  vector: () => new VectorBackend()
+};
+
+export const BACKEND_NAMES = Object.keys(BACKENDS);
+export const DEFAULT_RENDERER = process.env.RENDERER || 'auto';
+
+export class BackendSet {
+  /**
+   * @param {string} [defaultRenderer='auto'] - Backend used when a task names none
+   * @param {Object} [options] - Options per backend name, e.g. { rlottie: { onProcess } }
+   */
+  constructor(defaultRenderer = DEFAULT_RENDERER, options = {}) {
+    this.defaultRenderer = defaultRenderer;
+    this.backends = BACKEND_NAMES.map(name => BACKENDS[name](options[name]));
+  }
+
+  /**
+   * Probe every backend
+   */
+  async initialize() {
+    await Promise.all(this.backends.map(backend => backend.initialize().catch(error => {
+      backend.available = false;
+      backend.error = error.message;
+    })));
+  }
+
+  /**
+   * Backends to try for a task, in order
+   * An explicitly requested backend gets no fallback. Automatic selection
+   * leaves out backends that can't draw a feature the animation uses.
+   * @param {string} [renderer] - Requested backend, 'auto' or undefined for the default
+   * @param {Object} [features] - Features the animation uses, e.g. { masks: true, mattes: false }
+   * @returns {RendererBackend[]}
+   */
+  candidates(renderer, features = {}) {
+    const available = this.backends.filter(backend => backend.available);
+
+    if (renderer && renderer !== 'auto') {
+      const backend = this.get(renderer);
+      if (!backend) {
+        throw new Error(`Invalid renderer: ${renderer}. Supported: auto, ${BACKEND_NAMES.join(', ')}`);
+      }
+      if (!backend.available) {
+        throw new Error(`Invalid renderer: ${renderer} is not available (${backend.error || 'not initialized'})`);
+      }
+      return [backend];
+    }
+
+    const used = Object.keys(features).filter(feature => features[feature]);
+    const capable = available.filter(backend => {
+      const capabilities = backend.capabilities();
+      return used.every(feature => capabilities[feature] !== false);
+    });
+    if (capable.length === 0 && available.length > 0) {
+      const error = new Error(`No available renderer supports this animation (uses ${used.join(', ')}); ` +
+        `request one explicitly with ?renderer=`);
+      error.statusCode = 422;
+      throw error;
+    }
+
+    // A configured default that isn't available falls back like 'auto'
+    const preferred = capable.find(backend => backend.name === this.defaultRenderer);
+    return preferred ? [preferred, ...capable.filter(backend => backend !== preferred)] : capable;
+  }
+
+  /**
+   * Get a backend by name
+   */
+  get(name) {
+    return this.backends.find(backend => backend.name === name) || null;
+  }
+
+  /**
+   * Availability of every backend plus the one used by default
+   */
+  getStatus() {
+    return {
+      default: this.candidates()[0]?.name || null,
+      backends: Object.fromEntries(this.backends.map(backend => [backend.name, backend.getStatus()]))
+    };
+  }
+
+  /**
+   * Release every backend
+   */
+  async dispose() {
+    await Promise.all(this.backends.map(backend => backend.dispose()));
+  }
+}
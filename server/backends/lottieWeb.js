@@ -0,0 +1,138 @@
+/**
+ * lottie-web backend (canvas renderer on @napi-rs/canvas)
+ * Runs the same engine as the browser UI, so server output matches the
+ * preview. Both packages are optional dependencies: the backend reports
+ * itself unavailable when they are not installed
+ */
+
+import { createHash } from 'crypto';
+import { RendererBackend } from './backend.js';
+
+// Player instances kept per animation and output size
+const MAX_INSTANCES = 8;
+
+/**
+ * Minimal DOM for lottie-web's canvas renderer (this worker's globals only)
+ * Canvases are real @napi-rs/canvas ones, other elements are inert stubs
+ */
+function installDomShim(createCanvas) {
+  if (globalThis.document) return;
+
+  const element = () => ({
+    style: {},
+    setAttribute() {},
+    appendChild() {},
+    removeChild() {},
+    addEventListener() {},
+    getContext() { return null; }
+  });
+
+  globalThis.window = globalThis;
+  globalThis.navigator = globalThis.navigator || { userAgent: 'node' };
+  globalThis.document = {
+    readyState: 'complete',
+    body: element(),
+    createElement: tag => (tag === 'canvas' ? createCanvas(1, 1) : element()),
+    createElementNS: () => element(),
+    getElementsByTagName: () => [],
+    getElementsByClassName: () => [],
+    querySelectorAll: () => []
+  };
+}
+
+export class LottieWebBackend extends RendererBackend {
+  constructor() {
+    super('lottie-web');
+    this.lottie = null;
+    this.createCanvas = null;
+
+    // Instance key => { animation, context }, in LRU order
+    this.instances = new Map();
+  }
+
+  async initialize() {
+    try {
+      const { createCanvas } = await import('@napi-rs/canvas');
+      installDomShim(createCanvas);
+
+      // The light build has no expression support, so uploads never reach eval()
+      const { default: lottie } = await import('lottie-web/build/player/lottie_light_canvas.js');
+      this.lottie = lottie;
+      this.createCanvas = createCanvas;
+      this.version = `lottie-web ${lottie.version}`;
+      this.available = true;
+    } catch (error) {
+      this.error = 'lottie-web or @napi-rs/canvas not installed';
+      this.available = false;
+    }
+    return this.available;
+  }
+
+  async load(animationData) {
+    const key = createHash('sha1').update(JSON.stringify(animationData)).digest('hex');
+    return { animationData, key };
+  }
+
+  async renderFrame(handle, frame, width, height) {
+    const { animation, context } = this.instanceFor(handle, width, height);
+
+    // Frames are relative to `ip`, like the other backends
+    animation.goToAndStop(frame, true);
+
+    const { data } = context.getImageData(0, 0, width, height);
+    return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  }
+
+  /**
+   * Get (or create) a player drawing into a canvas of the requested size
+   */
+  instanceFor({ animationData, key }, width, height) {
+    const instanceKey = `${key}:${width}x${height}`;
+    const existing = this.instances.get(instanceKey);
+
+    if (existing) {
+      this.instances.delete(instanceKey);
+      this.instances.set(instanceKey, existing);
+      return existing;
+    }
+
+    if (this.instances.size >= MAX_INSTANCES) {
+      const [oldKey, old] = this.instances.entries().next().value;
+      this.instances.delete(oldKey);
+      old.animation.destroy();
+    }
+
+    const context = this.createCanvas(width, height).getContext('2d');
+    const animation = this.lottie.loadAnimation({
+      renderer: 'canvas',
+      loop: false,
+      autoplay: false,
+      animationData,
+      // Stretch to the requested size like the other backends (fit=fill)
+      rendererSettings: { context, clearCanvas: true, preserveAspectRatio: 'none' }
+    });
+
+    const instance = { animation, context };
+    this.instances.set(instanceKey, instance);
+    return instance;
+  }
+
+  capabilities() {
+    return {
+      native: false,
+      masks: true,
+      mattes: true,
+      gradients: true,
+      trimPaths: true,
+      repeaters: true,
+      text: false,
+      images: false,
+      expressions: false
+    };
+  }
+
+  async dispose() {
+    for (const { animation } of this.instances.values()) animation.destroy();
+    this.instances.clear();
+  }
+}
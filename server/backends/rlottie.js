@@ -0,0 +1,59 @@
+/**
+ * rlottie backend (native, 5-12ms per frame)
+ * Renders through the persistent helper process, see native/rlottie-server.cpp
+ */
+
+import { createHash } from 'crypto';
+import { RendererBackend } from './backend.js';
+import { RLottieHelper } from '../utils/rlottieHelper.js';
+
+export class RLottieBackend extends RendererBackend {
+  constructor(options = {}) {
+    super('rlottie');
+    this.helper = new RLottieHelper(options);
+  }
+
+  async initialize() {
+    try {
+      this.version = await this.helper.start();
+      this.available = true;
+    } catch (error) {
+      this.helper.stop();
+      this.error = `rlottie helper not found (${this.helper.path})`;
+      this.available = false;
+    }
+    return this.available;
+  }
+
+  async load(animationData) {
+    const json = JSON.stringify(animationData);
+    return { json, key: createHash('sha1').update(json).digest('hex') };
+  }
+
+  async renderFrame(handle, frame, width, height) {
+    // The helper loads the animation on first use and restarts if it crashed
+    return this.helper.renderFrame(handle.json, frame, width, height, handle.key);
+  }
+
+  capabilities() {
+    return {
+      native: true,
+      masks: true,
+      mattes: true,
+      gradients: true,
+      trimPaths: true,
+      repeaters: true,
+      text: false,
+      images: true,
+      expressions: false
+    };
+  }
+
+  async dispose() {
+    this.helper.stop();
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), helper: this.helper.getStats() };
+  }
+}
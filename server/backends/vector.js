@@ -0,0 +1,42 @@
+/**
+ * Pure-JS vector backend (fallback, 20-50ms per frame)
+ * Always available; see utils/lottieRasterizer.js for what it draws
+ */
+
+import { RendererBackend } from './backend.js';
+import { renderFrame as renderVectorFrame } from '../utils/lottieRasterizer.js';
+
+export class VectorBackend extends RendererBackend {
+  constructor() {
+    super('vector');
+  }
+
+  async initialize() {
+    this.version = 'lottieRasterizer';
+    this.available = true;
+    return true;
+  }
+
+  async load(animationData) {
+    return { animationData };
+  }
+
+  async renderFrame({ animationData }, frame, width, height) {
+    // Transparent like the other backends; backgrounds are a layout option
+    return renderVectorFrame(animationData, frame, width, height);
+  }
+
+  capabilities() {
+    return {
+      native: false,
+      masks: false,
+      mattes: false,
+      gradients: true,
+      trimPaths: true,
+      repeaters: true,
+      text: false,
+      images: false,
+      expressions: false
+    };
+  }
+}
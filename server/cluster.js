@@ -2,30 +2,56 @@ import cluster from 'cluster';
 import os from 'os';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { ClusterCacheHub } from './utils/clusterCache.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const numCPUs = os.cpus().length;
+const numProcesses = parseInt(process.env.CLUSTER_PROCESSES || '0') || numCPUs;
 const PORT = process.env.PORT || 3000;
 
+// The processes share one output cache disk tier, indexed by the primary
+const OUTPUT_CACHE_DIR = process.env.OUTPUT_CACHE_DIR || './data/output-cache';
+const OUTPUT_CACHE_DISK_MB = parseInt(process.env.OUTPUT_CACHE_DISK_MB || '1024');
+
 if (cluster.isPrimary) {
   console.log(`🎯 Master process ${process.pid} is running`);
-  console.log(`🔥 Starting ${numCPUs} worker processes for maximum performance...`);
+  console.log(`🔥 Starting ${numProcesses} worker processes for maximum performance...`);
+  
+  // Each process learns its instance index, so that the processes split the
+  // render thread budget instead of each starting a thread per CPU
+  const instances = new Map();
+  const cacheHub = new ClusterCacheHub({ dir: OUTPUT_CACHE_DIR, maxDiskBytes: OUTPUT_CACHE_DISK_MB * 1024 * 1024 });
+  await cacheHub.initialize();
+  
+  const fork = (instance) => {
+    const worker = cluster.fork({
+      CLUSTER_PROCESSES: numProcesses,
+      CLUSTER_INSTANCE: instance,
+      CLUSTER_CACHE: 1,
+      OUTPUT_CACHE_DIR
+    });
+    instances.set(worker.id, instance);
+    cacheHub.attach(worker);
+  };
   
   // Fork workers
-  for (let i = 0; i < numCPUs; i++) {
-    cluster.fork();
+  for (let i = 0; i < numProcesses; i++) {
+    fork(i);
   }
   
   cluster.on('exit', (worker, code, signal) => {
     console.log(`⚠️  Worker ${worker.process.pid} died. Restarting...`);
-    cluster.fork();
+    const instance = instances.get(worker.id);
+    instances.delete(worker.id);
+    fork(instance);
   });
   
   console.log(`\n✅ Cluster ready to handle 10,000+ requests/second`);
   console.log(`📡 API available at: http://localhost:${PORT}`);
-  console.log(`💪 Workers: ${numCPUs}`);
+  console.log(`💪 Workers: ${numProcesses}, sharing ${process.env.RENDER_THREAD_BUDGET || numCPUs} render threads`);
+  console.log(`💾 Shared output cache: ${OUTPUT_CACHE_DIR} (${OUTPUT_CACHE_DISK_MB}MB)`);
 } else {
   // Workers can share any TCP connection
   // In this case, it's an HTTP server
@@ -1,13 +1,19 @@
 /**
  * PM2 Ecosystem Configuration
  * Optimized for 4+ core production systems
+ *
+ * In PM2 cluster mode each instance keeps its own output cache, and
+ * /cache/clear and /stats cover one instance. For a shared cache, run
+ * cluster.js in fork mode instead: `pm2 start cluster.js --name tgs-converter`
  */
 
+const INSTANCES = 4;  // For 4+ core systems
+
 export default {
   apps: [{
     name: 'tgs-converter',
     script: './server.js',
-    instances: 4,  // For 4+ core systems
+    instances: INSTANCES,
     exec_mode: 'cluster',
     max_memory_restart: '1G',
     
@@ -15,7 +21,8 @@ export default {
     env: {
       NODE_ENV: 'production',
       PORT: 3000,
-      WORKER_POOL_SIZE: 0,  // Auto-detect per instance
+      WORKER_POOL_SIZE: 0,  // Autoscale per instance
+      CLUSTER_PROCESSES: INSTANCES,  // Instances split RENDER_THREAD_BUDGET (default: CPU count)
       CACHE_SIZE: 500       // 500 animations per instance
     },
     
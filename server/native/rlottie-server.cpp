@@ -0,0 +1,196 @@
+/**
+ * rlottie-server: persistent rlottie renderer for the worker threads
+ *
+ * Speaks a framed binary protocol on stdin/stdout so an animation is parsed
+ * once and any number of frames are rendered without spawning a process.
+ * All integers are little-endian.
+ *
+ * Request:  u32 length | u8 opcode | payload   (length = 1 + payload size)
+ * Response: u32 length | u8 status | payload   (status 0 = ok, 1 = error + UTF-8 message)
+ *
+ * Opcodes:
+ *   1 PING    ()                                  -> version string
+ *   2 LOAD    (u32 id, JSON bytes)                -> u32 totalFrames, u32 width, u32 height, f64 frameRate
+ *   3 RENDER  (u32 id, u32 frame, u32 w, u32 h)   -> w * h * 4 bytes of straight (non-premultiplied) RGBA
+ *   4 UNLOAD  (u32 id)                            -> ()
+ *
+ * Build:
+ *   g++ -O2 -std=c++14 -o rlottie-server rlottie-server.cpp -lrlottie
+ */
+
+#include <rlottie.h>
+
+#include <cstdint>
+#include <cstdio>
+#include <cstring>
+#include <memory>
+#include <string>
+#include <unordered_map>
+#include <vector>
+
+namespace {
+
+const char *VERSION = "rlottie-server 1";
+const uint32_t MAX_MESSAGE = 64 * 1024 * 1024;
+const uint32_t MAX_DIMENSION = 4096;
+
+enum Opcode : uint8_t { PING = 1, LOAD = 2, RENDER = 3, UNLOAD = 4 };
+
+std::unordered_map<uint32_t, std::unique_ptr<rlottie::Animation>> animations;
+std::vector<uint32_t> surface;
+std::vector<uint8_t> rgba;
+
+bool readExact(void *buffer, size_t size) {
+  return fread(buffer, 1, size, stdin) == size;
+}
+
+uint32_t readU32(const uint8_t *data) {
+  return uint32_t(data[0]) | (uint32_t(data[1]) << 8) | (uint32_t(data[2]) << 16) | (uint32_t(data[3]) << 24);
+}
+
+void writeU32(uint8_t *data, uint32_t value) {
+  data[0] = value & 0xff;
+  data[1] = (value >> 8) & 0xff;
+  data[2] = (value >> 16) & 0xff;
+  data[3] = (value >> 24) & 0xff;
+}
+
+void respond(uint8_t status, const void *payload, uint32_t size) {
+  uint8_t header[5];
+  writeU32(header, size + 1);
+  header[4] = status;
+  fwrite(header, 1, sizeof(header), stdout);
+  if (size > 0) fwrite(payload, 1, size, stdout);
+  fflush(stdout);
+}
+
+void respondError(const std::string &message) {
+  respond(1, message.data(), uint32_t(message.size()));
+}
+
+/**
+ * rlottie renders premultiplied ARGB32; the workers expect straight RGBA
+ */
+void toStraightRgba(const uint32_t *pixels, size_t count, uint8_t *out) {
+  for (size_t i = 0; i < count; i++) {
+    const uint32_t pixel = pixels[i];
+    const uint32_t a = pixel >> 24;
+    uint8_t *dst = out + i * 4;
+
+    if (a == 0) {
+      dst[0] = dst[1] = dst[2] = dst[3] = 0;
+      continue;
+    }
+
+    const uint32_t r = (pixel >> 16) & 0xff;
+    const uint32_t g = (pixel >> 8) & 0xff;
+    const uint32_t b = pixel & 0xff;
+
+    if (a == 255) {
+      dst[0] = uint8_t(r);
+      dst[1] = uint8_t(g);
+      dst[2] = uint8_t(b);
+    } else {
+      dst[0] = uint8_t((r * 255 + a / 2) / a);
+      dst[1] = uint8_t((g * 255 + a / 2) / a);
+      dst[2] = uint8_t((b * 255 + a / 2) / a);
+    }
+    dst[3] = uint8_t(a);
+  }
+}
+
+void handleLoad(const uint8_t *payload, uint32_t size) {
+  if (size < 4) return respondError("LOAD: missing id");
+
+  const uint32_t id = readU32(payload);
+  std::string json(reinterpret_cast<const char *>(payload + 4), size - 4);
+
+  // No rlottie-side cache: the workers decide what stays loaded
+  auto animation = rlottie::Animation::loadFromData(std::move(json), std::to_string(id), "", false);
+  if (!animation) return respondError("LOAD: invalid animation");
+
+  size_t width = 0;
+  size_t height = 0;
+  animation->size(width, height);
+  const double frameRate = animation->frameRate();
+
+  uint8_t info[20];
+  writeU32(info, uint32_t(animation->totalFrame()));
+  writeU32(info + 4, uint32_t(width));
+  writeU32(info + 8, uint32_t(height));
+  memcpy(info + 12, &frameRate, sizeof(frameRate));
+
+  animations[id] = std::move(animation);
+  respond(0, info, sizeof(info));
+}
+
+void handleRender(const uint8_t *payload, uint32_t size) {
+  if (size < 16) return respondError("RENDER: truncated request");
+
+  const uint32_t id = readU32(payload);
+  const uint32_t frame = readU32(payload + 4);
+  const uint32_t width = readU32(payload + 8);
+  const uint32_t height = readU32(payload + 12);
+
+  auto it = animations.find(id);
+  if (it == animations.end()) return respondError("RENDER: animation not loaded");
+  if (width == 0 || height == 0 || width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    return respondError("RENDER: invalid dimensions");
+  }
+
+  const size_t count = size_t(width) * height;
+  surface.assign(count, 0);
+  rgba.resize(count * 4);
+
+  rlottie::Surface target(surface.data(), width, height, width * 4);
+  it->second->renderSync(frame, target);
+
+  toStraightRgba(surface.data(), count, rgba.data());
+  respond(0, rgba.data(), uint32_t(rgba.size()));
+}
+
+void handleUnload(const uint8_t *payload, uint32_t size) {
+  if (size < 4) return respondError("UNLOAD: missing id");
+  animations.erase(readU32(payload));
+  respond(0, nullptr, 0);
+}
+
+}  // namespace
+
+int main() {
+  std::vector<uint8_t> message;
+  uint8_t header[4];
+
+  while (readExact(header, sizeof(header))) {
+    const uint32_t length = readU32(header);
+    if (length == 0 || length > MAX_MESSAGE) {
+      respondError("invalid message length");
+      return 1;
+    }
+
+    message.resize(length);
+    if (!readExact(message.data(), length)) return 1;
+
+    const uint8_t *payload = message.data() + 1;
+    const uint32_t size = length - 1;
+
+    switch (message[0]) {
+      case PING:
+        respond(0, VERSION, uint32_t(strlen(VERSION)));
+        break;
+      case LOAD:
+        handleLoad(payload, size);
+        break;
+      case RENDER:
+        handleRender(payload, size);
+        break;
+      case UNLOAD:
+        handleUnload(payload, size);
+        break;
+      default:
+        respondError("unknown opcode");
+    }
+  }
+
+  return 0;
+}
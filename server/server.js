@@ -8,18 +8,107 @@ import multipart from '@fastify/multipart';
 import cors from '@fastify/cors';
 import { cpus } from 'os';
 import { AnimationCache } from './utils/cache.js';
-import { RenderPool } from './utils/renderer.js';
-import { parseTgs, generateSlug, getMetadata } from './utils/tgsParser.js';
-import { validateFileSize, validateFormat, validateFrameNumber, validateDimensions } from './utils/validators.js';
+import { RenderPool, threadShare } from './utils/renderer.js';
+import { parseTgs } from './utils/tgsParser.js';
+import { validateFileSize, validateWebhookUrl } from './utils/validators.js';
+import { convertFrame, convertSizes, streamAnimation, convertAnimated, convertSpriteSheet, convertVideo, convertBatch, optimizeSticker, exportLottieJson, packSticker, parseBatchOptions, validateJobOptions, addBatchInput, MAX_BATCH_FILES, MAX_BATCH_ARCHIVE_SIZE } from './utils/conversions.js';
+import { JobQueue } from './utils/jobQueue.js';
+import { OutputCache, etagMatches } from './utils/outputCache.js';
+import { ClusterCacheClient } from './utils/clusterCache.js';
+import { StickerStore } from './utils/stickerStore.js';
+import { validateTelegramSticker, TELEGRAM_STICKER_SPEC } from './utils/stickerSpec.js';
+import { inspectAnimation } from './utils/introspect.js';
+import { ZipWriter } from './utils/zip.js';
+import { checkFfmpeg } from './utils/videoEncoder.js';
 
 const PORT = process.env.PORT || 3000;
 const CACHE_SIZE = parseInt(process.env.CACHE_SIZE || '1000');
-const WORKER_POOL_SIZE = parseInt(process.env.WORKER_POOL_SIZE || '0') || cpus().length;
+// Render threads are shared by every process of a cluster (cluster.js, PM2):
+// each process autoscales up to its share of RENDER_THREAD_BUDGET, unless
+// WORKER_POOL_SIZE fixes its pool size
+const RENDER_THREAD_BUDGET = parseInt(process.env.RENDER_THREAD_BUDGET || '0') || cpus().length;
+const CLUSTER_PROCESSES = parseInt(process.env.CLUSTER_PROCESSES || '1');
+const CLUSTER_INSTANCE = parseInt(process.env.CLUSTER_INSTANCE || process.env.NODE_APP_INSTANCE || '0');
+const WORKER_POOL_SIZE = parseInt(process.env.WORKER_POOL_SIZE || '0');
+const WORKER_POOL_MAX = WORKER_POOL_SIZE || parseInt(process.env.WORKER_POOL_MAX || '0') || threadShare(RENDER_THREAD_BUDGET, CLUSTER_PROCESSES, CLUSTER_INSTANCE);
+const WORKER_POOL_MIN = WORKER_POOL_SIZE || parseInt(process.env.WORKER_POOL_MIN || '1');
+const WORKER_IDLE_TIMEOUT_MS = parseInt(process.env.WORKER_IDLE_TIMEOUT_MS || '30000');
+const RENDER_QUEUE_LIMIT = parseInt(process.env.RENDER_QUEUE_LIMIT || '2000');
+const RENDER_TIMEOUT_MS = parseInt(process.env.RENDER_TIMEOUT_MS || '15000');
+const RENDER_BULK_TIMEOUT_MS = parseInt(process.env.RENDER_BULK_TIMEOUT_MS || '120000');
+const RENDER_QUEUE_TIMEOUT_MS = parseInt(process.env.RENDER_QUEUE_TIMEOUT_MS || '15000');
+const WORKER_TASK_TIMEOUT_MS = parseInt(process.env.WORKER_TASK_TIMEOUT_MS || '60000');
+const WORKER_MAX_TASKS = parseInt(process.env.WORKER_MAX_TASKS || '10000');
+const WORKER_MAX_MEMORY_MB = parseInt(process.env.WORKER_MAX_MEMORY_MB || '1024');
 const MAX_FILE_SIZE = 2 * 1024 * 1024; // 2MB
+const JOBS_DIR = process.env.JOBS_DIR || './data/jobs';
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '2');
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+const OUTPUT_CACHE_MB = parseInt(process.env.OUTPUT_CACHE_MB || '128');
+const OUTPUT_CACHE_DIR = process.env.OUTPUT_CACHE_DIR || null;
+const OUTPUT_CACHE_DISK_MB = parseInt(process.env.OUTPUT_CACHE_DISK_MB || '1024');
+const STICKERS_DIR = process.env.STICKERS_DIR || './data/stickers';
+// Metadata only depends on the file; rendered outputs also depend on the
+// node's renderer backends and versions, so caches revalidate with the ETag
+const STICKER_METADATA_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+const STICKER_CACHE_CONTROL = 'public, max-age=3600, must-revalidate';
 
 // Initialize
 const cache = new AnimationCache(CACHE_SIZE);
-const renderPool = new RenderPool(WORKER_POOL_SIZE);
+const renderPool = new RenderPool(WORKER_POOL_MAX, {
+  minWorkers: WORKER_POOL_MIN,
+  idleTimeout: WORKER_IDLE_TIMEOUT_MS,
+  maxQueue: RENDER_QUEUE_LIMIT,
+  deadlines: { interactive: RENDER_TIMEOUT_MS, bulk: RENDER_BULK_TIMEOUT_MS },
+  queueTimeouts: { interactive: RENDER_QUEUE_TIMEOUT_MS },
+  taskTimeout: WORKER_TASK_TIMEOUT_MS,
+  maxTasksPerWorker: WORKER_MAX_TASKS,
+  maxWorkerMemoryMb: WORKER_MAX_MEMORY_MB
+});
+// Processes forked by cluster.js share the output cache's disk tier, and
+// clear and report their caches cluster-wide through the primary
+const clusterCache = process.env.CLUSTER_CACHE === '1' && process.send ? new ClusterCacheClient() : null;
+// PM2 cluster mode has no primary of ours: caches, /cache/clear and /stats stay per instance
+const PM2_CLUSTER = process.env.exec_mode === 'cluster_mode';
+const outputCache = new OutputCache({
+  maxBytes: OUTPUT_CACHE_MB * 1024 * 1024,
+  dir: OUTPUT_CACHE_DIR,
+  maxDiskBytes: OUTPUT_CACHE_DISK_MB * 1024 * 1024,
+  shared: clusterCache
+});
+const context = { renderPool, cache, outputCache };
+const stickerStore = new StickerStore(STICKERS_DIR, { cache });
+const jobQueue = new JobQueue({
+  dir: JOBS_DIR,
+  concurrency: JOB_CONCURRENCY,
+  webhookHosts: WEBHOOK_ALLOWED_HOSTS,
+  runners: {
+    animated: ([file], options, onProgress) => convertAnimated(context, file.buffer, options, onProgress),
+    spritesheet: ([file], options, onProgress) => convertSpriteSheet(context, file.buffer, options, onProgress),
+    video: ([file], options, onProgress) => convertVideo(context, file.buffer, options, onProgress),
+    batch: async (files, options, onProgress) => {
+      const inputs = [];
+      files.forEach(file => addBatchInput(inputs, file.name, file.buffer));
+      
+      const zip = new ZipWriter();
+      const chunks = [];
+      zip.stream.on('data', chunk => chunks.push(chunk));
+      const ended = new Promise((resolve, reject) => {
+        zip.stream.on('end', resolve);
+        zip.stream.on('error', reject);
+      });
+      
+      await convertBatch(context, inputs, parseBatchOptions(options), { zip, onProgress });
+      await ended;
+      
+      return {
+        body: Buffer.concat(chunks),
+        contentType: 'application/zip',
+        headers: { 'X-Batch-Files': inputs.length }
+      };
+    }
+  }
+});
 
 // Create Fastify instance
 const fastify = Fastify({
@@ -41,6 +130,11 @@ await fastify.register(multipart, {
   }
 });
 
+// Raw TGS bodies (PUT /stickers with --data-binary)
+fastify.addContentTypeParser(['application/octet-stream', 'application/x-tgsticker'], { parseAs: 'buffer' }, (request, body, done) => {
+  done(null, body);
+});
+
 /**
  * Health check endpoint
  */
@@ -53,8 +147,11 @@ fastify.get('/health', async (request, reply) => {
     uptime: process.uptime(),
     memory: process.memoryUsage(),
     cache: cacheStats,
+    outputCache: outputCache.getStats(),
     renderPool: poolStats,
     rlottie: poolStats.rlottieStatus || { available: false, mode: 'unknown' },
+    renderers: poolStats.renderers,
+    ffmpeg: await checkFfmpeg(),
     timestamp: new Date().toISOString()
   };
 });
@@ -72,144 +169,610 @@ fastify.post('/convert', async (request, reply) => {
       return reply.code(400).send({ error: 'No file provided' });
     }
 
-    // Read file buffer
-    const buffer = await data.toBuffer();
+    const convert = request.query.sizes ? convertSizes : convertFrame;
+    const result = await convert(requestContext(reply), await data.toBuffer(), request.query);
+    return sendConversion(request, reply, result, startTime);
     
-    // Validate file size
-    validateFileSize(buffer.length);
+  } catch (error) {
+    console.error('Conversion error:', error);
+    return sendConversionError(reply, error, startTime);
+  }
+});
+
+/**
+ * Convert endpoint - base64 payload
+ */
+fastify.post('/convert/base64', async (request, reply) => {
+  const startTime = Date.now();
+  
+  try {
+    const { data, frame = 0, format = 'png', quality = 90, ...options } = request.body;
+    
+    if (!data) {
+      return reply.code(400).send({ error: 'No data provided' });
+    }
+    
+    const query = { frame, format, quality, ...options };
+    const result = options.sizes
+      ? await convertSizes(requestContext(reply), Buffer.from(data, 'base64'), { ...query, packaging: 'json' })
+      : await convertFrame(requestContext(reply), Buffer.from(data, 'base64'), query);
+    
+    if (etagMatches(request.headers['if-none-match'], result.etag)) {
+      return reply.code(304).header('ETag', result.etag).send();
+    }
+    
+    reply.header('ETag', result.etag);
+    
+    if (options.sizes) {
+      return { ...result.body, processingTime: `${Date.now() - startTime}ms`, cacheHit: result.cacheHit };
+    }
+    
+    return {
+      image: result.body.toString('base64'),
+      width: result.width,
+      height: result.height,
+      format: result.format,
+      size: result.body.length,
+      totalFrames: result.metadata.totalFrames,
+      renderer: result.headers['X-Renderer'],
+      processingTime: `${Date.now() - startTime}ms`,
+      cacheHit: result.cacheHit
+    };
+    
+  } catch (error) {
+    console.error('Conversion error:', error);
+    return sendConversionError(reply, error, startTime);
+  }
+});
+
+/**
+ * Conversion context of a request: renders are cancelled if the client
+ * disconnects before the response is complete
+ */
+function requestContext(reply) {
+  const controller = new AbortController();
+  
+  reply.raw.on('close', () => {
+    if (!reply.raw.writableFinished) controller.abort();
+  });
+  
+  return { ...context, signal: controller.signal };
+}
+
+/**
+ * Send an error response for a failed conversion
+ */
+function sendConversionError(reply, error, startTime) {
+  // Multipart errors (too many files, archive too large), timeouts (504) and
+  // a full render queue (503) carry their own status
+  const status = error.statusCode || (error.message.includes('Invalid') || error.message.includes('too large') ? 400 : 500);
+  if (error.retryAfter) reply.header('Retry-After', error.retryAfter);
+  return reply.code(status).send({
+    error: 'Conversion failed',
+    message: error.message,
+    ...(error.violations && { violations: error.violations }),
+    processingTime: `${Date.now() - startTime}ms`
+  });
+}
+
+/**
+ * Read a single uploaded file: multipart, a raw TGS body or a JSON body
+ * (already parsed by fastify, so it is serialized back)
+ * @returns {Promise<{ buffer: Buffer|undefined, filename: string|undefined }>}
+ */
+async function readUpload(request) {
+  if (request.isMultipart()) {
+    const data = await request.file();
+    return data ? { buffer: await data.toBuffer(), filename: data.filename } : {};
+  }
+  if (Buffer.isBuffer(request.body)) return { buffer: request.body };
+  if (request.body && typeof request.body === 'object') return { buffer: Buffer.from(JSON.stringify(request.body)) };
+  return {};
+}
+
+/**
+ * Attachment name for a converted upload
+ */
+function attachmentName(filename, extension) {
+  const base = (filename || 'sticker').split(/[\\/]/).pop().replace(/\.(tgs|json)$/i, '').replace(/[^\w.-]/g, '_') || 'sticker';
+  return `attachment; filename="${base}.${extension}"`;
+}
+
+/**
+ * Send a conversion pipeline result, answering 304 when the client's copy is current
+ */
+function sendConversion(request, reply, result, startTime) {
+  const processingTime = Date.now() - startTime;
+  
+  reply.header('ETag', result.etag);
+  reply.header('X-Cache-Hit', result.cacheHit ? 'true' : 'false');
+  
+  if (etagMatches(request.headers['if-none-match'], result.etag)) {
+    return reply.code(304).send();
+  }
+  
+  if (Buffer.isBuffer(result.body)) {
+    reply.header('Content-Type', result.contentType);
+    reply.header('X-Processing-Time', `${processingTime}ms`);
+    for (const [name, value] of Object.entries(result.headers)) {
+      reply.header(name, value);
+    }
+    return reply.send(result.body);
+  }
+  
+  return { ...result.body, processingTime: `${processingTime}ms` };
+}
+
+/**
+ * Send a frame stream; frames must reach the client as they are written
+ */
+function sendStream(reply, result) {
+  reply.header('Content-Type', result.contentType);
+  reply.header('Cache-Control', 'no-cache');
+  reply.header('X-Accel-Buffering', 'no');
+  for (const [name, value] of Object.entries(result.headers)) {
+    reply.header(name, value);
+  }
+  return reply.send(result.stream);
+}
+
+/**
+ * Convert endpoint - frames streamed as they are rendered (SSE or multipart/x-mixed-replace)
+ */
+fastify.post('/convert/stream', async (request, reply) => {
+  const startTime = Date.now();
+  
+  try {
+    const data = await request.file();
     
-    // Parse TGS
-    const animationData = parseTgs(buffer);
-    const metadata = getMetadata(animationData);
+    if (!data) {
+      return reply.code(400).send({ error: 'No file provided' });
+    }
     
-    // Get options from query
-    const frameNumber = parseInt(request.query.frame || '0');
-    const format = request.query.format || 'png';
-    const quality = parseInt(request.query.quality || '90');
-    const width = parseInt(request.query.width || '0') || metadata.width;
-    const height = parseInt(request.query.height || '0') || metadata.height;
+    return sendStream(reply, streamAnimation(context, await data.toBuffer(), request.query));
     
-    // Validate
-    validateFormat(format);
-    validateFrameNumber(frameNumber, metadata.totalFrames);
-    validateDimensions(width, height);
+  } catch (error) {
+    console.error('Stream error:', error);
+    return sendConversionError(reply, error, startTime);
+  }
+});
+
+/**
+ * Convert endpoint - batch of TGS files (multipart or one ZIP) to a ZIP of images
+ */
+fastify.post('/convert/batch', async (request, reply) => {
+  const startTime = Date.now();
+  const inputs = [];
+  let options;
+  
+  try {
+    options = parseBatchOptions(request.query);
     
-    // Generate slug for caching
-    const slug = generateSlug(animationData);
+    const parts = request.files({
+      limits: { files: MAX_BATCH_FILES, fileSize: MAX_BATCH_ARCHIVE_SIZE }
+    });
     
-    // Check cache
-    let cachedData = cache.get(slug);
+    for await (const part of parts) {
+      addBatchInput(inputs, part.filename, await part.toBuffer());
+    }
     
-    if (!cachedData) {
-      cache.set(slug, animationData, metadata);
-      cachedData = cache.get(slug);
+    if (inputs.length === 0) {
+      return reply.code(400).send({ error: 'No file provided' });
     }
+  } catch (error) {
+    console.error('Batch upload error:', error);
+    return sendConversionError(reply, error, startTime);
+  }
+  
+  // Stream the archive while files are still converting
+  const zip = new ZipWriter();
+  const batchContext = requestContext(reply);
+  
+  convertBatch(batchContext, inputs, options, { zip, isAborted: () => batchContext.signal.aborted }).catch(error => {
+    console.error('Batch conversion error:', error);
+    zip.stream.destroy(error);
+  });
+  
+  reply.header('Content-Type', 'application/zip');
+  reply.header('Content-Disposition', `attachment; filename="converted-${options.format}.zip"`);
+  reply.header('X-Batch-Files', inputs.length);
+  
+  return reply.send(zip.stream);
+});
+
+/**
+ * Convert endpoint - whole animation as animated WebP/GIF/APNG
+ */
+fastify.post('/convert/animated', async (request, reply) => {
+  const startTime = Date.now();
+  
+  try {
+    const data = await request.file();
     
-    // Render frame
-    const result = await renderPool.renderFrame(
-      cachedData.animationData,
-      frameNumber,
-      { format, quality, width, height }
-    );
+    if (!data) {
+      return reply.code(400).send({ error: 'No file provided' });
+    }
     
-    // Release cache reference
-    cache.release(slug);
+    const result = await convertAnimated(requestContext(reply), await data.toBuffer(), request.query);
+    return sendConversion(request, reply, result, startTime);
     
-    const processingTime = Date.now() - startTime;
+  } catch (error) {
+    console.error('Animated conversion error:', error);
+    return sendConversionError(reply, error, startTime);
+  }
+});
+
+/**
+ * Convert endpoint - sprite sheet (frame atlas) with JSON frame map
+ */
+fastify.post('/convert/spritesheet', async (request, reply) => {
+  const startTime = Date.now();
+  
+  try {
+    const data = await request.file();
     
-    // Set headers
-    reply.header('Content-Type', `image/${format}`);
-    reply.header('X-Processing-Time', `${processingTime}ms`);
-    reply.header('X-Total-Frames', metadata.totalFrames);
-    reply.header('X-Cache-Hit', cachedData ? 'true' : 'false');
-    reply.header('X-Image-Size', result.size);
+    if (!data) {
+      return reply.code(400).send({ error: 'No file provided' });
+    }
     
-    return reply.send(result.buffer);
+    const result = await convertSpriteSheet(requestContext(reply), await data.toBuffer(), request.query);
+    return sendConversion(request, reply, result, startTime);
     
   } catch (error) {
-    console.error('Conversion error:', error);
-    return reply.code(error.message.includes('Invalid') || error.message.includes('too large') ? 400 : 500).send({
-      error: 'Conversion failed',
-      message: error.message,
-      processingTime: `${Date.now() - startTime}ms`
-    });
+    console.error('Sprite sheet error:', error);
+    return sendConversionError(reply, error, startTime);
   }
 });
 
 /**
- * Convert endpoint - base64 payload
+ * Convert endpoint - WebM (VP9 + alpha) or MP4 video
  */
-fastify.post('/convert/base64', async (request, reply) => {
+fastify.post('/convert/video', async (request, reply) => {
   const startTime = Date.now();
   
   try {
-    const { data, frame = 0, format = 'png', quality = 90, width, height } = request.body;
+    const ffmpeg = await checkFfmpeg();
+    
+    if (!ffmpeg.available) {
+      return reply.code(503).send({
+        error: 'Video export unavailable',
+        message: `ffmpeg not found (${ffmpeg.path}). Install ffmpeg or set FFMPEG_PATH`
+      });
+    }
+    
+    const data = await request.file();
     
     if (!data) {
-      return reply.code(400).send({ error: 'No data provided' });
+      return reply.code(400).send({ error: 'No file provided' });
     }
     
-    // Decode base64
-    const buffer = Buffer.from(data, 'base64');
+    const result = await convertVideo(requestContext(reply), await data.toBuffer(), request.query);
+    return sendConversion(request, reply, result, startTime);
+    
+  } catch (error) {
+    console.error('Video conversion error:', error);
+    return sendConversionError(reply, error, startTime);
+  }
+});
+
+/**
+ * Upload a sticker once and get its content-addressed slug
+ */
+fastify.put('/stickers', async (request, reply) => {
+  const startTime = Date.now();
+  
+  try {
+    const { buffer } = await readUpload(request);
+    
+    if (!buffer || buffer.length === 0) {
+      return reply.code(400).send({ error: 'No file provided' });
+    }
     
-    // Validate
     validateFileSize(buffer.length);
-    validateFormat(format);
     
-    // Parse TGS
-    const animationData = parseTgs(buffer);
-    const metadata = getMetadata(animationData);
+    const { slug, metadata, created } = await stickerStore.put(buffer);
+    
+    return reply.code(created ? 201 : 200).header('Location', `/stickers/${slug}`).send({
+      slug,
+      created,
+      ...metadata,
+      urls: {
+        info: `/stickers/${slug}`,
+        frame: `/stickers/${slug}/frame/0.png`,
+        animation: `/stickers/${slug}/animation.webp`
+      }
+    });
+    
+  } catch (error) {
+    console.error('Sticker upload error:', error);
+    return sendConversionError(reply, error, startTime);
+  }
+});
+
+/**
+ * Stored sticker metadata
+ */
+fastify.get('/stickers/:slug', async (request, reply) => {
+  const loaded = await stickerStore.load(request.params.slug);
+  
+  if (!loaded) {
+    return reply.code(404).send({ error: 'Sticker not found' });
+  }
+  
+  reply.header('Cache-Control', STICKER_METADATA_CACHE_CONTROL);
+  
+  return {
+    slug: loaded.slug,
+    ...loaded.metadata,
+    duration: loaded.metadata.totalFrames / loaded.metadata.frameRate
+  };
+});
+
+/**
+ * Single frame of a stored sticker, e.g. /stickers/:slug/frame/12.webp?width=256
+ */
+fastify.get('/stickers/:slug/frame/:file', async (request, reply) => {
+  const startTime = Date.now();
+  
+  try {
+    const match = /^(\d+)\.(\w+)$/.exec(request.params.file);
+    
+    if (!match) {
+      return reply.code(404).send({ error: 'Not found', message: 'Expected /frame/<number>.<format>' });
+    }
+    
+    const loaded = await stickerStore.load(request.params.slug);
+    
+    if (!loaded) {
+      return reply.code(404).send({ error: 'Sticker not found' });
+    }
+    
+    const result = await convertFrame(requestContext(reply), loaded, { ...request.query, frame: match[1], format: match[2] });
+    
+    reply.header('Cache-Control', STICKER_CACHE_CONTROL);
+    return sendConversion(request, reply, result, startTime);
+    
+  } catch (error) {
+    console.error('Sticker frame error:', error);
+    return sendConversionError(reply, error, startTime);
+  }
+});
+
+/**
+ * Whole stored sticker as animated WebP/GIF/APNG, e.g. /stickers/:slug/animation.gif
+ */
+fastify.get('/stickers/:slug/animation.:format', async (request, reply) => {
+  const startTime = Date.now();
+  
+  try {
+    const loaded = await stickerStore.load(request.params.slug);
+    
+    if (!loaded) {
+      return reply.code(404).send({ error: 'Sticker not found' });
+    }
+    
+    const result = await convertAnimated(requestContext(reply), loaded, { ...request.query, format: request.params.format });
+    
+    reply.header('Cache-Control', STICKER_CACHE_CONTROL);
+    return sendConversion(request, reply, result, startTime);
+    
+  } catch (error) {
+    console.error('Sticker animation error:', error);
+    return sendConversionError(reply, error, startTime);
+  }
+});
+
+/**
+ * Frames of a stored sticker streamed as they are rendered, for EventSource or <img>
+ */
+fastify.get('/stickers/:slug/stream', async (request, reply) => {
+  const startTime = Date.now();
+  
+  try {
+    const loaded = await stickerStore.load(request.params.slug);
+    
+    if (!loaded) {
+      return reply.code(404).send({ error: 'Sticker not found' });
+    }
+    
+    return sendStream(reply, streamAnimation(context, loaded, request.query));
     
-    const frameNumber = parseInt(frame);
-    const finalWidth = width ? parseInt(width) : metadata.width;
-    const finalHeight = height ? parseInt(height) : metadata.height;
+  } catch (error) {
+    console.error('Sticker stream error:', error);
+    return sendConversionError(reply, error, startTime);
+  }
+});
+
+/**
+ * Create an asynchronous conversion job
+ */
+fastify.post('/jobs', async (request, reply) => {
+  const startTime = Date.now();
+  
+  try {
+    const { type = 'animated', webhook, ...options } = request.query;
     
-    validateFrameNumber(frameNumber, metadata.totalFrames);
-    validateDimensions(finalWidth, finalHeight);
+    if (webhook) await validateWebhookUrl(webhook, { allowedHosts: WEBHOOK_ALLOWED_HOSTS });
+    validateJobOptions(type, options);
     
-    // Generate slug
-    const slug = generateSlug(animationData);
+    const files = [];
+    const parts = request.files(type === 'batch'
+      ? { limits: { files: MAX_BATCH_FILES, fileSize: MAX_BATCH_ARCHIVE_SIZE } }
+      : undefined);
     
-    // Check cache
-    let cachedData = cache.get(slug);
+    for await (const part of parts) {
+      const buffer = await part.toBuffer();
+      if (type !== 'batch') validateFileSize(buffer.length);
+      files.push({ name: part.filename || `file${files.length + 1}.tgs`, buffer });
+    }
     
-    if (!cachedData) {
-      cache.set(slug, animationData, metadata);
-      cachedData = cache.get(slug);
+    if (files.length === 0) {
+      return reply.code(400).send({ error: 'No file provided' });
     }
     
-    // Render
-    const result = await renderPool.renderFrame(
-      cachedData.animationData,
-      frameNumber,
-      { format, quality: parseInt(quality), width: finalWidth, height: finalHeight }
-    );
+    const job = await jobQueue.create(type, files, options, webhook);
+    
+    return reply.code(202).header('Location', `/jobs/${job.id}`).send(job);
     
-    cache.release(slug);
+  } catch (error) {
+    console.error('Job creation error:', error);
+    return sendConversionError(reply, error, startTime);
+  }
+});
+
+/**
+ * Job status and progress
+ */
+fastify.get('/jobs/:id', async (request, reply) => {
+  const job = await jobQueue.get(request.params.id);
+  
+  if (!job) {
+    return reply.code(404).send({ error: 'Job not found' });
+  }
+  
+  return job;
+});
+
+/**
+ * Job output
+ */
+fastify.get('/jobs/:id/result', async (request, reply) => {
+  const result = await jobQueue.getResult(request.params.id);
+  
+  if (!result) {
+    return reply.code(404).send({ error: 'Job not found' });
+  }
+  
+  if (!result.body) {
+    return reply.code(409).send({
+      error: result.job.state === 'failed' ? 'Job failed' : 'Job not finished',
+      message: result.job.error || `Job is ${result.job.state}`,
+      job: result.job
+    });
+  }
+  
+  reply.header('Content-Type', result.contentType);
+  for (const [name, value] of Object.entries(result.headers)) {
+    reply.header(name, value);
+  }
+  
+  return reply.send(result.body);
+});
+
+/**
+ * Delete a finished job
+ */
+fastify.delete('/jobs/:id', async (request, reply) => {
+  const job = await jobQueue.get(request.params.id);
+  
+  if (!job) {
+    return reply.code(404).send({ error: 'Job not found' });
+  }
+  
+  if (!(await jobQueue.remove(job.id))) {
+    return reply.code(409).send({ error: 'Job still in progress', job });
+  }
+  
+  return { success: true, message: 'Job deleted' };
+});
+
+/**
+ * Check a file against the Telegram animated sticker spec
+ */
+fastify.post('/validate', async (request, reply) => {
+  try {
+    const data = await request.file();
     
-    const processingTime = Date.now() - startTime;
+    if (!data) {
+      return reply.code(400).send({ error: 'No file provided' });
+    }
+
+    const buffer = await data.toBuffer();
+    validateFileSize(buffer.length);
     
     return {
-      image: result.buffer.toString('base64'),
-      width: result.width,
-      height: result.height,
-      format: result.format,
-      size: result.size,
-      totalFrames: metadata.totalFrames,
-      processingTime: `${processingTime}ms`,
-      cacheHit: !!cachedData
+      ...validateTelegramSticker(buffer),
+      spec: TELEGRAM_STICKER_SPEC
     };
     
   } catch (error) {
-    console.error('Conversion error:', error);
     return reply.code(error.message.includes('Invalid') || error.message.includes('too large') ? 400 : 500).send({
-      error: 'Conversion failed',
-      message: error.message,
-      processingTime: `${Date.now() - startTime}ms`
+      error: 'Validation failed',
+      message: error.message
     });
   }
 });
 
+/**
+ * Shrink a TGS file, verified against the original's rendered frames
+ */
+fastify.post('/optimize', async (request, reply) => {
+  const startTime = Date.now();
+  
+  try {
+    const data = await request.file();
+    
+    if (!data) {
+      return reply.code(400).send({ error: 'No file provided' });
+    }
+    
+    const result = await optimizeSticker(requestContext(reply), await data.toBuffer(), request.query);
+    return sendConversion(request, reply, result, startTime);
+    
+  } catch (error) {
+    console.error('Optimize error:', error);
+    return sendConversionError(reply, error, startTime);
+  }
+});
+
+/**
+ * Export the Lottie JSON of a TGS file
+ */
+fastify.post('/export/json', async (request, reply) => {
+  const startTime = Date.now();
+  
+  try {
+    const { buffer, filename } = await readUpload(request);
+    
+    if (!buffer || buffer.length === 0) {
+      return reply.code(400).send({ error: 'No file provided' });
+    }
+    
+    const result = await exportLottieJson(context, buffer, request.query);
+    reply.header('Content-Disposition', attachmentName(filename, 'json'));
+    return sendConversion(request, reply, result, startTime);
+    
+  } catch (error) {
+    console.error('Export error:', error);
+    return sendConversionError(reply, error, startTime);
+  }
+});
+
+/**
+ * Package Lottie JSON as a TGS file
+ */
+fastify.post('/pack', async (request, reply) => {
+  const startTime = Date.now();
+  
+  try {
+    const { buffer, filename } = await readUpload(request);
+    
+    if (!buffer || buffer.length === 0) {
+      return reply.code(400).send({ error: 'No file provided' });
+    }
+    
+    const result = await packSticker(context, buffer, request.query);
+    if (Buffer.isBuffer(result.body)) {
+      reply.header('Content-Disposition', attachmentName(filename, 'tgs'));
+    }
+    return sendConversion(request, reply, result, startTime);
+    
+  } catch (error) {
+    console.error('Pack error:', error);
+    return sendConversionError(reply, error, startTime);
+  }
+});
+
 /**
  * Get file info
  */
@@ -224,20 +787,7 @@ fastify.post('/info', async (request, reply) => {
     const buffer = await data.toBuffer();
     validateFileSize(buffer.length);
     
-    const animationData = parseTgs(buffer);
-    const metadata = getMetadata(animationData);
-    
-    return {
-      width: metadata.width,
-      height: metadata.height,
-      totalFrames: metadata.totalFrames,
-      frameRate: metadata.frameRate,
-      duration: metadata.totalFrames / metadata.frameRate,
-      layers: animationData.layers?.length || 0,
-      assets: animationData.assets?.length || 0,
-      version: animationData.v,
-      name: animationData.nm || 'untitled'
-    };
+    return inspectAnimation(parseTgs(buffer));
     
   } catch (error) {
     return reply.code(error.message.includes('Invalid') || error.message.includes('too large') ? 400 : 500).send({
@@ -248,40 +798,94 @@ fastify.post('/info', async (request, reply) => {
 });
 
 /**
- * Stats endpoint
+ * Stats of this process
  */
-fastify.get('/stats', async (request, reply) => {
+function processStats() {
   return {
     cache: cache.getStats(),
+    outputCache: outputCache.getStats(),
+    stickers: stickerStore.getStats(),
     renderPool: renderPool.getStats(),
+    jobs: jobQueue.getStats(),
     memory: process.memoryUsage(),
     uptime: process.uptime()
   };
+}
+
+/**
+ * Clear this process's caches
+ */
+async function clearCaches() {
+  cache.clear();
+  await outputCache.clear();
+}
+
+clusterCache?.handle('stats', () => ({ pid: process.pid, instance: CLUSTER_INSTANCE, ...processStats() }));
+clusterCache?.handle('clear', clearCaches);
+
+/**
+ * Stats endpoint
+ * In a cluster, `cluster` adds totals across all processes
+ */
+fastify.get('/stats', async (request, reply) => {
+  const stats = processStats();
+  if (clusterCache) {
+    stats.cluster = await clusterCache.stats().catch(error => ({ error: error.message }));
+  } else if (PM2_CLUSTER) {
+    // Say so, rather than let one instance's numbers pass for the cluster's
+    stats.cluster = { manager: 'pm2', instance: CLUSTER_INSTANCE, processes: CLUSTER_PROCESSES, shared: false };
+  }
+  return stats;
 });
 
 /**
- * Clear cache
+ * Clear cache (in every process of a cluster)
  */
 fastify.post('/cache/clear', async (request, reply) => {
-  cache.clear();
-  return { success: true, message: 'Cache cleared' };
+  if (clusterCache) {
+    const { processes } = await clusterCache.clear();
+    return { success: true, message: `Cache cleared in ${processes} processes` };
+  }
+  
+  await clearCaches();
+  return { success: true, message: PM2_CLUSTER ? `Cache cleared in PM2 instance ${CLUSTER_INSTANCE} only` : 'Cache cleared' };
 });
 
 // Start server
 async function start() {
   try {
+    await outputCache.initialize();
+    await stickerStore.initialize();
+    const resumedJobs = await jobQueue.initialize();
     await fastify.listen({ port: PORT, host: '0.0.0.0' });
     
     console.log(`\n🚀 TGS Converter API v2.0 (Production)`);
     console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
     console.log(`📡 Server: http://0.0.0.0:${PORT}`);
     console.log(`💻 PID: ${process.pid}`);
-    console.log(`🔥 Workers: ${WORKER_POOL_SIZE}`);
-    console.log(`💾 Cache: ${CACHE_SIZE} entries`);
+    console.log(`🔥 Workers: ${renderPool.minWorkers === WORKER_POOL_MAX ? WORKER_POOL_MAX : `${renderPool.minWorkers}-${WORKER_POOL_MAX}`}${CLUSTER_PROCESSES > 1 ? ` (instance ${CLUSTER_INSTANCE} of ${CLUSTER_PROCESSES}, ${RENDER_THREAD_BUDGET} threads total)` : ''}`);
+    console.log(`💾 Cache: ${CACHE_SIZE} entries, outputs ${OUTPUT_CACHE_MB}MB${OUTPUT_CACHE_DIR ? ` + ${OUTPUT_CACHE_DISK_MB}MB disk` : ''}${clusterCache ? ' (disk shared by the cluster)' : PM2_CLUSTER ? ' (this PM2 instance only)' : ''}`);
     console.log(`📦 Max upload: 2MB`);
+    console.log(`🗂️  Jobs: ${JOBS_DIR} (${resumedJobs} resumed)`);
     console.log(`\n📋 Endpoints:`);
     console.log(`  POST /convert          - Multipart file upload`);
     console.log(`  POST /convert/base64   - Base64 payload`);
+    console.log(`  POST /convert/stream   - Frames as they render (SSE / multipart)`);
+    console.log(`  POST /convert/batch    - Many files or a ZIP → ZIP + manifest`);
+    console.log(`  POST /convert/animated - Animated WebP/GIF/APNG`);
+    console.log(`  POST /convert/spritesheet - Sprite sheet + JSON frame map`);
+    console.log(`  POST /convert/video    - WebM (VP9 alpha) / MP4 via ffmpeg`);
+    console.log(`  PUT  /stickers         - Store a sticker, returns its slug`);
+    console.log(`  GET  /stickers/:slug/frame/:n.:ext - Cacheable frame URL`);
+    console.log(`  GET  /stickers/:slug/animation.:ext - Cacheable animation URL`);
+    console.log(`  GET  /stickers/:slug/stream - Live frame stream`);
+    console.log(`  POST /jobs             - Queue an async conversion`);
+    console.log(`  GET  /jobs/:id         - Job status and progress`);
+    console.log(`  GET  /jobs/:id/result  - Job output`);
+    console.log(`  POST /validate         - Telegram sticker spec check`);
+    console.log(`  POST /optimize         - Shrink a TGS file (verified)`);
+    console.log(`  POST /export/json      - TGS → Lottie JSON`);
+    console.log(`  POST /pack             - Lottie JSON → TGS (spec checked)`);
     console.log(`  POST /info             - Get file info`);
     console.log(`  GET  /health           - Health check`);
     console.log(`  GET  /stats            - Performance stats`);
@@ -300,6 +904,7 @@ async function shutdown() {
   console.log('\n🛑 Shutting down...');
   
   await fastify.close();
+  jobQueue.destroy();
   await renderPool.shutdown();
   cache.destroy();
   
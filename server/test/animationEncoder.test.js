@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { encodeAnimation, distributeDelays, crc32 } from '../utils/animationEncoder.js';
+import { validateFrameRange, validateFrameNumber } from '../utils/validators.js';
+
+const COLORS = ['#ff0000', '#00ff00', '#0000ff'];
+
+function frames(format) {
+  return Promise.all(COLORS.map(background =>
+    sharp({ create: { width: 4, height: 4, channels: 4, background } })[format]().toBuffer()
+  ));
+}
+
+/**
+ * Chunks of a PNG file, with whether each one's CRC matches
+ */
+function pngChunks(buffer) {
+  const chunks = [];
+  let offset = 8;
+  while (offset < buffer.length) {
+    const size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + size);
+    const crcValid = buffer.readUInt32BE(offset + 8 + size) === crc32(buffer.subarray(offset + 4, offset + 8 + size));
+    chunks.push({ type, data, crcValid });
+    offset += 12 + size;
+  }
+  return chunks;
+}
+
+test('distributeDelays rounds without drifting from the total', () => {
+  const delays = distributeDelays(60, 1000 / 60);
+  assert.equal(delays.reduce((a, b) => a + b, 0), 1000);
+  assert.ok(delays.every(delay => delay === 16 || delay === 17));
+});
+
+test('distributeDelays never returns a zero delay', () => {
+  assert.deepEqual(distributeDelays(3, 0.2), [1, 1, 1]);
+});
+
+test('encodeAnimation muxes an animated WebP', async () => {
+  const webp = encodeAnimation(await frames('webp'), { format: 'webp', width: 4, height: 4, frameRate: 30, loop: 2 });
+  const metadata = await sharp(webp, { animated: true }).metadata();
+
+  assert.equal(metadata.pages, 3);
+  assert.equal(metadata.loop, 2);
+  assert.deepEqual(metadata.delay, [33, 34, 33]);
+});
+
+test('encodeAnimation muxes an animated GIF in centiseconds', async () => {
+  const gif = encodeAnimation(await frames('gif'), { format: 'gif', width: 4, height: 4, frameRate: 30, step: 2 });
+  const metadata = await sharp(gif, { animated: true }).metadata();
+
+  assert.equal(metadata.pages, 3);
+  assert.equal(metadata.loop, 0);
+  // 66.67ms per frame, stored as 7 / 6 / 7 centiseconds
+  assert.deepEqual(metadata.delay, [70, 60, 70]);
+});
+
+test('encodeAnimation muxes an APNG with exact delays and valid chunks', async () => {
+  const apng = encodeAnimation(await frames('png'), { format: 'apng', width: 4, height: 4, frameRate: 30, step: 2, loop: 1 });
+  const chunks = pngChunks(apng);
+
+  assert.ok(chunks.every(chunk => chunk.crcValid));
+  assert.equal(chunks[0].type, 'IHDR');
+  assert.equal(chunks.at(-1).type, 'IEND');
+
+  const actl = chunks.find(chunk => chunk.type === 'acTL').data;
+  assert.equal(actl.readUInt32BE(0), 3);
+  assert.equal(actl.readUInt32BE(4), 1);
+
+  const fctls = chunks.filter(chunk => chunk.type === 'fcTL').map(chunk => chunk.data);
+  assert.equal(fctls.length, 3);
+  // Sequence numbers run across fcTL and fdAT chunks without gaps
+  const sequence = chunks.filter(chunk => chunk.type === 'fcTL' || chunk.type === 'fdAT').map(chunk => chunk.data.readUInt32BE(0));
+  assert.deepEqual(sequence, sequence.map((_, i) => i));
+  // 2/30s per frame
+  assert.ok(fctls.every(fctl => fctl.readUInt16BE(20) === 2 && fctl.readUInt16BE(22) === 30));
+  // The first frame is the default image (IDAT), the rest are fdAT
+  assert.ok(chunks.some(chunk => chunk.type === 'IDAT'));
+  assert.ok(chunks.some(chunk => chunk.type === 'fdAT'));
+});
+
+test('encodeAnimation rejects an empty frame list and unknown formats', () => {
+  assert.throws(() => encodeAnimation([], { format: 'gif', width: 1, height: 1, frameRate: 30 }), /Invalid animation/);
+  assert.throws(() => encodeAnimation([Buffer.alloc(1)], { format: 'avif', width: 1, height: 1, frameRate: 30 }), /Invalid animated format/);
+});
+
+test('validateFrameRange selects frames by step, end inclusive', () => {
+  assert.deepEqual(validateFrameRange(2, 10, 3, 60), [2, 5, 8]);
+  assert.deepEqual(validateFrameRange(0, 0, 1, 1), [0]);
+});
+
+test('validateFrameRange rejects non-numeric, reversed and out-of-range bounds', () => {
+  assert.throws(() => validateFrameRange(NaN, 10, 1, 60), /Invalid frame: NaN/);
+  assert.throws(() => validateFrameRange(0, NaN, 1, 60), /Invalid frame: NaN/);
+  assert.throws(() => validateFrameRange(0, 1.5, 1, 60), /Invalid frame/);
+  assert.throws(() => validateFrameRange(5, 2, 1, 60), /Invalid frame range/);
+  assert.throws(() => validateFrameRange(0, 60, 1, 60), /Invalid frame: 60/);
+  assert.throws(() => validateFrameRange(0, 10, 0, 60), /Invalid step/);
+});
+
+test('validateFrameRange refuses too many frames', () => {
+  assert.throws(() => validateFrameRange(0, 99, 1, 100, 50), /too large/);
+});
+
+test('validateFrameNumber rejects NaN', () => {
+  assert.throws(() => validateFrameNumber(parseInt('x'), 60), /Invalid frame/);
+  assert.doesNotThrow(() => validateFrameNumber(59, 60));
+});
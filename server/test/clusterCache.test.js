@@ -0,0 +1,135 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { OutputCache } from '../utils/outputCache.js';
+import { ClusterCacheHub } from '../utils/clusterCache.js';
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'output-cache-'));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Stand-in for the ClusterCacheClient of one process, recording its reports
+ */
+function sharedClient() {
+  const client = {
+    writes: [],
+    reads: [],
+    stored: (key, size) => client.writes.push([key, size]),
+    touched: key => client.reads.push(key)
+  };
+  return client;
+}
+
+const processCache = shared => new OutputCache({ dir, shared });
+
+async function writesDone(cache) {
+  while (cache.pendingWrites.size > 0) await sleep(5);
+}
+
+const result = body => ({ body: Buffer.from(body), contentType: 'image/png', headers: {} });
+
+test('a shared disk entry is written once across processes', async () => {
+  const first = sharedClient();
+  const second = sharedClient();
+  const a = processCache(first);
+  const b = processCache(second);
+  await a.initialize();
+  await b.initialize();
+  const key = a.key('0123456789abcdef', { format: 'png', width: 64 });
+
+  a.set(key, result('frame'));
+  await writesDone(a);
+  assert.deepEqual(first.writes, [[key, 5]]);
+
+  // The other process rendered the same output before seeing the entry
+  b.set(key, result('frame'));
+  await writesDone(b);
+  assert.deepEqual(second.writes, []);
+  assert.deepEqual(second.reads, [key]);
+
+  // A third process finds it on disk
+  const third = sharedClient();
+  const c = processCache(third);
+  const hit = await c.get(key);
+  assert.equal(hit.body.toString(), 'frame');
+  assert.equal(c.getStats().disk.hits, 1);
+  assert.deepEqual(third.reads, [key]);
+});
+
+/**
+ * Forked process stand-in that answers the hub's requests
+ */
+function fakeWorker(answers) {
+  const worker = new EventEmitter();
+  worker.sent = [];
+  worker.isConnected = () => true;
+  worker.send = (message) => {
+    worker.sent.push(message);
+    if (message.type !== 'reply' && answers[message.type]) {
+      setImmediate(() => worker.emit('message', { channel: 'cache', type: 'reply', id: message.id, result: answers[message.type] }));
+    }
+  };
+  return worker;
+}
+
+function snapshot(pid, { hits, misses, outputHits, diskHits, outputMisses, workers }) {
+  return {
+    pid,
+    instance: pid - 100,
+    uptime: 10,
+    memory: { rss: 1000 },
+    cache: { size: 2, hits, misses, hitRate: '' },
+    outputCache: { entries: 1, bytes: 10, hits: outputHits, misses: outputMisses, hitRate: '', disk: { hits: diskHits } },
+    renderPool: { workers, busyWorkers: 0, queuedTasks: 0, completedTasks: 5, failedTasks: 0 }
+  };
+}
+
+test('the hub aggregates the stats of every process', async () => {
+  const hub = new ClusterCacheHub({ dir, maxDiskBytes: 1024 });
+  await hub.initialize();
+  const workers = [
+    fakeWorker({ stats: snapshot(101, { hits: 3, misses: 1, outputHits: 2, diskHits: 1, outputMisses: 1, workers: 2 }) }),
+    fakeWorker({ stats: snapshot(102, { hits: 1, misses: 3, outputHits: 0, diskHits: 1, outputMisses: 3, workers: 1 }) })
+  ];
+  workers.forEach(worker => hub.attach(worker));
+
+  await hub.handleMessage(workers[0], { channel: 'cache', type: 'stats', id: 7 });
+  const reply = workers[0].sent.find(message => message.type === 'reply');
+
+  assert.equal(reply.id, 7);
+  const stats = reply.result;
+  assert.equal(stats.processes, 2);
+  assert.deepEqual(stats.cache, { size: 4, hits: 4, misses: 4, hitRate: '50.00%' });
+  assert.equal(stats.outputCache.hits, 2);
+  assert.equal(stats.outputCache.misses, 4);
+  // Disk hits count as hits
+  assert.equal(stats.outputCache.hitRate, '50.00%');
+  assert.equal(stats.outputCache.disk.hits, 2);
+  assert.equal(stats.outputCache.disk.maxBytes, 1024);
+  assert.equal(stats.renderPool.workers, 3);
+  assert.deepEqual(stats.instances.map(instance => instance.pid), [101, 102]);
+});
+
+test('the hub clears the shared tier and every process', async () => {
+  const hub = new ClusterCacheHub({ dir, maxDiskBytes: 1024 * 1024 });
+  await hub.initialize();
+  const workers = [fakeWorker({ clear: {} }), fakeWorker({ clear: {} })];
+  workers.forEach(worker => hub.attach(worker));
+
+  await hub.handleMessage(workers[1], { channel: 'cache', type: 'clear', id: 3 });
+
+  assert.ok(workers.every(worker => worker.sent.some(message => message.type === 'clear')));
+  assert.deepEqual(workers[1].sent.find(message => message.type === 'reply'), { channel: 'cache', type: 'reply', id: 3, result: { processes: 2 } });
+  assert.deepEqual((await readdir(dir)).filter(file => !file.endsWith('.tmp')), []);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { text } from 'stream/consumers';
+import { setTimeout as sleep } from 'timers/promises';
+import { FrameStream } from '../utils/frameStream.js';
+
+const info = index => ({ index, frame: index * 2, time: index * 66, delay: 66, renderTime: 5 });
+
+test('SSE streams start, frame and end events with base64 images', async () => {
+  const stream = new FrameStream({ transport: 'sse', contentType: 'image/png' });
+  assert.equal(stream.contentType, 'text/event-stream; charset=utf-8');
+
+  await stream.writeStart({ frames: 1 });
+  await stream.writeFrame(Buffer.from('png'), info(0));
+  stream.finish({ frames: 1 });
+
+  assert.equal(await text(stream),
+    'event: start\ndata: {"frames":1}\n\n' +
+    'id: 0\nevent: frame\ndata: {"index":0,"frame":0,"time":0,"delay":66,"renderTime":5,"image":"cG5n"}\n\n' +
+    'event: end\ndata: {"frames":1}\n\n');
+});
+
+test('multipart streams one part per frame and a closing boundary', async () => {
+  const stream = new FrameStream({ transport: 'multipart', contentType: 'image/png', boundary: 'frame' });
+  assert.equal(stream.contentType, 'multipart/x-mixed-replace; boundary=frame');
+
+  await stream.writeStart({ frames: 1 });
+  await stream.writeFrame(Buffer.from('png'), info(1));
+  stream.finish();
+
+  assert.equal(await text(stream),
+    '--frame\r\nContent-Type: image/png\r\nContent-Length: 3\r\nX-Frame-Index: 1\r\nX-Frame-Number: 2\r\n' +
+    'X-Frame-Time: 66\r\nX-Frame-Delay: 66\r\nX-Render-Time: 5\r\n\r\npng\r\n--frame--\r\n');
+});
+
+test('SSE failures end the stream with an error event', async () => {
+  const stream = new FrameStream({ transport: 'sse', contentType: 'image/png' });
+  stream.fail(new Error('boom'));
+  assert.equal(await text(stream), 'event: error\ndata: {"error":"Conversion failed","message":"boom"}\n\n');
+});
+
+test('writeFrame waits for the reader and destroy releases it', async () => {
+  const stream = new FrameStream({ transport: 'multipart', contentType: 'image/png', boundary: 'frame' });
+  let written = false;
+  const write = stream.writeFrame(Buffer.alloc(64 * 1024), info(0)).then(() => { written = true; });
+
+  await sleep(20);
+  assert.equal(written, false);
+
+  stream.destroy();
+  await write;
+  assert.equal(stream.signal.aborted, true);
+  // Later writes are dropped instead of waiting forever
+  await stream.writeFrame(Buffer.alloc(64 * 1024), info(1));
+});
+
+test('a reading client lets writes through', async () => {
+  const stream = new FrameStream({ transport: 'multipart', contentType: 'image/png', boundary: 'frame' });
+  stream.resume();
+  for (let i = 0; i < 4; i++) await stream.writeFrame(Buffer.alloc(64 * 1024), info(i));
+  stream.finish();
+  assert.equal(stream.signal.aborted, false);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { encodeImage, normalizeFormat, imageExtension, rawImageHeaders } from '../utils/imageEncoder.js';
+import { validateEncodeOptions } from '../utils/validators.js';
+
+// 2x1: opaque red, half-transparent blue
+const RGBA = Buffer.from([255, 0, 0, 255, 0, 0, 255, 128]);
+
+test('raw output returns the RGBA buffer or swaps it to BGRA', async () => {
+  assert.equal(await encodeImage(RGBA, 2, 1, 'raw'), RGBA);
+
+  const bgra = await encodeImage(RGBA, 2, 1, 'raw', { pixelFormat: 'bgra' });
+  assert.deepEqual([...bgra], [0, 0, 255, 255, 255, 0, 0, 128]);
+  assert.deepEqual([...RGBA], [255, 0, 0, 255, 0, 0, 255, 128]);
+});
+
+test('raw outputs are named and described by their pixel format', () => {
+  assert.equal(normalizeFormat('jpg'), 'jpeg');
+  assert.equal(imageExtension('jpeg'), 'jpg');
+  assert.equal(imageExtension('raw', { pixelFormat: 'bgra' }), 'bgra');
+  assert.deepEqual(rawImageHeaders('raw', 2, 1, {}), { 'X-Pixel-Format': 'rgba', 'X-Image-Width': 2, 'X-Image-Height': 1 });
+  assert.deepEqual(rawImageHeaders('png', 2, 1), {});
+});
+
+test('encoded formats keep their size and alpha', async () => {
+  for (const format of ['png', 'webp', 'avif']) {
+    const metadata = await sharp(await encodeImage(RGBA, 2, 1, format)).metadata();
+    assert.deepEqual([metadata.format === 'heif' ? 'avif' : metadata.format, metadata.width, metadata.height, metadata.hasAlpha], [format, 2, 1, true]);
+  }
+
+  const jpeg = await sharp(await encodeImage(RGBA, 2, 1, 'jpeg')).metadata();
+  assert.deepEqual([jpeg.format, jpeg.hasAlpha], ['jpeg', false]);
+});
+
+test('lossless WebP and palette PNG round-trip exact pixels', async () => {
+  const opaque = Buffer.from([255, 0, 0, 255, 0, 0, 255, 255]);
+  for (const [format, options] of [['webp', { lossless: true }], ['png', { palette: 2 }]]) {
+    const decoded = await sharp(await encodeImage(opaque, 2, 1, format, options)).ensureAlpha().raw().toBuffer();
+    assert.deepEqual([...decoded], [...opaque], format);
+  }
+});
+
+test('validateEncodeOptions only accepts options of the chosen format', () => {
+  assert.deepEqual(validateEncodeOptions('raw', { pixelFormat: 'bgra' }), { pixelFormat: 'bgra' });
+  assert.deepEqual(validateEncodeOptions('png', { palette: 'true', effort: '9' }), { palette: 256, effort: 9 });
+  assert.throws(() => validateEncodeOptions('png', { lossless: 'true' }), /Invalid option: lossless is not supported for png/);
+  assert.throws(() => validateEncodeOptions('webp', { effort: '7' }), /Invalid effort/);
+  assert.throws(() => validateEncodeOptions('raw', { pixelFormat: 'argb' }), /Invalid pixelFormat/);
+  assert.throws(() => validateEncodeOptions('jpeg', {}), /Invalid background/);
+  assert.deepEqual(validateEncodeOptions('jpeg', { background: '#ffffff', chromaSubsampling: '4:4:4' }), { chromaSubsampling: '4:4:4' });
+});
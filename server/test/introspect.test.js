@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inspectAnimation, INFO_SCHEMA_VERSION } from '../utils/introspect.js';
+
+const animation = {
+  v: '5.5.2', nm: 'sample', tgs: 1, w: 512, h: 512, fr: 60, ip: 0, op: 120,
+  layers: [
+    { ind: 1, ty: 3, nm: 'root', ks: {} },
+    {
+      ind: 2, ty: 4, nm: 'shape', parent: 1, tt: 1, masksProperties: [{ mode: 's' }],
+      ks: { o: { a: 1, k: [{ t: 0, s: [0] }, { t: 10, s: [100] }] }, p: { a: 0, k: [0, 0] } },
+      shapes: [{ ty: 'gr', it: [{ ty: 'rc' }, { ty: 'gf' }, { ty: 'tm' }] }]
+    },
+    { ind: 3, ty: 0, refId: 'comp', ks: {} },
+    { ind: 4, ty: 0, refId: 'missing', ks: {} }
+  ],
+  assets: [
+    { id: 'comp', layers: [{ ind: 1, ty: 5, ks: {} }] },
+    { id: 'image', p: 'data:image/png;base64,AAAA', w: 10, h: 10 }
+  ]
+};
+
+test('inspectAnimation describes the animation with a versioned schema', () => {
+  const info = inspectAnimation(animation);
+
+  assert.equal(info.schemaVersion, INFO_SCHEMA_VERSION);
+  assert.deepEqual(
+    [info.width, info.totalFrames, info.frameRate, info.duration, info.name, info.tgs, info.layers, info.assets],
+    [512, 120, 60, 2, 'sample', true, 4, 2]
+  );
+});
+
+test('layers are nested under their parents', () => {
+  const { layerTree } = inspectAnimation(animation);
+
+  assert.deepEqual(layerTree.map(layer => layer.index), [1, 3, 4]);
+  const [shape] = layerTree[0].children;
+  assert.deepEqual(
+    [shape.path, shape.typeName, shape.matte, shape.masks, shape.shapes, shape.keyframes],
+    ['$.layers[1]', 'shape', 'alpha', ['subtract'], 4, 2]
+  );
+});
+
+test('precomps, references and images are listed', () => {
+  const info = inspectAnimation(animation);
+
+  assert.equal(info.precomps[0].layerTree[0].path, '$.assets[0].layers[0]');
+  assert.deepEqual(info.precompReferences, [
+    { path: '$.layers[2]', refId: 'comp', resolved: true },
+    { path: '$.layers[3]', refId: 'missing', resolved: false }
+  ]);
+  assert.deepEqual(info.images, [{ id: 'image', path: '$.assets[1]', file: 'data:image/png;base64,AAAA', embedded: true, width: 10, height: 10 }]);
+});
+
+test('features, keyframes and complexity are counted across the tree', () => {
+  const info = inspectAnimation(animation);
+
+  assert.deepEqual(info.features.used, ['masks', 'mattes', 'gradients', 'trimPaths', 'text', 'images']);
+  assert.deepEqual(info.keyframes, { total: 2, animatedProperties: 1, staticProperties: 1 });
+  // 4 shapes + gradient 2 + trim path 2 + mask 3 + matte 4 + 2 precomps × 3 + 2 keyframes × 0.05
+  assert.equal(info.complexity.score, 21);
+  assert.equal(info.complexity.level, 'low');
+});
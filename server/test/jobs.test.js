@@ -0,0 +1,188 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import { createServer } from 'http';
+import { setTimeout as sleep } from 'timers/promises';
+import { validateWebhookUrl } from '../utils/validators.js';
+import { validateJobOptions } from '../utils/conversions.js';
+import { JobQueue } from '../utils/jobQueue.js';
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'jobs-'));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('validateWebhookUrl accepts public http(s) addresses', async () => {
+  await validateWebhookUrl('https://93.184.216.34/hooks/tgs');
+  await validateWebhookUrl('http://[2606:2800:220:1::]/');
+});
+
+test('validateWebhookUrl rejects other schemes and malformed URLs', async () => {
+  await assert.rejects(validateWebhookUrl('ftp://93.184.216.34/'), /Must be http or https/);
+  await assert.rejects(validateWebhookUrl('not a url'), /Invalid webhook URL/);
+});
+
+test('validateWebhookUrl rejects loopback, private and link-local targets', async () => {
+  for (const url of [
+    'http://127.0.0.1:3000/',
+    'http://localhost/',
+    'http://[::1]/',
+    'http://10.1.2.3/',
+    'http://172.20.0.1/',
+    'http://192.168.1.1/',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[fe80::1]/',
+    'http://[fd00::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://0.0.0.0/',
+    'http://2130706433/'
+  ]) {
+    await assert.rejects(validateWebhookUrl(url), /private, loopback or link-local/, url);
+  }
+});
+
+test('validateWebhookUrl with an allowlist accepts only the listed hosts', async () => {
+  const allowedHosts = ['hooks.internal', '10.0.0.5'];
+  await validateWebhookUrl('http://10.0.0.5:8080/done', { allowedHosts });
+  await validateWebhookUrl('https://HOOKS.internal/tgs', { allowedHosts });
+  await assert.rejects(validateWebhookUrl('https://93.184.216.34/', { allowedHosts }), /not in the allowed webhook hosts/);
+});
+
+test('validateJobOptions rejects invalid options of each job type', () => {
+  assert.throws(() => validateJobOptions('animated', { format: 'bmp' }), /Invalid format/);
+  assert.throws(() => validateJobOptions('animated', { loop: '-1' }), /Invalid loop/);
+  assert.throws(() => validateJobOptions('animated', { start: 'x' }), /Invalid frame/);
+  assert.throws(() => validateJobOptions('animated', { step: '0' }), /Invalid step/);
+  assert.throws(() => validateJobOptions('animated', { width: '9000' }), /too large/);
+  assert.throws(() => validateJobOptions('spritesheet', { padding: '1000' }), /Invalid padding/);
+  assert.throws(() => validateJobOptions('spritesheet', { frames: '1,a' }), /Invalid frame list/);
+  assert.throws(() => validateJobOptions('video', { format: 'avi' }), /Invalid/);
+  assert.throws(() => validateJobOptions('video', { background: 'nope' }), /Invalid/);
+  assert.throws(() => validateJobOptions('batch', { format: 'gif' }), /Invalid format/);
+  assert.throws(() => validateJobOptions('animated', { renderer: 'magic' }), /Invalid renderer/);
+});
+
+test('validateJobOptions accepts valid options', () => {
+  validateJobOptions('animated', { format: 'gif', start: '0', end: '30', step: '2', width: '256' });
+  validateJobOptions('spritesheet', { frames: '0,5,10', columns: '3' });
+  validateJobOptions('video', { preset: 'telegram', fps: '120' });
+  validateJobOptions('batch', { format: 'webp', width: '128' });
+});
+
+test('a job webhook to a private address is not delivered', async () => {
+  const queue = new JobQueue({ dir, runners: {} });
+  const job = {
+    id: '00000000-0000-0000-0000-000000000000',
+    type: 'animated',
+    state: 'completed',
+    progress: { done: 1, total: 1 },
+    webhook: { url: 'http://127.0.0.1:9/hook', status: 'pending', attempts: 0 }
+  };
+
+  await queue.notify(job);
+  assert.equal(job.webhook.status, 'failed');
+  assert.equal(job.webhook.attempts, 0);
+  assert.match(job.webhook.lastError, /loopback/);
+});
+
+/**
+ * Wait until a job's public view passes `done`
+ */
+async function waitFor(queue, id, done) {
+  let job = await queue.get(id);
+  while (!done(job)) {
+    await sleep(5);
+    job = await queue.get(id);
+  }
+  return job;
+}
+
+const result = { body: Buffer.from('gif'), contentType: 'image/gif', headers: {} };
+
+test('an unfinished job is queued again by the next process and runs to completion', async () => {
+  const store = join(dir, 'restart');
+  // First process: the job starts and never finishes
+  const crashed = new JobQueue({ dir: store, runners: { animated: () => new Promise(() => {}) } });
+  const { id } = await crashed.create('animated', [{ name: 'a.tgs', buffer: Buffer.from('tgs') }], { format: 'gif' });
+  await waitFor(crashed, id, job => job.state === 'running');
+
+  // Next process (its lock carries this pid, which counts as a previous run)
+  const inputs = [];
+  const queue = new JobQueue({
+    dir: store,
+    runners: { animated: async files => { inputs.push(...files); return result; } }
+  });
+  assert.equal(await queue.initialize(), 1);
+
+  const job = await waitFor(queue, id, job => job.finishedAt);
+  assert.equal(job.state, 'completed');
+  assert.equal(job.restarts, 1);
+  assert.deepEqual(inputs.map(file => [file.name, file.buffer.toString()]), [['a.tgs', 'tgs']]);
+  assert.equal((await queue.getResult(id)).body.toString(), 'gif');
+  queue.destroy();
+});
+
+test('a job locked by a live process is left to it, a dead owner\'s lock is taken over', async () => {
+  const store = join(dir, 'locks');
+  const owned = new JobQueue({ dir: store, runners: { animated: () => new Promise(() => {}) } });
+  const { id } = await owned.create('animated', [], {});
+
+  // Another live process holds the job
+  const owner = spawn('sleep', ['30']);
+  await writeFile(join(store, id, 'lock'), String(owner.pid));
+  const queue = new JobQueue({ dir: store, runners: { animated: async () => result } });
+  assert.equal(await queue.initialize(), 0);
+  assert.equal(await queue.claim(id), false);
+  queue.destroy();
+
+  // The owner exits without finishing it
+  owner.kill();
+  await once(owner, 'exit');
+  const next = new JobQueue({ dir: store, runners: { animated: async () => result } });
+  assert.equal(await next.initialize(), 1);
+  assert.equal((await waitFor(next, id, job => job.finishedAt)).restarts, 1);
+  next.destroy();
+});
+
+test('a webhook still pending at shutdown is delivered after the restart', async () => {
+  const store = join(dir, 'webhooks');
+  const received = [];
+  const server = createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      received.push(JSON.parse(body));
+      response.end();
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  const id = '11111111-1111-1111-1111-111111111111';
+  await mkdir(join(store, id), { recursive: true });
+  await writeFile(join(store, id, 'job.json'), JSON.stringify({
+    id, type: 'animated', state: 'completed', options: {}, inputs: [],
+    progress: { done: 1, total: 1 }, finishedAt: new Date().toISOString(),
+    result: { contentType: 'image/gif', size: 3 },
+    webhook: { url: `http://127.0.0.1:${server.address().port}/hook`, status: 'pending', attempts: 0 },
+    restarts: 0
+  }));
+
+  const queue = new JobQueue({ dir: store, runners: {}, webhookHosts: ['127.0.0.1'] });
+  assert.equal(await queue.initialize(), 0);
+  const job = await waitFor(queue, id, job => job.webhook.status !== 'pending');
+
+  assert.equal(job.webhook.status, 'delivered');
+  assert.deepEqual([received.length, received[0].id, received[0].resultPath], [1, id, `/jobs/${id}/result`]);
+  queue.destroy();
+  server.close();
+});
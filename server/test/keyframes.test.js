@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEasing, interpolateKeyframes, getPropertyValue, countKeyframes, getChildTime } from '../utils/keyframes.js';
+
+const linear = { o: { x: [0], y: [0] }, i: { x: [1], y: [1] } };
+
+test('createEasing matches CSS cubic-bezier curves', () => {
+  const ease = createEasing(0.25, 0.1, 0.25, 1);
+  assert.equal(ease(0), 0);
+  assert.equal(ease(1), 1);
+  // CSS `ease` at x=0.5
+  assert.ok(Math.abs(ease(0.5) - 0.8024) < 1e-3);
+  assert.equal(createEasing(0.3, 0.3, 0.7, 0.7)(0.4), 0.4);
+});
+
+test('interpolateKeyframes clamps outside the keyframes and interpolates between them', () => {
+  const keyframes = [{ t: 10, s: [0, 100], ...linear }, { t: 20, s: [100, 0] }];
+  assert.deepEqual(interpolateKeyframes(keyframes, 0), [0, 100]);
+  assert.deepEqual(interpolateKeyframes(keyframes, 15), [50, 50]);
+  assert.deepEqual(interpolateKeyframes(keyframes, 30), [100, 0]);
+});
+
+test('interpolateKeyframes honors hold keyframes', () => {
+  const keyframes = [{ t: 0, s: [1], h: 1 }, { t: 10, s: [2] }];
+  assert.deepEqual(interpolateKeyframes(keyframes, 9.9), [1]);
+  assert.deepEqual(interpolateKeyframes(keyframes, 10), [2]);
+});
+
+test('interpolateKeyframes reads old exports with `e` values and a time-only last keyframe', () => {
+  const keyframes = [{ t: 0, s: [0], e: [10], ...linear }, { t: 10 }];
+  assert.deepEqual(interpolateKeyframes(keyframes, 5), [5]);
+  assert.deepEqual(interpolateKeyframes(keyframes, 10), [10]);
+});
+
+test('interpolateKeyframes follows spatial tangents', () => {
+  // Arc through (50, 75) instead of the straight line along y=0
+  const keyframes = [{ t: 0, s: [0, 0], to: [0, 100], ti: [0, 100], ...linear }, { t: 10, s: [100, 0] }];
+  const [x, y] = interpolateKeyframes(keyframes, 5);
+  assert.ok(Math.abs(x - 50) < 1);
+  assert.ok(Math.abs(y - 75) < 1);
+});
+
+test('interpolateKeyframes eases each dimension with its own handle', () => {
+  const keyframes = [
+    { t: 0, s: [0, 0], o: { x: [0, 1], y: [0, 0] }, i: { x: [1, 1], y: [1, 0] } },
+    { t: 10, s: [100, 100] }
+  ];
+  const [x, y] = interpolateKeyframes(keyframes, 5);
+  assert.equal(x, 50);
+  assert.ok(y < 10);
+});
+
+test('interpolateKeyframes blends shape vertices', () => {
+  const shape = v => ({ c: true, v, i: v.map(() => [0, 0]), o: v.map(() => [0, 0]) });
+  const keyframes = [{ t: 0, s: [shape([[0, 0], [10, 0]])], ...linear }, { t: 10, s: [shape([[10, 10], [20, 10]])] }];
+  assert.deepEqual(interpolateKeyframes(keyframes, 5)[0].v, [[5, 5], [15, 5]]);
+});
+
+test('getPropertyValue unwraps numeric properties and falls back when missing', () => {
+  assert.equal(getPropertyValue({ a: 0, k: [75] }, 0, 100), 75);
+  assert.equal(getPropertyValue({ a: 1, k: [{ t: 0, s: [0], ...linear }, { t: 10, s: [100] }] }, 2.5, 100), 25);
+  assert.equal(getPropertyValue(undefined, 0, 100), 100);
+  assert.equal(countKeyframes({ a: 1, k: [{ t: 0, s: [0] }, { t: 10, s: [1] }] }), 2);
+  assert.equal(countKeyframes({ a: 0, k: 5 }), 0);
+});
+
+test('getChildTime remaps time in seconds and keeps the last frame inside the precomp', () => {
+  const tm = { a: 1, k: [{ t: 0, s: [0], ...linear }, { t: 60, s: [2] }] };
+  assert.equal(getChildTime({ tm }, 30, 30), 30);
+  assert.equal(getChildTime({ tm, op: 60 }, 60, 30), 59);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLayout, canvasSize, computeLayout, composeFrame } from '../utils/layout.js';
+
+const pixel = (buffer, width, x, y) => [...buffer.subarray((y * width + x) * 4, (y * width + x) * 4 + 4)];
+
+test('normalizeLayout returns undefined for the plain layout and rejects bad values', () => {
+  assert.equal(normalizeLayout({}), undefined);
+  assert.equal(normalizeLayout({ fit: 'fill', padding: '', dpr: '1', background: 'transparent' }), undefined);
+  assert.deepEqual(normalizeLayout({ fit: 'contain', padding: '4', dpr: '2' }), { fit: 'contain', padding: 4, dpr: 2, background: 'transparent' });
+  assert.throws(() => normalizeLayout({ fit: 'stretch' }), /Invalid/);
+  assert.throws(() => normalizeLayout({ padding: '-1' }), /Invalid/);
+  assert.throws(() => normalizeLayout({ dpr: '0' }), /Invalid/);
+  assert.throws(() => normalizeLayout({ background: 'purple' }), /Invalid/);
+});
+
+test('canvasSize scales by the device pixel ratio', () => {
+  assert.deepEqual(canvasSize(100, 50, undefined), { width: 100, height: 50 });
+  assert.deepEqual(canvasSize(100, 50, { dpr: 1.5 }), { width: 150, height: 75 });
+});
+
+test('computeLayout letterboxes with contain and overflows with cover', () => {
+  const metadata = { width: 200, height: 100 };
+
+  const contain = computeLayout(metadata, 100, 100, normalizeLayout({ fit: 'contain', padding: 10 }));
+  assert.deepEqual(
+    [contain.renderWidth, contain.renderHeight, contain.left, contain.top],
+    [80, 40, 10, 30]
+  );
+
+  const cover = computeLayout(metadata, 100, 100, normalizeLayout({ fit: 'cover', dpr: 2 }));
+  assert.deepEqual(
+    [cover.canvasWidth, cover.renderWidth, cover.renderHeight, cover.left, cover.top],
+    [200, 400, 200, -100, 0]
+  );
+  assert.deepEqual(cover.clip, { left: 0, top: 0, right: 200, bottom: 200 });
+});
+
+test('computeLayout rejects a cover render larger than the maximum dimensions', () => {
+  assert.throws(
+    () => computeLayout({ width: 1, height: 512 }, 4096, 4096, normalizeLayout({ fit: 'cover' })),
+    /Dimensions too large: 4096x2097152/
+  );
+});
+
+test('composeFrame clips to the padding box and blends over the background', () => {
+  const layout = computeLayout({ width: 4, height: 4 }, 4, 4, normalizeLayout({ fit: 'cover', padding: 1, background: '#0000ff' }));
+  assert.deepEqual([layout.renderWidth, layout.left], [2, 1]);
+
+  // Left column opaque red, right column half-transparent red
+  const pixels = Buffer.from([255, 0, 0, 255, 255, 0, 0, 128, 255, 0, 0, 255, 255, 0, 0, 128]);
+  const canvas = composeFrame(pixels, layout);
+
+  assert.deepEqual(pixel(canvas, 4, 0, 0), [0, 0, 255, 255]);
+  assert.deepEqual(pixel(canvas, 4, 1, 1), [255, 0, 0, 255]);
+  assert.deepEqual(pixel(canvas, 4, 2, 1), [128, 0, 127, 255]);
+});
+
+test('composeFrame draws a checkerboard scaled by dpr', () => {
+  const layout = computeLayout({ width: 1, height: 1 }, 16, 1, normalizeLayout({ background: 'checkerboard', dpr: 1 }));
+  const canvas = composeFrame(Buffer.alloc(16 * 4), layout);
+
+  assert.deepEqual(pixel(canvas, 16, 7, 0), [255, 255, 255, 255]);
+  assert.deepEqual(pixel(canvas, 16, 8, 0), [204, 204, 204, 255]);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderFrame } from '../utils/lottieRasterizer.js';
+
+const pixel = (buffer, width, x, y) => [...buffer.subarray((y * width + x) * 4, (y * width + x) * 4 + 4)];
+
+function shapeLayer(items) {
+  return { ty: 4, ind: 1, ip: 0, op: 60, ks: {}, shapes: [{ ty: 'gr', it: [...items, { ty: 'tr' }] }] };
+}
+
+test('the rasterizer fills shapes with antialiased straight-alpha pixels', () => {
+  const rect = { ty: 'rc', p: { a: 0, k: [10, 10] }, s: { a: 0, k: [10, 10] }, r: { a: 0, k: 0 } };
+  const fill = { ty: 'fl', c: { a: 0, k: [1, 0, 0, 1] }, o: { a: 0, k: 50 } };
+  const pixels = renderFrame({ w: 20, h: 20, fr: 30, op: 60, layers: [shapeLayer([rect, fill])] }, 0, 20, 20);
+
+  assert.equal(pixels.length, 20 * 20 * 4);
+  assert.deepEqual(pixel(pixels, 20, 10, 10), [255, 0, 0, 128]);
+  assert.deepEqual(pixel(pixels, 20, 2, 2), [0, 0, 0, 0]);
+  // Scaled to the output size
+  const large = renderFrame({ w: 20, h: 20, fr: 30, op: 60, layers: [shapeLayer([rect, fill])] }, 0, 40, 40);
+  assert.deepEqual(pixel(large, 40, 11, 20), [255, 0, 0, 128]);
+  assert.deepEqual(pixel(large, 40, 9, 20), [0, 0, 0, 0]);
+});
+
+test('the rasterizer draws strokes, with the first layer on top', () => {
+  const ellipse = { ty: 'el', p: { a: 0, k: [10, 10] }, s: { a: 0, k: [16, 16] } };
+  const stroke = { ty: 'st', c: { a: 0, k: [0, 0, 1, 1] }, o: { a: 0, k: 100 }, w: { a: 0, k: 2 } };
+  const pixels = renderFrame({
+    w: 20, h: 20, fr: 30, op: 60,
+    layers: [shapeLayer([ellipse, stroke]), { ty: 1, ind: 2, ip: 0, op: 60, ks: {}, sw: 20, sh: 20, sc: '#00ff00' }]
+  }, 0, 20, 20);
+
+  // Stroke ring over the green solid
+  assert.deepEqual(pixel(pixels, 20, 10, 2), [0, 0, 255, 255]);
+  assert.deepEqual(pixel(pixels, 20, 10, 10), [0, 255, 0, 255]);
+});
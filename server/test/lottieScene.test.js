@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildScene, sceneFeatures } from '../utils/lottieScene.js';
+import { getChildTime } from '../utils/keyframes.js';
+import { BackendSet } from '../backends/index.js';
+
+const linear = { o: { x: [0], y: [0] }, i: { x: [1], y: [1] } };
+
+// Position moving from x=0 at frame 0 to x=100 at frame 10, linearly
+const moving = {
+  p: { a: 1, k: [{ t: 0, s: [0, 0, 0], ...linear }, { t: 10, s: [100, 0, 0] }] }
+};
+
+const solid = (props = {}) => ({ ty: 1, ind: 1, sw: 10, sh: 10, sc: '#ff0000', ip: 0, op: 60, ks: moving, ...props });
+
+const left = ops => ops[0].paths[0].v[0][0];
+
+test('a layer evaluates its own properties in composition time, whatever its st and sr', () => {
+  // x from 0 to 512 over 40 frames; the 4 px solid is centered on x at frame 20
+  const across = {
+    a: { a: 0, k: [2, 2, 0] },
+    p: { a: 1, k: [{ t: 0, s: [0, 0, 0], ...linear }, { t: 40, s: [512, 0, 0] }] }
+  };
+  const center = props => {
+    const ops = buildScene({ w: 512, h: 512, fr: 30, op: 60, layers: [solid({ sw: 4, sh: 4, ks: across, ...props })] }, 20, 512, 512);
+    return left(ops) + 2;
+  };
+
+  assert.equal(center({}), 256);
+  assert.equal(center({ sr: 2 }), 256);
+  assert.equal(center({ st: 10 }), 256);
+  assert.equal(center({ sr: 2, st: 10 }), 256);
+});
+
+test('a precomp layer applies st and sr to its children only', () => {
+  assert.equal(getChildTime({ st: 4, sr: 2 }, 10, 30), 3);
+
+  const animation = {
+    w: 100, h: 100, fr: 30, op: 60,
+    assets: [{ id: 'comp', layers: [solid({ ks: moving })] }],
+    layers: [{ ty: 0, ind: 1, refId: 'comp', st: 4, sr: 2, ip: 0, op: 60, ks: moving }]
+  };
+  // The precomp moved to x=100 at frame 10, the child to x=30 at its frame 3
+  assert.equal(left(buildScene(animation, 10, 100, 100)), 130);
+});
+
+test('sceneFeatures finds masks and track mattes, including in precomps', () => {
+  assert.deepEqual(sceneFeatures({ layers: [solid()] }), { masks: false, mattes: false });
+  assert.deepEqual(sceneFeatures({ layers: [solid({ masksProperties: [{ mode: 'a' }] })] }), { masks: true, mattes: false });
+  assert.deepEqual(sceneFeatures({
+    layers: [solid()],
+    assets: [{ id: 'comp', layers: [solid({ td: 1 }), solid({ tt: 1 })] }, { id: 'image', p: 'x.png' }]
+  }), { masks: false, mattes: true });
+});
+
+test('automatic selection skips backends that cannot draw the animation', () => {
+  const backends = new BackendSet('auto');
+  for (const backend of backends.backends) backend.available = backend.name !== 'rlottie';
+
+  const names = features => backends.candidates('auto', features).map(backend => backend.name);
+  assert.deepEqual(names({ masks: false, mattes: false }), ['lottie-web', 'vector']);
+  assert.deepEqual(names({ masks: false, mattes: true }), ['lottie-web']);
+
+  backends.get('lottie-web').available = false;
+  assert.throws(
+    () => backends.candidates('auto', { masks: true }),
+    error => error.statusCode === 422 && /No available renderer supports this animation \(uses masks\)/.test(error.message)
+  );
+  // Requested explicitly, the vector backend still renders it
+  assert.deepEqual(backends.candidates('vector', { masks: true }).map(backend => backend.name), ['vector']);
+});
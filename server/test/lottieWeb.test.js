@@ -0,0 +1,57 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { LottieWebBackend } from '../backends/lottieWeb.js';
+
+const backend = new LottieWebBackend();
+let skip = false;
+
+before(async () => {
+  skip = !(await backend.initialize()) && backend.error;
+});
+
+// Red 50×50 square in the top-left quarter of a 100×100 animation
+const animation = {
+  v: '5.5.2', w: 100, h: 100, fr: 30, ip: 0, op: 30,
+  layers: [{ ty: 1, ind: 1, ip: 0, op: 30, st: 0, sw: 50, sh: 50, sc: '#ff0000', ks: {} }]
+};
+
+function pixel(buffer, width, x, y) {
+  const i = (y * width + x) * 4;
+  return [...buffer.subarray(i, i + 4)];
+}
+
+test('frames stretch to non-square output sizes', async t => {
+  if (skip) return t.skip(skip);
+  const handle = await backend.load(animation);
+
+  const frame = await backend.renderFrame(handle, 0, 200, 100);
+  assert.equal(frame.length, 200 * 100 * 4);
+  // The square covers the left half horizontally, the top half vertically,
+  // instead of being letterboxed into the middle
+  assert.deepEqual(pixel(frame, 200, 10, 40), [255, 0, 0, 255]);
+  assert.deepEqual(pixel(frame, 200, 90, 40), [255, 0, 0, 255]);
+  assert.equal(pixel(frame, 200, 110, 40)[3], 0);
+  assert.equal(pixel(frame, 200, 90, 60)[3], 0);
+});
+
+test('players are reused per size and the least recently used is destroyed', async t => {
+  if (skip) return t.skip(skip);
+  await backend.dispose();
+  const handle = await backend.load(animation);
+
+  await backend.renderFrame(handle, 0, 10, 10);
+  const first = backend.instances.get(`${handle.key}:10x10`);
+  for (let size = 11; size < 18; size++) await backend.renderFrame(handle, 0, size, size);
+  await backend.renderFrame(handle, 0, 10, 10);
+  assert.equal(backend.instances.size, 8);
+  assert.equal(backend.instances.get(`${handle.key}:10x10`), first);
+
+  // 11×11 is now the oldest
+  await backend.renderFrame(handle, 0, 18, 18);
+  assert.equal(backend.instances.size, 8);
+  assert.equal(backend.instances.has(`${handle.key}:11x11`), false);
+  assert.equal(backend.instances.has(`${handle.key}:10x10`), true);
+
+  await backend.dispose();
+  assert.equal(backend.instances.size, 0);
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { optimizeAnimation, compareFrames } from '../utils/optimizer.js';
+
+/**
+ * Minimal animation with one shape layer whose position is `p`
+ */
+function animation(p, extra = {}) {
+  return {
+    v: '5.5.2', fr: 30, ip: 0, op: 60, w: 512, h: 512,
+    meta: { g: 'exporter' },
+    layers: [{ ty: 4, ind: 1, nm: 'Shape', ks: { p }, shapes: [] }],
+    ...extra
+  };
+}
+
+const position = result => result.animationData.layers[0].ks.p;
+
+test('optimizeAnimation rounds numbers and leaves its input untouched', () => {
+  const input = animation({ a: 0, k: [256.123456, 100.98765] });
+  const result = optimizeAnimation(input, { precision: 2 });
+
+  assert.deepEqual(position(result).k, [256.12, 100.99]);
+  assert.equal(input.layers[0].ks.p.k[0], 256.123456);
+  assert.equal(result.animationData.meta, undefined);
+  assert.equal(result.animationData.layers[0].nm, undefined);
+});
+
+test('a keyframe between two with the same value is merged', () => {
+  const result = optimizeAnimation(animation({ a: 1, k: [
+    { t: 0, s: [0, 0] },
+    { t: 10, s: [0, 0] },
+    { t: 20, s: [0, 0] },
+    { t: 30, s: [100, 0] }
+  ] }));
+
+  assert.deepEqual(position(result).k.map(kf => kf.t), [0, 20, 30]);
+  assert.equal(result.stats.keyframesMerged, 1);
+});
+
+test('keyframes with the same value but curved spatial tangents are kept', () => {
+  // The layer loops out along the tangents and back between t=0 and t=20
+  const keyframes = [
+    { t: 0, s: [0, 0], to: [50, 0], ti: [0, 0] },
+    { t: 10, s: [0, 0], to: [0, 0], ti: [0, 50] },
+    { t: 20, s: [0, 0] },
+    { t: 30, s: [100, 0] }
+  ];
+  const result = optimizeAnimation(animation({ a: 1, k: keyframes }));
+
+  assert.equal(position(result).k.length, 4);
+  assert.equal(result.stats.keyframesMerged, 0);
+});
+
+test('a keyframe whose next segment curves in is kept', () => {
+  const result = optimizeAnimation(animation({ a: 1, k: [
+    { t: 0, s: [0, 0] },
+    { t: 10, s: [0, 0] },
+    { t: 20, s: [0, 0], ti: [0, -40] }
+  ] }));
+
+  assert.equal(position(result).k.length, 3);
+});
+
+test('a property whose keyframes share one value becomes static', () => {
+  const result = optimizeAnimation(animation({ a: 1, k: [
+    { t: 0, s: [10, 20], to: [0, 0], ti: [0, 0] },
+    { t: 30, s: [10, 20] }
+  ] }));
+
+  assert.deepEqual(position(result), { a: 0, k: [10, 20] });
+  assert.equal(result.stats.propertiesMadeStatic, 1);
+});
+
+test('a constant property with curved tangents stays animated', () => {
+  const result = optimizeAnimation(animation({ a: 1, k: [
+    { t: 0, s: [10, 20], to: [30, 0], ti: [0, 0] },
+    { t: 30, s: [10, 20] }
+  ] }));
+
+  assert.equal(position(result).a, 1);
+  assert.equal(result.stats.propertiesMadeStatic, 0);
+});
+
+test('old-style end values keep a changing segment', () => {
+  const result = optimizeAnimation(animation({ a: 1, k: [
+    { t: 0, s: [0, 0], e: [0, 0] },
+    { t: 10, s: [0, 0], e: [50, 0] },
+    { t: 20, s: [0, 0] }
+  ] }));
+
+  assert.equal(position(result).k.length, 3);
+});
+
+test('hidden layers are dropped unless used as parent or matte', () => {
+  const result = optimizeAnimation(animation({ a: 0, k: [0, 0] }, {
+    layers: [
+      { ty: 3, ind: 1, hd: true, ks: {} },
+      { ty: 4, ind: 2, hd: true, ks: {} },
+      { ty: 4, ind: 3, hd: true, td: 1, ks: {} },
+      { ty: 4, ind: 4, parent: 1, ks: {}, shapes: [{ ty: 'rc', hd: true }, { ty: 'fl' }] }
+    ]
+  }));
+
+  assert.deepEqual(result.animationData.layers.map(layer => layer.ind), [1, 3, 4]);
+  assert.equal(result.stats.hiddenLayers, 1);
+  assert.equal(result.stats.hiddenShapes, 1);
+});
+
+test('unused assets are dropped, nested precomps kept', () => {
+  const result = optimizeAnimation(animation({ a: 0, k: [0, 0] }, {
+    assets: [
+      { id: 'outer', layers: [{ ty: 0, refId: 'inner' }] },
+      { id: 'inner', layers: [] },
+      { id: 'unused', layers: [] }
+    ],
+    layers: [{ ty: 0, ind: 1, refId: 'outer' }]
+  }));
+
+  assert.deepEqual(result.animationData.assets.map(asset => asset.id), ['outer', 'inner']);
+  assert.equal(result.stats.unusedAssets, 1);
+});
+
+test('compareFrames reports mean and max channel differences', () => {
+  const a = Buffer.from([0, 0, 0, 0, 10, 10, 10, 10]);
+  const b = Buffer.from([0, 0, 0, 0, 10, 10, 10, 90]);
+  assert.deepEqual(compareFrames(a, b), { meanDifference: 10, maxDifference: 80 });
+  assert.deepEqual(compareFrames(a, a), { meanDifference: 0, maxDifference: 0 });
+  assert.equal(compareFrames(a, Buffer.alloc(4)).maxDifference, 255);
+});
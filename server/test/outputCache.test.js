@@ -0,0 +1,133 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { OutputCache, computeEtag, etagMatches } from '../utils/outputCache.js';
+import { AnimationCache } from '../utils/cache.js';
+import { convertFrame } from '../utils/conversions.js';
+
+const SLUG = '0123456789abcdef';
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'output-cache-'));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Wait for the cache's disk writes
+ */
+async function flushed(cache) {
+  while (cache.pendingWrites.size > 0) await sleep(5);
+}
+
+const png = (size, fill = 0) => ({ body: Buffer.alloc(size, fill), contentType: 'image/png', headers: { 'X-Frame': 1 } });
+
+test('keys ignore option order and undefined options', () => {
+  const cache = new OutputCache();
+  const key = cache.key(SLUG, { format: 'png', width: 512, layout: { fit: 'contain', dpr: 2 } });
+
+  assert.match(key, /^0123456789abcdef-[0-9a-f]{16}$/);
+  assert.equal(cache.key(SLUG, { layout: { dpr: 2, fit: 'contain' }, width: 512, format: 'png', recolor: undefined }), key);
+  assert.notEqual(cache.key(SLUG, { format: 'png', width: 256, layout: { fit: 'contain', dpr: 2 } }), key);
+});
+
+test('rendered outputs are keyed by the backends that drew them', async () => {
+  let renders = 0;
+  const renderPool = {
+    signature: 'rlottie:rlottie@0.2,vector@lottieRasterizer',
+    rendererSignature() { return this.signature; },
+    async renderFrame() {
+      renders++;
+      return { buffer: Buffer.from('frame'), size: 5, renderer: 'rlottie', width: 8, height: 8 };
+    }
+  };
+  const cache = new AnimationCache();
+  const context = { outputCache: new OutputCache(), renderPool, cache };
+  const sticker = Buffer.from(JSON.stringify({ v: '5.5.2', w: 8, h: 8, fr: 30, ip: 0, op: 2, layers: [] }));
+
+  assert.equal((await convertFrame(context, sticker, {})).cacheHit, false);
+  assert.equal((await convertFrame(context, sticker, {})).cacheHit, true);
+
+  // Same URL on a process without rlottie: rendered again, not served from the shared tier
+  renderPool.signature = 'vector:vector@lottieRasterizer';
+  assert.equal((await convertFrame(context, sticker, {})).cacheHit, false);
+  assert.equal(renders, 2);
+  cache.destroy();
+});
+
+test('ETags follow the body and match If-None-Match lists', () => {
+  const etag = computeEtag(Buffer.from('frame'));
+
+  assert.match(etag, /^"[\w-]{27}"$/);
+  assert.equal(computeEtag({ ok: true }), computeEtag({ ok: true }));
+  assert.notEqual(computeEtag(Buffer.from('other')), etag);
+  assert.ok(etagMatches(`"nope", W/${etag}`, etag));
+  assert.ok(etagMatches('*', etag));
+  assert.ok(!etagMatches('"nope"', etag));
+  assert.ok(!etagMatches(undefined, etag));
+});
+
+test('the memory tier evicts least recently used entries by bytes', async () => {
+  const cache = new OutputCache({ maxBytes: 100 });
+  cache.set('a', png(40));
+  cache.set('b', png(40));
+  await cache.get('a');
+  cache.set('c', png(40));
+
+  assert.ok(await cache.get('a'));
+  assert.equal(await cache.get('b'), null);
+  assert.equal(cache.bytes, 80);
+  // Larger than the whole budget: not kept in memory
+  cache.set('d', png(101));
+  assert.equal(await cache.get('d'), null);
+});
+
+test('the disk tier serves evicted entries and survives a restart', async () => {
+  const key = cache => cache.key(SLUG, { n: 1 });
+  const json = { body: { frames: 3 }, contentType: 'application/json', headers: {} };
+
+  const cache = new OutputCache({ maxBytes: 0, dir });
+  await cache.initialize();
+  const stored = cache.set(key(cache), png(64, 7));
+  cache.set(cache.key(SLUG, { n: 2 }), json);
+  await flushed(cache);
+
+  const restarted = new OutputCache({ maxBytes: 1024, dir });
+  await restarted.initialize();
+  assert.equal(restarted.disk.size, 2);
+
+  const value = await restarted.get(key(restarted));
+  assert.deepEqual(value.body, Buffer.alloc(64, 7));
+  assert.equal(value.etag, stored.etag);
+  assert.deepEqual(value.headers, { 'X-Frame': 1 });
+  assert.deepEqual((await restarted.get(restarted.key(SLUG, { n: 2 }))).body, { frames: 3 });
+  assert.equal(restarted.diskHits, 2);
+
+  await restarted.clear();
+  assert.deepEqual(await readdir(dir), []);
+});
+
+test('the disk tier evicts least recently used entries over its budget', async () => {
+  const cache = new OutputCache({ maxBytes: 0, dir, maxDiskBytes: 100 });
+  await cache.initialize();
+  const keys = [1, 2, 3].map(n => cache.key(SLUG, { n }));
+
+  cache.set(keys[0], png(40));
+  cache.set(keys[1], png(40));
+  await flushed(cache);
+  await cache.get(keys[0]);
+  cache.set(keys[2], png(40));
+  await flushed(cache);
+
+  assert.deepEqual([...cache.disk.keys()], [keys[0], keys[2]]);
+  assert.equal(await cache.get(keys[1]), null);
+  assert.equal((await readdir(dir)).length, 4);
+  await cache.clear();
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRecolor, recolorAnimation } from '../utils/recolor.js';
+
+const RED = [1, 0, 0, 1];
+
+function animation(color = { a: 0, k: RED }) {
+  return {
+    layers: [
+      { ty: 4, shapes: [{ ty: 'gr', it: [{ ty: 'fl', c: color }, { ty: 'st', c: { a: 0, k: [0, 0, 1, 1] } }] }] },
+      { ty: 1, sc: '#00ff00' }
+    ],
+    assets: [{ id: 'comp', layers: [{ ty: 4, shapes: [{ ty: 'gf', g: { p: 2, k: { a: 0, k: [0, 1, 0, 0, 1, 0, 0, 1, 0, 1, 1, 0.5] } } }] }] }]
+  };
+}
+
+const fill = data => data.layers[0].shapes[0].it[0].c.k;
+const round = values => values.map(value => Math.round(value * 1000) / 1000);
+
+test('normalizeRecolor canonicalizes query and body forms the same way', () => {
+  const fromQuery = normalizeRecolor({ colors: 'FF0000:00aaff,#00ff00:fff', hue: '0', tint: '', silhouette: '' });
+  const fromBody = normalizeRecolor({ colors: { '#00ff00': '#ffffff', '#ff0000': '#00AAFF' } });
+
+  assert.deepEqual(fromQuery, { colors: { '#00ff00': '#ffffff', '#ff0000': '#00aaff' } });
+  assert.deepEqual(fromQuery, fromBody);
+  assert.equal(normalizeRecolor({}), undefined);
+  assert.deepEqual(normalizeRecolor({ tint: '#ff0000' }), { tint: '#ff0000', tintAmount: 1 });
+});
+
+test('normalizeRecolor rejects malformed options', () => {
+  assert.throws(() => normalizeRecolor({ colors: 'ff0000' }), /Invalid color mapping/);
+  assert.throws(() => normalizeRecolor({ hue: '400' }), /Invalid hue/);
+  assert.throws(() => normalizeRecolor({ tint: '#fff', tintAmount: '2' }), /Invalid tint amount/);
+  const tooMany = Object.fromEntries(Array.from({ length: 65 }, (_, i) => [`#0000${i.toString(16).padStart(2, '0')}`, '#ffffff']));
+  assert.throws(() => normalizeRecolor({ colors: tooMany }), /Invalid color map/);
+});
+
+test('recolorAnimation maps fills, strokes, gradients and solid layers without touching the input', () => {
+  const source = animation();
+  const data = recolorAnimation(source, normalizeRecolor({ colors: 'ff0000:0000ff,0000ff:ffffff,00ff00:ff0000' }));
+
+  assert.deepEqual(fill(data), [0, 0, 1, 1]);
+  assert.deepEqual(data.layers[0].shapes[0].it[1].c.k, [1, 1, 1, 1]);
+  assert.equal(data.layers[1].sc, '#ff0000');
+  // Red and blue stops; offsets and opacity stops stay
+  assert.deepEqual(data.assets[0].layers[0].shapes[0].g.k.k, [0, 0, 0, 1, 1, 1, 1, 1, 0, 1, 1, 0.5]);
+  assert.deepEqual(fill(source), RED);
+});
+
+test('recolorAnimation rewrites every keyframe of an animated color', () => {
+  const color = { a: 1, k: [{ t: 0, s: RED, e: [0, 1, 0, 1] }, { t: 10, s: [0, 1, 0, 1] }] };
+  const data = recolorAnimation(animation(color), normalizeRecolor({ silhouette: '#000000' }));
+  const keyframes = fill(data);
+
+  assert.deepEqual(keyframes[0].s, [0, 0, 0, 1]);
+  assert.deepEqual(keyframes[0].e, [0, 0, 0, 1]);
+  assert.deepEqual(keyframes[1].s, [0, 0, 0, 1]);
+});
+
+test('hue shift, monochrome and tint operate in HSL', () => {
+  assert.deepEqual(round(fill(recolorAnimation(animation(), normalizeRecolor({ hue: 120 })))), [0, 1, 0, 1]);
+  assert.deepEqual(round(fill(recolorAnimation(animation(), normalizeRecolor({ monochrome: 'true' })))), [0.213, 0.213, 0.213, 1]);
+  // Red tinted blue at half strength keeps its lightness
+  assert.deepEqual(round(fill(recolorAnimation(animation(), normalizeRecolor({ tint: '#0000ff', tintAmount: 0.5 })))), [0.5, 0, 0.5, 1]);
+});
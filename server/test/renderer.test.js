@@ -0,0 +1,207 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners, once } from 'events';
+import { spawn } from 'child_process';
+import { setTimeout as sleep } from 'timers/promises';
+import { RenderPool, threadShare } from '../utils/renderer.js';
+
+/**
+ * Pool with stand-in workers that accept tasks and never answer
+ * Workers take tasks once start() is called, and exit as soon as they are
+ * asked to.
+ */
+class FakePool extends RenderPool {
+  createWorker(id) {
+    const workerContext = {
+      id,
+      worker: { postMessage() {}, terminate: async () => {}, once: (event, listener) => event === 'exit' && listener() },
+      busy: false,
+      initialized: true,
+      animations: new Set(),
+      helpers: new Set(),
+      tasksCompleted: 0,
+      tasksFailed: 0,
+      startedAt: Date.now(),
+      idleSince: Date.now()
+    };
+    this.workers.push(workerContext);
+    if (this.started) this.availableWorkers.push(workerContext);
+  }
+
+  start() {
+    this.started = true;
+    this.availableWorkers.push(...this.workers);
+    this.processQueue();
+  }
+}
+
+const task = (frameNumber = 0) => ({ animationData: { fr: 30 }, frameNumber, options: {} });
+
+test('tasks sharing a signal add one abort listener and are all cancelled', async () => {
+  const pool = new FakePool(1, { taskTimeout: 0 });
+  const controller = new AbortController();
+
+  const renders = Array.from({ length: 50 }, (_, i) => pool.enqueue(task(i), { signal: controller.signal }));
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 1);
+
+  controller.abort();
+  const results = await Promise.allSettled(renders);
+  assert.ok(results.every(result => result.status === 'rejected' && result.reason.name === 'AbortError'));
+  assert.equal(pool.cancelledTasks, 50);
+  assert.equal(pool.queuedTasks(), 0);
+});
+
+test('a signal aborted after its tasks settled cancels nothing', async () => {
+  const pool = new FakePool(1, { taskTimeout: 0 });
+  const controller = new AbortController();
+
+  const render = pool.enqueue(task(), { signal: controller.signal });
+  pool.cancelTasks([pool.queues.interactive[0]], new Error('done'));
+  await assert.rejects(render, /done/);
+
+  controller.abort();
+  assert.equal(pool.cancelledTasks, 1);
+});
+
+test('the deadline starts when a worker takes the task, not when it is queued', async () => {
+  const pool = new FakePool(1, { taskTimeout: 0 });
+  let settled = false;
+
+  const render = pool.enqueue(task(), { timeout: 20 });
+  render.catch(() => {}).finally(() => { settled = true; });
+
+  await sleep(60);
+  assert.equal(settled, false, 'queued time counted against the deadline');
+
+  pool.start();
+  await assert.rejects(render, { name: 'TimeoutError', statusCode: 504 });
+  assert.equal(pool.timedOutTasks, 1);
+  assert.equal(pool.interruptedTasks, 1);
+});
+
+test('an interactive task waiting too long for a worker fails, a bulk one keeps waiting', async () => {
+  const pool = new FakePool(1, { taskTimeout: 0, queueTimeouts: { interactive: 20 } });
+  let bulkSettled = false;
+
+  const interactive = pool.enqueue(task());
+  const bulk = pool.enqueue(task(), { priority: 'bulk' });
+  bulk.catch(() => {}).finally(() => { bulkSettled = true; });
+
+  await assert.rejects(interactive, { name: 'TimeoutError', statusCode: 504, message: /waiting for a worker/ });
+  assert.equal(pool.queues.interactive.length, 0);
+  assert.equal(pool.timedOutTasks, 1);
+
+  await sleep(40);
+  assert.equal(bulkSettled, false);
+  pool.cancelTasks(pool.queues.bulk, new Error('done'));
+});
+
+test('a dispatched task is held to its deadline, not its queue timeout', async () => {
+  const pool = new FakePool(1, { taskTimeout: 0, queueTimeouts: { interactive: 20 } });
+  pool.start();
+
+  const render = pool.enqueue(task(), { timeout: 60 });
+  const started = Date.now();
+  await assert.rejects(render, { message: 'Render timed out after 60ms' });
+  assert.ok(Date.now() - started >= 55);
+});
+
+test('an interrupted worker\'s helper processes are killed', async () => {
+  const pool = new FakePool(1, { taskTimeout: 0 });
+  pool.start();
+  const helper = spawn('sleep', ['30']);
+  pool.workers[0].helpers.add(helper.pid);
+
+  await assert.rejects(pool.enqueue(task(), { timeout: 10 }), { name: 'TimeoutError' });
+  const [, signal] = await once(helper, 'exit');
+  assert.equal(signal, 'SIGKILL');
+});
+
+test('a failed render keeps the status code the worker reported', async () => {
+  const pool = new FakePool(1, { taskTimeout: 0 });
+  pool.start();
+
+  const render = pool.enqueue(task());
+  pool.handleWorkerMessage(pool.workers[0], { success: false, error: 'No available renderer supports this animation', statusCode: 422 });
+  await assert.rejects(render, { message: 'No available renderer supports this animation', statusCode: 422 });
+});
+
+test('a growing queue adds workers in proportion to its depth, up to poolSize', () => {
+  const pool = new FakePool(4, { minWorkers: 1, taskTimeout: 0 });
+  clearInterval(pool.scaleTimer);
+
+  const renders = Array.from({ length: 8 }, (_, i) => pool.enqueue(task(i), { priority: 'bulk' }));
+  assert.equal(pool.workers.length, 3);
+
+  renders.push(...Array.from({ length: 40 }, (_, i) => pool.enqueue(task(i), { priority: 'bulk' })));
+  assert.equal(pool.workers.length, 4);
+  assert.equal(pool.lifecycle.scaledUp, 3);
+  assert.deepEqual(pool.workers.map(w => w.id), [0, 1, 2, 3]);
+
+  pool.cancelTasks(pool.queues.bulk.slice(), new Error('done'));
+  return Promise.allSettled(renders);
+});
+
+test('idle workers are stopped down to minWorkers', () => {
+  const pool = new FakePool(4, { minWorkers: 2, idleTimeout: 1000, taskTimeout: 0 });
+  clearInterval(pool.scaleTimer);
+  pool.createWorker(2);
+  pool.createWorker(3);
+  pool.start();
+
+  pool.workers[3].idleSince = Date.now();
+  for (const w of pool.workers.slice(0, 3)) w.idleSince = Date.now() - 5000;
+  pool.scaleDown();
+
+  assert.deepEqual(pool.workers.map(w => w.id), [2, 3]);
+  assert.equal(pool.lifecycle.scaledDown, 2);
+  assert.equal(pool.freeWorkerId(), 0);
+});
+
+test('threadShare splits the budget across processes, remainder first', () => {
+  assert.deepEqual([0, 1, 2].map(i => threadShare(8, 3, i)), [3, 3, 2]);
+  assert.deepEqual([0, 1].map(i => threadShare(4, 2, i)), [2, 2]);
+  // More processes than threads: every process still gets one
+  assert.deepEqual([0, 1, 2].map(i => threadShare(2, 3, i)), [1, 1, 1]);
+});
+
+test('an animation is sent to a worker once while the worker still holds it', () => {
+  const pool = new FakePool(1, { taskTimeout: 0 });
+  const [worker] = pool.workers;
+  const animations = Array.from({ length: 17 }, (_, i) => ({ fr: 30, nm: `animation ${i}` }));
+  const send = animationData => pool.renderMessage(worker, { animationData, frameNumber: 0, options: {} }).data;
+
+  assert.equal(send(animations[0]).animationData, animations[0]);
+  const reused = send(animations[0]);
+  assert.equal(reused.animationData, undefined);
+  assert.equal(reused.animationKey, send(animations[0]).animationKey);
+
+  // The worker keeps the 16 most recently used animations
+  for (const animationData of animations.slice(1)) send(animationData);
+  assert.equal(send(animations[0]).animationData, animations[0]);
+  assert.equal(send(animations[16]).animationData, undefined);
+  assert.equal(pool.transport.animationsSent, 18);
+  assert.equal(pool.transport.animationsReused, 3);
+});
+
+test('animation sizes come from the worker and only re-sends count as saved', async () => {
+  const pool = new FakePool(1, { taskTimeout: 0 });
+  pool.start();
+  const animationData = { fr: 30, nm: 'sized' };
+  const render = () => pool.enqueue({ animationData, frameNumber: 0, options: {} });
+
+  const first = render();
+  assert.equal(pool.animationRef(animationData).size, 0, 'serialized on the main thread');
+  pool.handleWorkerMessage(pool.workers[0], { success: true, data: { buffer: new Uint8Array(4) }, animationBytes: 100 });
+  await first;
+
+  const second = render();
+  pool.handleWorkerMessage(pool.workers[0], { success: true, data: { buffer: new Uint8Array(4) } });
+  await second;
+
+  const { transport } = pool.getStats();
+  assert.deepEqual(
+    [transport.animationBytesSent, transport.animationBytesSaved, transport.frameBytesTransferred, transport.bytesSaved],
+    [100, 100, 8, 100]
+  );
+});
@@ -0,0 +1,42 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, chmod, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RLottieHelper } from '../utils/rlottieHelper.js';
+
+let dir;
+let path;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'rlottie-stub-'));
+  // Stand-in helper that never answers
+  path = join(dir, 'rlottie-server');
+  await writeFile(path, '#!/bin/sh\nexec sleep 30\n');
+  await chmod(path, 0o755);
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('onProcess reports the helper starting and exiting', async () => {
+  const events = [];
+  let exited;
+  const exit = new Promise(resolve => { exited = resolve; });
+  const helper = new RLottieHelper({
+    path,
+    onProcess: (pid, running) => {
+      events.push([pid, running]);
+      if (!running) exited();
+    }
+  });
+
+  // No answer to the ping: the helper is killed after the start timeout
+  await assert.rejects(helper.start(), /timed out/);
+  await exit;
+
+  assert.equal(events.length, 2);
+  assert.equal(events[0][0], events[1][0]);
+  assert.deepEqual(events.map(([, running]) => running), [true, false]);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { layoutGrid, composeSheet, buildFrameMap } from '../utils/spritesheet.js';
+
+const durations = (map) => Object.values(map.frames).map(frame => frame.duration);
+
+test('layoutGrid is as square as possible by default', () => {
+  const layout = layoutGrid(10, 8, 4);
+  assert.equal(layout.columns, 4);
+  assert.equal(layout.rows, 3);
+  assert.equal(layout.width, 32);
+  assert.equal(layout.height, 12);
+  assert.deepEqual(layout.rects[5], { x: 8, y: 4, w: 8, h: 4 });
+});
+
+test('layoutGrid places cells inside padding', () => {
+  const layout = layoutGrid(3, 10, 10, { columns: 2, padding: 2 });
+  assert.equal(layout.width, 2 * 10 + 3 * 2);
+  assert.equal(layout.height, 2 * 10 + 3 * 2);
+  assert.deepEqual(layout.rects.map(rect => [rect.x, rect.y]), [[2, 2], [14, 2], [2, 14]]);
+});
+
+test('layoutGrid caps columns at the frame count and refuses oversized sheets', () => {
+  assert.equal(layoutGrid(2, 1, 1, { columns: 8 }).columns, 2);
+  assert.throws(() => layoutGrid(4, 5000, 5000, { columns: 4 }), /too large/);
+});
+
+test('composeSheet copies each frame into its cell', () => {
+  const layout = layoutGrid(2, 1, 1, { columns: 2, padding: 1 });
+  const sheet = composeSheet([Buffer.from([1, 2, 3, 4]), Buffer.from([5, 6, 7, 8])], layout);
+
+  assert.equal(sheet.length, layout.width * layout.height * 4);
+  const pixel = (x, y) => [...sheet.subarray((y * layout.width + x) * 4, (y * layout.width + x) * 4 + 4)];
+  assert.deepEqual(pixel(1, 1), [1, 2, 3, 4]);
+  assert.deepEqual(pixel(3, 1), [5, 6, 7, 8]);
+  assert.deepEqual(pixel(0, 0), [0, 0, 0, 0]);
+});
+
+test('buildFrameMap: every cell of a stepped range lasts one step', () => {
+  const frames = [0, 3, 6, 9];
+  const map = buildFrameMap(layoutGrid(4, 2, 2), frames, { image: 'sheet.png', format: 'png', frameRate: 30, step: 3 });
+  assert.deepEqual(durations(map), [100, 100, 100, 100]);
+  assert.deepEqual(Object.keys(map.frames), ['frame_0000', 'frame_0003', 'frame_0006', 'frame_0009']);
+});
+
+test('buildFrameMap: the last cell of a frame list lasts the gap before it', () => {
+  const map = buildFrameMap(layoutGrid(3, 2, 2), [0, 2, 6], { image: 'sheet.png', format: 'png', frameRate: 60 });
+  assert.deepEqual(durations(map), [33.33, 66.67, 66.67]);
+});
+
+test('buildFrameMap: a single frame lasts its step, or one frame', () => {
+  const layout = layoutGrid(1, 2, 2);
+  assert.deepEqual(durations(buildFrameMap(layout, [5], { image: 'a.png', format: 'png', frameRate: 30, step: 2 })), [66.67]);
+  assert.deepEqual(durations(buildFrameMap(layout, [5], { image: 'a.png', format: 'png', frameRate: 30 })), [33.33]);
+});
+
+test('buildFrameMap describes the sheet', () => {
+  const layout = layoutGrid(2, 4, 4, { padding: 1 });
+  const map = buildFrameMap(layout, [0, 1], { image: 'sheet.webp', format: 'webp', frameRate: 30, scale: 0.5 });
+  assert.equal(map.meta.image, 'sheet.webp');
+  assert.deepEqual(map.meta.size, { w: layout.width, h: layout.height });
+  assert.equal(map.meta.scale, '0.5');
+  assert.deepEqual(map.frames.frame_0001.frame, { x: 6, y: 1, w: 4, h: 4 });
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateTelegramSticker } from '../utils/stickerSpec.js';
+import { compressTgs } from '../utils/tgsParser.js';
+
+const sticker = (props = {}) => ({ tgs: 1, v: '5.5.2', w: 512, h: 512, fr: 60, ip: 0, op: 180, layers: [], ...props });
+
+const rules = result => result.violations.map(violation => `${violation.rule} ${violation.path}`);
+
+test('a sticker within the spec is valid', () => {
+  const result = validateTelegramSticker(compressTgs(sticker()));
+  assert.deepEqual(result.violations, []);
+  assert.equal(result.valid, true);
+  assert.equal(result.details.duration, 3);
+});
+
+test('canvas, frame rate, duration and flag violations point at their fields', () => {
+  const result = validateTelegramSticker(compressTgs(sticker({ tgs: undefined, w: 100, fr: 30, op: 120 })));
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(rules(result), ['tgs-flag $.tgs', 'canvas-size $.w', 'frame-rate $.fr', 'duration $.op']);
+  assert.deepEqual(result.violations[1], { rule: 'canvas-size', path: '$.w', message: 'Width must be 512', actual: 100, expected: 512 });
+});
+
+test('unsupported features are reported inside precomps too', () => {
+  const result = validateTelegramSticker(compressTgs(sticker({
+    layers: [{ ty: 2, refId: 'image' }, { ty: 4, ddd: 1, ks: { o: { a: 0, k: 100, x: 'value * 2' } } }],
+    assets: [
+      { id: 'image', p: 'image.png' },
+      { id: 'comp', layers: [{ ty: 4, masksProperties: [{ mode: 'l' }, { mode: 'a' }] }] }
+    ]
+  })));
+
+  assert.deepEqual(rules(result), [
+    'images $.layers[0].ty',
+    '3d-layers $.layers[1].ddd',
+    'images $.assets[0].p',
+    'mask-mode $.assets[1].layers[0].masksProperties[0].mode',
+    'expressions $.layers[1].ks.o.x'
+  ]);
+});
+
+test('plain JSON is checked at its packed size and flagged for packing', () => {
+  const json = Buffer.from(JSON.stringify(sticker()));
+  const result = validateTelegramSticker(json);
+
+  assert.deepEqual(rules(result), ['format $']);
+  assert.equal(result.details.size, json.length);
+  assert.equal(result.details.packedSize, compressTgs(sticker()).length);
+});
+
+test('oversized and unreadable files are rejected', () => {
+  const noise = Array.from({ length: 40000 }, (_, i) => (i * 7919) % 1000003);
+  const large = validateTelegramSticker(compressTgs(sticker({ noise })));
+  assert.deepEqual(rules(large), ['file-size $']);
+
+  const broken = validateTelegramSticker(Buffer.from('not a sticker'));
+  assert.deepEqual(rules(broken), ['format $']);
+  assert.equal(broken.valid, false);
+});
@@ -0,0 +1,59 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { StickerStore, isValidSlug } from '../utils/stickerStore.js';
+import { AnimationCache } from '../utils/cache.js';
+import { compressTgs } from '../utils/tgsParser.js';
+
+const animation = { v: '5.5.2', fr: 60, ip: 0, op: 180, w: 512, h: 512, layers: [] };
+
+let dir;
+let cache;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'stickers-'));
+  cache = new AnimationCache(10);
+});
+
+after(async () => {
+  cache.destroy();
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('put stores a sticker once under its slug', async () => {
+  const store = new StickerStore(dir);
+  await store.initialize();
+
+  const first = await store.put(compressTgs(animation));
+  const second = await store.put(Buffer.from(JSON.stringify(animation)));
+
+  assert.ok(isValidSlug(first.slug));
+  assert.equal(first.created, true);
+  assert.equal(second.created, false);
+  assert.equal(second.slug, first.slug);
+  assert.deepEqual(first.metadata, { width: 512, height: 512, totalFrames: 180, frameRate: 60 });
+  assert.deepEqual((await readdir(dir)).filter(file => file.endsWith('.tgs')), [`${first.slug}.tgs`]);
+});
+
+test('load parses a sticker once, then serves it from the animation cache', async () => {
+  const store = new StickerStore(dir, { cache });
+  const { slug } = await store.put(compressTgs(animation));
+
+  const first = await store.load(slug);
+  const second = await store.load(slug);
+
+  assert.equal(second.animationData, first.animationData);
+  assert.deepEqual(second.metadata, first.metadata);
+  assert.equal(second.slug, slug);
+  assert.deepEqual({ loads: store.getStats().loads, cachedLoads: store.getStats().cachedLoads }, { loads: 1, cachedLoads: 1 });
+  // Loads hold no cache reference, so the entry stays evictable
+  assert.equal(cache.cache.get(slug).refCount, 0);
+});
+
+test('load returns null for unknown and malformed slugs', async () => {
+  const store = new StickerStore(dir, { cache });
+  assert.equal(await store.load('0000000000000000'), null);
+  assert.equal(await store.load('../etc/passwd'), null);
+});
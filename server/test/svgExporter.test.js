@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { renderSvg, validateSvgFeatures } from '../utils/svgExporter.js';
+import { sceneFeatures } from '../utils/lottieScene.js';
+import { normalizeLayout, computeLayout } from '../utils/layout.js';
+
+const rect = { ty: 'rc', p: { a: 0, k: [10, 10] }, s: { a: 0, k: [10, 10] }, r: { a: 0, k: 0 } };
+
+function animation(items) {
+  return { w: 20, h: 20, fr: 30, op: 60, layers: [{ ty: 4, ip: 0, op: 60, ks: {}, shapes: [{ ty: 'gr', it: [rect, ...items, { ty: 'tr' }] }] }] };
+}
+
+async function pixel(svg, x, y) {
+  const { data, info } = await sharp(svg).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const i = (y * info.width + x) * 4;
+  return [...data.subarray(i, i + 4)];
+}
+
+test('renderSvg serializes fills and strokes as paths in output pixels', async () => {
+  const fill = { ty: 'fl', c: { a: 0, k: [1, 0, 0, 1] }, o: { a: 0, k: 50 } };
+  const stroke = { ty: 'st', c: { a: 0, k: [0, 0, 1, 1] }, o: { a: 0, k: 100 }, w: { a: 0, k: 2 }, lc: 2, lj: 2 };
+  const svg = renderSvg(animation([stroke, fill]), 0, 40, 40).toString();
+
+  assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="40" height="40" viewBox="0 0 40 40">/);
+  assert.match(svg, /<path d="M30 10C[^"]+Z" fill="#ff0000" fill-opacity="0.5"\/>/);
+  assert.match(svg, /stroke="#0000ff" stroke-opacity="1" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/);
+  assert.deepEqual(await pixel(Buffer.from(svg), 20, 20), [255, 0, 0, 128]);
+});
+
+test('renderSvg writes gradients as definitions', () => {
+  const gradient = {
+    ty: 'gf', t: 1, o: { a: 0, k: 100 }, s: { a: 0, k: [5, 0] }, e: { a: 0, k: [15, 0] },
+    g: { p: 2, k: { a: 0, k: [0, 1, 0, 0, 1, 0, 0, 1] } }
+  };
+  const svg = renderSvg(animation([gradient]), 0, 20, 20).toString();
+
+  assert.match(svg, /<defs><linearGradient id="g0" gradientUnits="userSpaceOnUse"[^>]*><stop offset="0" stop-color="#ff0000" stop-opacity="1"\/><stop offset="1" stop-color="#0000ff"/);
+  assert.match(svg, /fill="url\(#g0\)"/);
+});
+
+test('renderSvg places the scene with the layout', async () => {
+  const fill = { ty: 'fl', c: { a: 0, k: [1, 0, 0, 1] }, o: { a: 0, k: 100 } };
+  const layout = computeLayout({ width: 20, height: 20 }, 20, 10, normalizeLayout({ fit: 'contain', background: '#00ff00', dpr: 2 }));
+  const svg = renderSvg(animation([fill]), 0, 20, 10, layout);
+
+  assert.match(svg.toString(), /width="40" height="20".*<rect width="40" height="20" fill="#00ff00"\/><g clip-path="url\(#clip\)"><g transform="translate\(10 0\)">/);
+  assert.deepEqual(await pixel(svg, 2, 10), [0, 255, 0, 255]);
+  assert.deepEqual(await pixel(svg, 20, 10), [255, 0, 0, 255]);
+});
+
+test('animations with masks or mattes are rejected instead of exported unmasked', () => {
+  const fill = { ty: 'fl', c: { a: 0, k: [1, 0, 0, 1] }, o: { a: 0, k: 100 } };
+  const plain = animation([fill]);
+  const masked = { ...plain, layers: [{ ...plain.layers[0], masksProperties: [{ mode: 'a' }] }] };
+  const matted = { ...plain, layers: [{ ...plain.layers[0], td: 1 }, { ...plain.layers[0], tt: 1 }] };
+
+  validateSvgFeatures(sceneFeatures(plain));
+  assert.throws(() => validateSvgFeatures(sceneFeatures(masked)), { statusCode: 422, message: /uses masks/ });
+  assert.throws(() => validateSvgFeatures(sceneFeatures(matted)), { statusCode: 422, message: /uses mattes/ });
+});
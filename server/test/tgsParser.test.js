@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import pako from 'pako';
+import { parseTgs, compressTgs, isGzip } from '../utils/tgsParser.js';
+import { packSticker, exportLottieJson } from '../utils/conversions.js';
+
+const lottie = { v: '5.5.2', w: 512, h: 512, fr: 60, ip: 0, op: 60, layers: [] };
+
+test('parseTgs reads gzipped TGS files and plain Lottie JSON', () => {
+  assert.deepEqual(parseTgs(compressTgs(lottie)), lottie);
+  assert.deepEqual(parseTgs(Buffer.from(JSON.stringify(lottie))), lottie);
+  // Byte order marks and leading whitespace from editors
+  assert.deepEqual(parseTgs(Buffer.from(`\uFEFF\n  ${JSON.stringify(lottie)}`)), lottie);
+});
+
+test('parseTgs rejects anything that is not a Lottie animation', () => {
+  assert.throws(() => parseTgs(Buffer.from('GIF89a')), /Invalid TGS file: not gzip-compressed or Lottie JSON/);
+  assert.throws(() => parseTgs(Buffer.from('{"layers": [')), /Invalid TGS file/);
+  assert.throws(() => parseTgs(Buffer.from('{"w": 512}')), /Invalid TGS file: not a Lottie animation/);
+  assert.throws(() => parseTgs(Buffer.from([0x1f, 0x8b, 0, 0])), /Invalid TGS file/);
+});
+
+test('packSticker gzips JSON with the tgs flag and reports spec checks', async () => {
+  const result = await packSticker({}, Buffer.from(JSON.stringify(lottie)), {});
+
+  assert.ok(isGzip(result.body));
+  assert.deepEqual(JSON.parse(pako.ungzip(result.body, { to: 'string' })), { ...lottie, tgs: 1 });
+  assert.equal(result.contentType, 'application/x-tgsticker');
+  assert.deepEqual(result.headers, { 'X-Spec-Valid': 'true', 'X-Spec-Violations': 0, 'X-Packed-Size': result.body.length });
+
+  const report = await packSticker({}, Buffer.from(JSON.stringify({ ...lottie, fr: 30 })), { output: 'json' });
+  assert.equal(report.body.valid, false);
+  assert.deepEqual(report.body.violations.map(violation => violation.rule), ['frame-rate']);
+  assert.equal(JSON.parse(pako.ungzip(Buffer.from(report.body.data, 'base64'), { to: 'string' })).fr, 30);
+});
+
+test('strict packing fails with the violations', async () => {
+  await assert.rejects(
+    packSticker({}, Buffer.from(JSON.stringify({ ...lottie, fr: 30 })), { strict: 'true' }),
+    error => error.statusCode === 422 && error.violations.map(violation => violation.rule).join() === 'frame-rate'
+  );
+  await assert.rejects(packSticker({}, Buffer.from(JSON.stringify(lottie)), { output: 'zip' }), /Invalid/);
+});
+
+test('exportLottieJson unpacks a TGS file', async () => {
+  const compact = await exportLottieJson({}, compressTgs(lottie), {});
+  assert.equal(compact.body.toString(), JSON.stringify(lottie));
+  assert.equal(compact.contentType, 'application/json');
+
+  const pretty = await exportLottieJson({}, compressTgs(lottie), { pretty: 'true' });
+  assert.equal(pretty.body.toString(), JSON.stringify(lottie, null, 2));
+});
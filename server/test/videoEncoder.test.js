@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, chmod, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Stand-in for ffmpeg: swallows the frames and writes a fixed output file
+const STUB = `#!/bin/sh
+for last; do :; done
+case "$*" in *-version*) echo "ffmpeg version stub"; exit 0;; esac
+cat > /dev/null
+printf video > "$last"
+`;
+
+let dir;
+let encodeVideo;
+let sampleFrames;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'ffmpeg-stub-'));
+  const path = join(dir, 'ffmpeg');
+  await writeFile(path, STUB);
+  await chmod(path, 0o755);
+  process.env.FFMPEG_PATH = path;
+  ({ encodeVideo, sampleFrames } = await import('../utils/videoEncoder.js'));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+const options = { format: 'webm', width: 2, height: 2, frameRate: 30, frameCount: 4, concurrency: 4 };
+const pixels = () => Buffer.alloc(2 * 2 * 4);
+
+test('encodeVideo returns the encoded file', async () => {
+  const video = await encodeVideo({ ...options, renderFrame: async () => pixels() });
+  assert.equal(video.toString(), 'video');
+});
+
+test('a look-ahead frame failing before it is awaited rejects the encode', async () => {
+  const signals = [];
+  const renderFrame = (index, signal) => {
+    signals.push(signal);
+    if (index === 1) return Promise.reject(new Error('Render queue full'));
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve(pixels()), 50);
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new Error('Render cancelled'));
+      });
+    });
+  };
+
+  await assert.rejects(encodeVideo({ ...options, renderFrame }), /Render queue full/);
+  assert.ok(signals.every(signal => signal.aborted), 'outstanding renders are cancelled');
+});
+
+test('aborting the caller signal cancels the renders', async () => {
+  const controller = new AbortController();
+  const renderFrame = (index, signal) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('Render cancelled')));
+  });
+
+  const encoding = encodeVideo({ ...options, renderFrame, signal: controller.signal });
+  setTimeout(() => controller.abort(), 20);
+  await assert.rejects(encoding, /Render cancelled/);
+});
+
+test('sampleFrames resamples to the output rate', () => {
+  // 60 frames at 60fps => 1s at 30fps, every other frame
+  assert.deepEqual(sampleFrames(60, 60, 30), Array.from({ length: 30 }, (_, i) => i * 2));
+  // 3 frames at 30fps => 0.1s at 60fps, frames repeated
+  assert.deepEqual(sampleFrames(3, 30, 60), [0, 0, 1, 1, 2, 2]);
+  assert.deepEqual(sampleFrames(1, 30, 30), [0]);
+});
+
+test('sampleFrames caps the duration', () => {
+  // Telegram video stickers last at most 3 seconds
+  const frames = sampleFrames(300, 60, 30, 3);
+  assert.equal(frames.length, 90);
+  assert.equal(frames.at(-1), 178);
+});
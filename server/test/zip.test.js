@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'zlib';
+import { ZipWriter, readZip, isZip } from '../utils/zip.js';
+import { crc32 } from '../utils/animationEncoder.js';
+import { convertBatch, parseBatchOptions, addBatchInput } from '../utils/conversions.js';
+import { AnimationCache } from '../utils/cache.js';
+import { compressTgs } from '../utils/tgsParser.js';
+
+/**
+ * Collect a ZipWriter's output
+ */
+function collect(zip) {
+  const chunks = [];
+  zip.stream.on('data', chunk => chunks.push(chunk));
+  return new Promise(resolve => zip.stream.on('end', () => resolve(Buffer.concat(chunks))));
+}
+
+/**
+ * Single-entry archive with a deflated file, as zip tools write them
+ */
+function deflatedZip(name, data) {
+  const nameBuffer = Buffer.from(name);
+  const compressed = deflateRawSync(data);
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(20, 4);
+  local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(crc32(data), 14);
+  local.writeUInt32LE(compressed.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(nameBuffer.length, 26);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(20, 4);
+  central.writeUInt16LE(20, 6);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(crc32(data), 16);
+  central.writeUInt32LE(compressed.length, 20);
+  central.writeUInt32LE(data.length, 24);
+  central.writeUInt16LE(nameBuffer.length, 28);
+
+  const directoryOffset = local.length + nameBuffer.length + compressed.length;
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 8);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(central.length + nameBuffer.length, 12);
+  end.writeUInt32LE(directoryOffset, 16);
+
+  return Buffer.concat([local, nameBuffer, compressed, central, nameBuffer, end]);
+}
+
+test('ZipWriter output reads back with readZip', async () => {
+  const zip = new ZipWriter();
+  const output = collect(zip);
+  zip.addFile('a.png', Buffer.from('first'));
+  zip.addFile('dir/ü.webp', Buffer.from('second file'));
+  zip.finish();
+
+  const archive = await output;
+  assert.ok(isZip(archive));
+
+  const entries = readZip(archive);
+  assert.deepEqual(entries.map(entry => [entry.name, entry.size]), [['a.png', 5], ['dir/ü.webp', 11]]);
+  assert.equal(entries[1].read().toString(), 'second file');
+});
+
+test('readZip inflates deflated entries', () => {
+  const data = Buffer.from('{"v":"5.5.2"}'.repeat(100));
+  const [entry] = readZip(deflatedZip('sticker.json', data));
+  assert.equal(entry.name, 'sticker.json');
+  assert.deepEqual(entry.read(), data);
+});
+
+test('readZip enforces its entry count and size limits', async () => {
+  const zip = new ZipWriter();
+  const output = collect(zip);
+  for (let i = 0; i < 3; i++) zip.addFile(`${i}.tgs`, Buffer.alloc(100));
+  zip.finish();
+  const archive = await output;
+
+  assert.throws(() => readZip(archive, { maxEntries: 2 }), /too large/);
+  const [entry] = readZip(archive, { maxEntrySize: 50 });
+  assert.throws(() => entry.read(), /File too large/);
+  // An entry lying about its size can't inflate past the limit
+  const bomb = deflatedZip('bomb.json', Buffer.alloc(1024 * 1024));
+  bomb.writeUInt32LE(10, bomb.length - 22 - 46 - 'bomb.json'.length + 24);
+  assert.throws(() => readZip(bomb, { maxEntrySize: 1000 })[0].read());
+});
+
+test('readZip rejects archives without a central directory', () => {
+  assert.throws(() => readZip(Buffer.from('PK\x03\x04 not really a zip file')), /Invalid ZIP archive/);
+});
+
+test('a batch waiting on a slow reader doesn\'t pile up listeners on the archive', async () => {
+  const frame = Buffer.alloc(64 * 1024);
+  const context = {
+    cache: new AnimationCache(10),
+    outputCache: null,
+    renderPool: {
+      poolSize: 1,
+      renderFrame: async () => ({ buffer: frame, size: frame.length, width: 128, height: 128, renderer: 'test' })
+    }
+  };
+  const inputs = [];
+  for (let i = 0; i < 20; i++) {
+    addBatchInput(inputs, `${i}.tgs`, compressTgs({ v: '5.5.2', fr: 30, ip: 0, op: 30, w: 128, h: 128, layers: [], nm: String(i) }));
+  }
+
+  const zip = new ZipWriter();
+  const baseline = zip.stream.listenerCount('close');
+  let peak = 0;
+  // Read slowly, so every file waits for 'drain'
+  const reading = new Promise(resolve => {
+    const timer = setInterval(() => {
+      peak = Math.max(peak, zip.stream.listenerCount('close') - baseline);
+      while (zip.stream.read() !== null);
+      if (zip.stream.readableEnded || zip.finished) {
+        clearInterval(timer);
+        resolve();
+      }
+    }, 2);
+  });
+
+  const summary = await convertBatch(context, inputs, parseBatchOptions({ format: 'png' }), { zip });
+  await reading;
+  context.cache.destroy();
+
+  assert.equal(summary.succeeded, 20);
+  // At most one waiting file per concurrent conversion
+  assert.ok(peak <= context.renderPool.poolSize * 2, `${peak} close listeners`);
+});
@@ -0,0 +1,412 @@
+/**
+ * Animated image muxers
+ * Assembles individually encoded frames (from the render pool) into
+ * animated WebP, GIF and APNG files without re-encoding pixel data
+ */
+
+export const ANIMATED_FORMATS = ['webp', 'gif', 'apng'];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Still format each frame must be rendered in for a given animated format
+ */
+export function frameFormatFor(format) {
+  return format === 'apng' ? 'png' : format;
+}
+
+/**
+ * MIME type of an animated format
+ */
+export function animatedContentType(format) {
+  return format === 'apng' ? 'image/apng' : `image/${format}`;
+}
+
+/**
+ * Split a total duration into integer per-frame delays without drifting
+ * @param {number} count - Number of frames
+ * @param {number} frameDuration - Exact duration of one frame
+ * @returns {number[]} Rounded delays that add up to the rounded total
+ */
+export function distributeDelays(count, frameDuration) {
+  const delays = [];
+  let elapsed = 0;
+
+  for (let i = 0; i < count; i++) {
+    const next = Math.round((i + 1) * frameDuration);
+    delays.push(Math.max(1, next - elapsed));
+    elapsed = next;
+  }
+
+  return delays;
+}
+
+/* ---------------------------------------------------------------------------
+ * WebP
+ * ------------------------------------------------------------------------- */
+
+/**
+ * Read the chunks of a RIFF/WebP file
+ */
+function readRiffChunks(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+    throw new Error('Invalid WebP frame');
+  }
+
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const data = buffer.subarray(offset + 8, offset + 8 + size);
+    chunks.push({ type, data });
+    offset += 8 + size + (size & 1);
+  }
+
+  return chunks;
+}
+
+function riffChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.write(type, 0, 'ascii');
+  header.writeUInt32LE(data.length, 4);
+  return data.length & 1
+    ? Buffer.concat([header, data, Buffer.alloc(1)])
+    : Buffer.concat([header, data]);
+}
+
+function writeUInt24LE(buffer, value, offset) {
+  buffer[offset] = value & 0xff;
+  buffer[offset + 1] = (value >> 8) & 0xff;
+  buffer[offset + 2] = (value >> 16) & 0xff;
+}
+
+function encodeWebP(frames, { width, height, delays, loop }) {
+  let hasAlpha = false;
+  const frameChunks = [];
+
+  frames.forEach((frame, i) => {
+    // Keep only the bitstream chunks (ALPH + VP8, or VP8L)
+    const chunks = readRiffChunks(frame).filter(c => c.type === 'ALPH' || c.type === 'VP8 ' || c.type === 'VP8L');
+    if (chunks.some(c => c.type === 'ALPH' || c.type === 'VP8L')) hasAlpha = true;
+
+    const header = Buffer.alloc(16);
+    writeUInt24LE(header, 0, 0);
+    writeUInt24LE(header, 0, 3);
+    writeUInt24LE(header, width - 1, 6);
+    writeUInt24LE(header, height - 1, 9);
+    writeUInt24LE(header, Math.min(delays[i], 0xffffff), 12);
+    // Full-canvas frames replace the previous one: no blending
+    header[15] = 0x02;
+
+    frameChunks.push(riffChunk('ANMF', Buffer.concat([header, ...chunks.map(c => riffChunk(c.type, c.data))])));
+  });
+
+  const vp8x = Buffer.alloc(10);
+  vp8x[0] = 0x02 | (hasAlpha ? 0x10 : 0);
+  writeUInt24LE(vp8x, width - 1, 4);
+  writeUInt24LE(vp8x, height - 1, 7);
+
+  const anim = Buffer.alloc(6);
+  anim.writeUInt32LE(0, 0); // Transparent background
+  anim.writeUInt16LE(loop, 4);
+
+  const body = Buffer.concat([
+    Buffer.from('WEBP', 'ascii'),
+    riffChunk('VP8X', vp8x),
+    riffChunk('ANIM', anim),
+    ...frameChunks
+  ]);
+
+  const header = Buffer.alloc(8);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+
+  return Buffer.concat([header, body]);
+}
+
+/* ---------------------------------------------------------------------------
+ * APNG
+ * ------------------------------------------------------------------------- */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 (PNG/ZIP polynomial)
+ */
+export function crc32(buffer, crc = 0) {
+  let c = ~crc >>> 0;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+function readPngChunks(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Invalid PNG frame');
+  }
+
+  const chunks = [];
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+  }
+
+  return chunks;
+}
+
+function pngChunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, 'ascii');
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+function encodeApng(frames, { width, height, delayNumerator, delayDenominator, loop }) {
+  const first = readPngChunks(frames[0]);
+  const ihdr = first.find(c => c.type === 'IHDR');
+  const parts = [PNG_SIGNATURE, pngChunk('IHDR', ihdr.data)];
+
+  const actl = Buffer.alloc(8);
+  actl.writeUInt32BE(frames.length, 0);
+  actl.writeUInt32BE(loop, 4);
+  parts.push(pngChunk('acTL', actl));
+
+  let sequence = 0;
+
+  frames.forEach((frame, i) => {
+    const chunks = i === 0 ? first : readPngChunks(frame);
+    const frameHeader = chunks.find(c => c.type === 'IHDR');
+
+    if (!frameHeader.data.equals(ihdr.data)) {
+      throw new Error('APNG frames must share the same pixel format');
+    }
+
+    const fctl = Buffer.alloc(26);
+    fctl.writeUInt32BE(sequence++, 0);
+    fctl.writeUInt32BE(width, 4);
+    fctl.writeUInt32BE(height, 8);
+    fctl.writeUInt32BE(0, 12);
+    fctl.writeUInt32BE(0, 16);
+    fctl.writeUInt16BE(delayNumerator, 20);
+    fctl.writeUInt16BE(delayDenominator, 22);
+    fctl[24] = 1; // APNG_DISPOSE_OP_BACKGROUND
+    fctl[25] = 0; // APNG_BLEND_OP_SOURCE
+    parts.push(pngChunk('fcTL', fctl));
+
+    for (const chunk of chunks) {
+      if (chunk.type !== 'IDAT') continue;
+
+      if (i === 0) {
+        parts.push(pngChunk('IDAT', chunk.data));
+      } else {
+        const seq = Buffer.alloc(4);
+        seq.writeUInt32BE(sequence++, 0);
+        parts.push(pngChunk('fdAT', Buffer.concat([seq, chunk.data])));
+      }
+    }
+  });
+
+  parts.push(pngChunk('IEND', Buffer.alloc(0)));
+
+  return Buffer.concat(parts);
+}
+
+/* ---------------------------------------------------------------------------
+ * GIF
+ * ------------------------------------------------------------------------- */
+
+/**
+ * Skip a run of GIF data sub-blocks, returning the offset after the terminator
+ */
+function skipSubBlocks(buffer, offset) {
+  while (offset < buffer.length) {
+    const size = buffer[offset];
+    offset += 1 + size;
+    if (size === 0) break;
+  }
+  return offset;
+}
+
+/**
+ * Extract the first image of a GIF along with its palette and transparency
+ */
+function readGifFrame(buffer) {
+  if (buffer.toString('ascii', 0, 3) !== 'GIF') {
+    throw new Error('Invalid GIF frame');
+  }
+
+  const packed = buffer[10];
+  let offset = 13;
+  let palette = null;
+
+  if (packed & 0x80) {
+    const size = 3 * (1 << ((packed & 0x07) + 1));
+    palette = { data: buffer.subarray(offset, offset + size), bits: packed & 0x07 };
+    offset += size;
+  }
+
+  let transparentIndex = null;
+
+  while (offset < buffer.length) {
+    const block = buffer[offset];
+
+    if (block === 0x21) {
+      const label = buffer[offset + 1];
+      if (label === 0xf9 && buffer[offset + 3] & 0x01) {
+        transparentIndex = buffer[offset + 6];
+      }
+      offset = skipSubBlocks(buffer, offset + 2);
+    } else if (block === 0x2c) {
+      const descriptor = buffer.subarray(offset, offset + 10);
+      const imagePacked = descriptor[9];
+      offset += 10;
+
+      if (imagePacked & 0x80) {
+        const size = 3 * (1 << ((imagePacked & 0x07) + 1));
+        palette = { data: buffer.subarray(offset, offset + size), bits: imagePacked & 0x07 };
+        offset += size;
+      }
+
+      const dataStart = offset;
+      offset = skipSubBlocks(buffer, offset + 1);
+
+      return {
+        left: descriptor.readUInt16LE(1),
+        top: descriptor.readUInt16LE(3),
+        width: descriptor.readUInt16LE(5),
+        height: descriptor.readUInt16LE(7),
+        interlaced: !!(imagePacked & 0x40),
+        palette,
+        transparentIndex,
+        imageData: buffer.subarray(dataStart, offset)
+      };
+    } else {
+      break;
+    }
+  }
+
+  throw new Error('GIF frame contains no image');
+}
+
+function encodeGif(frames, { width, height, delays, loop }) {
+  const parts = [];
+
+  const header = Buffer.alloc(13);
+  header.write('GIF89a', 0, 'ascii');
+  header.writeUInt16LE(width, 6);
+  header.writeUInt16LE(height, 8);
+  header[10] = 0x70; // No global palette, 8-bit color resolution
+  parts.push(header);
+
+  // NETSCAPE2.0 stores repeats after the first play; omitting it plays once
+  if (loop !== 1) {
+    const netscape = Buffer.alloc(19);
+    netscape[0] = 0x21;
+    netscape[1] = 0xff;
+    netscape[2] = 0x0b;
+    netscape.write('NETSCAPE2.0', 3, 'ascii');
+    netscape[14] = 0x03;
+    netscape[15] = 0x01;
+    netscape.writeUInt16LE(loop === 0 ? 0 : loop - 1, 16);
+    netscape[18] = 0x00;
+    parts.push(netscape);
+  }
+
+  frames.forEach((frame, i) => {
+    const image = readGifFrame(frame);
+
+    // Graphic control: restore to background so transparent pixels don't smear
+    const gce = Buffer.alloc(8);
+    gce[0] = 0x21;
+    gce[1] = 0xf9;
+    gce[2] = 0x04;
+    gce[3] = (2 << 2) | (image.transparentIndex !== null ? 0x01 : 0);
+    gce.writeUInt16LE(Math.min(delays[i], 0xffff), 4);
+    gce[6] = image.transparentIndex ?? 0;
+    gce[7] = 0x00;
+    parts.push(gce);
+
+    const descriptor = Buffer.alloc(10);
+    descriptor[0] = 0x2c;
+    descriptor.writeUInt16LE(image.left, 1);
+    descriptor.writeUInt16LE(image.top, 3);
+    descriptor.writeUInt16LE(image.width, 5);
+    descriptor.writeUInt16LE(image.height, 7);
+    descriptor[9] = image.palette
+      ? 0x80 | (image.interlaced ? 0x40 : 0) | image.palette.bits
+      : (image.interlaced ? 0x40 : 0);
+    parts.push(descriptor);
+
+    if (image.palette) parts.push(image.palette.data);
+    parts.push(image.imageData);
+  });
+
+  parts.push(Buffer.from([0x3b]));
+
+  return Buffer.concat(parts);
+}
+
+/* ---------------------------------------------------------------------------
+ * Public API
+ * ------------------------------------------------------------------------- */
+
+/**
+ * Mux encoded frames into an animated image
+ * @param {Buffer[]} frames - Frames encoded in frameFormatFor(format)
+ * @param {Object} options
+ * @param {string} options.format - webp, gif or apng
+ * @param {number} options.width - Canvas width
+ * @param {number} options.height - Canvas height
+ * @param {number} options.frameRate - Source frame rate (`fr`)
+ * @param {number} [options.step=1] - Source frames advanced per output frame
+ * @param {number} [options.loop=0] - Loop count, 0 = forever
+ * @returns {Buffer} Animated image
+ */
+export function encodeAnimation(frames, options) {
+  const { format, width, height, frameRate, step = 1, loop = 0 } = options;
+
+  if (frames.length === 0) {
+    throw new Error('Invalid animation: no frames to encode');
+  }
+
+  const frameDurationMs = (1000 * step) / frameRate;
+
+  switch (format) {
+    case 'webp':
+      return encodeWebP(frames, { width, height, loop, delays: distributeDelays(frames.length, frameDurationMs) });
+    case 'gif':
+      return encodeGif(frames, { width, height, loop, delays: distributeDelays(frames.length, frameDurationMs / 10) });
+    case 'apng': {
+      // APNG stores delays as fractions, so integer frame rates stay exact
+      const exact = Number.isInteger(frameRate) && frameRate <= 0xffff && step <= 0xffff;
+      return encodeApng(frames, {
+        width,
+        height,
+        loop,
+        delayNumerator: exact ? step : Math.round(frameDurationMs),
+        delayDenominator: exact ? frameRate : 1000
+      });
+    }
+    default:
+      throw new Error(`Invalid animated format: ${format}. Supported: ${ANIMATED_FORMATS.join(', ')}`);
+  }
+}
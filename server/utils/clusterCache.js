@@ -0,0 +1,257 @@
+/**
+ * Cache coordination across the processes of a cluster (cluster.js)
+ * The processes share the output cache's disk tier; the primary keeps its
+ * index and evicts it, and relays cluster-wide requests over the cluster IPC
+ * channel: /cache/clear clears every process, and /stats aggregates them all.
+ */
+
+import { OutputCache } from './outputCache.js';
+
+const CHANNEL = 'cache';
+
+// Time the primary waits for each process (a stuck or exiting one is left out)
+const COLLECT_TIMEOUT_MS = 2000;
+
+// Time a process waits for the primary's answer
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Primary side: indexes the shared disk tier and fans requests out to the processes
+ */
+export class ClusterCacheHub {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Shared disk tier directory
+   * @param {number} options.maxDiskBytes - Disk tier budget of the whole cluster
+   */
+  constructor({ dir, maxDiskBytes }) {
+    // Index only: the primary serves no outputs itself
+    this.index = new OutputCache({ maxBytes: 0, dir, maxDiskBytes });
+    this.workers = new Set();
+    this.pending = new Map();
+    this.nextId = 0;
+  }
+
+  /**
+   * Index the disk tier left by a previous run
+   */
+  async initialize() {
+    await this.index.initialize();
+  }
+
+  /**
+   * Serve a forked process
+   * @param {Worker} worker - From cluster.fork()
+   */
+  attach(worker) {
+    this.workers.add(worker);
+    worker.on('exit', () => this.workers.delete(worker));
+    worker.on('message', (message) => {
+      if (message?.channel !== CHANNEL) return;
+      this.handleMessage(worker, message).catch(error => {
+        console.error('[ClusterCache] Request failed:', error.message);
+      });
+    });
+  }
+
+  async handleMessage(worker, message) {
+    switch (message.type) {
+      case 'stored':
+        await this.index.indexDisk(message.key, message.size);
+        return;
+      case 'touched':
+        this.index.touchDisk(message.key);
+        return;
+      case 'reply':
+        this.pending.get(message.id)?.(message.result);
+        return;
+      case 'clear': {
+        await this.index.clear();
+        const cleared = await this.collect('clear');
+        this.reply(worker, message.id, { processes: cleared.length });
+        return;
+      }
+      case 'stats': {
+        const snapshots = (await this.collect('stats')).filter(snapshot => !snapshot.error);
+        this.reply(worker, message.id, aggregateStats(snapshots, {
+          entries: this.index.disk.size,
+          bytes: this.index.diskBytes,
+          maxBytes: this.index.maxDiskBytes
+        }));
+        return;
+      }
+    }
+  }
+
+  reply(worker, id, result) {
+    if (worker.isConnected()) worker.send({ channel: CHANNEL, type: 'reply', id, result });
+  }
+
+  /**
+   * Have every process run its handler for `type`
+   * @returns {Promise<Object[]>} The results that arrived within COLLECT_TIMEOUT_MS
+   */
+  async collect(type) {
+    const results = await Promise.all([...this.workers].filter(worker => worker.isConnected()).map(worker =>
+      new Promise((resolve) => {
+        const id = ++this.nextId;
+        const timer = setTimeout(() => {
+          this.pending.delete(id);
+          resolve(null);
+        }, COLLECT_TIMEOUT_MS);
+
+        this.pending.set(id, (result) => {
+          clearTimeout(timer);
+          this.pending.delete(id);
+          resolve(result);
+        });
+        worker.send({ channel: CHANNEL, type, id });
+      })
+    ));
+
+    return results.filter(result => result !== null);
+  }
+}
+
+/**
+ * Process side: reports disk tier use to the primary (the OutputCache
+ * `shared` option), and answers and makes cluster-wide requests
+ */
+export class ClusterCacheClient {
+  constructor() {
+    this.handlers = new Map();
+    this.pending = new Map();
+    this.nextId = 0;
+
+    process.on('message', (message) => {
+      if (message?.channel !== CHANNEL) return;
+      this.handleMessage(message);
+    });
+  }
+
+  /**
+   * Set what this process does for a cluster-wide request
+   * @param {string} type - clear | stats
+   * @param {Function} handler - async () => result
+   */
+  handle(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  async handleMessage(message) {
+    if (message.type === 'reply') {
+      this.pending.get(message.id)?.(message.result);
+      return;
+    }
+
+    let result;
+    try {
+      result = (await this.handlers.get(message.type)?.()) ?? {};
+    } catch (error) {
+      result = { error: error.message };
+    }
+    this.send({ type: 'reply', id: message.id, result });
+  }
+
+  send(message) {
+    if (process.connected) process.send({ channel: CHANNEL, ...message });
+  }
+
+  /**
+   * A disk tier entry was written
+   */
+  stored(key, size) {
+    this.send({ type: 'stored', key, size });
+  }
+
+  /**
+   * A disk tier entry was read
+   */
+  touched(key) {
+    this.send({ type: 'touched', key });
+  }
+
+  /**
+   * Clear the caches of every process and the shared disk tier
+   * @returns {Promise<Object>} { processes }
+   */
+  clear() {
+    return this.request('clear');
+  }
+
+  /**
+   * Stats of every process, with cluster-wide totals
+   */
+  stats() {
+    return this.request('stats');
+  }
+
+  request(type) {
+    const id = ++this.nextId;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Cluster ${type} request timed out`));
+      }, REQUEST_TIMEOUT_MS);
+
+      this.pending.set(id, (result) => {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        resolve(result);
+      });
+      this.send({ type, id });
+    });
+  }
+}
+
+/**
+ * Cluster-wide totals of the processes' stats, plus a summary per process
+ * @param {Object[]} snapshots - /stats of each process, with pid and instance
+ * @param {Object} disk - Shared disk tier size, from the primary's index
+ */
+function aggregateStats(snapshots, disk) {
+  const sum = pick => snapshots.reduce((total, snapshot) => total + (pick(snapshot) || 0), 0);
+  const rate = (hits, lookups) => lookups > 0 ? `${(hits / lookups * 100).toFixed(2)}%` : '0%';
+
+  const cacheHits = sum(s => s.cache.hits);
+  const cacheMisses = sum(s => s.cache.misses);
+  const outputHits = sum(s => s.outputCache.hits);
+  const diskHits = sum(s => s.outputCache.disk.hits);
+  const outputMisses = sum(s => s.outputCache.misses);
+
+  return {
+    processes: snapshots.length,
+    cache: {
+      size: sum(s => s.cache.size),
+      hits: cacheHits,
+      misses: cacheMisses,
+      hitRate: rate(cacheHits, cacheHits + cacheMisses)
+    },
+    outputCache: {
+      entries: sum(s => s.outputCache.entries),
+      bytes: sum(s => s.outputCache.bytes),
+      hits: outputHits,
+      misses: outputMisses,
+      hitRate: rate(outputHits + diskHits, outputHits + diskHits + outputMisses),
+      disk: { ...disk, hits: diskHits }
+    },
+    renderPool: {
+      workers: sum(s => s.renderPool.workers),
+      busyWorkers: sum(s => s.renderPool.busyWorkers),
+      queuedTasks: sum(s => s.renderPool.queuedTasks),
+      completedTasks: sum(s => s.renderPool.completedTasks),
+      failedTasks: sum(s => s.renderPool.failedTasks)
+    },
+    instances: snapshots.map(s => ({
+      pid: s.pid,
+      instance: s.instance,
+      uptime: s.uptime,
+      rss: s.memory.rss,
+      cacheHitRate: s.cache.hitRate,
+      outputCacheHitRate: s.outputCache.hitRate,
+      workers: s.renderPool.workers,
+      completedTasks: s.renderPool.completedTasks
+    }))
+  };
+}
@@ -0,0 +1,1032 @@
+/**
+ * Conversion pipelines shared by the HTTP routes and the job queue
+ * Each pipeline takes the raw upload plus query options and reports
+ * progress through an optional onProgress(done, total) callback.
+ * Single frames render at interactive priority and whole animations at bulk
+ * priority; an optional `context.signal` (AbortSignal) cancels the renders.
+ */
+
+import { parseTgs, generateSlug, getMetadata, compressTgs } from './tgsParser.js';
+import { setTimeout as sleep } from 'timers/promises';
+import { validateFileSize, validateFormat, validateFrameNumber, validateDimensions, validateAnimatedFormat, validateFrameRange, validateLoop, validateVideoFormat, validateFrameRate, validateColor, validateFrameList, validateSpriteSheetOptions, validateRenderer, validateOptimizeOptions, validatePackOptions, validateSizes, validateEncodeOptions, validateStreamTransport } from './validators.js';
+import { encodeAnimation, frameFormatFor, animatedContentType } from './animationEncoder.js';
+import { layoutGrid, composeSheet, buildFrameMap } from './spritesheet.js';
+import { encodeVideo, encodeVideoWithinSize, sampleFrames, videoContentType, TELEGRAM_PRESET } from './videoEncoder.js';
+import { readZip, isZip } from './zip.js';
+import { computeEtag } from './outputCache.js';
+import { optimizeAnimation, compareFrames, DEFAULT_PRECISION, MAX_PRECISION } from './optimizer.js';
+import { TELEGRAM_STICKER_SPEC, validateTelegramSticker } from './stickerSpec.js';
+import { normalizeRecolor } from './recolor.js';
+import { normalizeLayout, canvasSize, computeLayout } from './layout.js';
+import { normalizeFormat, imageContentType, imageExtension, rawImageHeaders, encodeImage } from './imageEncoder.js';
+import { FrameStream } from './frameStream.js';
+
+const MAX_FILE_SIZE = 2 * 1024 * 1024; // 2MB
+const GIF_MIN_DELAY_MS = 20; // Browsers slow down GIF frames shorter than 2cs
+
+const OPTIMIZE_VERIFY_FRAMES = 10;
+const OPTIMIZE_VERIFY_SIZE = 256;
+const DEFAULT_MAX_TOLERANCE = 32; // Largest single-channel difference /optimize accepts
+
+export const MAX_BATCH_FILES = 200;
+export const MAX_BATCH_ARCHIVE_SIZE = 64 * 1024 * 1024; // 64MB
+
+// Uploads the batch endpoints pick out of ZIP archives
+const STICKER_EXTENSIONS = /\.(tgs|json)$/i;
+
+/**
+ * Validate and parse an uploaded TGS or Lottie JSON file
+ * Already loaded animations ({ animationData, metadata, slug }, e.g. from the
+ * sticker store) are passed through
+ */
+function loadAnimation(source) {
+  if (!Buffer.isBuffer(source)) return source;
+
+  validateFileSize(source.length);
+  const animationData = parseTgs(source);
+  return { animationData, metadata: getMetadata(animationData), slug: generateSlug(animationData) };
+}
+
+/**
+ * Requested renderer backend, undefined for the server default so that
+ * `auto` and no parameter share output cache entries
+ */
+function parseRenderer(renderer) {
+  if (!renderer || renderer === 'auto') return undefined;
+  validateRenderer(renderer);
+  return renderer;
+}
+
+/**
+ * Run fn with the cached copy of an animation, holding a cache reference meanwhile
+ */
+async function withCachedAnimation(cache, { animationData, metadata, slug }, fn) {
+  let cachedData = cache.get(slug);
+
+  if (!cachedData) {
+    cache.set(slug, animationData, metadata);
+    cachedData = cache.get(slug);
+  }
+
+  try {
+    return await fn(cachedData.animationData);
+  } finally {
+    cache.release(slug);
+  }
+}
+
+/**
+ * Serve a result from the output cache, or produce and store it
+ * Rendered outputs (options with a `renderer`) are also keyed by the pool's
+ * backends, so a process with other backends or versions renders its own.
+ * @param {Object} context - { outputCache, renderPool } (caching is skipped without an outputCache)
+ * @param {string} slug - Animation slug
+ * @param {Object} options - Normalized options that fully determine the output
+ * @param {Function} produce - async () => { body, contentType, headers }
+ * @returns {Promise<Object>} Result with `etag` and `cacheHit`
+ */
+async function withOutputCache({ outputCache, renderPool }, slug, options, produce) {
+  if (!outputCache) {
+    const result = await produce();
+    return { ...result, etag: computeEtag(result.body), cacheHit: false };
+  }
+
+  const renderers = 'renderer' in options ? renderPool?.rendererSignature() : undefined;
+  const key = outputCache.key(slug, { ...options, renderers });
+  const cached = await outputCache.get(key);
+  if (cached) return { ...cached, cacheHit: true };
+
+  return { ...outputCache.set(key, await produce()), cacheHit: false };
+}
+
+/**
+ * Render one still frame of a loaded animation
+ */
+function renderStill(context, loaded, options) {
+  const { frame, format, quality, width, height, renderer, recolor, layout, encode, priority } = options;
+
+  return withOutputCache(context, loaded.slug, { type: 'frame', frame, format, quality, width, height, renderer, recolor, layout, encode }, async () => {
+    const result = await withCachedAnimation(context.cache, loaded, data =>
+      context.renderPool.renderFrame(data, frame, { format, quality, width, height, renderer, recolor, ...layout, ...encode, priority, signal: context.signal })
+    );
+
+    return {
+      body: result.buffer,
+      contentType: imageContentType(format),
+      headers: {
+        'X-Total-Frames': loaded.metadata.totalFrames,
+        'X-Image-Size': result.size,
+        'X-Renderer': result.renderer,
+        ...rawImageHeaders(format, result.width, result.height, encode)
+      }
+    };
+  });
+}
+
+/**
+ * Parse and validate the image options of a rendered frame: format, encoder,
+ * renderer, colors and layout
+ */
+function parseImageOptions(query) {
+  const options = {
+    format: normalizeFormat(query.format || 'png'),
+    quality: parseInt(query.quality || '90'),
+    renderer: parseRenderer(query.renderer),
+    recolor: normalizeRecolor(query),
+    layout: normalizeLayout(query)
+  };
+
+  validateFormat(options.format);
+  options.encode = validateEncodeOptions(options.format, { ...query, quality: options.quality, background: options.layout?.background });
+  validateSvgRenderer(options.format, options.renderer);
+
+  return options;
+}
+
+/**
+ * Parse and validate the still frame options shared by convertFrame and convertSizes
+ */
+function parseStillOptions(query, metadata) {
+  const options = { frame: parseInt(query.frame || '0'), ...parseImageOptions(query) };
+  validateFrameNumber(options.frame, metadata.totalFrames);
+  return options;
+}
+
+/**
+ * SVG frames come from the vector backend's scene; other backends can't produce them
+ */
+function validateSvgRenderer(format, renderer) {
+  if (format === 'svg' && renderer && renderer !== 'vector') {
+    throw new Error(`Invalid renderer: ${renderer}. SVG output is produced by the vector renderer`);
+  }
+}
+
+/**
+ * Check the canvas of a still frame, returns its size in device pixels
+ * The animation's render size is checked too: with fit=cover it can be far
+ * larger than the canvas
+ */
+function validateCanvas(width, height, layout, metadata) {
+  const canvas = canvasSize(width, height, layout);
+  validateDimensions(canvas.width, canvas.height);
+
+  if (layout && 2 * layout.padding >= Math.min(width, height)) {
+    throw new Error(`Invalid padding: ${layout.padding}. Leaves no room in ${width}x${height}`);
+  }
+  if (layout) computeLayout(metadata, width, height, layout);
+  return canvas;
+}
+
+/**
+ * Single frame as PNG/WebP
+ * @param {Object} context - { renderPool, cache, outputCache }
+ * @param {Buffer|Object} source - TGS file or a loaded animation
+ * @param {Object} query - frame, format, quality, width, height, renderer,
+ *   colors, hue, tint, tintAmount, monochrome, silhouette (see normalizeRecolor),
+ *   fit, padding, dpr, background (see normalizeLayout)
+ * @returns {Promise<Object>} Result plus the animation metadata and resolved width, height and format
+ */
+export async function convertFrame(context, source, query) {
+  const loaded = loadAnimation(source);
+  const { metadata } = loaded;
+
+  const options = parseStillOptions(query, metadata);
+  const width = parseInt(query.width || '0') || metadata.width;
+  const height = parseInt(query.height || '0') || metadata.height;
+  const canvas = validateCanvas(width, height, options.layout, metadata);
+
+  const result = await renderStill(context, loaded, { ...options, width, height });
+  return { ...result, metadata, width: canvas.width, height: canvas.height, format: options.format };
+}
+
+/**
+ * One frame at several sizes from a single parse
+ * Each size is the longest side of the output; the other side keeps the
+ * animation's aspect ratio
+ * @param {Object} context - { renderPool, cache, outputCache }
+ * @param {Buffer|Object} source - TGS file or a loaded animation
+ * @param {Object} query - sizes (e.g. "64,128,512"), packaging (json | multipart)
+ *   plus the convertFrame options except width and height
+ * @returns {Promise<{ body: Buffer|Object, contentType: string, headers: Object, etag: string, cacheHit: boolean }>}
+ *   body is JSON with base64 images, or a multipart/mixed body with one part per size
+ */
+export async function convertSizes(context, source, query) {
+  const loaded = loadAnimation(source);
+  const { metadata } = loaded;
+
+  const packaging = query.packaging || 'json';
+  const sizes = validateSizes(query.sizes, packaging);
+  const options = parseStillOptions(query, metadata);
+  const longest = Math.max(metadata.width, metadata.height);
+
+  const outputs = sizes.map(size => {
+    const width = Math.max(1, Math.round(metadata.width * size / longest));
+    const height = Math.max(1, Math.round(metadata.height * size / longest));
+    return { size, width, height, canvas: validateCanvas(width, height, options.layout, metadata) };
+  });
+
+  const results = await Promise.all(outputs.map(({ width, height }) =>
+    renderStill(context, loaded, { ...options, width, height })
+  ));
+
+  const etag = computeEtag(results.map(result => result.etag).join(','));
+  const cacheHit = results.every(result => result.cacheHit);
+  const contentType = imageContentType(options.format);
+  const images = outputs.map(({ size, canvas }, i) => ({
+    size,
+    width: canvas.width,
+    height: canvas.height,
+    bytes: results[i].body.length,
+    body: results[i].body
+  }));
+
+  if (packaging === 'multipart') {
+    const boundary = `tgs-sizes-${etag.slice(1, -1)}`;
+    const parts = images.flatMap(image => [
+      Buffer.from(
+        `--${boundary}\r\n` +
+        `Content-Type: ${contentType}\r\n` +
+        `Content-Disposition: attachment; filename="${image.size}.${imageExtension(options.format, options.encode)}"\r\n` +
+        `Content-Length: ${image.bytes}\r\n` +
+        `X-Image-Width: ${image.width}\r\n` +
+        `X-Image-Height: ${image.height}\r\n\r\n`
+      ),
+      image.body,
+      Buffer.from('\r\n')
+    ]);
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
+
+    return {
+      body: Buffer.concat(parts),
+      contentType: `multipart/mixed; boundary=${boundary}`,
+      headers: {
+        'X-Total-Frames': metadata.totalFrames,
+        'X-Renderer': results[0].headers['X-Renderer']
+      },
+      etag,
+      cacheHit
+    };
+  }
+
+  return {
+    body: {
+      frame: options.frame,
+      format: options.format,
+      totalFrames: metadata.totalFrames,
+      renderer: results[0].headers['X-Renderer'],
+      images: images.map(({ body, ...image }) => ({ ...image, image: body.toString('base64') }))
+    },
+    contentType: 'application/json',
+    headers: {},
+    etag,
+    cacheHit
+  };
+}
+
+/**
+ * Frames of an animation streamed one by one as they are rendered
+ * Validation happens before anything is sent; the stream then starts rendering
+ * and stops (cancelling the frames still queued) if the client disconnects.
+ * @param {Object} context - { renderPool, cache }
+ * @param {Buffer|Object} source - TGS file or a loaded animation
+ * @param {Object} query - transport (sse | multipart), start, end, step, realtime,
+ *   plus the convertFrame options except frame
+ * @returns {{ stream: FrameStream, contentType: string, headers: Object }}
+ */
+export function streamAnimation(context, source, query) {
+  const loaded = loadAnimation(source);
+  const { metadata } = loaded;
+
+  const transport = query.transport || 'sse';
+  const options = parseImageOptions(query);
+  const width = parseInt(query.width || '0') || metadata.width;
+  const height = parseInt(query.height || '0') || metadata.height;
+  const step = parseInt(query.step || '1');
+  const realtime = query.realtime === 'true' || query.realtime === '1';
+
+  validateStreamTransport(transport);
+  const canvas = validateCanvas(width, height, options.layout, metadata);
+  const frames = validateFrameRange(
+    parseInt(query.start || '0'),
+    parseInt(query.end || String(metadata.totalFrames - 1)),
+    step,
+    metadata.totalFrames
+  );
+
+  const { format, quality, renderer, recolor, layout, encode } = options;
+  const stream = new FrameStream({
+    transport,
+    contentType: imageContentType(format),
+    boundary: `tgs-frames-${loaded.slug}`
+  });
+  const delay = Math.round(100000 * step / metadata.frameRate) / 100;
+  const startTime = Date.now();
+
+  const produce = async (data) => {
+    await stream.writeStart({
+      totalFrames: metadata.totalFrames,
+      frames: frames.length,
+      frameRate: metadata.frameRate / step,
+      width: canvas.width,
+      height: canvas.height,
+      format
+    });
+
+    let index = 0;
+    const results = context.renderPool.streamFrames(data, frames, { format, quality, width, height, renderer, recolor, ...layout, ...encode, priority: 'bulk' }, { signal: stream.signal });
+
+    for await (const result of results) {
+      // Realtime: hold each frame until its playback time
+      const wait = startTime + index * delay - Date.now();
+      if (realtime && wait > 0) await sleep(wait, undefined, { signal: stream.signal });
+
+      await stream.writeFrame(result.buffer, {
+        index,
+        frame: result.frameNumber,
+        time: Math.round(100000 * result.frameNumber / metadata.frameRate) / 100,
+        delay,
+        renderTime: result.renderTime,
+        elapsed: Date.now() - startTime,
+        width: result.width,
+        height: result.height,
+        size: result.size,
+        renderer: result.renderer
+      });
+      index++;
+    }
+
+    stream.finish({ frames: index, processingTime: `${Date.now() - startTime}ms` });
+  };
+
+  withCachedAnimation(context.cache, loaded, produce).catch(error => {
+    // Aborted streams were closed by the client
+    if (error.name === 'AbortError') return;
+    console.error('Stream error:', error);
+    stream.fail(error);
+  });
+
+  return {
+    stream,
+    contentType: stream.contentType,
+    headers: {
+      'X-Total-Frames': metadata.totalFrames,
+      'X-Stream-Frames': frames.length,
+      'X-Frame-Rate': metadata.frameRate / step,
+      ...rawImageHeaders(format, canvas.width, canvas.height, encode)
+    }
+  };
+}
+
+/**
+ * Parse and validate the animated image options that don't depend on the animation
+ */
+function parseAnimatedOptions(query) {
+  const format = query.format || 'webp';
+  const quality = parseInt(query.quality || '90');
+  const loop = parseInt(query.loop || '0');
+  const renderer = parseRenderer(query.renderer);
+
+  validateAnimatedFormat(format);
+  validateLoop(loop);
+  const encode = validateEncodeOptions(format, { ...query, quality });
+
+  return { format, quality, loop, renderer, encode };
+}
+
+/**
+ * Whole animation (or a range) as animated WebP/GIF/APNG
+ * @param {Object} context - { renderPool, cache, outputCache }
+ * @param {Buffer|Object} source - TGS file or a loaded animation
+ * @param {Object} query - format, start, end, step, loop, width, height, quality, renderer,
+ *   effort and lossless (WebP) or effort (APNG)
+ * @param {Function} [onProgress] - (done, total) after each rendered frame
+ * @returns {Promise<{ body: Buffer, contentType: string, headers: Object }>}
+ */
+export async function convertAnimated(context, source, query, onProgress) {
+  const loaded = loadAnimation(source);
+  const { metadata } = loaded;
+
+  const { format, quality, loop, renderer, encode } = parseAnimatedOptions(query);
+  const width = parseInt(query.width || '0') || metadata.width;
+  const height = parseInt(query.height || '0') || metadata.height;
+  const start = parseInt(query.start || '0');
+  const end = parseInt(query.end || String(metadata.totalFrames - 1));
+
+  // GIF delays are in centiseconds: skip frames rather than play too slowly
+  const defaultStep = format === 'gif'
+    ? Math.max(1, Math.ceil(GIF_MIN_DELAY_MS * metadata.frameRate / 1000))
+    : 1;
+  const step = parseInt(query.step || String(defaultStep));
+
+  validateDimensions(width, height);
+  const frames = validateFrameRange(start, end, step, metadata.totalFrames);
+
+  return withOutputCache(context, loaded.slug, { type: 'animated', format, quality, width, height, frames, loop, renderer, encode }, async () => {
+    // Render every frame through the pool, then mux
+    const results = await withCachedAnimation(context.cache, loaded, data =>
+      context.renderPool.renderFrames(data, frames, { format: frameFormatFor(format), quality, width, height, renderer, ...encode, priority: 'bulk', signal: context.signal }, onProgress)
+    );
+
+    const image = encodeAnimation(results.map(r => r.buffer), {
+      format,
+      width,
+      height,
+      frameRate: metadata.frameRate,
+      step,
+      loop
+    });
+
+    return {
+      body: image,
+      contentType: animatedContentType(format),
+      headers: {
+        'X-Total-Frames': metadata.totalFrames,
+        'X-Rendered-Frames': frames.length,
+        'X-Frame-Rate': metadata.frameRate / step,
+        'X-Image-Size': image.length,
+        'X-Renderer': results[0].renderer
+      }
+    };
+  });
+}
+
+/**
+ * Parse and validate the sprite sheet options that don't depend on the animation
+ */
+function parseSpriteSheetOptions(query) {
+  const format = normalizeFormat(query.format || 'png');
+  const quality = parseInt(query.quality || '90');
+  const output = query.output || 'json';
+  const columns = query.columns ? parseInt(query.columns) : undefined;
+  const padding = parseInt(query.padding || '0');
+  const scale = parseFloat(query.scale || '1');
+  const renderer = parseRenderer(query.renderer);
+
+  validateSpriteSheetOptions({ format, columns, padding, scale, output });
+  const encode = validateEncodeOptions(format, { ...query, quality });
+
+  return { format, quality, output, columns, padding, scale, renderer, encode };
+}
+
+/**
+ * Sprite sheet with a TexturePacker-compatible frame map
+ * @param {Object} context - { renderPool, cache, outputCache }
+ * @param {Buffer|Object} source - TGS file or a loaded animation
+ * @param {Object} query - format, frames | start/end/step, columns, padding, scale, width, height, quality, output, renderer,
+ *   plus the sheet format's encoder options
+ * @param {Function} [onProgress] - (done, total) after each rendered frame
+ * @returns {Promise<{ body: Buffer|Object, contentType: string, headers: Object }>}
+ *   body is the JSON response object unless output=image
+ */
+export async function convertSpriteSheet(context, source, query, onProgress) {
+  const loaded = loadAnimation(source);
+  const { metadata } = loaded;
+
+  const { format, quality, output, columns, padding, scale, renderer, encode } = parseSpriteSheetOptions(query);
+
+  // Cell size: explicit width/height, otherwise the animation size times scale
+  const width = parseInt(query.width || '0') || Math.max(1, Math.round(metadata.width * scale));
+  const height = parseInt(query.height || '0') || Math.max(1, Math.round(metadata.height * scale));
+  validateDimensions(width, height);
+
+  // Explicit frame list, or a start/end/step range
+  const step = query.frames ? undefined : parseInt(query.step || '1');
+  const frames = query.frames
+    ? validateFrameList(query.frames, metadata.totalFrames)
+    : validateFrameRange(
+      parseInt(query.start || '0'),
+      parseInt(query.end || String(metadata.totalFrames - 1)),
+      step,
+      metadata.totalFrames
+    );
+
+  // Fail on oversized sheets before rendering anything
+  const layout = layoutGrid(frames.length, width, height, { columns, padding });
+
+  return withOutputCache(context, loaded.slug, { type: 'spritesheet', format, quality, output, width, height, frames, columns, padding, scale, renderer, encode }, async () => {
+    const results = await withCachedAnimation(context.cache, loaded, data =>
+      context.renderPool.renderFrames(data, frames, { format: 'raw', quality, width, height, renderer, priority: 'bulk', signal: context.signal }, onProgress)
+    );
+
+    const sheet = composeSheet(results.map(r => r.buffer), layout);
+    // Sheets are large and fetched once: compress PNG harder unless asked otherwise
+    const image = await encodeImage(sheet, layout.width, layout.height, format, { quality, effort: format === 'png' ? 9 : undefined, ...encode });
+
+    if (output === 'image') {
+      return {
+        body: image,
+        contentType: imageContentType(format),
+        headers: {
+          'X-Rendered-Frames': frames.length,
+          'X-Sheet-Columns': layout.columns,
+          'X-Sheet-Rows': layout.rows,
+          'X-Frame-Width': width,
+          'X-Frame-Height': height,
+          'X-Padding': padding,
+          'X-Renderer': results[0].renderer
+        }
+      };
+    }
+
+    return {
+      body: {
+        image: image.toString('base64'),
+        format,
+        width: layout.width,
+        height: layout.height,
+        size: image.length,
+        frameMap: buildFrameMap(layout, frames, {
+          image: `spritesheet.${imageExtension(format)}`,
+          format,
+          frameRate: metadata.frameRate,
+          scale,
+          step
+        }),
+        totalFrames: metadata.totalFrames
+      },
+      contentType: 'application/json',
+      headers: {}
+    };
+  });
+}
+
+/**
+ * Parse and validate the video options that don't depend on the animation
+ * (size and frame rate do, and the Telegram preset rescales them)
+ */
+function parseVideoOptions(query) {
+  const preset = query.preset;
+  const format = preset === 'telegram' ? TELEGRAM_PRESET.format : (query.format || 'webm');
+  const background = validateColor(query.background || '#ffffff');
+  const bitrate = parseInt(query.bitrate || '0') || undefined;
+  const renderer = parseRenderer(query.renderer);
+
+  validateVideoFormat(format, preset);
+
+  return { preset, format, background, bitrate, renderer };
+}
+
+/**
+ * WebM (VP9 + alpha) or MP4 video, optionally with the Telegram preset
+ * @param {Object} context - { renderPool, cache, outputCache }
+ * @param {Buffer|Object} source - TGS file or a loaded animation
+ * @param {Object} query - format, preset, background, bitrate, width, height, fps, renderer
+ * @param {Function} [onProgress] - (done, total) after each rendered frame
+ * @returns {Promise<{ body: Buffer, contentType: string, headers: Object }>}
+ */
+export async function convertVideo(context, source, query, onProgress) {
+  const loaded = loadAnimation(source);
+  const { metadata } = loaded;
+
+  const { preset, format, background, bitrate, renderer } = parseVideoOptions(query);
+  let width = parseInt(query.width || '0') || metadata.width;
+  let height = parseInt(query.height || '0') || metadata.height;
+  let fps = parseFloat(query.fps || '0') || metadata.frameRate;
+  let maxDuration = Infinity;
+
+  if (preset === 'telegram') {
+    // One side exactly 512px, the other at most 512px
+    const scale = TELEGRAM_PRESET.maxSide / Math.max(width, height);
+    width = Math.max(1, Math.round(width * scale));
+    height = Math.max(1, Math.round(height * scale));
+    fps = Math.min(fps, TELEGRAM_PRESET.maxFrameRate);
+    maxDuration = TELEGRAM_PRESET.maxDuration;
+  }
+
+  validateDimensions(width, height);
+  validateFrameRate(fps);
+
+  const frames = sampleFrames(metadata.totalFrames, metadata.frameRate, fps, maxDuration);
+
+  const options = { type: 'video', format, preset, background, bitrate, width, height, fps, frames, renderer };
+
+  return withOutputCache(context, loaded.slug, options, async () => {
+    const { video, withinLimit } = await withCachedAnimation(context.cache, loaded, async (data) => {
+      let done = 0;
+
+      const encodeOptions = {
+        format,
+        width,
+        height,
+        frameRate: fps,
+        frameCount: frames.length,
+        background,
+        bitrate,
+        concurrency: context.renderPool.poolSize * 2,
+        signal: context.signal,
+        renderFrame: async (index, signal) => {
+          // Size-limited presets re-render on retries; report the latest pass
+          if (index === 0) done = 0;
+          const result = await context.renderPool.renderFrame(data, frames[index], { format: 'raw', width, height, renderer, priority: 'bulk', signal });
+          done++;
+          if (onProgress) onProgress(done, frames.length);
+          return result.buffer;
+        }
+      };
+
+      if (preset === 'telegram') {
+        return encodeVideoWithinSize(encodeOptions, TELEGRAM_PRESET.maxBytes);
+      }
+      return { video: await encodeVideo(encodeOptions), withinLimit: true };
+    });
+
+    const headers = {
+      'X-Total-Frames': metadata.totalFrames,
+      'X-Rendered-Frames': frames.length,
+      'X-Frame-Rate': fps,
+      'X-Video-Duration': (frames.length / fps).toFixed(3),
+      'X-Video-Size': video.length
+    };
+
+    if (preset) {
+      headers['X-Preset'] = preset;
+      headers['X-Size-Limit-Met'] = withinLimit ? 'true' : 'false';
+    }
+
+    return { body: video, contentType: videoContentType(format), headers };
+  });
+}
+
+/**
+ * Shrink a TGS file, checking rendered frames against the original
+ * Precision is raised step by step until the frames match within tolerance;
+ * if none does, only the recompressed original is returned
+ * @param {Object} context - { renderPool, cache, outputCache }
+ * @param {Buffer} source - TGS file
+ * @param {Object} query - precision, tolerance (mean per-channel difference, 0-255),
+ *   maxTolerance (largest single difference, 0-255), output (json | tgs), renderer
+ * @returns {Promise<{ body: Buffer|Object, contentType: string, headers: Object }>}
+ *   body is the JSON report (with the file as base64) unless output=tgs
+ */
+export async function optimizeSticker(context, source, query) {
+  const loaded = loadAnimation(source);
+  const { metadata } = loaded;
+
+  const precision = parseInt(query.precision || String(DEFAULT_PRECISION));
+  const tolerance = parseFloat(query.tolerance || '1');
+  const maxTolerance = parseFloat(query.maxTolerance || String(DEFAULT_MAX_TOLERANCE));
+  const output = query.output || 'json';
+  const renderer = parseRenderer(query.renderer);
+
+  validateOptimizeOptions({ precision, tolerance, maxTolerance, output });
+
+  return withOutputCache(context, loaded.slug, { type: 'optimize', precision, tolerance, maxTolerance, output, renderer }, async () => {
+    // Compare a spread of frames at a reduced size
+    const count = Math.min(OPTIMIZE_VERIFY_FRAMES, metadata.totalFrames);
+    const frames = [...new Set(Array.from({ length: count }, (_, i) =>
+      Math.round(i * (metadata.totalFrames - 1) / Math.max(1, count - 1))
+    ))];
+    const scale = Math.min(1, OPTIMIZE_VERIFY_SIZE / Math.max(metadata.width, metadata.height));
+    const renderOptions = {
+      format: 'raw',
+      width: Math.max(1, Math.round(metadata.width * scale)),
+      height: Math.max(1, Math.round(metadata.height * scale)),
+      renderer,
+      priority: 'bulk',
+      signal: context.signal
+    };
+
+    const reference = await withCachedAnimation(context.cache, loaded, data =>
+      context.renderPool.renderFrames(data, frames, renderOptions)
+    );
+
+    let best = null;
+    let verification = null;
+
+    for (let digits = precision; digits <= MAX_PRECISION && !best; digits++) {
+      const candidate = optimizeAnimation(loaded.animationData, { precision: digits });
+      const results = await context.renderPool.renderFrames(candidate.animationData, frames, renderOptions);
+      const diffs = results.map((result, i) => compareFrames(reference[i].buffer, result.buffer));
+
+      verification = {
+        renderer: reference[0].renderer,
+        frames: frames.length,
+        width: renderOptions.width,
+        height: renderOptions.height,
+        tolerance,
+        maxTolerance,
+        meanDifference: Math.max(...diffs.map(diff => diff.meanDifference)),
+        maxDifference: Math.max(...diffs.map(diff => diff.maxDifference))
+      };
+
+      // A low mean alone would pass a small but visible change (a moved eye)
+      if (verification.meanDifference <= tolerance && verification.maxDifference <= maxTolerance) {
+        best = { ...candidate, body: compressTgs(candidate.animationData) };
+      }
+    }
+
+    // Keep whichever is smallest: the optimized file, the recompressed original or the upload itself
+    let fallback = null;
+    let body = best?.body;
+
+    if (!best) {
+      fallback = 'recompressed';
+      body = compressTgs(loaded.animationData);
+    }
+    if (body.length >= source.length) {
+      fallback = 'original';
+      body = source;
+    }
+
+    const report = {
+      originalSize: source.length,
+      optimizedSize: body.length,
+      saved: source.length - body.length,
+      savedPercent: Number(((source.length - body.length) / source.length * 100).toFixed(2)),
+      withinTelegramLimit: body.length <= TELEGRAM_STICKER_SPEC.maxSize,
+      fallback,
+      precision: fallback ? null : best.stats.precision,
+      removed: fallback ? null : {
+        hiddenLayers: best.stats.hiddenLayers,
+        hiddenShapes: best.stats.hiddenShapes,
+        unusedAssets: best.stats.unusedAssets,
+        metadataFields: best.stats.metadataFields,
+        keyframesMerged: best.stats.keyframesMerged,
+        propertiesMadeStatic: best.stats.propertiesMadeStatic
+      },
+      verification: { ...verification, passed: !!best }
+    };
+
+    if (output === 'tgs') {
+      return {
+        body,
+        contentType: 'application/x-tgsticker',
+        headers: {
+          'X-Original-Size': report.originalSize,
+          'X-Optimized-Size': report.optimizedSize,
+          'X-Size-Limit-Met': report.withinTelegramLimit ? 'true' : 'false',
+          'X-Precision': report.precision ?? 'none',
+          'X-Mean-Difference': verification.meanDifference.toFixed(3)
+        }
+      };
+    }
+
+    return {
+      body: { ...report, data: body.toString('base64') },
+      contentType: 'application/json',
+      headers: {}
+    };
+  });
+}
+
+/**
+ * Extract the Lottie JSON of a TGS file for editing tools
+ * @param {Object} context - { outputCache }
+ * @param {Buffer} source - TGS file (or Lottie JSON)
+ * @param {Object} query - pretty (indent the output)
+ * @returns {Promise<{ body: Buffer, contentType: string, headers: Object }>}
+ */
+export async function exportLottieJson(context, source, query) {
+  const loaded = loadAnimation(source);
+  const pretty = query.pretty === 'true' || query.pretty === '1';
+
+  return withOutputCache(context, loaded.slug, { type: 'json', pretty }, async () => ({
+    body: Buffer.from(JSON.stringify(loaded.animationData, null, pretty ? 2 : undefined)),
+    contentType: 'application/json',
+    headers: {}
+  }));
+}
+
+/**
+ * Package Lottie JSON as a TGS file: sets the `tgs` flag, gzips at the
+ * maximum level and checks the result against the Telegram sticker spec
+ * @param {Object} context - { outputCache }
+ * @param {Buffer} source - Lottie JSON (or a TGS file to repack)
+ * @param {Object} query - strict (fail on spec violations), output (tgs | json)
+ * @returns {Promise<{ body: Buffer|Object, contentType: string, headers: Object }>}
+ *   body is the JSON report (with the file as base64) when output=json
+ */
+export async function packSticker(context, source, query) {
+  const loaded = loadAnimation(source);
+  const strict = query.strict === 'true' || query.strict === '1';
+  const output = query.output || 'tgs';
+
+  validatePackOptions({ output });
+
+  const body = compressTgs({ ...loaded.animationData, tgs: 1 });
+  const { valid, violations, details } = validateTelegramSticker(body);
+
+  if (strict && !valid) {
+    const error = new Error('Packed sticker does not meet the Telegram sticker spec');
+    error.statusCode = 422;
+    error.violations = violations;
+    throw error;
+  }
+
+  return withOutputCache(context, loaded.slug, { type: 'pack', output }, async () => {
+    if (output === 'json') {
+      return {
+        body: { valid, violations, details, data: body.toString('base64') },
+        contentType: 'application/json',
+        headers: {}
+      };
+    }
+
+    return {
+      body,
+      contentType: 'application/x-tgsticker',
+      headers: {
+        'X-Spec-Valid': valid ? 'true' : 'false',
+        'X-Spec-Violations': violations.length,
+        'X-Packed-Size': body.length
+      }
+    };
+  });
+}
+
+/**
+ * Check the options of a job before it is queued, so that bad options fail
+ * the submission (400) rather than the job
+ * Checks against the animation itself (frame ranges past its end) still
+ * happen when the job runs.
+ * @param {string} type - Job type: animated, spritesheet, video or batch
+ * @param {Object} query - The conversion's query options
+ */
+export function validateJobOptions(type, query) {
+  switch (type) {
+    case 'animated':
+      parseAnimatedOptions(query);
+      break;
+    case 'spritesheet':
+      parseSpriteSheetOptions(query);
+      break;
+    case 'video':
+      parseVideoOptions(query);
+      return;
+    case 'batch':
+      parseBatchOptions(query);
+      return;
+    default:
+      return;
+  }
+
+  // Explicit size and frame range of animated images and sprite sheets
+  const width = parseInt(query.width || '0');
+  const height = parseInt(query.height || '0');
+  if (width || height) validateDimensions(width || 1, height || 1);
+
+  if (type === 'spritesheet' && query.frames) {
+    validateFrameList(query.frames, Infinity);
+    return;
+  }
+  const start = parseInt(query.start || '0');
+  validateFrameNumber(start, Infinity);
+  if (query.end !== undefined) validateFrameNumber(parseInt(query.end), Infinity);
+  if (query.step !== undefined) validateFrameRange(start, start, parseInt(query.step), Infinity);
+}
+
+/**
+ * Parse and validate the options shared by every file of a batch
+ * Width/height of 0 mean "each file's own size"
+ */
+export function parseBatchOptions(query) {
+  const options = {
+    frame: parseInt(query.frame || '0'),
+    format: normalizeFormat(query.format || 'png'),
+    quality: parseInt(query.quality || '90'),
+    width: parseInt(query.width || '0'),
+    height: parseInt(query.height || '0'),
+    renderer: parseRenderer(query.renderer),
+    recolor: normalizeRecolor(query),
+    layout: normalizeLayout(query)
+  };
+
+  validateFormat(options.format);
+  options.encode = validateEncodeOptions(options.format, { ...query, quality: options.quality, background: options.layout?.background });
+  validateSvgRenderer(options.format, options.renderer);
+  if (options.width || options.height) validateDimensions(options.width || 1, options.height || 1);
+
+  return options;
+}
+
+/**
+ * Add an uploaded file to a batch, expanding ZIP archives into their .tgs and .json entries
+ * @param {Array} inputs - Batch inputs ({ name, read }) to append to
+ * @param {string} name - Uploaded file name
+ * @param {Buffer} buffer - Uploaded file
+ */
+export function addBatchInput(inputs, name, buffer) {
+  if (isZip(buffer)) {
+    const entries = readZip(buffer, { maxEntries: MAX_BATCH_FILES, maxEntrySize: MAX_FILE_SIZE })
+      .filter(entry => STICKER_EXTENSIONS.test(entry.name) && !entry.name.startsWith('__MACOSX/'));
+    inputs.push(...entries.map(entry => ({ name: entry.name, read: () => entry.read() })));
+  } else {
+    inputs.push({ name: name || `file${inputs.length + 1}.tgs`, read: () => buffer });
+  }
+
+  if (inputs.length > MAX_BATCH_FILES) {
+    throw new Error(`Batch too large: more than ${MAX_BATCH_FILES} files`);
+  }
+}
+
+/**
+ * Convert a batch into a ZIP of images plus manifest.json
+ * Files are added to the archive as they finish; a failing file is recorded
+ * in the manifest instead of failing the batch
+ * @param {Object} context - { renderPool, cache, outputCache }
+ * @param {Array} inputs - Batch inputs from addBatchInput
+ * @param {Object} options - Result of parseBatchOptions
+ * @param {Object} target
+ * @param {ZipWriter} target.zip - Archive to write to (finished on success)
+ * @param {Function} [target.isAborted] - Stop early when this returns true
+ * @param {Function} [target.onProgress] - (done, total) after each file
+ * @returns {Promise<Object|null>} Manifest, or null when aborted
+ */
+export async function convertBatch(context, inputs, options, { zip, isAborted = () => false, onProgress }) {
+  const startTime = Date.now();
+  const { frame, format, width, height, layout, encode } = options;
+  const extension = imageExtension(format, encode);
+  const usedNames = new Set();
+  const manifest = [];
+  let done = 0;
+
+  const outputName = (inputName) => {
+    const base = inputName.split('/').pop().replace(STICKER_EXTENSIONS, '') || 'sticker';
+    let name = `${base}.${extension}`;
+    for (let n = 2; usedNames.has(name); n++) name = `${base}_${n}.${extension}`;
+    usedNames.add(name);
+    return name;
+  };
+
+  const convert = async (input, index) => {
+    const fileStart = Date.now();
+    const entry = { name: input.name, status: 'ok' };
+
+    try {
+      const loaded = loadAnimation(input.read());
+      const { metadata } = loaded;
+      const finalWidth = width || metadata.width;
+      const finalHeight = height || metadata.height;
+
+      validateFrameNumber(frame, metadata.totalFrames);
+      const canvas = validateCanvas(finalWidth, finalHeight, layout, metadata);
+
+      const result = await renderStill(context, loaded, { ...options, width: finalWidth, height: finalHeight, priority: 'bulk' });
+
+      entry.output = outputName(input.name);
+      entry.frame = frame;
+      entry.totalFrames = metadata.totalFrames;
+      entry.frameRate = metadata.frameRate;
+      entry.width = canvas.width;
+      entry.height = canvas.height;
+      entry.size = result.body.length;
+      entry.renderer = result.headers['X-Renderer'];
+
+      if (!isAborted() && !zip.addFile(entry.output, result.body)) {
+        // A disconnected client never drains; the stream closes instead.
+        // Whichever comes first removes both listeners, as a large batch
+        // waits here many times on the same stream
+        await new Promise(resolve => {
+          const resume = () => {
+            zip.stream.off('drain', resume);
+            zip.stream.off('close', resume);
+            resolve();
+          };
+          zip.stream.on('drain', resume);
+          zip.stream.on('close', resume);
+        });
+      }
+    } catch (error) {
+      entry.status = 'error';
+      entry.error = error.message;
+    }
+
+    entry.processingTime = Date.now() - fileStart;
+    manifest[index] = entry;
+
+    done++;
+    if (onProgress) onProgress(done, inputs.length);
+  };
+
+  // Keep every worker busy without queueing the whole batch at once
+  const concurrency = context.renderPool.poolSize * 2;
+  let next = 0;
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, inputs.length) }, async () => {
+    while (next < inputs.length && !isAborted()) {
+      const index = next++;
+      await convert(inputs[index], index);
+    }
+  }));
+
+  if (isAborted()) {
+    zip.stream.destroy();
+    return null;
+  }
+
+  const succeeded = manifest.filter(entry => entry.status === 'ok').length;
+  const summary = {
+    format,
+    frame,
+    total: inputs.length,
+    succeeded,
+    failed: inputs.length - succeeded,
+    processingTime: Date.now() - startTime,
+    files: manifest
+  };
+
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(summary, null, 2)));
+  zip.finish();
+
+  return summary;
+}
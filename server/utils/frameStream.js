@@ -0,0 +1,129 @@
+/**
+ * Frame-by-frame HTTP streaming
+ * Frames are written as Server-Sent Events (JSON with a base64 image) or as
+ * multipart/x-mixed-replace parts, which an <img> tag plays directly
+ */
+
+import { Readable } from 'stream';
+
+/**
+ * Readable stream of encoded frames
+ * writeFrame resolves once the client has room for more, so a producer
+ * awaiting it renders no faster than the connection drains. Destroying the
+ * stream (e.g. the client disconnected) aborts `signal`.
+ */
+export class FrameStream extends Readable {
+  /**
+   * @param {Object} options
+   * @param {string} options.transport - sse | multipart
+   * @param {string} options.contentType - MIME type of the frames
+   * @param {string} [options.boundary] - Multipart boundary
+   */
+  constructor({ transport, contentType, boundary }) {
+    super();
+    this.transport = transport;
+    this.frameContentType = contentType;
+    this.boundary = boundary;
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+    this.waiting = null;
+  }
+
+  /**
+   * Content-Type of the response
+   */
+  get contentType() {
+    return this.transport === 'sse'
+      ? 'text/event-stream; charset=utf-8'
+      : `multipart/x-mixed-replace; boundary=${this.boundary}`;
+  }
+
+  _read() {
+    const waiting = this.waiting;
+    this.waiting = null;
+    waiting?.();
+  }
+
+  _destroy(error, callback) {
+    this.controller.abort();
+    this._read();
+    callback(error);
+  }
+
+  /**
+   * Push a chunk, waiting while the client's buffer is full
+   */
+  async send(chunk) {
+    if (this.destroyed) return;
+    if (!this.push(chunk)) {
+      await new Promise(resolve => {
+        this.waiting = resolve;
+      });
+    }
+  }
+
+  /**
+   * Send the stream's metadata (SSE only, multipart has no room for it)
+   */
+  async writeStart(info) {
+    if (this.transport === 'sse') await this.send(sseEvent('start', info));
+  }
+
+  /**
+   * Send one frame
+   * @param {Buffer} image - Encoded frame
+   * @param {Object} info - Frame metadata (index, frame, time, delay, renderTime, ...)
+   */
+  async writeFrame(image, info) {
+    if (this.transport === 'sse') {
+      await this.send(sseEvent('frame', { ...info, image: image.toString('base64') }, info.index));
+      return;
+    }
+
+    await this.send(Buffer.concat([
+      Buffer.from(
+        `--${this.boundary}\r\n` +
+        `Content-Type: ${this.frameContentType}\r\n` +
+        `Content-Length: ${image.length}\r\n` +
+        `X-Frame-Index: ${info.index}\r\n` +
+        `X-Frame-Number: ${info.frame}\r\n` +
+        `X-Frame-Time: ${info.time}\r\n` +
+        `X-Frame-Delay: ${info.delay}\r\n` +
+        `X-Render-Time: ${info.renderTime}\r\n\r\n`
+      ),
+      image,
+      Buffer.from('\r\n')
+    ]));
+  }
+
+  /**
+   * End the stream after the last frame
+   */
+  finish(info) {
+    if (this.destroyed) return;
+    this.push(this.transport === 'sse' ? sseEvent('end', info) : `--${this.boundary}--\r\n`);
+    this.push(null);
+  }
+
+  /**
+   * End the stream after a failed render
+   * SSE clients get an `error` event; multipart responses are cut off, as
+   * there is no part type to report errors in
+   */
+  fail(error) {
+    if (this.destroyed) return;
+    if (this.transport !== 'sse') {
+      this.destroy(error);
+      return;
+    }
+    this.push(sseEvent('error', { error: 'Conversion failed', message: error.message }));
+    this.push(null);
+  }
+}
+
+/**
+ * One Server-Sent Event
+ */
+function sseEvent(event, data, id) {
+  return (id !== undefined ? `id: ${id}\n` : '') + `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
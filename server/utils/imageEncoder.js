@@ -0,0 +1,98 @@
+/**
+ * Still image encoding shared by every render path
+ * Turns straight RGBA pixels into PNG, WebP, AVIF, JPEG or raw RGBA/BGRA with
+ * the format-specific options from validateEncodeOptions
+ */
+
+import sharp from 'sharp';
+
+const FORMAT_ALIASES = { jpg: 'jpeg' };
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  svg: 'image/svg+xml',
+  raw: 'application/octet-stream'
+};
+
+/**
+ * Canonical format name (jpg => jpeg)
+ */
+export function normalizeFormat(format) {
+  return FORMAT_ALIASES[format] || format;
+}
+
+/**
+ * MIME type of a still format
+ */
+export function imageContentType(format) {
+  return CONTENT_TYPES[format] || `image/${format}`;
+}
+
+/**
+ * File extension of a still format (raw buffers are named after their pixel format)
+ */
+export function imageExtension(format, encode = {}) {
+  if (format === 'raw') return encode.pixelFormat || 'rgba';
+  if (format === 'jpeg') return 'jpg';
+  return format;
+}
+
+/**
+ * Response headers describing a raw buffer, empty for encoded formats
+ */
+export function rawImageHeaders(format, width, height, encode = {}) {
+  if (format !== 'raw') return {};
+  return {
+    'X-Pixel-Format': encode.pixelFormat || 'rgba',
+    'X-Image-Width': width,
+    'X-Image-Height': height
+  };
+}
+
+/**
+ * Encode straight RGBA pixels
+ * @param {Buffer} rgba - width * height * 4 bytes
+ * @param {number} width
+ * @param {number} height
+ * @param {string} format - png, webp, avif, jpeg, gif or raw
+ * @param {Object} [options] - quality plus the result of validateEncodeOptions
+ * @returns {Promise<Buffer>}
+ */
+export async function encodeImage(rgba, width, height, format, options = {}) {
+  const { quality = 90, effort, lossless, chromaSubsampling, palette, pixelFormat } = options;
+
+  if (format === 'raw') {
+    if (pixelFormat !== 'bgra') return rgba;
+
+    const bgra = Buffer.from(rgba);
+    for (let i = 0; i < bgra.length; i += 4) {
+      bgra[i] = rgba[i + 2];
+      bgra[i + 2] = rgba[i];
+    }
+    return bgra;
+  }
+
+  const image = sharp(rgba, { raw: { width, height, channels: 4 } });
+
+  switch (format) {
+    case 'webp':
+      return image.webp({ quality, alphaQuality: 100, effort, lossless }).toBuffer();
+    case 'avif':
+      return image.avif({ quality, effort, lossless, chromaSubsampling }).toBuffer();
+    case 'jpeg':
+      // The canvas is opaque (validateEncodeOptions requires a background)
+      return image.flatten().jpeg({ quality, chromaSubsampling, mozjpeg: true }).toBuffer();
+    case 'gif':
+      // Single-frame GIF, muxed into an animation by the pool's caller
+      return image.gif().toBuffer();
+    default:
+      return image.png({
+        compressionLevel: effort ?? 6,
+        ...(palette && { palette: true, colours: palette, quality })
+      }).toBuffer();
+  }
+}
@@ -0,0 +1,294 @@
+/**
+ * Animation introspection for /info
+ * Describes the layer tree, precomps, assets, Lottie features and keyframes of
+ * an animation with a fixed schema (bump INFO_SCHEMA_VERSION on changes)
+ */
+
+import { isAnimated, countKeyframes } from './keyframes.js';
+import { getMetadata } from './tgsParser.js';
+
+export const INFO_SCHEMA_VERSION = 1;
+
+const LAYER_TYPES = {
+  0: 'precomp',
+  1: 'solid',
+  2: 'image',
+  3: 'null',
+  4: 'shape',
+  5: 'text',
+  6: 'audio',
+  13: 'camera'
+};
+
+const MATTE_MODES = { 1: 'alpha', 2: 'alpha-inverted', 3: 'luma', 4: 'luma-inverted' };
+
+const MASK_MODES = { n: 'none', a: 'add', s: 'subtract', i: 'intersect', l: 'lighten', d: 'darken', f: 'difference' };
+
+// Feature => weight in the complexity score (per occurrence)
+const COMPLEXITY_WEIGHTS = {
+  shapes: 1,
+  gradients: 2,
+  trimPaths: 2,
+  masks: 3,
+  mattes: 4,
+  repeaters: 5,
+  mergePaths: 3,
+  precompInstances: 3,
+  expressions: 5,
+  keyframes: 0.05
+};
+
+const COMPLEXITY_LEVELS = [[50, 'low'], [200, 'medium'], [Infinity, 'high']];
+
+/**
+ * Counters shared by the whole walk
+ */
+function createStats() {
+  return {
+    features: {
+      masks: 0,
+      mattes: 0,
+      gradients: 0,
+      trimPaths: 0,
+      repeaters: 0,
+      mergePaths: 0,
+      expressions: 0,
+      text: 0,
+      images: 0,
+      threeD: 0,
+      timeRemap: 0,
+      effects: 0
+    },
+    shapes: 0,
+    precompInstances: 0,
+    keyframes: { total: 0, animatedProperties: 0, staticProperties: 0 }
+  };
+}
+
+/**
+ * Count keyframes and expressions in any part of a layer
+ */
+function walkProperties(value, stats) {
+  if (Array.isArray(value)) {
+    for (const item of value) walkProperties(item, stats);
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+
+  // Property objects: { a, k } (x holds an expression)
+  if ('k' in value && ('a' in value || 'ix' in value)) {
+    if (isAnimated(value)) {
+      stats.keyframes.animatedProperties++;
+      stats.keyframes.total += countKeyframes(value);
+    } else {
+      stats.keyframes.staticProperties++;
+    }
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    if (key === 'x' && typeof child === 'string') stats.features.expressions++;
+    else walkProperties(child, stats);
+  }
+}
+
+/**
+ * Count shape items and shape-level features (groups are walked recursively)
+ * @returns {number} Shape items in this list
+ */
+function walkShapes(items, stats) {
+  if (!Array.isArray(items)) return 0;
+  let count = 0;
+
+  for (const item of items) {
+    if (!item || typeof item !== 'object') continue;
+    count++;
+
+    switch (item.ty) {
+      case 'gf':
+      case 'gs':
+        stats.features.gradients++;
+        break;
+      case 'tm':
+        stats.features.trimPaths++;
+        break;
+      case 'rp':
+        stats.features.repeaters++;
+        break;
+      case 'mm':
+        stats.features.mergePaths++;
+        break;
+      case 'gr':
+        count += walkShapes(item.it, stats);
+        break;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Describe a layer list as a parenting tree
+ * @param {Array} layers - Lottie layers
+ * @param {string} path - JSON path of the list
+ * @param {Object} stats - Shared counters
+ * @param {Array} references - Collected precomp references
+ */
+function describeLayers(layers, path, stats, references) {
+  if (!Array.isArray(layers)) return [];
+
+  const nodes = layers.map((layer, i) => {
+    const layerPath = `${path}[${i}]`;
+    const masks = Array.isArray(layer.masksProperties) ? layer.masksProperties : [];
+    const shapes = walkShapes(layer.shapes, stats);
+    const before = stats.keyframes.total;
+
+    walkProperties(layer, stats);
+
+    stats.shapes += shapes;
+    stats.features.masks += masks.length;
+    if (layer.tt) stats.features.mattes++;
+    if (layer.ty === 5) stats.features.text++;
+    if (layer.ty === 2) stats.features.images++;
+    if (layer.ddd === 1) stats.features.threeD++;
+    if (layer.tm) stats.features.timeRemap++;
+    if (Array.isArray(layer.ef) && layer.ef.length > 0) stats.features.effects++;
+
+    if (layer.ty === 0) {
+      stats.precompInstances++;
+      references.push({ path: layerPath, refId: layer.refId ?? null });
+    }
+
+    return {
+      index: layer.ind ?? null,
+      path: layerPath,
+      name: layer.nm ?? null,
+      type: layer.ty ?? null,
+      typeName: LAYER_TYPES[layer.ty] || 'unknown',
+      inPoint: layer.ip ?? null,
+      outPoint: layer.op ?? null,
+      startTime: layer.st ?? 0,
+      parent: layer.parent ?? null,
+      refId: layer.ty === 0 ? layer.refId ?? null : null,
+      hidden: !!layer.hd,
+      threeD: layer.ddd === 1,
+      matte: layer.tt ? MATTE_MODES[layer.tt] || 'unknown' : null,
+      isMatteSource: layer.td === 1,
+      masks: masks.map(mask => MASK_MODES[mask?.mode] || 'unknown'),
+      shapes,
+      keyframes: stats.keyframes.total - before,
+      children: []
+    };
+  });
+
+  // Nest children under their parent (`parent` refers to another layer's `ind`)
+  const byIndex = new Map(nodes.filter(node => node.index !== null).map(node => [node.index, node]));
+  const roots = [];
+
+  for (const node of nodes) {
+    const parent = node.parent !== null ? byIndex.get(node.parent) : null;
+    if (parent && parent !== node) parent.children.push(node);
+    else roots.push(node);
+  }
+
+  return roots;
+}
+
+/**
+ * Describe an animation
+ * @param {Object} animationData - Parsed Lottie JSON
+ * @returns {Object} Introspection report (schema version INFO_SCHEMA_VERSION)
+ */
+export function inspectAnimation(animationData) {
+  const stats = createStats();
+  const references = [];
+  const assets = Array.isArray(animationData.assets) ? animationData.assets : [];
+
+  const layerTree = describeLayers(animationData.layers, '$.layers', stats, references);
+
+  const precomps = [];
+  const images = [];
+
+  assets.forEach((asset, i) => {
+    if (!asset || typeof asset !== 'object') return;
+
+    if (Array.isArray(asset.layers)) {
+      precomps.push({
+        id: asset.id ?? null,
+        path: `$.assets[${i}]`,
+        name: asset.nm ?? null,
+        layerTree: describeLayers(asset.layers, `$.assets[${i}].layers`, stats, references)
+      });
+    } else {
+      stats.features.images++;
+      images.push({
+        id: asset.id ?? null,
+        path: `$.assets[${i}]`,
+        file: asset.p ?? null,
+        embedded: typeof asset.p === 'string' && asset.p.startsWith('data:'),
+        width: asset.w ?? null,
+        height: asset.h ?? null
+      });
+    }
+  });
+
+  const precompIds = new Set(precomps.map(precomp => precomp.id));
+  const fonts = Array.isArray(animationData.fonts?.list) ? animationData.fonts.list : [];
+  const chars = Array.isArray(animationData.chars) ? animationData.chars : [];
+
+  const factors = {
+    shapes: stats.shapes,
+    gradients: stats.features.gradients,
+    trimPaths: stats.features.trimPaths,
+    masks: stats.features.masks,
+    mattes: stats.features.mattes,
+    repeaters: stats.features.repeaters,
+    mergePaths: stats.features.mergePaths,
+    precompInstances: stats.precompInstances,
+    expressions: stats.features.expressions,
+    keyframes: stats.keyframes.total
+  };
+  const score = Math.round(Object.entries(factors)
+    .reduce((sum, [name, count]) => sum + count * COMPLEXITY_WEIGHTS[name], 0));
+
+  const metadata = getMetadata(animationData);
+
+  return {
+    schemaVersion: INFO_SCHEMA_VERSION,
+    width: metadata.width,
+    height: metadata.height,
+    totalFrames: metadata.totalFrames,
+    frameRate: metadata.frameRate,
+    duration: metadata.totalFrames / metadata.frameRate,
+    inPoint: animationData.ip ?? 0,
+    outPoint: animationData.op ?? null,
+    version: animationData.v ?? null,
+    name: animationData.nm || 'untitled',
+    tgs: animationData.tgs === 1,
+    layers: Array.isArray(animationData.layers) ? animationData.layers.length : 0,
+    assets: assets.length,
+    layerTree,
+    precomps,
+    precompReferences: references.map(ref => ({ ...ref, resolved: precompIds.has(ref.refId) })),
+    images,
+    features: {
+      used: Object.keys(stats.features).filter(name => stats.features[name] > 0),
+      counts: stats.features
+    },
+    text: {
+      layers: stats.features.text,
+      fonts: fonts.map(font => ({
+        name: font.fName ?? null,
+        family: font.fFamily ?? null,
+        style: font.fStyle ?? null,
+        origin: font.origin ?? null
+      })),
+      glyphs: chars.length
+    },
+    keyframes: stats.keyframes,
+    complexity: {
+      score,
+      level: COMPLEXITY_LEVELS.find(([max]) => score < max)[1],
+      factors
+    }
+  };
+}
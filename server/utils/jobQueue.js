@@ -0,0 +1,419 @@
+/**
+ * Asynchronous job queue for long conversions
+ * Jobs are persisted to a local directory (one folder per job holding
+ * job.json, the uploaded inputs and the result) so queued and running jobs
+ * are picked up again after a restart
+ */
+
+import { randomUUID } from 'crypto';
+import { mkdir, readdir, readFile, writeFile, rename, rm, open } from 'fs/promises';
+import { join } from 'path';
+import { validateWebhookUrl } from './validators.js';
+
+const WEBHOOK_TIMEOUT = 10000;
+const WEBHOOK_ATTEMPTS = 3;
+const PROGRESS_PERSIST_INTERVAL = 1000;
+const JOB_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+export const JOB_STATES = ['queued', 'running', 'completed', 'failed'];
+
+/**
+ * Whether a process id belongs to a live process
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+export class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory jobs are stored in
+   * @param {Object<string, Function>} options.runners - Job type => async (files, options, onProgress) => { body, contentType, headers }
+   * @param {number} [options.concurrency=2] - Jobs running at once
+   * @param {number} [options.ttlMs=86400000] - How long finished jobs are kept (24 hours default)
+   * @param {string[]} [options.webhookHosts=[]] - Webhook host allowlist (see validateWebhookUrl)
+   */
+  constructor({ dir, runners, concurrency = 2, ttlMs = 86400000, webhookHosts = [] }) {
+    this.dir = dir;
+    this.runners = runners;
+    this.concurrency = concurrency;
+    this.ttlMs = ttlMs;
+    this.webhookHosts = webhookHosts;
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+    this.completed = 0;
+    this.failed = 0;
+    this.cleanupInterval = null;
+  }
+
+  /**
+   * Create the store and resume jobs left unfinished by a previous process
+   */
+  async initialize() {
+    await mkdir(this.dir, { recursive: true });
+
+    const ids = (await readdir(this.dir)).filter(id => JOB_ID_PATTERN.test(id));
+    let resumed = 0;
+
+    for (const id of ids) {
+      const job = await this.readJob(id);
+      if (!job) continue;
+
+      if (job.state === 'queued' || job.state === 'running') {
+        // Another cluster process may own it
+        if (!(await this.claim(id))) continue;
+
+        job.state = 'queued';
+        job.startedAt = null;
+        job.progress = { done: 0, total: job.progress?.total || 0 };
+        job.restarts = (job.restarts || 0) + 1;
+        this.jobs.set(id, job);
+        this.queue.push(id);
+        await this.persist(job);
+        resumed++;
+      } else if (job.webhook?.status === 'pending' && (await this.claim(id))) {
+        this.jobs.set(id, job);
+        this.notify(job);
+      }
+    }
+
+    this.cleanupInterval = setInterval(() => this.cleanup(), 600000);
+    this.cleanupInterval.unref();
+
+    this.processQueue();
+    return resumed;
+  }
+
+  /**
+   * Take ownership of a job for this process
+   * @returns {Promise<boolean>} false when a live process already owns it
+   */
+  async claim(id) {
+    const lockPath = join(this.dir, id, 'lock');
+
+    try {
+      const owner = parseInt(await readFile(lockPath, 'utf8'));
+      if (owner !== process.pid && isProcessAlive(owner)) return false;
+      await rm(lockPath, { force: true });
+    } catch (e) {
+      // No lock yet
+    }
+
+    try {
+      const handle = await open(lockPath, 'wx');
+      await handle.writeFile(String(process.pid));
+      await handle.close();
+      return true;
+    } catch (e) {
+      // Claimed by another process in the meantime
+      return false;
+    }
+  }
+
+  /**
+   * Queue a new job
+   * @param {string} type - Runner name
+   * @param {Array<{ name: string, buffer: Buffer }>} files - Uploaded inputs
+   * @param {Object} options - Conversion options passed to the runner
+   * @param {string} [webhook] - URL notified on completion or failure
+   * @returns {Promise<Object>} Public job view
+   */
+  async create(type, files, options, webhook) {
+    if (!this.runners[type]) {
+      throw new Error(`Invalid job type: ${type}. Supported: ${Object.keys(this.runners).join(', ')}`);
+    }
+
+    const id = randomUUID();
+    const jobDir = join(this.dir, id);
+    await mkdir(jobDir, { recursive: true });
+
+    await Promise.all(files.map((file, i) => writeFile(join(jobDir, `input-${i}`), file.buffer)));
+
+    const job = {
+      id,
+      type,
+      state: 'queued',
+      options,
+      inputs: files.map(file => file.name),
+      progress: { done: 0, total: 0 },
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      result: null,
+      webhook: webhook ? { url: webhook, status: 'waiting', attempts: 0 } : null,
+      restarts: 0
+    };
+
+    await this.claim(id);
+    await this.persist(job);
+    this.jobs.set(id, job);
+    this.queue.push(id);
+    this.processQueue();
+
+    return this.view(job);
+  }
+
+  /**
+   * Get a job (including jobs owned by other processes sharing the store)
+   * @returns {Promise<Object|null>} Public job view
+   */
+  async get(id) {
+    const job = this.jobs.get(id) || (await this.readJob(id));
+    return job ? this.view(job) : null;
+  }
+
+  /**
+   * Read a finished job's output
+   * @returns {Promise<{ job: Object, body?: Buffer, contentType?: string, headers?: Object }|null>}
+   *   body is only present for completed jobs
+   */
+  async getResult(id) {
+    const job = this.jobs.get(id) || (await this.readJob(id));
+    if (!job) return null;
+    if (job.state !== 'completed') return { job: this.view(job) };
+
+    const body = await readFile(join(this.dir, id, 'result'));
+    return { job: this.view(job), body, contentType: job.result.contentType, headers: job.result.headers };
+  }
+
+  /**
+   * Delete a finished job and its files
+   * @returns {Promise<boolean>} false when the job is still queued/running
+   */
+  async remove(id) {
+    const job = this.jobs.get(id) || (await this.readJob(id));
+    if (!job) return false;
+    if (job.state === 'queued' || job.state === 'running') return false;
+
+    this.jobs.delete(id);
+    await rm(join(this.dir, id), { recursive: true, force: true });
+    return true;
+  }
+
+  /**
+   * Start queued jobs up to the concurrency limit
+   */
+  processQueue() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift());
+      if (!job) continue;
+
+      this.running++;
+      this.run(job).finally(() => {
+        this.running--;
+        this.processQueue();
+      });
+    }
+  }
+
+  /**
+   * Run a single job to completion
+   */
+  async run(job) {
+    const jobDir = join(this.dir, job.id);
+
+    job.state = 'running';
+    job.startedAt = new Date().toISOString();
+    await this.persist(job).catch(() => {});
+
+    let lastPersist = Date.now();
+    const onProgress = (done, total) => {
+      job.progress = { done, total };
+      // Keep other processes' view of the progress roughly current
+      if (Date.now() - lastPersist > PROGRESS_PERSIST_INTERVAL) {
+        lastPersist = Date.now();
+        this.persist(job).catch(() => {});
+      }
+    };
+
+    try {
+      const files = await Promise.all(job.inputs.map(async (name, i) => ({
+        name,
+        buffer: await readFile(join(jobDir, `input-${i}`))
+      })));
+
+      const result = await this.runners[job.type](files, job.options, onProgress);
+      const body = Buffer.isBuffer(result.body) ? result.body : Buffer.from(JSON.stringify(result.body));
+
+      await writeFile(join(jobDir, 'result'), body);
+
+      job.state = 'completed';
+      job.result = { contentType: result.contentType, headers: result.headers, size: body.length };
+      this.completed++;
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error);
+      job.state = 'failed';
+      job.error = error.message;
+      this.failed++;
+    }
+
+    job.finishedAt = new Date().toISOString();
+
+    // Inputs are no longer needed once a job has finished
+    await Promise.all(job.inputs.map((name, i) => rm(join(jobDir, `input-${i}`), { force: true })));
+
+    if (job.webhook) job.webhook.status = 'pending';
+    await this.persist(job).catch(error => console.error(`Job ${job.id} could not be saved:`, error));
+
+    if (job.webhook) this.notify(job);
+  }
+
+  /**
+   * POST the job status to its webhook, retrying with backoff
+   */
+  async notify(job) {
+    const payload = JSON.stringify({
+      id: job.id,
+      type: job.type,
+      state: job.state,
+      error: job.error,
+      progress: job.progress,
+      result: job.result ? { contentType: job.result.contentType, size: job.result.size } : null,
+      resultPath: job.state === 'completed' ? `/jobs/${job.id}/result` : null,
+      finishedAt: job.finishedAt
+    });
+
+    // Checked again on delivery: the host may resolve elsewhere by now
+    try {
+      await validateWebhookUrl(job.webhook.url, { allowedHosts: this.webhookHosts });
+    } catch (error) {
+      job.webhook.status = 'failed';
+      job.webhook.lastError = error.message;
+      await this.persist(job).catch(() => {});
+      return;
+    }
+
+    while (job.webhook.attempts < WEBHOOK_ATTEMPTS) {
+      job.webhook.attempts++;
+
+      try {
+        // Redirects aren't followed, as they could lead to a private address
+        const response = await fetch(job.webhook.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'User-Agent': 'tgs-converter' },
+          body: payload,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+        });
+
+        if (response.ok) {
+          job.webhook.status = 'delivered';
+          break;
+        }
+        job.webhook.lastError = `HTTP ${response.status}`;
+      } catch (error) {
+        job.webhook.lastError = error.message;
+      }
+
+      if (job.webhook.attempts < WEBHOOK_ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** job.webhook.attempts));
+      }
+    }
+
+    if (job.webhook.status !== 'delivered') job.webhook.status = 'failed';
+    await this.persist(job).catch(() => {});
+  }
+
+  /**
+   * Remove finished jobs older than the TTL
+   */
+  async cleanup() {
+    const now = Date.now();
+    let ids;
+
+    try {
+      ids = (await readdir(this.dir)).filter(id => JOB_ID_PATTERN.test(id));
+    } catch (e) {
+      return;
+    }
+
+    for (const id of ids) {
+      const job = this.jobs.get(id) || (await this.readJob(id));
+      if (!job || !job.finishedAt) continue;
+      if (job.webhook?.status === 'pending') continue;
+
+      if (now - new Date(job.finishedAt).getTime() > this.ttlMs) {
+        this.jobs.delete(id);
+        await rm(join(this.dir, id), { recursive: true, force: true }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Write job.json atomically
+   */
+  async persist(job) {
+    const path = join(this.dir, job.id, 'job.json');
+    const temp = `${path}.${process.pid}.tmp`;
+    await writeFile(temp, JSON.stringify(job));
+    await rename(temp, path);
+  }
+
+  /**
+   * Load job.json from the store
+   */
+  async readJob(id) {
+    if (!JOB_ID_PATTERN.test(id)) return null;
+
+    try {
+      return JSON.parse(await readFile(join(this.dir, id, 'job.json'), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Public representation of a job
+   */
+  view(job) {
+    const { done, total } = job.progress;
+
+    return {
+      id: job.id,
+      type: job.type,
+      state: job.state,
+      progress: {
+        done,
+        total,
+        percent: job.state === 'completed' ? 100 : total ? Math.floor((done / total) * 100) : 0
+      },
+      options: job.options,
+      inputs: job.inputs.length,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error,
+      result: job.result ? { contentType: job.result.contentType, size: job.result.size } : null,
+      webhook: job.webhook ? { url: job.webhook.url, status: job.webhook.status, attempts: job.webhook.attempts } : null,
+      restarts: job.restarts
+    };
+  }
+
+  /**
+   * Get queue statistics
+   */
+  getStats() {
+    return {
+      queued: this.queue.length,
+      running: this.running,
+      concurrency: this.concurrency,
+      completed: this.completed,
+      failed: this.failed,
+      tracked: this.jobs.size
+    };
+  }
+
+  /**
+   * Stop background cleanup
+   */
+  destroy() {
+    if (this.cleanupInterval) clearInterval(this.cleanupInterval);
+  }
+}
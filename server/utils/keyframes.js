@@ -0,0 +1,274 @@
+/**
+ * Keyframe interpolation engine
+ * Resolves animatable Lottie properties ({ a, k }) at an arbitrary frame,
+ * including bezier easing, hold keyframes, spatial tangents and time remapping
+ */
+
+const NEWTON_ITERATIONS = 4;
+const NEWTON_MIN_SLOPE = 0.001;
+const SUBDIVISION_PRECISION = 0.0000001;
+const SUBDIVISION_MAX_ITERATIONS = 10;
+const SPATIAL_SAMPLES = 64;
+
+const easingCache = new Map();
+const spatialCache = new WeakMap();
+
+/**
+ * Create a cubic-bezier easing function (CSS `cubic-bezier` semantics)
+ * @returns {Function} t (0-1) => eased progress
+ */
+export function createEasing(x1, y1, x2, y2) {
+  if (x1 === y1 && x2 === y2) return t => t;
+
+  const key = `${x1},${y1},${x2},${y2}`;
+  const cached = easingCache.get(key);
+  if (cached) return cached;
+
+  const a = (p1, p2) => 1 - 3 * p2 + 3 * p1;
+  const b = (p1, p2) => 3 * p2 - 6 * p1;
+  const c = p1 => 3 * p1;
+  const bezier = (t, p1, p2) => ((a(p1, p2) * t + b(p1, p2)) * t + c(p1)) * t;
+  const slope = (t, p1, p2) => 3 * a(p1, p2) * t * t + 2 * b(p1, p2) * t + c(p1);
+
+  const solveX = (x) => {
+    // Newton-Raphson, falling back to bisection on flat slopes
+    let t = x;
+    for (let i = 0; i < NEWTON_ITERATIONS; i++) {
+      const s = slope(t, x1, x2);
+      if (Math.abs(s) < NEWTON_MIN_SLOPE) break;
+      const current = bezier(t, x1, x2) - x;
+      t -= current / s;
+    }
+
+    if (t >= 0 && t <= 1 && Math.abs(bezier(t, x1, x2) - x) < 1e-5) return t;
+
+    let lo = 0;
+    let hi = 1;
+    t = x;
+    for (let i = 0; i < SUBDIVISION_MAX_ITERATIONS * 3; i++) {
+      const current = bezier(t, x1, x2) - x;
+      if (Math.abs(current) < SUBDIVISION_PRECISION) break;
+      if (current > 0) hi = t;
+      else lo = t;
+      t = (lo + hi) / 2;
+    }
+    return t;
+  };
+
+  const easing = (x) => {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    return bezier(solveX(x), y1, y2);
+  };
+
+  easingCache.set(key, easing);
+  return easing;
+}
+
+/**
+ * Check whether a `k` value is a keyframe list
+ */
+export function isKeyframed(k) {
+  return Array.isArray(k) && k.length > 0 && typeof k[0] === 'object' && k[0] !== null && 't' in k[0];
+}
+
+/**
+ * Check whether a property is animated
+ */
+export function isAnimated(prop) {
+  return !!prop && typeof prop === 'object' && (prop.a === 1 || isKeyframed(prop.k));
+}
+
+/**
+ * Count the keyframes of a property (0 for static properties)
+ */
+export function countKeyframes(prop) {
+  return isAnimated(prop) && Array.isArray(prop.k) ? prop.k.length : 0;
+}
+
+/**
+ * Interpolate numbers, arrays and bezier shape objects
+ */
+export function lerpValue(from, to, t) {
+  if (typeof from === 'number') {
+    return typeof to === 'number' ? from + (to - from) * t : from;
+  }
+
+  if (Array.isArray(from)) {
+    if (!Array.isArray(to)) return from;
+    return from.map((value, i) => (to[i] === undefined ? value : lerpValue(value, to[i], t)));
+  }
+
+  if (from && typeof from === 'object' && to && typeof to === 'object') {
+    return {
+      ...from,
+      i: lerpValue(from.i, to.i, t),
+      o: lerpValue(from.o, to.o, t),
+      v: lerpValue(from.v, to.v, t)
+    };
+  }
+
+  return from;
+}
+
+/**
+ * Pick the easing handle component for a dimension
+ */
+function handleComponent(handle, axis, dim, fallback) {
+  const value = handle?.[axis];
+  if (Array.isArray(value)) return value[dim] ?? value[0] ?? fallback;
+  return typeof value === 'number' ? value : fallback;
+}
+
+/**
+ * Easing function for one dimension of a keyframe segment
+ */
+function segmentEasing(keyframe, dim) {
+  if (!keyframe.o || !keyframe.i) return t => t;
+
+  return createEasing(
+    handleComponent(keyframe.o, 'x', dim, 0),
+    handleComponent(keyframe.o, 'y', dim, 0),
+    handleComponent(keyframe.i, 'x', dim, 1),
+    handleComponent(keyframe.i, 'y', dim, 1)
+  );
+}
+
+/**
+ * Whether a keyframe segment follows a spatial bezier path
+ */
+function isSpatial(keyframe, from, to) {
+  if (!Array.isArray(keyframe.to) || !Array.isArray(keyframe.ti)) return false;
+  if (!Array.isArray(from) || !Array.isArray(to) || typeof from[0] !== 'number') return false;
+  return keyframe.to.some(v => v !== 0) || keyframe.ti.some(v => v !== 0);
+}
+
+/**
+ * Point on the spatial path of a segment at an arc-length fraction
+ */
+function spatialPoint(keyframe, from, to, fraction) {
+  let table = spatialCache.get(keyframe);
+
+  if (!table) {
+    const dims = from.length;
+    const p1 = from.map((v, i) => v + (keyframe.to[i] || 0));
+    const p2 = to.map((v, i) => v + (keyframe.ti[i] || 0));
+    const points = [];
+    const lengths = [0];
+
+    for (let s = 0; s <= SPATIAL_SAMPLES; s++) {
+      const t = s / SPATIAL_SAMPLES;
+      const mt = 1 - t;
+      const point = [];
+      for (let d = 0; d < dims; d++) {
+        point.push(mt * mt * mt * from[d] + 3 * mt * mt * t * p1[d] + 3 * mt * t * t * p2[d] + t * t * t * (to[d] ?? from[d]));
+      }
+      if (s > 0) {
+        const prev = points[s - 1];
+        lengths.push(lengths[s - 1] + Math.hypot(...point.map((v, d) => v - prev[d])));
+      }
+      points.push(point);
+    }
+
+    table = { points, lengths, total: lengths[SPATIAL_SAMPLES] };
+    spatialCache.set(keyframe, table);
+  }
+
+  if (table.total === 0) return table.points[0].slice();
+
+  const target = Math.max(0, Math.min(1, fraction)) * table.total;
+  let s = 1;
+  while (s < SPATIAL_SAMPLES && table.lengths[s] < target) s++;
+
+  const segment = table.lengths[s] - table.lengths[s - 1];
+  const t = segment > 0 ? (target - table.lengths[s - 1]) / segment : 0;
+  return lerpValue(table.points[s - 1], table.points[s], t);
+}
+
+/**
+ * Resolve a keyframe list at a frame
+ */
+export function interpolateKeyframes(keyframes, frame) {
+  const first = keyframes[0];
+  if (keyframes.length === 1 || frame <= first.t) {
+    return first.s !== undefined ? first.s : first.e;
+  }
+
+  const last = keyframes[keyframes.length - 1];
+  if (frame >= last.t) {
+    // Old exports end with a time-only keyframe; use the previous segment's end value
+    if (last.s !== undefined) return last.s;
+    const previous = keyframes[keyframes.length - 2];
+    return previous.e !== undefined ? previous.e : previous.s;
+  }
+
+  let j = 0;
+  while (j < keyframes.length - 2 && keyframes[j + 1].t <= frame) j++;
+
+  const keyframe = keyframes[j];
+  const next = keyframes[j + 1];
+  const from = keyframe.s;
+  const to = keyframe.e !== undefined ? keyframe.e : next.s !== undefined ? next.s : from;
+
+  if (keyframe.h === 1 || next.t <= keyframe.t) return from;
+
+  const progress = (frame - keyframe.t) / (next.t - keyframe.t);
+
+  if (isSpatial(keyframe, from, to)) {
+    return spatialPoint(keyframe, from, to, segmentEasing(keyframe, 0)(progress));
+  }
+
+  if (Array.isArray(from) && typeof from[0] === 'number') {
+    return from.map((value, dim) => {
+      const target = Array.isArray(to) ? to[dim] : undefined;
+      if (target === undefined) return value;
+      return value + (target - value) * segmentEasing(keyframe, dim)(progress);
+    });
+  }
+
+  return lerpValue(from, to, segmentEasing(keyframe, 0)(progress));
+}
+
+/**
+ * Resolve an animatable property at a frame
+ * @param {Object} prop - Lottie property ({ a, k }) or a raw value
+ * @param {number} frame - Frame in the property's layer time
+ * @param {*} fallback - Value used when the property is missing; a numeric
+ *   fallback also unwraps single-element arrays
+ * @returns {*} Resolved value
+ */
+export function getPropertyValue(prop, frame, fallback) {
+  if (prop === undefined || prop === null) return fallback;
+  if (typeof prop !== 'object' || Array.isArray(prop)) return prop;
+
+  let value = isKeyframed(prop.k) ? interpolateKeyframes(prop.k, frame) : prop.k;
+
+  if (value === undefined) return fallback;
+
+  if (typeof fallback === 'number' && Array.isArray(value)) {
+    value = value[0];
+    return typeof value === 'number' ? value : fallback;
+  }
+
+  return value;
+}
+
+/**
+ * Time inside a precomp layer's referenced composition: the parent time
+ * shifted by the layer's start time (`st`) and divided by its time stretch
+ * (`sr`), or its time remapping (`tm`, in seconds) when it has one.
+ * Like the layer's own properties, `tm` keyframes are in parent time.
+ * @param {Object} layer - Precomp layer
+ * @param {number} parentTime - Frame in the containing composition
+ * @param {number} frameRate - Animation frame rate
+ */
+export function getChildTime(layer, parentTime, frameRate) {
+  if (layer.tm) {
+    let remapped = getPropertyValue(layer.tm, parentTime, 0) * frameRate;
+    // Remapping to the very last frame lands outside the composition
+    if (layer.op !== undefined && remapped >= layer.op) remapped = layer.op - 1;
+    return remapped;
+  }
+
+  return (parentTime - (layer.st || 0)) / (layer.sr || 1);
+}
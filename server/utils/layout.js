@@ -0,0 +1,159 @@
+/**
+ * Output canvas layout: fit modes, padding, device pixel ratio and backgrounds
+ * Backends render the animation at the size the layout asks for; the frame is
+ * then placed onto the final canvas in the worker
+ */
+
+import { validateFit, validatePadding, validateDpr, validateBackground, validateDimensions } from './validators.js';
+
+const CHECKERBOARD_TILE = 8;
+const CHECKERBOARD_COLORS = [{ r: 255, g: 255, b: 255 }, { r: 204, g: 204, b: 204 }];
+
+/**
+ * Normalize layout options from a query string or a JSON body
+ * - fit: fill (stretch, default) | contain | cover
+ * - padding: margin around the animation in CSS pixels
+ * - dpr: device pixel ratio, scales width, height and padding
+ * - background: transparent (default) | checkerboard | hex color
+ * @returns {Object|undefined} Canonical options (stable for cache keys), undefined for the plain layout
+ */
+export function normalizeLayout(options = {}) {
+  const fit = options.fit || 'fill';
+  const padding = options.padding === undefined || options.padding === '' ? 0 : Number(options.padding);
+  const dpr = options.dpr === undefined || options.dpr === '' ? 1 : Number(options.dpr);
+  const background = validateBackground(options.background || 'transparent');
+
+  validateFit(fit);
+  validatePadding(padding);
+  validateDpr(dpr);
+
+  if (fit === 'fill' && padding === 0 && dpr === 1 && background === 'transparent') return undefined;
+  return { fit, padding, dpr, background };
+}
+
+/**
+ * Output size of a layout
+ * @param {number} width - Requested width (CSS pixels)
+ * @param {number} height - Requested height (CSS pixels)
+ * @param {Object} [layout] - Result of normalizeLayout
+ * @returns {{ width: number, height: number }} Canvas size in device pixels
+ */
+export function canvasSize(width, height, layout) {
+  const dpr = layout?.dpr || 1;
+  return { width: Math.round(width * dpr), height: Math.round(height * dpr) };
+}
+
+/**
+ * Place an animation on the canvas
+ * @param {Object} metadata - Animation metadata (width, height)
+ * @param {number} width - Requested width (CSS pixels)
+ * @param {number} height - Requested height (CSS pixels)
+ * @param {Object} layout - Result of normalizeLayout
+ * @returns {Object} Canvas size, render size, render offset and the clip box inside the padding
+ * @throws {Error} When the render size exceeds the maximum dimensions
+ */
+export function computeLayout(metadata, width, height, layout) {
+  const canvas = canvasSize(width, height, layout);
+  const padding = Math.round(layout.padding * layout.dpr);
+  const innerWidth = Math.max(1, canvas.width - 2 * padding);
+  const innerHeight = Math.max(1, canvas.height - 2 * padding);
+
+  let renderWidth = innerWidth;
+  let renderHeight = innerHeight;
+
+  if (layout.fit !== 'fill') {
+    const scaleX = innerWidth / metadata.width;
+    const scaleY = innerHeight / metadata.height;
+    const scale = layout.fit === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    renderWidth = Math.max(1, Math.round(metadata.width * scale));
+    renderHeight = Math.max(1, Math.round(metadata.height * scale));
+    // Cover overflows the canvas on one side, by the animation's aspect ratio
+    validateDimensions(renderWidth, renderHeight);
+  }
+
+  return {
+    canvasWidth: canvas.width,
+    canvasHeight: canvas.height,
+    renderWidth,
+    renderHeight,
+    left: padding + Math.round((innerWidth - renderWidth) / 2),
+    top: padding + Math.round((innerHeight - renderHeight) / 2),
+    clip: { left: padding, top: padding, right: padding + innerWidth, bottom: padding + innerHeight },
+    background: layout.background,
+    dpr: layout.dpr
+  };
+}
+
+/**
+ * Fill a canvas with the layout background
+ */
+function fillBackground(buffer, width, height, background, dpr) {
+  if (background === 'transparent') return;
+
+  if (background === 'checkerboard') {
+    const tile = Math.max(1, Math.round(CHECKERBOARD_TILE * dpr));
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const color = CHECKERBOARD_COLORS[(Math.floor(x / tile) + Math.floor(y / tile)) % 2];
+        const i = (y * width + x) * 4;
+        buffer[i] = color.r;
+        buffer[i + 1] = color.g;
+        buffer[i + 2] = color.b;
+        buffer[i + 3] = 255;
+      }
+    }
+    return;
+  }
+
+  const r = parseInt(background.slice(1, 3), 16);
+  const g = parseInt(background.slice(3, 5), 16);
+  const b = parseInt(background.slice(5, 7), 16);
+  for (let i = 0; i < buffer.length; i += 4) {
+    buffer[i] = r;
+    buffer[i + 1] = g;
+    buffer[i + 2] = b;
+    buffer[i + 3] = 255;
+  }
+}
+
+/**
+ * Composite a rendered frame onto its canvas ("over", straight alpha)
+ * @param {Buffer} pixels - RGBA frame of renderWidth x renderHeight
+ * @param {Object} layout - Result of computeLayout
+ * @returns {Buffer} RGBA canvas of canvasWidth x canvasHeight
+ */
+export function composeFrame(pixels, layout) {
+  const { canvasWidth, canvasHeight, renderWidth, renderHeight, left, top, clip } = layout;
+  const canvas = Buffer.alloc(canvasWidth * canvasHeight * 4);
+
+  fillBackground(canvas, canvasWidth, canvasHeight, layout.background, layout.dpr);
+
+  const startY = Math.max(top, clip.top);
+  const endY = Math.min(top + renderHeight, clip.bottom);
+  const startX = Math.max(left, clip.left);
+  const endX = Math.min(left + renderWidth, clip.right);
+
+  for (let y = startY; y < endY; y++) {
+    for (let x = startX; x < endX; x++) {
+      const src = ((y - top) * renderWidth + (x - left)) * 4;
+      const dst = (y * canvasWidth + x) * 4;
+      const alpha = pixels[src + 3];
+      if (alpha === 0) continue;
+
+      if (alpha === 255 || canvas[dst + 3] === 0) {
+        pixels.copy(canvas, dst, src, src + 4);
+        continue;
+      }
+
+      const a = alpha / 255;
+      const below = canvas[dst + 3] / 255 * (1 - a);
+      const out = a + below;
+      canvas[dst] = Math.round((pixels[src] * a + canvas[dst] * below) / out);
+      canvas[dst + 1] = Math.round((pixels[src + 1] * a + canvas[dst + 1] * below) / out);
+      canvas[dst + 2] = Math.round((pixels[src + 2] * a + canvas[dst + 2] * below) / out);
+      canvas[dst + 3] = Math.round(out * 255);
+    }
+  }
+
+  return canvas;
+}
@@ -0,0 +1,551 @@
+/**
+ * Pure JavaScript Lottie rasterizer
+ * Scan-converts scene draw operations into an RGBA buffer with
+ * analytic (signed-area) anti-aliasing - no native dependencies
+ */
+
+import { buildScene, flattenPath, invert } from './lottieScene.js';
+
+const FLATTEN_TOLERANCE = 0.35;
+
+/**
+ * Coverage accumulator (signed-area scanline rasterizer)
+ */
+class CoverageMask {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.stride = width + 2;
+    this.acc = new Float32Array(this.stride * height);
+    this.reset();
+  }
+
+  reset() {
+    this.minX = Infinity;
+    this.minY = Infinity;
+    this.maxX = -Infinity;
+    this.maxY = -Infinity;
+  }
+
+  /**
+   * Add a closed polygon
+   */
+  addPolygon(points) {
+    const n = points.length;
+    if (n < 3) return;
+
+    for (let j = 0; j < n; j++) {
+      const p0 = points[j];
+      const p1 = points[(j + 1) % n];
+      this.addLine(p0[0], p0[1], p1[0], p1[1]);
+    }
+  }
+
+  /**
+   * Add an edge, clipping it horizontally so that out-of-bounds portions
+   * still contribute their winding at the canvas edge
+   */
+  addLine(x0, y0, x1, y1) {
+    if (y0 === y1 || !Number.isFinite(x0 + y0 + x1 + y1)) return;
+
+    const w = this.width;
+    const crossings = [];
+
+    for (const edge of [0, w]) {
+      if ((x0 < edge && x1 > edge) || (x0 > edge && x1 < edge)) {
+        crossings.push((edge - x0) / (x1 - x0));
+      }
+    }
+
+    crossings.sort((a, b) => a - b);
+    crossings.push(1);
+
+    let px = x0;
+    let py = y0;
+
+    for (const t of crossings) {
+      const nx = x0 + (x1 - x0) * t;
+      const ny = y0 + (y1 - y0) * t;
+      this.accumulate(clamp(px, 0, w), py, clamp(nx, 0, w), ny);
+      px = nx;
+      py = ny;
+    }
+  }
+
+  accumulate(x0, y0, x1, y1) {
+    if (y0 === y1) return;
+
+    let dir = 1;
+    if (y0 > y1) {
+      [x0, x1] = [x1, x0];
+      [y0, y1] = [y1, y0];
+      dir = -1;
+    }
+
+    if (y1 <= 0 || y0 >= this.height) return;
+
+    const dxdy = (x1 - x0) / (y1 - y0);
+    let x = x0;
+    if (y0 < 0) {
+      x -= y0 * dxdy;
+    }
+
+    const yStart = Math.max(0, Math.floor(y0));
+    const yEnd = Math.min(this.height, Math.ceil(y1));
+    const acc = this.acc;
+
+    this.minY = Math.min(this.minY, yStart);
+    this.maxY = Math.max(this.maxY, yEnd - 1);
+    this.minX = Math.min(this.minX, Math.floor(Math.min(x0, x1)));
+    this.maxX = Math.max(this.maxX, Math.ceil(Math.max(x0, x1)));
+
+    for (let y = yStart; y < yEnd; y++) {
+      const lineStart = y * this.stride;
+      const dy = Math.min(y + 1, y1) - Math.max(y, y0);
+      const xNext = x + dxdy * dy;
+      const d = dy * dir;
+      const xa = x < xNext ? x : xNext;
+      const xb = x < xNext ? xNext : x;
+      const xaFloor = Math.floor(xa);
+      const xai = xaFloor;
+      const xbCeil = Math.ceil(xb);
+      const xbi = xbCeil;
+
+      if (xbi <= xai + 1) {
+        const xmf = 0.5 * (x + xNext) - xaFloor;
+        acc[lineStart + xai] += d - d * xmf;
+        acc[lineStart + xai + 1] += d * xmf;
+      } else {
+        const s = 1 / (xb - xa);
+        const xaf = xa - xaFloor;
+        const a0 = 0.5 * s * (1 - xaf) * (1 - xaf);
+        const xbf = xb - xbCeil + 1;
+        const am = 0.5 * s * xbf * xbf;
+
+        acc[lineStart + xai] += d * a0;
+
+        if (xbi === xai + 2) {
+          acc[lineStart + xai + 1] += d * (1 - a0 - am);
+        } else {
+          const a1 = s * (1.5 - xaf);
+          acc[lineStart + xai + 1] += d * (a1 - a0);
+          for (let xi = xai + 2; xi < xbi - 1; xi++) {
+            acc[lineStart + xi] += d * s;
+          }
+          const a2 = a1 + (xbi - xai - 3) * s;
+          acc[lineStart + xbi - 1] += d * (1 - a2 - am);
+        }
+
+        acc[lineStart + xbi] += d * am;
+      }
+
+      x = xNext;
+    }
+  }
+
+  /**
+   * Walk the covered area, calling `paint(x, y, coverage)` for every pixel
+   * with non-zero coverage, then clear the touched region
+   */
+  fill(fillRule, paint) {
+    if (this.minY > this.maxY) return;
+
+    const acc = this.acc;
+    const minX = Math.max(0, this.minX);
+    const maxX = Math.min(this.stride - 1, this.maxX + 2);
+    const evenOdd = fillRule === 'evenodd';
+
+    for (let y = this.minY; y <= this.maxY; y++) {
+      const lineStart = y * this.stride;
+      let sum = 0;
+
+      for (let x = minX; x <= maxX; x++) {
+        sum += acc[lineStart + x];
+        acc[lineStart + x] = 0;
+
+        if (x >= this.width) continue;
+
+        let coverage = Math.abs(sum);
+        if (evenOdd) {
+          coverage %= 2;
+          if (coverage > 1) coverage = 2 - coverage;
+        } else if (coverage > 1) {
+          coverage = 1;
+        }
+
+        if (coverage > 1 / 512) paint(x, y, coverage);
+      }
+    }
+
+    this.reset();
+  }
+}
+
+function clamp(value, min, max) {
+  return value < min ? min : value > max ? max : value;
+}
+
+/**
+ * Ensure a polygon has positive signed area so overlapping stroke pieces
+ * add up instead of cancelling out
+ */
+function orient(points) {
+  let area = 0;
+  for (let j = 0; j < points.length; j++) {
+    const p0 = points[j];
+    const p1 = points[(j + 1) % points.length];
+    area += p0[0] * p1[1] - p1[0] * p0[1];
+  }
+  return area < 0 ? points.reverse() : points;
+}
+
+function circlePolygon(cx, cy, radius) {
+  const steps = Math.max(8, Math.min(96, Math.ceil(radius * 2)));
+  const points = [];
+  for (let j = 0; j < steps; j++) {
+    const angle = (j / steps) * Math.PI * 2;
+    points.push([cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius]);
+  }
+  return points;
+}
+
+/**
+ * Split a polyline into dash segments
+ */
+function dashPolyline(points, closed, dashes, offset) {
+  const pts = closed ? [...points, points[0]] : points;
+  const total = dashes.reduce((sum, d) => sum + d, 0);
+  if (total <= 0) return [{ points, closed }];
+
+  const result = [];
+  let index = 0;
+  let remaining = dashes[0];
+  let on = true;
+
+  // Advance through the pattern by the dash offset
+  let skip = ((offset % total) + total) % total;
+  while (skip > 0) {
+    if (skip >= remaining) {
+      skip -= remaining;
+      index = (index + 1) % dashes.length;
+      remaining = dashes[index];
+      on = index % 2 === 0;
+    } else {
+      remaining -= skip;
+      skip = 0;
+    }
+  }
+
+  let current = on ? [pts[0]] : null;
+
+  for (let j = 1; j < pts.length; j++) {
+    let [ax, ay] = pts[j - 1];
+    const [bx, by] = pts[j];
+    let segLen = Math.hypot(bx - ax, by - ay);
+
+    while (segLen > 0) {
+      const step = Math.min(remaining, segLen);
+      const t = step / segLen;
+      const nx = ax + (bx - ax) * t;
+      const ny = ay + (by - ay) * t;
+
+      if (on) current.push([nx, ny]);
+
+      remaining -= step;
+      segLen -= step;
+      ax = nx;
+      ay = ny;
+
+      if (remaining <= 1e-9) {
+        if (on && current.length > 1) result.push({ points: current, closed: false });
+        index = (index + 1) % dashes.length;
+        remaining = dashes[index];
+        on = index % 2 === 0;
+        current = on ? [[ax, ay]] : null;
+      }
+    }
+  }
+
+  if (on && current && current.length > 1) result.push({ points: current, closed: false });
+
+  return result;
+}
+
+/**
+ * Convert a stroked polyline into fillable polygons
+ */
+function strokePolygons(points, closed, stroke) {
+  const hw = stroke.width / 2;
+  const polygons = [];
+  if (hw <= 0) return polygons;
+
+  // Drop repeated points
+  const pts = [];
+  for (const p of points) {
+    const last = pts[pts.length - 1];
+    if (!last || Math.abs(last[0] - p[0]) > 1e-6 || Math.abs(last[1] - p[1]) > 1e-6) pts.push(p);
+  }
+  if (closed && pts.length > 1) {
+    const first = pts[0];
+    const last = pts[pts.length - 1];
+    if (Math.abs(last[0] - first[0]) < 1e-6 && Math.abs(last[1] - first[1]) < 1e-6) pts.pop();
+  }
+
+  if (pts.length < 2) {
+    if (pts.length === 1 && stroke.cap === 'round') {
+      polygons.push(circlePolygon(pts[0][0], pts[0][1], hw));
+    }
+    return polygons;
+  }
+
+  const segmentCount = closed ? pts.length : pts.length - 1;
+  const normals = [];
+
+  for (let j = 0; j < segmentCount; j++) {
+    const a = pts[j];
+    const b = pts[(j + 1) % pts.length];
+    const len = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    const nx = -(b[1] - a[1]) / len;
+    const ny = (b[0] - a[0]) / len;
+    normals.push([nx, ny]);
+
+    polygons.push(orient([
+      [a[0] + nx * hw, a[1] + ny * hw],
+      [b[0] + nx * hw, b[1] + ny * hw],
+      [b[0] - nx * hw, b[1] - ny * hw],
+      [a[0] - nx * hw, a[1] - ny * hw]
+    ]));
+  }
+
+  // Joins
+  const joinStart = closed ? 0 : 1;
+  for (let j = joinStart; j < pts.length - (closed ? 0 : 1); j++) {
+    const p = pts[j];
+    const n0 = normals[(j - 1 + segmentCount) % segmentCount];
+    const n1 = normals[j % segmentCount];
+    const cross = n0[0] * n1[1] - n0[1] * n1[0];
+    if (Math.abs(cross) < 1e-9 && n0[0] * n1[0] + n0[1] * n1[1] > 0) continue;
+
+    if (stroke.join === 'round') {
+      polygons.push(circlePolygon(p[0], p[1], hw));
+      continue;
+    }
+
+    // Outer side of the turn
+    const side = cross > 0 ? -1 : 1;
+    const a = [p[0] + n0[0] * hw * side, p[1] + n0[1] * hw * side];
+    const b = [p[0] + n1[0] * hw * side, p[1] + n1[1] * hw * side];
+
+    if (stroke.join === 'miter') {
+      const mx = n0[0] + n1[0];
+      const my = n0[1] + n1[1];
+      const mLen = Math.hypot(mx, my);
+      if (mLen > 1e-9) {
+        const cosHalf = mLen / 2;
+        const miterLength = 1 / cosHalf;
+        if (miterLength <= stroke.miterLimit) {
+          const scale = (hw / cosHalf) * side;
+          polygons.push(orient([p, a, [p[0] + (mx / mLen) * scale, p[1] + (my / mLen) * scale], b]));
+          continue;
+        }
+      }
+    }
+
+    polygons.push(orient([p, a, b]));
+  }
+
+  // Caps
+  if (!closed && stroke.cap !== 'butt') {
+    const ends = [
+      { p: pts[0], n: normals[0], dir: -1 },
+      { p: pts[pts.length - 1], n: normals[segmentCount - 1], dir: 1 }
+    ];
+
+    for (const { p, n, dir } of ends) {
+      if (stroke.cap === 'round') {
+        polygons.push(circlePolygon(p[0], p[1], hw));
+      } else {
+        // Tangent is the normal rotated back by 90 degrees
+        const tx = n[1] * dir * hw;
+        const ty = -n[0] * dir * hw;
+        polygons.push(orient([
+          [p[0] + n[0] * hw, p[1] + n[1] * hw],
+          [p[0] + n[0] * hw + tx, p[1] + n[1] * hw + ty],
+          [p[0] - n[0] * hw + tx, p[1] - n[1] * hw + ty],
+          [p[0] - n[0] * hw, p[1] - n[1] * hw]
+        ]));
+      }
+    }
+  }
+
+  return polygons;
+}
+
+/**
+ * Build a per-pixel color sampler for a paint
+ * @returns {Function|null} (x, y) => [r, g, b, a] with 0-1 components
+ */
+function createSampler(paint) {
+  if (paint.type === 'solid') {
+    const color = paint.color;
+    return () => color;
+  }
+
+  const stops = paint.stops;
+  if (!stops || stops.length === 0) return null;
+
+  const inverse = invert(paint.matrix);
+  if (!inverse) return null;
+
+  // Pre-compute a 256 entry lookup table along the gradient
+  const lut = new Float32Array(256 * 4);
+  for (let j = 0; j < 256; j++) {
+    const t = j / 255;
+    let color = stops[stops.length - 1].color;
+
+    if (t <= stops[0].offset) {
+      color = stops[0].color;
+    } else {
+      for (let k = 1; k < stops.length; k++) {
+        if (t <= stops[k].offset) {
+          const a = stops[k - 1];
+          const b = stops[k];
+          const span = b.offset - a.offset;
+          const f = span > 0 ? (t - a.offset) / span : 0;
+          color = a.color.map((v, c) => v + (b.color[c] - v) * f);
+          break;
+        }
+      }
+    }
+
+    lut.set(color, j * 4);
+  }
+
+  const [sx, sy] = paint.start;
+  const [ex, ey] = paint.end;
+  const dx = ex - sx;
+  const dy = ey - sy;
+  const lenSq = dx * dx + dy * dy;
+  const radius = Math.sqrt(lenSq);
+  const out = [0, 0, 0, 0];
+
+  const lookup = (t) => {
+    const idx = Math.round(clamp(t, 0, 1) * 255) * 4;
+    out[0] = lut[idx];
+    out[1] = lut[idx + 1];
+    out[2] = lut[idx + 2];
+    out[3] = lut[idx + 3];
+    return out;
+  };
+
+  if (paint.type === 'linear') {
+    return (x, y) => {
+      const px = inverse[0] * (x + 0.5) + inverse[2] * (y + 0.5) + inverse[4];
+      const py = inverse[1] * (x + 0.5) + inverse[3] * (y + 0.5) + inverse[5];
+      return lookup(lenSq > 0 ? ((px - sx) * dx + (py - sy) * dy) / lenSq : 0);
+    };
+  }
+
+  // Radial, with the focal point shifted by the highlight
+  const highlight = clamp(paint.highlightLength || 0, -0.99, 0.99);
+  const angle = Math.atan2(dy, dx) + (paint.highlightAngle || 0) * Math.PI / 180;
+  const fx = sx + Math.cos(angle) * radius * highlight;
+  const fy = sy + Math.sin(angle) * radius * highlight;
+
+  return (x, y) => {
+    const px = inverse[0] * (x + 0.5) + inverse[2] * (y + 0.5) + inverse[4];
+    const py = inverse[1] * (x + 0.5) + inverse[3] * (y + 0.5) + inverse[5];
+    if (radius <= 0) return lookup(1);
+    if (highlight === 0) return lookup(Math.hypot(px - sx, py - sy) / radius);
+
+    // Solve for t where the point lies on the circle interpolated from focus to edge
+    const vx = px - fx;
+    const vy = py - fy;
+    const cx = fx - sx;
+    const cy = fy - sy;
+    const a = vx * vx + vy * vy;
+    const b = 2 * (vx * cx + vy * cy);
+    const c = cx * cx + cy * cy - lenSq;
+    const disc = b * b - 4 * a * c;
+    if (a === 0 || disc < 0) return lookup(0);
+    const k = (-b + Math.sqrt(disc)) / (2 * a);
+    return lookup(k > 0 ? 1 / k : 1);
+  };
+}
+
+/**
+ * Blend a color onto an RGBA buffer (source-over, straight alpha)
+ */
+function blendPixel(buffer, idx, r, g, b, alpha) {
+  if (alpha <= 0) return;
+
+  const dstA = buffer[idx + 3] / 255;
+  const outA = alpha + dstA * (1 - alpha);
+  if (outA <= 0) return;
+
+  const dstWeight = dstA * (1 - alpha);
+  buffer[idx] = Math.round((r * 255 * alpha + buffer[idx] * dstWeight) / outA);
+  buffer[idx + 1] = Math.round((g * 255 * alpha + buffer[idx + 1] * dstWeight) / outA);
+  buffer[idx + 2] = Math.round((b * 255 * alpha + buffer[idx + 2] * dstWeight) / outA);
+  buffer[idx + 3] = Math.round(outA * 255);
+}
+
+/**
+ * Rasterize a list of draw operations into an RGBA buffer
+ * @param {Object[]} ops - Draw operations from buildScene (bottom to top)
+ * @param {Buffer} buffer - Target RGBA buffer (width * height * 4)
+ */
+export function rasterizeScene(ops, buffer, width, height) {
+  const mask = new CoverageMask(width, height);
+
+  for (const op of ops) {
+    if (op.opacity <= 0 || op.paths.length === 0) continue;
+
+    const sampler = createSampler(op.paint);
+    if (!sampler) continue;
+
+    if (op.type === 'fill') {
+      for (const path of op.paths) {
+        const { points } = flattenPath(path, FLATTEN_TOLERANCE);
+        mask.addPolygon(points);
+      }
+    } else {
+      for (const path of op.paths) {
+        const { points, closed } = flattenPath(path, FLATTEN_TOLERANCE);
+        const pieces = op.stroke.dashes
+          ? dashPolyline(points, closed, op.stroke.dashes, op.stroke.dashOffset)
+          : [{ points, closed }];
+
+        for (const piece of pieces) {
+          for (const polygon of strokePolygons(piece.points, piece.closed, op.stroke)) {
+            mask.addPolygon(polygon);
+          }
+        }
+      }
+    }
+
+    const opacity = op.opacity;
+    mask.fill(op.type === 'fill' ? op.fillRule : 'nonzero', (x, y, coverage) => {
+      const color = sampler(x, y);
+      blendPixel(buffer, (y * width + x) * 4, color[0], color[1], color[2], color[3] * coverage * opacity);
+    });
+  }
+
+  return buffer;
+}
+
+/**
+ * Render a frame of an animation into an RGBA buffer
+ * @param {Object} animationData - Parsed Lottie JSON
+ * @param {number} frameNumber - Frame index
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {Buffer} [buffer] - Optional target buffer (drawn over existing pixels)
+ * @returns {Buffer} RGBA pixels
+ */
+export function renderFrame(animationData, frameNumber, width, height, buffer = Buffer.alloc(width * height * 4)) {
+  const ops = buildScene(animationData, frameNumber, width, height);
+  return rasterizeScene(ops, buffer, width, height);
+}
+
+export default renderFrame;
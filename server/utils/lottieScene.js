@@ -0,0 +1,801 @@
+/**
+ * Lottie scene builder
+ * Evaluates an animation at a given frame into a flat, bottom-to-top list of
+ * draw operations expressed in output pixel space
+ */
+
+import { getPropertyValue, getChildTime } from './keyframes.js';
+
+const KAPPA = 0.5522847498307936;
+const DEG = Math.PI / 180;
+
+export const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Multiply two affine matrices ([a, b, c, d, e, f]); `n` is applied first
+ */
+export function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+  ];
+}
+
+/**
+ * Invert an affine matrix, returns null when it is degenerate
+ */
+export function invert(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (Math.abs(det) < 1e-12) return null;
+
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det
+  ];
+}
+
+/**
+ * Apply an affine matrix to a point
+ */
+export function applyMatrix(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+/**
+ * Uniform scale factor of a matrix (used for stroke widths)
+ */
+function matrixScale(m) {
+  return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+}
+
+/**
+ * Evaluate a layer (`ks`) or group (`tr`) transform
+ * @returns {{ matrix: number[], opacity: number }}
+ */
+export function evaluateTransform(transform, frame) {
+  if (!transform) return { matrix: IDENTITY, opacity: 1 };
+
+  const anchor = getPropertyValue(transform.a, frame, [0, 0]);
+  const scale = getPropertyValue(transform.s, frame, [100, 100]);
+  const rotation = getPropertyValue(transform.r ?? transform.rz, frame, 0);
+  const opacity = getPropertyValue(transform.o, frame, 100);
+  const skew = getPropertyValue(transform.sk, frame, 0);
+  const skewAxis = getPropertyValue(transform.sa, frame, 0);
+
+  let position;
+  if (transform.p?.s === true) {
+    position = [
+      getPropertyValue(transform.p.x, frame, 0),
+      getPropertyValue(transform.p.y, frame, 0)
+    ];
+  } else {
+    position = getPropertyValue(transform.p, frame, [0, 0]);
+  }
+
+  let matrix = [1, 0, 0, 1, -(anchor[0] || 0), -(anchor[1] || 0)];
+  matrix = multiply([(scale[0] ?? 100) / 100, 0, 0, (scale[1] ?? 100) / 100, 0, 0], matrix);
+
+  if (skew) {
+    const axisCos = Math.cos(skewAxis * DEG);
+    const axisSin = Math.sin(skewAxis * DEG);
+    const shear = Math.tan(-skew * DEG);
+    matrix = multiply([axisCos, -axisSin, axisSin, axisCos, 0, 0], matrix);
+    matrix = multiply([1, 0, shear, 1, 0, 0], matrix);
+    matrix = multiply([axisCos, axisSin, -axisSin, axisCos, 0, 0], matrix);
+  }
+
+  if (rotation) {
+    const cos = Math.cos(rotation * DEG);
+    const sin = Math.sin(rotation * DEG);
+    matrix = multiply([cos, sin, -sin, cos, 0, 0], matrix);
+  }
+
+  matrix = multiply([1, 0, 0, 1, position[0] || 0, position[1] || 0], matrix);
+
+  return { matrix, opacity: Math.max(0, Math.min(1, opacity / 100)) };
+}
+
+/**
+ * Convert a Lottie color array (0-1, sometimes 0-255) to RGBA floats
+ */
+function normalizeColor(color) {
+  if (!Array.isArray(color)) return [0, 0, 0, 1];
+  const scale = color.some(c => c > 1) ? 255 : 1;
+  return [
+    (color[0] || 0) / scale,
+    (color[1] || 0) / scale,
+    (color[2] || 0) / scale,
+    color[3] === undefined ? 1 : color[3] / (scale === 255 && color[3] > 1 ? 255 : 1)
+  ];
+}
+
+/**
+ * Convert a hex string (#rrggbb) to RGBA floats
+ */
+function hexColor(hex) {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex || '');
+  if (!result) return [0, 0, 0, 1];
+  return [
+    parseInt(result[1], 16) / 255,
+    parseInt(result[2], 16) / 255,
+    parseInt(result[3], 16) / 255,
+    1
+  ];
+}
+
+/* ---------------------------------------------------------------------------
+ * Paths
+ *
+ * A path is { v, i, o, c } where `v` are vertices and `i`/`o` are the
+ * absolute in/out control points of each vertex (Lottie stores them relative)
+ * ------------------------------------------------------------------------- */
+
+function createPath(closed = true) {
+  return { v: [], i: [], o: [], c: closed };
+}
+
+function addVertex(path, x, y, ix = x, iy = y, ox = x, oy = y) {
+  path.v.push([x, y]);
+  path.i.push([ix, iy]);
+  path.o.push([ox, oy]);
+}
+
+/**
+ * Apply a matrix to every point of a path
+ */
+export function transformPath(path, m) {
+  const map = p => applyMatrix(m, p[0], p[1]);
+  return { v: path.v.map(map), i: path.i.map(map), o: path.o.map(map), c: path.c };
+}
+
+/**
+ * Build a path from Lottie bezier data ({ v, i, o, c })
+ */
+function bezierPath(data) {
+  const path = createPath(!!data?.c);
+  if (!data?.v) return path;
+
+  for (let j = 0; j < data.v.length; j++) {
+    const [x, y] = data.v[j];
+    const inT = data.i?.[j] || [0, 0];
+    const outT = data.o?.[j] || [0, 0];
+    addVertex(path, x, y, x + inT[0], y + inT[1], x + outT[0], y + outT[1]);
+  }
+
+  return path;
+}
+
+/**
+ * Rectangle (`rc`)
+ */
+function rectPath(shape, frame) {
+  const [cx, cy] = getPropertyValue(shape.p, frame, [0, 0]);
+  const [w, h] = getPropertyValue(shape.s, frame, [0, 0]);
+  const halfW = w / 2;
+  const halfH = h / 2;
+  const radius = Math.min(getPropertyValue(shape.r, frame, 0), halfW, halfH);
+  const path = createPath(true);
+
+  const left = cx - halfW;
+  const right = cx + halfW;
+  const top = cy - halfH;
+  const bottom = cy + halfH;
+
+  if (radius <= 0) {
+    addVertex(path, right, top);
+    addVertex(path, right, bottom);
+    addVertex(path, left, bottom);
+    addVertex(path, left, top);
+  } else {
+    const k = radius * (1 - KAPPA);
+    addVertex(path, right, top + radius, right, top + k, right, top + radius);
+    addVertex(path, right, bottom - radius, right, bottom - radius, right, bottom - k);
+    addVertex(path, right - radius, bottom, right - k, bottom, right - radius, bottom);
+    addVertex(path, left + radius, bottom, left + radius, bottom, left + k, bottom);
+    addVertex(path, left, bottom - radius, left, bottom - k, left, bottom - radius);
+    addVertex(path, left, top + radius, left, top + radius, left, top + k);
+    addVertex(path, left + radius, top, left + k, top, left + radius, top);
+    addVertex(path, right - radius, top, right - radius, top, right - k, top);
+  }
+
+  return shape.d === 3 ? reversePath(path) : path;
+}
+
+/**
+ * Ellipse (`el`)
+ */
+function ellipsePath(shape, frame) {
+  const [cx, cy] = getPropertyValue(shape.p, frame, [0, 0]);
+  const [w, h] = getPropertyValue(shape.s, frame, [0, 0]);
+  const rx = w / 2;
+  const ry = h / 2;
+  const kx = rx * KAPPA;
+  const ky = ry * KAPPA;
+  const path = createPath(true);
+
+  addVertex(path, cx, cy - ry, cx - kx, cy - ry, cx + kx, cy - ry);
+  addVertex(path, cx + rx, cy, cx + rx, cy - ky, cx + rx, cy + ky);
+  addVertex(path, cx, cy + ry, cx + kx, cy + ry, cx - kx, cy + ry);
+  addVertex(path, cx - rx, cy, cx - rx, cy + ky, cx - rx, cy - ky);
+
+  return shape.d === 3 ? reversePath(path) : path;
+}
+
+/**
+ * Star / polygon (`sr`)
+ */
+function starPath(shape, frame) {
+  const [cx, cy] = getPropertyValue(shape.p, frame, [0, 0]);
+  const points = Math.floor(getPropertyValue(shape.pt, frame, 5));
+  const rotation = getPropertyValue(shape.r, frame, 0) * DEG;
+  const outerRadius = getPropertyValue(shape.or, frame, 0);
+  const outerRound = getPropertyValue(shape.os, frame, 0) / 100;
+  const isStar = shape.sy !== 2;
+  const innerRadius = isStar ? getPropertyValue(shape.ir, frame, 0) : outerRadius;
+  const innerRound = isStar ? getPropertyValue(shape.is, frame, 0) / 100 : outerRound;
+  const dir = shape.d === 3 ? -1 : 1;
+  const path = createPath(true);
+
+  if (points < 1) return path;
+
+  const count = isStar ? points * 2 : points;
+  const angleStep = (Math.PI * 2) / count;
+  const divisor = isStar ? count * 2 : count * 4;
+  let angle = -Math.PI / 2 + rotation;
+
+  for (let j = 0; j < count; j++) {
+    const outer = !isStar || j % 2 === 0;
+    const radius = outer ? outerRadius : innerRadius;
+    const roundness = outer ? outerRound : innerRound;
+    const segment = (2 * Math.PI * radius) / divisor;
+
+    const x = radius * Math.cos(angle);
+    const y = radius * Math.sin(angle);
+    const len = Math.sqrt(x * x + y * y);
+    const tx = len === 0 ? 0 : y / len;
+    const ty = len === 0 ? 0 : -x / len;
+    const t = segment * roundness * dir;
+
+    addVertex(path, cx + x, cy + y, cx + x + tx * t, cy + y + ty * t, cx + x - tx * t, cy + y - ty * t);
+    angle += angleStep * dir;
+  }
+
+  return path;
+}
+
+/**
+ * Reverse the direction of a path
+ */
+function reversePath(path) {
+  const reversed = createPath(path.c);
+  const n = path.v.length;
+  if (n === 0) return reversed;
+
+  // Keep the first vertex in place so closed paths start where they did
+  for (let j = 0; j < n; j++) {
+    const idx = path.c ? (n - j) % n : n - 1 - j;
+    reversed.v.push(path.v[idx]);
+    reversed.i.push(path.o[idx]);
+    reversed.o.push(path.i[idx]);
+  }
+
+  return reversed;
+}
+
+/**
+ * Flatten a path into a polyline
+ * @param {Object} path - Path in pixel space
+ * @param {number} tolerance - Approximate max segment length in pixels
+ * @returns {{ points: number[][], closed: boolean }}
+ */
+export function flattenPath(path, tolerance = 1) {
+  const points = [];
+  const n = path.v.length;
+  if (n === 0) return { points, closed: path.c };
+
+  points.push(path.v[0]);
+  const segments = path.c ? n : n - 1;
+
+  for (let j = 0; j < segments; j++) {
+    const p0 = path.v[j];
+    const p1 = path.o[j];
+    const p2 = path.i[(j + 1) % n];
+    const p3 = path.v[(j + 1) % n];
+
+    const straight = p1[0] === p0[0] && p1[1] === p0[1] && p2[0] === p3[0] && p2[1] === p3[1];
+    if (straight) {
+      points.push(p3);
+      continue;
+    }
+
+    const hull = Math.hypot(p1[0] - p0[0], p1[1] - p0[1]) +
+      Math.hypot(p2[0] - p1[0], p2[1] - p1[1]) +
+      Math.hypot(p3[0] - p2[0], p3[1] - p2[1]);
+    const steps = Math.max(2, Math.min(128, Math.ceil(Math.sqrt(hull / tolerance) * 2)));
+
+    for (let s = 1; s <= steps; s++) {
+      const t = s / steps;
+      const mt = 1 - t;
+      const a = mt * mt * mt;
+      const b = 3 * mt * mt * t;
+      const c = 3 * mt * t * t;
+      const d = t * t * t;
+      points.push([
+        a * p0[0] + b * p1[0] + c * p2[0] + d * p3[0],
+        a * p0[1] + b * p1[1] + c * p2[1] + d * p3[1]
+      ]);
+    }
+  }
+
+  // Closing segment lands back on the first vertex
+  if (path.c && points.length > 1) points.pop();
+
+  return { points, closed: path.c };
+}
+
+/**
+ * Build a straight-edged path from a polyline
+ */
+function polylinePath(points, closed) {
+  const path = createPath(closed);
+  for (const [x, y] of points) addVertex(path, x, y);
+  return path;
+}
+
+/**
+ * Slice a polyline between two distances along it
+ */
+function slicePolyline(points, lengths, from, to) {
+  const result = [];
+
+  const pointAt = (dist) => {
+    let j = 1;
+    while (j < lengths.length - 1 && lengths[j] < dist) j++;
+    const segLen = lengths[j] - lengths[j - 1];
+    const t = segLen > 0 ? (dist - lengths[j - 1]) / segLen : 0;
+    return [
+      points[j - 1][0] + (points[j][0] - points[j - 1][0]) * t,
+      points[j - 1][1] + (points[j][1] - points[j - 1][1]) * t
+    ];
+  };
+
+  result.push(pointAt(from));
+  for (let j = 1; j < lengths.length - 1; j++) {
+    if (lengths[j] > from && lengths[j] < to) result.push(points[j]);
+  }
+  result.push(pointAt(to));
+
+  return result;
+}
+
+/**
+ * Trim paths (`tm`)
+ */
+function trimPaths(paths, shape, frame) {
+  let start = getPropertyValue(shape.s, frame, 0) / 100;
+  let end = getPropertyValue(shape.e, frame, 100) / 100;
+  const offset = getPropertyValue(shape.o, frame, 0) / 360;
+
+  if (start > end) [start, end] = [end, start];
+  start += offset;
+  end += offset;
+
+  if (end - start >= 1) return paths;
+  if (end - start <= 0) return [];
+
+  const shift = Math.floor(start);
+  start -= shift;
+  end -= shift;
+
+  const ranges = end > 1 ? [[start, 1], [0, end - 1]] : [[start, end]];
+
+  // Measure every path as a closed-out polyline
+  const measured = paths.map(path => {
+    const { points, closed } = flattenPath(path, 0.5);
+    if (closed && points.length > 0) points.push(points[0]);
+    const lengths = [0];
+    for (let j = 1; j < points.length; j++) {
+      lengths.push(lengths[j - 1] + Math.hypot(points[j][0] - points[j - 1][0], points[j][1] - points[j - 1][1]));
+    }
+    return { points, lengths, total: lengths[lengths.length - 1] };
+  });
+
+  const result = [];
+  const cut = (m, from, to) => {
+    if (m.points.length < 2 || to - from <= 1e-6) return;
+    result.push(polylinePath(slicePolyline(m.points, m.lengths, from, to), false));
+  };
+
+  if (shape.m === 2) {
+    // Individually: treat all paths as one continuous path
+    const total = measured.reduce((sum, m) => sum + m.total, 0);
+    for (const [a, b] of ranges) {
+      let base = 0;
+      for (const m of measured) {
+        const from = Math.max(a * total - base, 0);
+        const to = Math.min(b * total - base, m.total);
+        if (to > from) cut(m, from, to);
+        base += m.total;
+      }
+    }
+  } else {
+    // Simultaneously: trim each path by the same fraction
+    for (const m of measured) {
+      for (const [a, b] of ranges) cut(m, a * m.total, b * m.total);
+    }
+  }
+
+  return result;
+}
+
+/* ---------------------------------------------------------------------------
+ * Styles
+ * ------------------------------------------------------------------------- */
+
+/**
+ * Parse gradient stops (`g`) into [{ offset, color: [r, g, b, a] }]
+ */
+function gradientStops(gradient, frame) {
+  const count = gradient?.p || 0;
+  const raw = getPropertyValue(gradient?.k, frame, []);
+  if (!Array.isArray(raw) || count === 0) return [];
+
+  const colors = [];
+  for (let j = 0; j < count; j++) {
+    const base = j * 4;
+    colors.push({ offset: raw[base], color: [raw[base + 1], raw[base + 2], raw[base + 3], 1] });
+  }
+
+  const alphas = [];
+  for (let j = count * 4; j + 1 < raw.length; j += 2) {
+    alphas.push({ offset: raw[j], alpha: raw[j + 1] });
+  }
+
+  if (alphas.length === 0) return colors;
+
+  const sample = (list, offset, read) => {
+    if (offset <= list[0].offset) return read(list[0]);
+    for (let j = 1; j < list.length; j++) {
+      if (offset <= list[j].offset) {
+        const span = list[j].offset - list[j - 1].offset;
+        const t = span > 0 ? (offset - list[j - 1].offset) / span : 0;
+        const a = read(list[j - 1]);
+        const b = read(list[j]);
+        return Array.isArray(a) ? a.map((v, k) => v + (b[k] - v) * t) : a + (b - a) * t;
+      }
+    }
+    return read(list[list.length - 1]);
+  };
+
+  const offsets = [...new Set([...colors.map(c => c.offset), ...alphas.map(a => a.offset)])].sort((a, b) => a - b);
+
+  return offsets.map(offset => {
+    const [r, g, b] = sample(colors, offset, c => c.color);
+    return { offset, color: [r, g, b, sample(alphas, offset, a => a.alpha)] };
+  });
+}
+
+/**
+ * Build the paint for a fill/stroke style
+ */
+function stylePaint(style, frame, matrix) {
+  if (style.ty === 'fl' || style.ty === 'st') {
+    return { type: 'solid', color: normalizeColor(getPropertyValue(style.c, frame, [0, 0, 0, 1])) };
+  }
+
+  return {
+    type: style.t === 2 ? 'radial' : 'linear',
+    start: getPropertyValue(style.s, frame, [0, 0]),
+    end: getPropertyValue(style.e, frame, [0, 0]),
+    highlightLength: getPropertyValue(style.h, frame, 0) / 100,
+    highlightAngle: getPropertyValue(style.a, frame, 0),
+    stops: gradientStops(style.g, frame),
+    matrix
+  };
+}
+
+/**
+ * Build a draw operation for a style applied to the given paths
+ */
+function createDraw(style, paths, frame, matrix, opacity) {
+  const isStroke = style.ty === 'st' || style.ty === 'gs';
+  const draw = {
+    type: isStroke ? 'stroke' : 'fill',
+    paths,
+    paint: stylePaint(style, frame, matrix),
+    opacity: opacity * Math.max(0, Math.min(1, getPropertyValue(style.o, frame, 100) / 100)),
+    fillRule: style.r === 2 ? 'evenodd' : 'nonzero'
+  };
+
+  if (isStroke) {
+    const scale = matrixScale(matrix);
+    const dashes = [];
+    let dashOffset = 0;
+
+    for (const dash of style.d || []) {
+      const value = getPropertyValue(dash.v, frame, 0) * scale;
+      if (dash.n === 'o') dashOffset = value;
+      else dashes.push(value);
+    }
+
+    draw.stroke = {
+      width: getPropertyValue(style.w, frame, 1) * scale,
+      cap: style.lc === 2 ? 'round' : style.lc === 3 ? 'square' : 'butt',
+      join: style.lj === 2 ? 'round' : style.lj === 3 ? 'bevel' : 'miter',
+      miterLimit: style.ml || 4,
+      dashes: dashes.some(d => d > 0) ? dashes : null,
+      dashOffset
+    };
+  }
+
+  return draw;
+}
+
+/**
+ * Copy a draw with an extra transform applied
+ */
+function transformDraw(draw, m, opacity) {
+  const copy = {
+    ...draw,
+    paths: draw.paths.map(p => transformPath(p, m)),
+    opacity: draw.opacity * opacity
+  };
+
+  if (draw.paint.matrix) {
+    copy.paint = { ...draw.paint, matrix: multiply(m, draw.paint.matrix) };
+  }
+
+  return copy;
+}
+
+/* ---------------------------------------------------------------------------
+ * Shape tree
+ * ------------------------------------------------------------------------- */
+
+/**
+ * Repeater (`rp`): duplicate everything above it in the group
+ */
+function applyRepeater(shape, state, frame, matrix) {
+  const copies = Math.max(0, Math.round(getPropertyValue(shape.c, frame, 1)));
+  const offset = getPropertyValue(shape.o, frame, 0);
+  const tr = shape.tr || {};
+  const startOpacity = getPropertyValue(tr.so, frame, 100) / 100;
+  const endOpacity = getPropertyValue(tr.eo, frame, 100) / 100;
+  const inverse = invert(matrix);
+
+  if (!inverse || copies === 0) {
+    state.paths = [];
+    state.draws = [];
+    return;
+  }
+
+  const anchor = getPropertyValue(tr.a, frame, [0, 0]);
+  const position = getPropertyValue(tr.p, frame, [0, 0]);
+  const scale = getPropertyValue(tr.s, frame, [100, 100]);
+  const rotation = getPropertyValue(tr.r, frame, 0);
+
+  const paths = [];
+  const layers = [];
+
+  for (let k = 0; k < copies; k++) {
+    const step = k + offset;
+    const sx = Math.pow((scale[0] ?? 100) / 100, step);
+    const sy = Math.pow((scale[1] ?? 100) / 100, step);
+    const cos = Math.cos(rotation * step * DEG);
+    const sin = Math.sin(rotation * step * DEG);
+
+    let local = [1, 0, 0, 1, -anchor[0], -anchor[1]];
+    local = multiply([sx, 0, 0, sy, 0, 0], local);
+    local = multiply([cos, sin, -sin, cos, 0, 0], local);
+    local = multiply([1, 0, 0, 1, anchor[0] + position[0] * step, anchor[1] + position[1] * step], local);
+
+    const m = multiply(matrix, multiply(local, inverse));
+    const t = copies > 1 ? k / (copies - 1) : 0;
+    const copyOpacity = startOpacity + (endOpacity - startOpacity) * t;
+
+    paths.push(...state.paths.map(p => transformPath(p, m)));
+    layers.push(state.draws.map(d => transformDraw(d, m, copyOpacity)));
+  }
+
+  // Mode 1 stacks later copies above earlier ones; draws are kept top-first
+  if (shape.m !== 2) layers.reverse();
+
+  state.paths = paths;
+  state.draws = layers.flat();
+}
+
+/**
+ * Walk a shape list (`shapes` or a group's `it`)
+ * Styles apply to every path that precedes them; items listed first render on top
+ * @returns {{ paths: Object[], draws: Object[] }} Draws ordered top to bottom
+ */
+function processShapes(items, parentMatrix, parentOpacity, frame) {
+  const transform = items.find(item => item.ty === 'tr');
+  const { matrix: local, opacity: localOpacity } = evaluateTransform(transform, frame);
+  const matrix = multiply(parentMatrix, local);
+  const opacity = parentOpacity * localOpacity;
+
+  const state = { paths: [], draws: [] };
+
+  for (const item of items) {
+    if (item.hd) continue;
+
+    switch (item.ty) {
+      case 'rc':
+        state.paths.push(transformPath(rectPath(item, frame), matrix));
+        break;
+      case 'el':
+        state.paths.push(transformPath(ellipsePath(item, frame), matrix));
+        break;
+      case 'sr':
+        state.paths.push(transformPath(starPath(item, frame), matrix));
+        break;
+      case 'sh': {
+        // Keyframed shapes wrap the bezier in a single-element array
+        const data = getPropertyValue(item.ks, frame, null);
+        const path = bezierPath(Array.isArray(data) ? data[0] : data);
+        state.paths.push(transformPath(item.d === 3 ? reversePath(path) : path, matrix));
+        break;
+      }
+      case 'gr': {
+        const group = processShapes(item.it || [], matrix, opacity, frame);
+        state.paths.push(...group.paths);
+        state.draws.push(...group.draws);
+        break;
+      }
+      case 'fl':
+      case 'st':
+      case 'gf':
+      case 'gs':
+        state.draws.push(createDraw(item, state.paths.slice(), frame, matrix, opacity));
+        break;
+      case 'tm':
+        state.paths = trimPaths(state.paths, item, frame);
+        break;
+      case 'rp':
+        applyRepeater(item, state, frame, matrix);
+        break;
+      default:
+        // Unsupported modifiers (rd, mm, ...) are ignored
+        break;
+    }
+  }
+
+  return state;
+}
+
+/* ---------------------------------------------------------------------------
+ * Layers
+ * ------------------------------------------------------------------------- */
+
+/**
+ * Compute a layer's matrix including its parent chain
+ * Keyframes are stored in composition time, so `st` and `sr` don't apply
+ * to a layer's own properties, only to a precomp's children
+ */
+function layerMatrix(layer, byIndex, time, depth = 0) {
+  const { matrix } = evaluateTransform(layer.ks, time);
+
+  if (layer.parent === undefined || depth > 32) return matrix;
+
+  const parent = byIndex.get(layer.parent);
+  if (!parent) return matrix;
+
+  return multiply(layerMatrix(parent, byIndex, time, depth + 1), matrix);
+}
+
+/**
+ * Render a list of layers into draw operations (appended bottom to top)
+ */
+function renderLayers(layers, time, parentMatrix, parentOpacity, context, ops, depth = 0) {
+  if (depth > 16) return;
+
+  const byIndex = new Map();
+  for (const layer of layers) {
+    if (layer.ind !== undefined) byIndex.set(layer.ind, layer);
+  }
+
+  // First layer in the list is the top-most one
+  for (let l = layers.length - 1; l >= 0; l--) {
+    const layer = layers[l];
+
+    // Hidden layers and matte sources are not drawn directly
+    if (layer.hd || layer.td) continue;
+    if (time < (layer.ip ?? -Infinity) || time >= (layer.op ?? Infinity)) continue;
+
+    const { opacity: layerOpacity } = evaluateTransform(layer.ks, time);
+    const opacity = parentOpacity * layerOpacity;
+    if (opacity <= 0) continue;
+
+    const matrix = multiply(parentMatrix, layerMatrix(layer, byIndex, time));
+
+    switch (layer.ty) {
+      case 4: {
+        const { draws } = processShapes(layer.shapes || [], matrix, opacity, time);
+        for (let d = draws.length - 1; d >= 0; d--) ops.push(draws[d]);
+        break;
+      }
+      case 1: {
+        const path = createPath(true);
+        addVertex(path, 0, 0);
+        addVertex(path, layer.sw || 0, 0);
+        addVertex(path, layer.sw || 0, layer.sh || 0);
+        addVertex(path, 0, layer.sh || 0);
+        ops.push({
+          type: 'fill',
+          paths: [transformPath(path, matrix)],
+          paint: { type: 'solid', color: hexColor(layer.sc) },
+          opacity,
+          fillRule: 'nonzero'
+        });
+        break;
+      }
+      case 0: {
+        const asset = context.assets.get(layer.refId);
+        if (asset?.layers) {
+          const childTime = getChildTime(layer, time, context.frameRate);
+          renderLayers(asset.layers, childTime, matrix, opacity, context, ops, depth + 1);
+        }
+        break;
+      }
+      default:
+        // Null (3), image (2) and text (5) layers produce no geometry here
+        break;
+    }
+  }
+}
+
+/**
+ * Layer features of an animation that not every backend draws
+ * Checked before the vector backend is used as an automatic fallback,
+ * which ignores masks and draws track-matte layers unmatted
+ * @param {Object} animationData - Parsed Lottie JSON
+ * @returns {{ masks: boolean, mattes: boolean }}
+ */
+export function sceneFeatures(animationData) {
+  const features = { masks: false, mattes: false };
+  const lists = [animationData.layers, ...(animationData.assets || []).map(asset => asset.layers)];
+
+  for (const layers of lists) {
+    if (!Array.isArray(layers)) continue;
+    for (const layer of layers) {
+      if (layer.masksProperties?.length > 0) features.masks = true;
+      if (layer.tt) features.mattes = true;
+    }
+  }
+
+  return features;
+}
+
+/**
+ * Build the draw list for a frame
+ * @param {Object} animationData - Parsed Lottie JSON
+ * @param {number} frameNumber - Frame index relative to the animation's `ip`
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @returns {Object[]} Draw operations, bottom to top
+ */
+export function buildScene(animationData, frameNumber, width, height) {
+  const sourceWidth = animationData.w || 512;
+  const sourceHeight = animationData.h || 512;
+  const root = [width / sourceWidth, 0, 0, height / sourceHeight, 0, 0];
+
+  const context = {
+    frameRate: animationData.fr || 30,
+    assets: new Map((animationData.assets || []).map(asset => [asset.id, asset]))
+  };
+
+  const ops = [];
+  const time = (animationData.ip || 0) + frameNumber;
+  renderLayers(animationData.layers || [], time, root, 1, context, ops);
+
+  return ops;
+}
@@ -0,0 +1,208 @@
+/**
+ * TGS optimizer
+ * Shrinks animations without visible changes: rounds floats, drops hidden
+ * layers, unused assets and editor metadata, merges redundant keyframes and
+ * recompresses at maximum gzip level
+ */
+
+import { isKeyframed } from './keyframes.js';
+
+export const DEFAULT_PRECISION = 3;
+export const MAX_PRECISION = 6;
+
+// Editor-only fields no renderer reads
+const METADATA_FIELDS = ['nm', 'mn'];
+
+/**
+ * Round every number to `precision` decimals
+ */
+function roundNumbers(value, factor) {
+  if (typeof value === 'number') return Math.round(value * factor) / factor;
+  if (Array.isArray(value)) return value.map(item => roundNumbers(item, factor));
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, child] of Object.entries(value)) result[key] = roundNumbers(child, factor);
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Remove editor metadata from every object
+ */
+function stripMetadata(value, stats) {
+  if (Array.isArray(value)) {
+    for (const item of value) stripMetadata(item, stats);
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+
+  for (const field of METADATA_FIELDS) {
+    if (field in value) {
+      delete value[field];
+      stats.metadataFields++;
+    }
+  }
+  for (const child of Object.values(value)) stripMetadata(child, stats);
+}
+
+/**
+ * Drop hidden shape items, recursing into groups
+ */
+function stripHiddenShapes(items, stats) {
+  if (!Array.isArray(items)) return items;
+
+  return items.filter(item => {
+    if (item?.hd === true) {
+      stats.hiddenShapes++;
+      return false;
+    }
+    if (item?.ty === 'gr') item.it = stripHiddenShapes(item.it, stats);
+    return true;
+  });
+}
+
+/**
+ * Drop hidden layers nothing depends on (parents and matte sources stay)
+ */
+function stripHiddenLayers(layers, stats) {
+  if (!Array.isArray(layers)) return layers;
+
+  const referenced = new Set();
+  for (const layer of layers) {
+    if (layer?.parent !== undefined) referenced.add(layer.parent);
+    if (layer?.tp !== undefined) referenced.add(layer.tp);
+  }
+
+  return layers.filter(layer => {
+    if (layer?.hd === true && layer.td !== 1 && !referenced.has(layer.ind)) {
+      stats.hiddenLayers++;
+      return false;
+    }
+    if (layer?.shapes) layer.shapes = stripHiddenShapes(layer.shapes, stats);
+    return true;
+  });
+}
+
+/**
+ * Drop assets no layer references, following precomps from the root
+ */
+function stripUnusedAssets(animationData, stats) {
+  if (!Array.isArray(animationData.assets)) return;
+
+  const byId = new Map(animationData.assets.map(asset => [asset.id, asset]));
+  const used = new Set();
+  const pending = [animationData.layers];
+
+  while (pending.length > 0) {
+    for (const layer of pending.pop() || []) {
+      if (layer?.refId === undefined || used.has(layer.refId)) continue;
+      used.add(layer.refId);
+      const asset = byId.get(layer.refId);
+      if (asset?.layers) pending.push(asset.layers);
+    }
+  }
+
+  const before = animationData.assets.length;
+  animationData.assets = animationData.assets.filter(asset => used.has(asset.id));
+  stats.unusedAssets += before - animationData.assets.length;
+}
+
+/**
+ * Merge keyframes that don't change the value
+ * A keyframe between two with the same value is redundant; a property whose
+ * keyframes all share one value becomes static
+ */
+function mergeKeyframes(value, stats) {
+  if (Array.isArray(value)) {
+    for (const item of value) mergeKeyframes(item, stats);
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+
+  if ('k' in value && isKeyframed(value.k)) {
+    const keyframes = value.k;
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    // Position keyframes curve away from their value along the spatial
+    // tangents `to` (out) and `ti` (in)
+    const flat = tangent => tangent === undefined || (Array.isArray(tangent) && tangent.every(v => v === 0));
+    // Old exports store each segment's end value in `e`
+    const constant = kf => (kf.e === undefined || same(kf.e, kf.s)) && flat(kf.to) && flat(kf.ti);
+
+    const merged = keyframes.filter((kf, i) => {
+      if (i === 0 || i === keyframes.length - 1) return true;
+      const prev = keyframes[i - 1];
+      const next = keyframes[i + 1];
+      return !(same(prev.s, kf.s) && same(kf.s, next.s) && constant(prev) && constant(kf) && flat(next.ti));
+    });
+    stats.keyframesMerged += keyframes.length - merged.length;
+
+    const values = merged.filter(kf => kf.s !== undefined);
+    if (values.length > 0 && merged.every(kf => kf.s === undefined || (same(kf.s, values[0].s) && constant(kf)))) {
+      // Keyframe values are always arrays; scalars and shapes are stored unwrapped when static
+      const s = values[0].s;
+      value.k = Array.isArray(s) && s.length === 1 ? s[0] : s;
+      value.a = 0;
+      stats.keyframesMerged += merged.length;
+      stats.propertiesMadeStatic++;
+    } else {
+      value.k = merged;
+    }
+    return;
+  }
+
+  for (const child of Object.values(value)) mergeKeyframes(child, stats);
+}
+
+/**
+ * Optimize an animation
+ * @param {Object} animationData - Parsed Lottie JSON (not modified)
+ * @param {Object} [options]
+ * @param {number} [options.precision=3] - Decimals kept for every number
+ * @returns {{ animationData: Object, stats: Object }}
+ */
+export function optimizeAnimation(animationData, { precision = DEFAULT_PRECISION } = {}) {
+  const stats = {
+    precision,
+    hiddenLayers: 0,
+    hiddenShapes: 0,
+    unusedAssets: 0,
+    metadataFields: 0,
+    keyframesMerged: 0,
+    propertiesMadeStatic: 0
+  };
+
+  // Rounding builds a fresh copy, so the input stays untouched
+  const data = roundNumbers(animationData, 10 ** precision);
+
+  // Exporter metadata block (generator, author, keywords)
+  delete data.meta;
+
+  data.layers = stripHiddenLayers(data.layers, stats);
+  for (const asset of data.assets || []) {
+    if (asset.layers) asset.layers = stripHiddenLayers(asset.layers, stats);
+  }
+  stripUnusedAssets(data, stats);
+  stripMetadata(data, stats);
+  mergeKeyframes(data, stats);
+
+  return { animationData: data, stats };
+}
+
+/**
+ * Compare two RGBA frames
+ * @returns {{ meanDifference: number, maxDifference: number }} Per-channel differences (0-255)
+ */
+export function compareFrames(a, b) {
+  if (a.length !== b.length) return { meanDifference: 255, maxDifference: 255 };
+
+  let total = 0;
+  let max = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = Math.abs(a[i] - b[i]);
+    total += diff;
+    if (diff > max) max = diff;
+  }
+
+  return { meanDifference: a.length > 0 ? total / a.length : 0, maxDifference: max };
+}
@@ -0,0 +1,371 @@
+/**
+ * Rendered output cache
+ * Second cache tier holding encoded results (images, videos, sprite sheets)
+ * keyed by animation slug + normalized render options. Memory LRU bounded by
+ * bytes, with an optional size-capped disk tier behind it. The disk tier can
+ * be shared by the processes of a cluster, with the primary keeping its index
+ * (see clusterCache.js)
+ */
+
+import crypto from 'crypto';
+import { mkdir, readdir, readFile, writeFile, rename, rm, stat } from 'fs/promises';
+import { join } from 'path';
+
+const KEY_PATTERN = /^[0-9a-f]{16}-[0-9a-f]{16}$/;
+
+/**
+ * JSON with sorted keys so equal options always hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Strong ETag of a response body
+ * @param {Buffer|Object} body - Binary body or JSON response object
+ */
+export function computeEtag(body) {
+  const data = Buffer.isBuffer(body) ? body : JSON.stringify(body);
+  return `"${crypto.createHash('sha256').update(data).digest('base64url').substring(0, 27)}"`;
+}
+
+/**
+ * Check an If-None-Match header against an ETag (weak comparison)
+ */
+export function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch || !etag) return false;
+  return ifNoneMatch.split(',').some(candidate => {
+    const value = candidate.trim();
+    return value === '*' || value.replace(/^W\//, '') === etag;
+  });
+}
+
+export class OutputCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxBytes=128MB] - Memory tier budget
+   * @param {string} [options.dir] - Disk tier directory (memory only when omitted)
+   * @param {number} [options.maxDiskBytes=1GB] - Disk tier budget
+   * @param {Object} [options.shared] - ClusterCacheClient: the disk tier is shared, and
+   *   writes and hits are reported to the process that indexes and evicts it
+   */
+  constructor({ maxBytes = 128 * 1024 * 1024, dir = null, maxDiskBytes = 1024 * 1024 * 1024, shared = null } = {}) {
+    this.maxBytes = maxBytes;
+    this.dir = dir;
+    this.maxDiskBytes = maxDiskBytes;
+    this.shared = shared;
+
+    // Map iteration order doubles as LRU order (oldest first)
+    this.memory = new Map();
+    this.bytes = 0;
+    this.disk = new Map();
+    this.diskBytes = 0;
+    this.pendingWrites = new Set();
+
+    this.hits = 0;
+    this.diskHits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Index the disk tier left by a previous run
+   */
+  async initialize() {
+    if (!this.dir) return;
+
+    await mkdir(this.dir, { recursive: true });
+
+    // A shared disk tier is indexed (and evicted) by the cluster primary
+    if (this.shared) return;
+
+    const files = (await readdir(this.dir)).filter(file => file.endsWith('.bin'));
+    const entries = [];
+
+    for (const file of files) {
+      const key = file.slice(0, -4);
+      if (!KEY_PATTERN.test(key)) continue;
+
+      try {
+        const info = await stat(join(this.dir, file));
+        entries.push({ key, size: info.size, lastAccessed: info.mtimeMs });
+      } catch (e) {
+        // Removed meanwhile
+      }
+    }
+
+    entries.sort((a, b) => a.lastAccessed - b.lastAccessed);
+    for (const { key, size } of entries) {
+      this.disk.set(key, size);
+      this.diskBytes += size;
+    }
+
+    await this.evictDisk();
+  }
+
+  /**
+   * Cache key for an animation and its normalized render options
+   * @param {string} slug - generateSlug() of the animation
+   * @param {Object} options - Fully resolved options (defaults applied)
+   */
+  key(slug, options) {
+    const hash = crypto.createHash('sha256').update(stableStringify(options)).digest('hex');
+    return `${slug}-${hash.substring(0, 16)}`;
+  }
+
+  /**
+   * Look up an output, promoting disk hits into memory
+   * @returns {Promise<Object|null>} { body, contentType, headers, etag } or null
+   */
+  async get(key) {
+    const entry = this.memory.get(key);
+
+    if (entry) {
+      this.memory.delete(key);
+      this.memory.set(key, entry);
+      this.hits++;
+      return entry.value;
+    }
+
+    // Other processes write to a shared disk tier, so it is always looked at
+    if (this.dir && (this.shared || this.disk.has(key))) {
+      try {
+        const [data, meta] = await Promise.all([
+          readFile(join(this.dir, `${key}.bin`)),
+          readFile(join(this.dir, `${key}.json`), 'utf8').then(JSON.parse)
+        ]);
+
+        const value = {
+          body: meta.json ? JSON.parse(data.toString('utf8')) : data,
+          contentType: meta.contentType,
+          headers: meta.headers,
+          etag: meta.etag
+        };
+
+        // Refresh LRU position on disk too
+        if (this.shared) {
+          this.shared.touched(key);
+        } else {
+          this.touchDisk(key);
+        }
+
+        this.storeInMemory(key, value, data.length);
+        this.diskHits++;
+        return value;
+      } catch (e) {
+        // Not (or no longer) on disk
+        if (!this.shared) this.forgetDisk(key);
+      }
+    }
+
+    this.misses++;
+    return null;
+  }
+
+  /**
+   * Store a conversion result
+   * @param {string} key - From key()
+   * @param {Object} result - { body, contentType, headers }
+   * @returns {Object} Cached value including its ETag
+   */
+  set(key, result) {
+    const value = {
+      body: result.body,
+      contentType: result.contentType,
+      headers: result.headers,
+      etag: computeEtag(result.body)
+    };
+
+    const data = Buffer.isBuffer(value.body) ? value.body : Buffer.from(JSON.stringify(value.body));
+
+    this.storeInMemory(key, value, data.length);
+
+    if (this.dir && !this.disk.has(key) && !this.pendingWrites.has(key) && data.length <= this.maxDiskBytes) {
+      this.pendingWrites.add(key);
+      this.writeDisk(key, value, data)
+        .catch(error => console.error('Output cache disk write failed:', error.message))
+        .finally(() => this.pendingWrites.delete(key));
+    }
+
+    return value;
+  }
+
+  /**
+   * Insert into the memory tier, evicting least recently used entries
+   */
+  storeInMemory(key, value, size) {
+    // Entries larger than the whole budget only go to disk
+    if (size > this.maxBytes) return;
+
+    const existing = this.memory.get(key);
+    if (existing) {
+      this.bytes -= existing.size;
+      this.memory.delete(key);
+    }
+
+    this.memory.set(key, { value, size });
+    this.bytes += size;
+
+    for (const [oldKey, entry] of this.memory) {
+      if (this.bytes <= this.maxBytes) break;
+      this.memory.delete(oldKey);
+      this.bytes -= entry.size;
+    }
+  }
+
+  /**
+   * Write an entry to the disk tier (body first, metadata last marks it complete)
+   */
+  async writeDisk(key, value, data) {
+    const base = join(this.dir, key);
+    const temp = `${base}.${process.pid}.tmp`;
+
+    // This process has no index of a shared tier: another one may have
+    // stored the same output meanwhile (its metadata file marks it complete)
+    if (this.shared && (await this.onDisk(key))) {
+      this.shared.touched(key);
+      return;
+    }
+
+    await writeFile(temp, data);
+    await rename(temp, `${base}.bin`);
+    await writeFile(temp, JSON.stringify({
+      contentType: value.contentType,
+      headers: value.headers,
+      etag: value.etag,
+      json: !Buffer.isBuffer(value.body)
+    }));
+    await rename(temp, `${base}.json`);
+
+    if (this.shared) {
+      this.shared.stored(key, data.length);
+    } else {
+      await this.indexDisk(key, data.length);
+    }
+  }
+
+  /**
+   * Whether a complete entry is on disk
+   */
+  async onDisk(key) {
+    try {
+      await stat(join(this.dir, `${key}.json`));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Add a complete disk entry to the index, evicting to stay under the cap
+   */
+  async indexDisk(key, size) {
+    const existing = this.disk.get(key);
+    if (existing !== undefined) {
+      this.disk.delete(key);
+      this.diskBytes -= existing;
+    }
+
+    this.disk.set(key, size);
+    this.diskBytes += size;
+    await this.evictDisk();
+  }
+
+  /**
+   * Mark a disk entry as recently used
+   */
+  touchDisk(key) {
+    const size = this.disk.get(key);
+    if (size === undefined) return;
+
+    this.disk.delete(key);
+    this.disk.set(key, size);
+  }
+
+  /**
+   * Delete least recently used disk entries until under the cap
+   */
+  async evictDisk() {
+    const victims = [];
+
+    for (const [key, size] of this.disk) {
+      if (this.diskBytes <= this.maxDiskBytes) break;
+      victims.push(key);
+      this.disk.delete(key);
+      this.diskBytes -= size;
+    }
+
+    await Promise.all(victims.map(key => this.removeFiles(key)));
+  }
+
+  /**
+   * Drop a broken or missing disk entry
+   */
+  forgetDisk(key) {
+    const size = this.disk.get(key);
+    if (size === undefined) return;
+
+    this.disk.delete(key);
+    this.diskBytes -= size;
+    this.removeFiles(key);
+  }
+
+  /**
+   * Delete an entry's files
+   */
+  async removeFiles(key) {
+    await Promise.all([
+      rm(join(this.dir, `${key}.bin`), { force: true }),
+      rm(join(this.dir, `${key}.json`), { force: true })
+    ]).catch(() => {});
+  }
+
+  /**
+   * Get cache statistics
+   */
+  getStats() {
+    const lookups = this.hits + this.diskHits + this.misses;
+
+    return {
+      entries: this.memory.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? ((this.hits + this.diskHits) / lookups * 100).toFixed(2) + '%' : '0%',
+      disk: {
+        enabled: !!this.dir,
+        // A shared tier's size is reported by the primary (cluster stats)
+        ...(this.shared ? { shared: true } : {
+          entries: this.disk.size,
+          bytes: this.diskBytes,
+          maxBytes: this.dir ? this.maxDiskBytes : 0
+        }),
+        hits: this.diskHits
+      }
+    };
+  }
+
+  /**
+   * Clear both tiers (a shared disk tier is cleared by the primary)
+   */
+  async clear() {
+    this.memory.clear();
+    this.bytes = 0;
+
+    const keys = [...this.disk.keys()];
+    this.disk.clear();
+    this.diskBytes = 0;
+    await Promise.all(keys.map(key => this.removeFiles(key)));
+
+    this.hits = 0;
+    this.diskHits = 0;
+    this.misses = 0;
+  }
+}
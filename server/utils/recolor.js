@@ -0,0 +1,268 @@
+/**
+ * Render-time color remapping
+ * Rewrites fill, stroke and gradient stop colors (plus solid layers and text)
+ * throughout the animation tree before it is rasterized, so every backend
+ * renders the themed variant
+ */
+
+import { validateColor } from './validators.js';
+import { isKeyframed } from './keyframes.js';
+
+const MAX_COLOR_MAP_ENTRIES = 64;
+
+/**
+ * Lowercase #rrggbb form of a validated color
+ */
+function toHex({ r, g, b }) {
+  return '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * #rrggbb of an RGB triple in 0-1
+ */
+function rgbToHex([r, g, b]) {
+  const byte = value => Math.round(Math.min(1, Math.max(0, value)) * 255);
+  return toHex({ r: byte(r), g: byte(g), b: byte(b) });
+}
+
+function isEnabled(value) {
+  return value === true || value === 'true' || value === '1' || value === 1;
+}
+
+/**
+ * Normalize recolor options from a query string or a JSON body
+ * - colors: { '#ff0000': '#00aaff' }, or 'ff0000:00aaff,00ff00:ffffff'
+ * - hue: degrees to rotate every hue by
+ * - tint: color to colorize with, tintAmount: 0-1 (default 1)
+ * - monochrome: grayscale
+ * - silhouette: paint everything in one color
+ * @returns {Object|undefined} Canonical options (stable for cache keys), undefined when nothing is recolored
+ */
+export function normalizeRecolor(options = {}) {
+  const result = {};
+  let { colors } = options;
+
+  if (typeof colors === 'string' && colors !== '') {
+    colors = Object.fromEntries(colors.split(',').map(pair => {
+      const parts = pair.split(':');
+      if (parts.length !== 2) throw new Error(`Invalid color mapping: ${pair}. Use from:to`);
+      return parts;
+    }));
+  }
+  if (colors && typeof colors === 'object') {
+    const entries = Object.entries(colors);
+    if (entries.length > MAX_COLOR_MAP_ENTRIES) {
+      throw new Error(`Invalid color map: more than ${MAX_COLOR_MAP_ENTRIES} entries`);
+    }
+    if (entries.length > 0) {
+      result.colors = Object.fromEntries(entries
+        .map(([from, to]) => [toHex(validateColor(from)), toHex(validateColor(to))])
+        .sort(([a], [b]) => a.localeCompare(b)));
+    }
+  }
+
+  if (options.hue !== undefined && options.hue !== '') {
+    const hue = Number(options.hue);
+    if (!Number.isFinite(hue) || Math.abs(hue) > 360) {
+      throw new Error(`Invalid hue: ${options.hue}. Must be -360 to 360 degrees`);
+    }
+    if (hue % 360 !== 0) result.hue = hue;
+  }
+
+  if (isEnabled(options.monochrome)) result.monochrome = true;
+
+  if (options.tint !== undefined && options.tint !== '') {
+    const amount = options.tintAmount === undefined || options.tintAmount === '' ? 1 : Number(options.tintAmount);
+    if (!Number.isFinite(amount) || amount < 0 || amount > 1) {
+      throw new Error(`Invalid tint amount: ${options.tintAmount}. Must be 0-1`);
+    }
+    result.tint = toHex(validateColor(options.tint));
+    result.tintAmount = amount;
+  }
+
+  if (options.silhouette !== undefined && options.silhouette !== '') {
+    result.silhouette = toHex(validateColor(options.silhouette));
+  }
+
+  return Object.keys(result).length > 0 ? result : undefined;
+}
+
+/**
+ * RGB (0-1) => HSL (h in degrees, s and l 0-1)
+ */
+function rgbToHsl(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+
+  if (d === 0) return [0, 0, l];
+
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+
+  return [h * 60, s, l];
+}
+
+/**
+ * HSL => RGB (0-1)
+ */
+function hslToRgb(h, s, l) {
+  if (s === 0) return [l, l, l];
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const channel = (t) => {
+    t = ((t % 1) + 1) % 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  const hue = h / 360;
+
+  return [channel(hue + 1 / 3), channel(hue), channel(hue - 1 / 3)];
+}
+
+function hexToRgb(hex) {
+  const { r, g, b } = validateColor(hex);
+  return [r / 255, g / 255, b / 255];
+}
+
+/**
+ * Build the color function for normalized options
+ * Steps run in order: color map, hue shift, monochrome, tint; a silhouette replaces them all
+ * @returns {Function} ([r, g, b] in 0-1) => [r, g, b]
+ */
+function createTransform(options) {
+  if (options.silhouette) {
+    const color = hexToRgb(options.silhouette);
+    return () => color;
+  }
+
+  const map = options.colors
+    ? new Map(Object.entries(options.colors).map(([from, to]) => [from, hexToRgb(to)]))
+    : null;
+  const tint = options.tint ? rgbToHsl(...hexToRgb(options.tint)) : null;
+
+  return ([r, g, b]) => {
+    if (map) {
+      const mapped = map.get(rgbToHex([r, g, b]));
+      if (mapped) [r, g, b] = mapped;
+    }
+
+    if (options.hue) {
+      const [h, s, l] = rgbToHsl(r, g, b);
+      [r, g, b] = hslToRgb(h + options.hue, s, l);
+    }
+
+    if (options.monochrome) {
+      const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+      r = g = b = luma;
+    }
+
+    if (tint) {
+      // Colorize: the tint's hue and saturation at the original lightness
+      const [, , l] = rgbToHsl(r, g, b);
+      const [tr, tg, tb] = hslToRgb(tint[0], tint[1], l);
+      const amount = options.tintAmount;
+      r += (tr - r) * amount;
+      g += (tg - g) * amount;
+      b += (tb - b) * amount;
+    }
+
+    return [r, g, b];
+  };
+}
+
+/**
+ * Transform the RGB triples of a flat color array (alpha and other values stay)
+ * @param {number[]} values - Color values
+ * @param {Object} [layout]
+ * @param {number} [layout.count=1] - Colors in the array
+ * @param {number} [layout.start=0] - Index of the first color
+ * @param {number} [layout.stride=0] - Distance between colors
+ */
+function transformColors(values, transform, { count = 1, start = 0, stride = 0 } = {}) {
+  if (!Array.isArray(values)) return values;
+
+  const result = values.slice();
+  for (let i = 0; i < count; i++) {
+    const offset = start + i * stride;
+    if (offset + 2 >= result.length) break;
+    const [r, g, b] = transform(result.slice(offset, offset + 3));
+    result[offset] = r;
+    result[offset + 1] = g;
+    result[offset + 2] = b;
+  }
+  return result;
+}
+
+/**
+ * Apply a value transform to a static or keyframed property ({ a, k })
+ */
+function transformProperty(property, fn) {
+  if (!property || typeof property !== 'object' || property.k === undefined) return;
+
+  if (isKeyframed(property.k)) {
+    for (const keyframe of property.k) {
+      if (keyframe.s !== undefined) keyframe.s = fn(keyframe.s);
+      if (keyframe.e !== undefined) keyframe.e = fn(keyframe.e);
+    }
+  } else {
+    property.k = fn(property.k);
+  }
+}
+
+/**
+ * Recolor every color the renderers read, in place
+ */
+function recolorTree(value, transform) {
+  if (Array.isArray(value)) {
+    for (const item of value) recolorTree(item, transform);
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+
+  switch (value.ty) {
+    case 'fl':
+    case 'st':
+      transformProperty(value.c, color => transformColors(color, transform));
+      break;
+    case 'gf':
+    case 'gs':
+      // Gradient stops: [offset, r, g, b] × p, then opacity stops
+      if (value.g) transformProperty(value.g.k, stops => transformColors(stops, transform, { count: value.g.p, start: 1, stride: 4 }));
+      break;
+    case 1:
+      // Solid layer color is a hex string
+      if (typeof value.sc === 'string' && /^#[\da-f]{6}$/i.test(value.sc)) {
+        value.sc = rgbToHex(transform(hexToRgb(value.sc)));
+      }
+      break;
+    case 5:
+      // Text documents: fill and stroke colors of each keyframed document
+      for (const keyframe of Array.isArray(value.t?.d?.k) ? value.t.d.k : []) {
+        if (keyframe?.s?.fc) keyframe.s.fc = transformColors(keyframe.s.fc, transform);
+        if (keyframe?.s?.sc) keyframe.s.sc = transformColors(keyframe.s.sc, transform);
+      }
+      break;
+  }
+
+  for (const child of Object.values(value)) recolorTree(child, transform);
+}
+
+/**
+ * Recolor an animation
+ * @param {Object} animationData - Parsed Lottie JSON (not modified)
+ * @param {Object} options - Result of normalizeRecolor
+ * @returns {Object} Recolored copy
+ */
+export function recolorAnimation(animationData, options) {
+  const data = structuredClone(animationData);
+  recolorTree(data, createTransform(options));
+  return data;
+}
@@ -7,26 +7,123 @@ import { Worker } from 'worker_threads';
 import { cpus } from 'os';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { normalizeRecolor, recolorAnimation } from './recolor.js';
+import { normalizeLayout } from './layout.js';
+import { normalizeFormat } from './imageEncoder.js';
+import { validateEncodeOptions } from './validators.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Recolored variants kept per animation
+const MAX_RECOLORED_VARIANTS = 8;
+
+// Frames a stream renders ahead of its consumer, per worker
+const STREAM_WINDOW_PER_WORKER = 2;
+
+// Scheduling classes: interactive work (single frames, previews) goes first,
+// but every BULK_SHARE-th dispatch serves bulk work so it can't starve
+const PRIORITIES = ['interactive', 'bulk'];
+const BULK_SHARE = 8;
+
+// Aborted tasks that have run this long are interrupted (their worker is
+// replaced); shorter ones finish, as restarting a worker costs more
+const INTERRUPT_AFTER_MS = 100;
+
+// Workers that crash again within CRASH_WINDOW_MS restart after an
+// exponentially growing delay, up to MAX_RESTART_DELAY_MS
+const CRASH_WINDOW_MS = 60000;
+const MAX_RESTART_DELAY_MS = 30000;
+
+// Minimum time a new worker gets to start its backends before the watchdog
+// replaces it (startup is much slower than a frame)
+const STARTUP_TIMEOUT_MS = 30000;
+
+// Time a worker gets to stop its backends before it is terminated
+const GRACEFUL_EXIT_MS = 5000;
+
+// Lifecycle events kept for getStats()
+const MAX_LIFECYCLE_EVENTS = 20;
+
+// Animations each worker keeps after they were sent to it once
+const MAX_WORKER_ANIMATIONS = 16;
+
+// Autoscaling: a worker is added when SCALE_UP_QUEUE_DEPTH tasks per worker
+// are waiting, or when the oldest task has waited SCALE_UP_WAIT_MS; workers
+// idle for the pool's idleTimeout are stopped, down to minWorkers
+const SCALE_UP_QUEUE_DEPTH = 4;
+const SCALE_UP_WAIT_MS = 250;
+const AUTOSCALE_INTERVAL_MS = 1000;
+
 export class RenderPool {
-  constructor(poolSize = cpus().length) {
+  /**
+   * @param {number} [poolSize] - Maximum worker threads (default: one per CPU)
+   * @param {Object} [options]
+   * @param {number} [options.minWorkers=poolSize] - Workers kept running when idle; the pool autoscales when less than poolSize
+   * @param {number} [options.idleTimeout=30000] - Idle time after which a worker above minWorkers is stopped
+   * @param {number} [options.maxQueue=2000] - Queued tasks before new work is refused
+   * @param {Object} [options.deadlines] - Default per-task deadline (ms) per priority, 0 for none
+   * @param {Object} [options.queueTimeouts] - Longest wait (ms) for a worker per priority, 0 for none
+   * @param {number} [options.taskTimeout=60000] - Watchdog: a worker with no result after this long is replaced, 0 to disable
+   * @param {number} [options.maxTasksPerWorker=10000] - Recycle a worker after this many tasks, 0 for no limit
+   * @param {number} [options.maxWorkerMemoryMb=1024] - Recycle a worker whose heap (including buffers) exceeds this, 0 for no limit
+   */
+  constructor(poolSize = cpus().length, { minWorkers = poolSize, idleTimeout = 30000, maxQueue = 2000, deadlines = {}, queueTimeouts = {}, taskTimeout = 60000, maxTasksPerWorker = 10000, maxWorkerMemoryMb = 1024 } = {}) {
     this.poolSize = poolSize;
+    this.minWorkers = Math.max(1, Math.min(minWorkers, poolSize));
+    this.idleTimeout = idleTimeout;
     this.workers = [];
     this.availableWorkers = [];
-    this.taskQueue = [];
+    this.queues = { interactive: [], bulk: [] };
+    this.maxQueue = maxQueue;
+    this.deadlines = { interactive: 15000, bulk: 120000, ...deadlines };
+    this.queueTimeouts = { interactive: 15000, bulk: 0, ...queueTimeouts };
+    this.dispatched = 0;
     this.nextWorkerId = 0;
     
+    // Worker lifecycle: watchdog, recycling and crash-loop backoff
+    this.taskTimeout = taskTimeout;
+    this.maxTasksPerWorker = maxTasksPerWorker;
+    this.maxWorkerMemory = maxWorkerMemoryMb * 1024 * 1024;
+    this.crashes = new Map();
+    this.restartTimers = new Map();
+    this.lifecycle = { spawned: 0, recycled: 0, hung: 0, crashed: 0, interrupted: 0, backoff: 0, stopped: 0, scaledUp: 0, scaledDown: 0 };
+    this.lifecycleEvents = [];
+    this.closing = false;
+    
     // Performance metrics
     this.totalTasks = 0;
     this.completedTasks = 0;
     this.failedTasks = 0;
+    this.cancelledTasks = 0;
+    this.timedOutTasks = 0;
+    this.interruptedTasks = 0;
+    this.rejectedTasks = 0;
     this.totalLatency = 0;
+    this.totalRunTime = 0;
+    
+    // Renderer backends reported by the workers
+    this.backendStatus = { default: null, backends: {} };
     
-    // rlottie status
-    this.rlottieStatus = { available: false, command: null, mode: 'checking' };
+    // Animation => Map(recolor options key => recolored copy)
+    this.recolored = new WeakMap();
+    
+    // AbortSignal => Set of its unsettled tasks (see watchSignal)
+    this.signalTasks = new WeakMap();
+    
+    // Animation => { key, size }: workers are sent an animation once and then
+    // only its key (see renderMessage). The size is reported by the first
+    // worker it is sent to, so the main thread never serializes it.
+    this.animationRefs = new WeakMap();
+    this.nextAnimationKey = 0;
+    this.transport = {
+      animationsSent: 0,
+      animationsReused: 0,
+      animationBytesSent: 0,
+      animationBytesSaved: 0,
+      framesTransferred: 0,
+      frameBytesTransferred: 0
+    };
     
     this.initialize();
   }
@@ -35,71 +132,95 @@ export class RenderPool {
    * Initialize worker pool
    */
   initialize() {
-    for (let i = 0; i < this.poolSize; i++) {
+    for (let i = 0; i < this.minWorkers; i++) {
       this.createWorker(i);
     }
-    console.log(`[RenderPool] Initialized with ${this.poolSize} workers`);
+    
+    if (this.minWorkers < this.poolSize) {
+      this.scaleTimer = setInterval(() => this.autoscale(), AUTOSCALE_INTERVAL_MS);
+      this.scaleTimer.unref();
+      console.log(`[RenderPool] Initialized with ${this.minWorkers} workers, scaling up to ${this.poolSize}`);
+    } else {
+      console.log(`[RenderPool] Initialized with ${this.poolSize} workers`);
+    }
   }
 
   /**
    * Create a new worker thread
    */
   createWorker(id) {
+    this.restartTimers.delete(id);
+    
     const worker = new Worker(join(__dirname, '..', 'worker.js'), {
-      workerData: { workerId: id }
+      workerData: { workerId: id, maxAnimations: MAX_WORKER_ANIMATIONS }
     });
 
     const workerContext = {
       id,
       worker,
       busy: false,
+      initialized: false,
+      // Keys of the animations the worker holds, in its LRU order
+      animations: new Set(),
+      // PIDs of its running rlottie helper processes (see killHelpers)
+      helpers: new Set(),
       tasksCompleted: 0,
-      tasksFailed: 0
+      tasksFailed: 0,
+      memory: 0,
+      startedAt: Date.now(),
+      idleSince: Date.now()
     };
+    
+    this.recordEvent(id, 'spawned');
+    // Until its backends are up, the watchdog covers the worker's startup
+    this.armWatchdog(workerContext);
 
     worker.on('message', (result) => {
-      // Handle rlottie status message
-      if (result.type === 'rlottie-status') {
-        this.rlottieStatus = result.status;
-        console.log(`[Pool] rlottie status from worker ${id}:`, result.status.mode);
+      // Tracked after retirement too, until the worker has exited
+      if (result.type === 'helper') {
+        if (result.running) workerContext.helpers.add(result.pid);
+        else workerContext.helpers.delete(result.pid);
         return;
       }
       
+      if (workerContext.retired) return;
+      
+      // Handle backend status message (the worker has finished starting and
+      // takes tasks from now on)
+      if (result.type === 'backend-status') {
+        this.backendStatus = result.status;
+        console.log(`[Pool] Default renderer from worker ${id}:`, result.status.default);
+        workerContext.initialized = true;
+        workerContext.idleSince = Date.now();
+        clearTimeout(workerContext.watchdog);
+        this.availableWorkers.push(workerContext);
+        this.processQueue();
+        return;
+      }
+      
+      // Startup signal, not a task result
+      if (result.type === 'ready') return;
+      
       this.handleWorkerMessage(workerContext, result);
     });
 
+    // An uncaught error ends the worker ('exit' follows)
     worker.on('error', (error) => {
+      if (workerContext.retired) return;
       console.error(`[Worker ${id}] Error:`, error);
-      workerContext.tasksFailed++;
-      this.failedTasks++;
-      
-      // Reject current task if any
-      if (workerContext.currentTask) {
-        workerContext.currentTask.reject(error);
-        workerContext.currentTask = null;
-      }
-      
-      // Mark as available and process queue
-      workerContext.busy = false;
-      this.availableWorkers.push(workerContext);
-      this.processQueue();
+      this.replaceFailedWorker(workerContext, 'crashed', `crashed: ${error.message}`);
     });
 
     worker.on('exit', (code) => {
-      if (code !== 0) {
-        console.error(`[Worker ${id}] Exited with code ${code}`);
-        // Remove from workers array
-        const index = this.workers.indexOf(workerContext);
-        if (index > -1) {
-          this.workers.splice(index, 1);
-        }
-        // Recreate worker
-        this.createWorker(id);
-      }
+      workerContext.exited = true;
+      
+      // Retired workers (recycled, interrupted, hung, stopped) are replaced already
+      if (workerContext.retired) return;
+      console.error(`[Worker ${id}] Exited with code ${code}`);
+      this.replaceFailedWorker(workerContext, 'crashed', `exited with code ${code}`);
     });
 
     this.workers.push(workerContext);
-    this.availableWorkers.push(workerContext);
   }
 
   /**
@@ -111,77 +232,646 @@ export class RenderPool {
     const task = workerContext.currentTask;
     const latency = Date.now() - task.startTime;
     
+    clearTimeout(workerContext.watchdog);
+    workerContext.memory = result.memory || 0;
+    if (result.animationBytes) {
+      this.animationRef(task.animationData).size = result.animationBytes;
+      this.transport.animationBytesSent += result.animationBytes;
+    }
     this.completedTasks++;
     this.totalLatency += latency;
+    this.totalRunTime += Date.now() - task.dispatchTime;
     workerContext.tasksCompleted++;
     
-    if (result.success) {
-      task.resolve(result.data);
+    if (task.cancelled) {
+      // Cancelled while running: the result is dropped
+    } else if (result.success) {
+      // Images arrive as transferred Uint8Arrays
+      const data = result.data;
+      if (data.buffer && !Buffer.isBuffer(data.buffer)) {
+        data.buffer = Buffer.from(data.buffer.buffer, data.buffer.byteOffset, data.buffer.byteLength);
+        this.transport.framesTransferred++;
+        this.transport.frameBytesTransferred += data.buffer.length;
+      }
+      task.resolve(data);
     } else {
       this.failedTasks++;
       workerContext.tasksFailed++;
-      task.reject(new Error(result.error));
+      const error = new Error(result.error);
+      if (result.statusCode) error.statusCode = result.statusCode;
+      task.reject(error);
     }
 
-    // Mark worker as available and process next task
+    // Mark worker as available (or replace it when it's due) and process next task
     workerContext.currentTask = null;
     workerContext.busy = false;
-    this.availableWorkers.push(workerContext);
+    
+    const recycleReason = this.recycleReason(workerContext);
+    if (recycleReason) {
+      this.retireWorker(workerContext, 'recycled', recycleReason);
+      this.stopWorker(workerContext);
+      this.createWorker(workerContext.id);
+    } else {
+      workerContext.idleSince = Date.now();
+      this.availableWorkers.push(workerContext);
+    }
     this.processQueue();
   }
 
+  /**
+   * Why an idle worker should be recycled, if it should
+   */
+  recycleReason(workerContext) {
+    if (this.maxTasksPerWorker > 0 && workerContext.tasksCompleted >= this.maxTasksPerWorker) {
+      return `${workerContext.tasksCompleted} tasks`;
+    }
+    if (this.maxWorkerMemory > 0 && workerContext.memory >= this.maxWorkerMemory) {
+      return `${Math.round(workerContext.memory / 1024 / 1024)}MB heap`;
+    }
+    return null;
+  }
+
+  /**
+   * Take a worker out of the pool; its replacement is up to the caller
+   */
+  retireWorker(workerContext, event, detail) {
+    workerContext.retired = true;
+    clearTimeout(workerContext.watchdog);
+    
+    const index = this.workers.indexOf(workerContext);
+    if (index > -1) this.workers.splice(index, 1);
+    
+    const available = this.availableWorkers.indexOf(workerContext);
+    if (available > -1) this.availableWorkers.splice(available, 1);
+    
+    this.recordEvent(workerContext.id, event, detail);
+  }
+
+  /**
+   * Ask a retired worker to exit cleanly (its backends stop their helper
+   * processes), terminating it if it hasn't within GRACEFUL_EXIT_MS
+   */
+  stopWorker(workerContext) {
+    if (workerContext.exited) return Promise.resolve();
+    
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => this.terminateWorker(workerContext), GRACEFUL_EXIT_MS);
+      workerContext.worker.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      workerContext.worker.postMessage({ type: 'shutdown' });
+    });
+  }
+
+  /**
+   * Terminate a worker thread at once
+   * Its backends get no chance to stop their helper processes, so those are killed here.
+   */
+  terminateWorker(workerContext) {
+    workerContext.worker.terminate().catch(() => {});
+    this.killHelpers(workerContext);
+  }
+
+  /**
+   * Kill the helper processes of a worker that can no longer stop them
+   */
+  killHelpers(workerContext) {
+    for (const pid of workerContext.helpers) {
+      try {
+        process.kill(pid, 'SIGKILL');
+      } catch (error) {
+        // Already gone
+      }
+    }
+    workerContext.helpers.clear();
+  }
+
+  /**
+   * A worker died or hung: fail its task and start a replacement, backing
+   * off when the slot keeps crashing
+   */
+  replaceFailedWorker(workerContext, event, detail) {
+    const task = workerContext.currentTask;
+    
+    this.retireWorker(workerContext, event, detail);
+    this.killHelpers(workerContext);
+    workerContext.currentTask = null;
+    
+    if (task && !task.settled) {
+      this.failedTasks++;
+      workerContext.tasksFailed++;
+      task.reject(new Error(`Worker ${workerContext.id} ${detail}`));
+    }
+    
+    this.scheduleRestart(workerContext.id);
+  }
+
+  /**
+   * Start (or restart) the watchdog of a starting or busy worker
+   */
+  armWatchdog(workerContext) {
+    clearTimeout(workerContext.watchdog);
+    if (this.taskTimeout > 0) {
+      workerContext.watchdog = setTimeout(() => this.onWorkerHung(workerContext), this.watchdogTimeout(workerContext));
+    }
+  }
+
+  watchdogTimeout(workerContext) {
+    return workerContext.initialized ? this.taskTimeout : Math.max(this.taskTimeout, STARTUP_TIMEOUT_MS);
+  }
+
+  /**
+   * Watchdog: a worker didn't finish starting, or its current task has
+   * produced no result in time
+   */
+  onWorkerHung(workerContext) {
+    const detail = workerContext.initialized
+      ? `hung rendering frame ${workerContext.currentTask?.frameNumber} (no result after ${this.taskTimeout}ms) and was replaced`
+      : `did not start within ${this.watchdogTimeout(workerContext)}ms and was replaced`;
+    console.error(`[Worker ${workerContext.id}] Watchdog: ${detail}`);
+    
+    this.terminateWorker(workerContext);
+    this.replaceFailedWorker(workerContext, 'hung', detail);
+  }
+
+  /**
+   * Start a worker in a failed worker's slot: at once after the first
+   * failure, after 1s, 2s, 4s ... when it failed again within CRASH_WINDOW_MS
+   */
+  scheduleRestart(id) {
+    if (this.closing) return;
+    
+    const now = Date.now();
+    const recent = (this.crashes.get(id) || []).filter(time => now - time < CRASH_WINDOW_MS);
+    recent.push(now);
+    this.crashes.set(id, recent);
+    
+    const delay = recent.length < 2 ? 0 : Math.min(MAX_RESTART_DELAY_MS, 1000 * 2 ** (recent.length - 2));
+    
+    if (delay === 0) {
+      this.createWorker(id);
+      this.processQueue();
+      return;
+    }
+    
+    this.recordEvent(id, 'backoff', `restart in ${delay}ms after ${recent.length} failures in ${CRASH_WINDOW_MS / 1000}s`);
+    const timer = setTimeout(() => {
+      this.createWorker(id);
+      this.processQueue();
+    }, delay);
+    timer.unref();
+    this.restartTimers.set(id, timer);
+  }
+
+  /**
+   * Periodic autoscaling: add workers for tasks that have waited too long,
+   * stop workers that have been idle
+   */
+  autoscale() {
+    this.scaleUp();
+    this.scaleDown();
+  }
+
+  /**
+   * Add workers while tasks queue up, up to poolSize
+   * Workers still starting count as capacity, so a burst of tasks adds workers
+   * in proportion to its size rather than one per task.
+   */
+  scaleUp() {
+    const slots = this.workers.length + this.restartTimers.size;
+    const queued = this.queuedTasks();
+    if (this.closing || queued === 0 || slots >= this.poolSize) return;
+    
+    const deep = queued >= slots * SCALE_UP_QUEUE_DEPTH;
+    const starting = this.workers.some(w => !w.initialized);
+    const slow = !starting && Date.now() - this.oldestQueuedTime() >= SCALE_UP_WAIT_MS;
+    if (!deep && !slow) return;
+    
+    const count = Math.min(this.poolSize - slots, Math.max(1, Math.ceil(queued / SCALE_UP_QUEUE_DEPTH) - slots));
+    for (let i = 0; i < count; i++) {
+      const id = this.freeWorkerId();
+      this.recordEvent(id, 'scaledUp', `${queued} tasks queued`);
+      this.createWorker(id);
+    }
+  }
+
+  /**
+   * Stop workers idle for idleTimeout, down to minWorkers
+   */
+  scaleDown() {
+    const now = Date.now();
+    
+    for (const workerContext of [...this.availableWorkers]) {
+      if (this.workers.length + this.restartTimers.size <= this.minWorkers) return;
+      if (now - workerContext.idleSince < this.idleTimeout) continue;
+      
+      this.retireWorker(workerContext, 'scaledDown', `idle ${Math.round((now - workerContext.idleSince) / 1000)}s`);
+      this.stopWorker(workerContext);
+    }
+  }
+
+  /**
+   * Queue time of the longest waiting task
+   */
+  oldestQueuedTime() {
+    return Math.min(...PRIORITIES.map(priority => this.queues[priority][0]?.startTime ?? Infinity));
+  }
+
+  /**
+   * Lowest worker id not taken by a running or restarting worker
+   */
+  freeWorkerId() {
+    const taken = new Set([...this.workers.map(w => w.id), ...this.restartTimers.keys()]);
+    let id = 0;
+    while (taken.has(id)) id++;
+    return id;
+  }
+
+  /**
+   * Count a lifecycle event and keep it in the recent events list
+   */
+  recordEvent(workerId, event, detail) {
+    this.lifecycle[event]++;
+    this.lifecycleEvents.push({ time: new Date().toISOString(), worker: workerId, event, ...(detail && { detail }) });
+    if (this.lifecycleEvents.length > MAX_LIFECYCLE_EVENTS) this.lifecycleEvents.shift();
+  }
+
   /**
    * Render a frame from animation data
    * @param {Object} animationData - Parsed Lottie JSON
    * @param {number} frameNumber - Frame to render
-   * @param {Object} options - Rendering options
-   * @returns {Promise<Buffer>} Encoded image buffer
+   * @param {Object} options - Rendering options (format, quality, width, height, renderer, recolor,
+   *   fit, padding, dpr, background, plus the format's encoder options: effort, lossless,
+   *   chromaSubsampling, palette, pixelFormat)
+   * @param {Object} [options.recolor] - Color remapping, see normalizeRecolor in recolor.js
+   * @param {string} [options.priority] - interactive (default) or bulk
+   * @param {number} [options.timeout] - Deadline in ms from when a worker starts the frame
+   *   (default: the pool's for the priority); time spent queued is limited separately
+   *   by the pool's queue timeout for the priority
+   * @param {AbortSignal} [options.signal] - Removes the task from the queue, or interrupts it
+   * @returns {Promise<Object>} { buffer, width, height, format, renderer, size }
+   *   width and height are the output size (scaled by dpr)
    */
   async renderFrame(animationData, frameNumber, options = {}) {
+    return this.enqueue(this.createTask(animationData, frameNumber, options), options);
+  }
+
+  /**
+   * Build a render task from renderFrame arguments (throws on invalid options)
+   */
+  createTask(animationData, frameNumber, options) {
+    const format = normalizeFormat(options.format || 'png');
+    const layout = normalizeLayout(options);
+    const encode = validateEncodeOptions(format, { ...options, background: layout?.background });
+    const recolor = normalizeRecolor(options.recolor);
+    
+    return {
+      animationData: recolor ? this.getRecolored(animationData, recolor) : animationData,
+      frameNumber,
+      options: {
+        format,
+        quality: options.quality || 90,
+        width: options.width,
+        height: options.height,
+        renderer: options.renderer,
+        layout,
+        encode
+      }
+    };
+  }
+
+  /**
+   * Queue a task, settles with its render result
+   * @param {Object} task - From createTask
+   * @param {Object} [control] - priority, timeout and signal (see renderFrame)
+   */
+  enqueue(task, { priority = 'interactive', timeout, signal } = {}) {
+    if (!PRIORITIES.includes(priority)) {
+      return Promise.reject(new Error(`Invalid priority: ${priority}. Supported: ${PRIORITIES.join(', ')}`));
+    }
+    if (signal?.aborted) return Promise.reject(abortError());
+    
+    try {
+      this.checkCapacity(1);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    
     this.totalTasks++;
     
     return new Promise((resolve, reject) => {
-      const task = {
-        animationData,
-        frameNumber,
-        options: {
-          format: options.format || 'png',
-          quality: options.quality || 90,
-          width: options.width,
-          height: options.height
-        },
-        resolve,
-        reject,
-        startTime: Date.now()
+      const settle = () => {
+        task.settled = true;
+        clearTimeout(task.timer);
+        if (signal) this.signalTasks.get(signal)?.delete(task);
+      };
+      task.resolve = (data) => {
+        settle();
+        resolve(data);
       };
+      task.reject = (error) => {
+        settle();
+        reject(error);
+      };
+      task.priority = priority;
+      task.startTime = Date.now();
+      // Armed on dispatch (see startDeadline)
+      task.deadline = timeout ?? this.deadlines[priority];
+      if (signal) this.watchSignal(signal, task);
 
-      this.taskQueue.push(task);
+      // A task still waiting for a worker after its queue timeout gives up
+      const queueTimeout = this.queueTimeouts[priority];
+      if (queueTimeout > 0) {
+        task.timer = setTimeout(() => {
+          this.timedOutTasks++;
+          this.abortTask(task, timeoutError(`Render timed out after ${queueTimeout}ms waiting for a worker`));
+        }, queueTimeout);
+      }
+
+      this.queues[priority].push(task);
       this.processQueue();
+      this.scaleUp();
     });
   }
 
+  /**
+   * Cancel a task when its signal aborts
+   * A request's frames share its signal, so one listener per signal cancels
+   * them all instead of each task adding its own.
+   */
+  watchSignal(signal, task) {
+    let tasks = this.signalTasks.get(signal);
+    
+    if (!tasks) {
+      tasks = new Set();
+      this.signalTasks.set(signal, tasks);
+      signal.addEventListener('abort', () => {
+        this.signalTasks.delete(signal);
+        this.cancelTasks(tasks, abortError());
+      }, { once: true });
+    }
+    
+    tasks.add(task);
+  }
+
+  /**
+   * Start a dispatched task's deadline: past it, the worker is interrupted
+   */
+  startDeadline(task) {
+    clearTimeout(task.timer);
+    if (!(task.deadline > 0)) return;
+    
+    task.timer = setTimeout(() => {
+      this.timedOutTasks++;
+      this.abortTask(task, timeoutError(`Render timed out after ${task.deadline}ms`), true);
+    }, task.deadline);
+  }
+
+  /**
+   * Throw a 503 error when `count` more tasks would overflow the queue
+   */
+  checkCapacity(count) {
+    const queued = this.queuedTasks();
+    if (queued + count <= this.maxQueue) return;
+    
+    this.rejectedTasks += count;
+    const error = new Error(`Render queue full: ${queued} tasks waiting, try again later`);
+    error.statusCode = 503;
+    // Time for the workers to work through the queue
+    const avgRunTime = this.completedTasks > 0 ? this.totalRunTime / this.completedTasks : 50;
+    error.retryAfter = Math.max(1, Math.ceil(queued * avgRunTime / this.poolSize / 1000));
+    throw error;
+  }
+
+  /**
+   * Tasks waiting for a worker
+   */
+  queuedTasks() {
+    return this.queues.interactive.length + this.queues.bulk.length;
+  }
+
+  /**
+   * Reject an unsettled task with `reason`
+   * A queued task is removed; a running one is interrupted by replacing its
+   * worker (always when `interrupt`, otherwise once it has run INTERRUPT_AFTER_MS),
+   * or else left to finish with its result dropped
+   */
+  abortTask(task, reason, interrupt = false) {
+    if (task.settled) return;
+    
+    const queue = this.queues[task.priority];
+    const index = queue.indexOf(task);
+    
+    if (index > -1) {
+      queue.splice(index, 1);
+    } else if (task.worker) {
+      task.cancelled = true;
+      if (interrupt || Date.now() - task.dispatchTime >= INTERRUPT_AFTER_MS) {
+        this.interruptWorker(task.worker);
+      }
+    }
+    
+    task.reject(reason);
+  }
+
+  /**
+   * Cancel unsettled tasks (see abortTask), e.g. the rest of a sequence
+   */
+  cancelTasks(tasks, reason) {
+    for (const task of tasks) {
+      if (task.settled) continue;
+      this.cancelledTasks++;
+      this.abortTask(task, reason);
+    }
+  }
+
+  /**
+   * Stop a worker mid-task and start a fresh one in its place
+   */
+  interruptWorker(workerContext) {
+    this.interruptedTasks++;
+    this.retireWorker(workerContext, 'interrupted', `frame ${workerContext.currentTask?.frameNumber}`);
+    workerContext.currentTask = null;
+    
+    this.terminateWorker(workerContext);
+    this.createWorker(workerContext.id);
+    this.processQueue();
+  }
+
+  /**
+   * Recolored copy of an animation, built once per animation and options
+   */
+  getRecolored(animationData, recolor) {
+    const key = JSON.stringify(recolor);
+    let variants = this.recolored.get(animationData);
+    
+    if (!variants) {
+      variants = new Map();
+      this.recolored.set(animationData, variants);
+    }
+    
+    let data = variants.get(key);
+    if (!data) {
+      if (variants.size >= MAX_RECOLORED_VARIANTS) {
+        variants.delete(variants.keys().next().value);
+      }
+      data = recolorAnimation(animationData, recolor);
+      variants.set(key, data);
+    }
+    
+    return data;
+  }
+
+  /**
+   * Render a sequence of frames in parallel across the pool
+   * @param {Object} animationData - Parsed Lottie JSON
+   * @param {number[]} frameNumbers - Frames to render, in output order
+   * @param {Object} options - Rendering options (see renderFrame)
+   * @param {Function} [onProgress] - Called with (framesDone, totalFrames)
+   * @returns {Promise<Object[]>} Render results in the order requested
+   */
+  async renderFrames(animationData, frameNumbers, options = {}, onProgress) {
+    // All or nothing: a sequence that can't be queued whole isn't started
+    this.checkCapacity(frameNumbers.length);
+    
+    const tasks = frameNumbers.map(frameNumber => this.createTask(animationData, frameNumber, options));
+    let done = 0;
+    
+    try {
+      return await Promise.all(tasks.map(async (task) => {
+        const result = await this.enqueue(task, options);
+        done++;
+        if (onProgress) onProgress(done, frameNumbers.length);
+        return result;
+      }));
+    } catch (error) {
+      // The sequence is useless without the failed frame
+      this.cancelTasks(tasks, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render frames in order, yielding each result as soon as it and every
+   * frame before it are done
+   * At most `window` frames are queued or rendered ahead of the consumer, so
+   * a slow consumer holds the stream back instead of buffering the animation.
+   * Stopping early (break, throw or an aborted signal) cancels the frames
+   * still pending.
+   * @param {Object} animationData - Parsed Lottie JSON
+   * @param {number[]} frameNumbers - Frames to render, in output order
+   * @param {Object} options - Rendering options (see renderFrame, including priority and timeout)
+   * @param {Object} [control]
+   * @param {AbortSignal} [control.signal] - Cancels the stream
+   * @param {number} [control.window] - Frames in flight (default: 2 per worker)
+   * @yields {Object} Render result plus `frameNumber` and `renderTime` (ms on the worker)
+   */
+  async *streamFrames(animationData, frameNumbers, options = {}, { signal, window = this.poolSize * STREAM_WINDOW_PER_WORKER } = {}) {
+    const pending = [];
+    let next = 0;
+    
+    const fill = () => {
+      while (next < frameNumbers.length && pending.length < window) {
+        const task = this.createTask(animationData, frameNumbers[next++], options);
+        const promise = this.enqueue(task, { ...options, signal }).then(result => ({ ...result, renderTime: Date.now() - task.dispatchTime }));
+        // Rejections surface when the frame is awaited; cancelled tails never are
+        promise.catch(() => {});
+        pending.push({ task, promise });
+      }
+    };
+    
+    if (signal?.aborted) throw abortError();
+    
+    try {
+      fill();
+      while (pending.length > 0) {
+        const result = await pending[0].promise;
+        if (signal?.aborted) throw abortError();
+        const { task } = pending.shift();
+        fill();
+        yield { ...result, frameNumber: task.frameNumber };
+      }
+    } finally {
+      // Stopped early: the frames rendered ahead are not needed
+      this.cancelTasks(pending.map(entry => entry.task), abortError());
+    }
+  }
+
   /**
    * Process task queue
    */
   processQueue() {
-    while (this.taskQueue.length > 0 && this.availableWorkers.length > 0) {
-      const task = this.taskQueue.shift();
+    while (this.queuedTasks() > 0 && this.availableWorkers.length > 0) {
+      const task = this.nextTask();
       const workerContext = this.availableWorkers.shift();
 
       workerContext.busy = true;
       workerContext.currentTask = task;
+      task.worker = workerContext;
+      task.dispatchTime = Date.now();
+      
+      this.startDeadline(task);
+      this.armWatchdog(workerContext);
 
-      workerContext.worker.postMessage({
-        type: 'render',
-        data: {
-          animationData: task.animationData,
-          frameNumber: task.frameNumber,
-          options: task.options
-        }
-      });
+      workerContext.worker.postMessage(this.renderMessage(workerContext, task));
     }
   }
 
+  /**
+   * Render message for a task: carries the animation the first time the
+   * worker sees it, and only its key while the worker still holds it
+   * Workers keep the last MAX_WORKER_ANIMATIONS animations; the pool tracks
+   * the same LRU order, as both see the same sequence of tasks.
+   */
+  renderMessage(workerContext, task) {
+    const { key, size } = this.animationRef(task.animationData);
+    const known = workerContext.animations;
+    const data = { animationKey: key, frameNumber: task.frameNumber, options: task.options };
+    
+    if (known.has(key)) {
+      known.delete(key);
+      this.transport.animationsReused++;
+      this.transport.animationBytesSaved += size;
+    } else {
+      if (known.size >= MAX_WORKER_ANIMATIONS) known.delete(known.values().next().value);
+      data.animationData = task.animationData;
+      this.transport.animationsSent++;
+    }
+    known.add(key);
+    
+    return { type: 'render', data };
+  }
+
+  /**
+   * Key and serialized size of an animation object, the key assigned on first use
+   * Cached animations are one object per slug, and recolored variants are
+   * objects of their own, so each gets its own key. The size stays 0 until a
+   * worker reports it; a worker only gets the key once it has answered the
+   * task that carried the animation, so reuses are counted at full size.
+   */
+  animationRef(animationData) {
+    let ref = this.animationRefs.get(animationData);
+    if (!ref) {
+      ref = { key: `a${++this.nextAnimationKey}`, size: 0 };
+      this.animationRefs.set(animationData, ref);
+    }
+    return ref;
+  }
+
+  /**
+   * Next task to dispatch: interactive first, with a share for bulk work
+   */
+  nextTask() {
+    const { interactive, bulk } = this.queues;
+    const bulkTurn = ++this.dispatched % BULK_SHARE === 0;
+    
+    if (bulk.length > 0 && (interactive.length === 0 || bulkTurn)) {
+      return bulk.shift();
+    }
+    return interactive.shift();
+  }
+
   /**
    * Get pool statistics
    */
@@ -193,39 +883,128 @@ export class RenderPool {
 
     return {
       poolSize: this.poolSize,
+      minWorkers: this.minWorkers,
+      workers: this.workers.length,
       busyWorkers,
       availableWorkers: this.availableWorkers.length,
-      queuedTasks: this.taskQueue.length,
+      queuedTasks: this.queuedTasks(),
+      queued: { interactive: this.queues.interactive.length, bulk: this.queues.bulk.length },
+      maxQueue: this.maxQueue,
       totalTasks: this.totalTasks,
       completedTasks: this.completedTasks,
       failedTasks: this.failedTasks,
+      cancelledTasks: this.cancelledTasks,
+      timedOutTasks: this.timedOutTasks,
+      interruptedTasks: this.interruptedTasks,
+      rejectedTasks: this.rejectedTasks,
       avgLatency: `${avgLatency}ms`,
-      rlottieStatus: this.rlottieStatus,
+      rlottieStatus: this.getRLottieStatus(),
+      renderers: this.backendStatus,
+      transport: {
+        ...this.transport,
+        // Transferred frames are still copied once in the worker (see postResult)
+        bytesSaved: this.transport.animationBytesSaved
+      },
+      lifecycle: {
+        ...this.lifecycle,
+        restarting: this.restartTimers.size,
+        recentEvents: this.lifecycleEvents
+      },
       workerStats: this.workers.map(w => ({
         id: w.id,
         busy: w.busy,
         completed: w.tasksCompleted,
-        failed: w.tasksFailed
+        failed: w.tasksFailed,
+        memoryMB: Math.round(w.memory / 1024 / 1024),
+        uptime: Math.round((Date.now() - w.startedAt) / 1000)
       }))
     };
   }
 
+  /**
+   * Backends the workers render with: the default, then every available one
+   * with its version. Part of output cache keys, as automatic selection and
+   * renderer updates change the bytes.
+   */
+  rendererSignature() {
+    const { default: defaultRenderer, backends } = this.backendStatus;
+    const available = Object.entries(backends)
+      .filter(([, status]) => status.available)
+      .map(([name, status]) => `${name}@${status.version}`);
+    return `${defaultRenderer}:${available.join(',')}`;
+  }
+
+  /**
+   * rlottie availability in the shape /health has always reported
+   */
+  getRLottieStatus() {
+    const rlottie = this.backendStatus.backends.rlottie;
+    if (!rlottie) return { available: false, command: null, mode: 'checking' };
+
+    return {
+      available: rlottie.available,
+      command: rlottie.version,
+      mode: this.backendStatus.default === 'rlottie' ? 'native' : 'fallback',
+      expectedLatency: this.backendStatus.default === 'rlottie' ? '5-12ms' : '20-50ms'
+    };
+  }
+
   /**
    * Shutdown pool
    */
   async shutdown() {
     console.log('[RenderPool] Shutting down...');
+    this.closing = true;
+    clearInterval(this.scaleTimer);
     
-    await Promise.all(
-      this.workers.map(w => w.worker.terminate())
-    );
+    for (const timer of this.restartTimers.values()) clearTimeout(timer);
+    this.restartTimers.clear();
     
-    this.workers = [];
-    this.availableWorkers = [];
-    this.taskQueue = [];
+    const error = new Error('Render pool shut down');
+    for (const task of [...this.queues.interactive, ...this.queues.bulk]) task.reject(error);
+    this.queues = { interactive: [], bulk: [] };
+    
+    await Promise.all([...this.workers].map((workerContext) => {
+      const task = workerContext.currentTask;
+      this.retireWorker(workerContext, 'stopped');
+      if (task) task.reject(error);
+      return this.stopWorker(workerContext);
+    }));
     
     console.log('[RenderPool] Shutdown complete');
   }
 }
 
+/**
+ * Worker threads for one process of a cluster, so that all processes together
+ * stay within the cluster's thread budget (the first instances get the remainder)
+ * @param {number} budget - Render threads for the whole cluster
+ * @param {number} processes - Processes sharing the budget
+ * @param {number} instance - 0-based index of this process
+ * @returns {number} At least 1
+ */
+export function threadShare(budget, processes, instance) {
+  const share = Math.floor(budget / processes) + (instance % processes < budget % processes ? 1 : 0);
+  return Math.max(1, share);
+}
+
+/**
+ * Rejection reason of an aborted task
+ */
+function abortError() {
+  const error = new Error('Render cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Rejection reason of a task past its deadline or queue timeout (504 in the HTTP layer)
+ */
+function timeoutError(message) {
+  const error = new Error(message);
+  error.name = 'TimeoutError';
+  error.statusCode = 504;
+  return error;
+}
+
 export default RenderPool;
@@ -0,0 +1,267 @@
+/**
+ * Client for the persistent rlottie helper process (native/rlottie-server.cpp)
+ * One helper per worker thread: animations are loaded once and frames are
+ * rendered over a framed stdin/stdout protocol instead of spawning per frame
+ */
+
+import { spawn } from 'child_process';
+import { createHash } from 'crypto';
+
+export const RLOTTIE_HELPER_PATH = process.env.RLOTTIE_HELPER_PATH || 'rlottie-server';
+
+const OP_PING = 1;
+const OP_LOAD = 2;
+const OP_RENDER = 3;
+const OP_UNLOAD = 4;
+
+const START_TIMEOUT = 2000;
+const REQUEST_TIMEOUT = 10000;
+const DEFAULT_MAX_ANIMATIONS = 32;
+
+export class RLottieHelper {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.path] - Helper binary
+   * @param {number} [options.maxAnimations=32] - Animations kept loaded (LRU)
+   * @param {Function} [options.onProcess] - (pid, running) as a helper process starts
+   *   and exits: a terminated worker thread can't stop its helper, its pool kills it
+   */
+  constructor({ path = RLOTTIE_HELPER_PATH, maxAnimations = DEFAULT_MAX_ANIMATIONS, onProcess = null } = {}) {
+    this.path = path;
+    this.maxAnimations = maxAnimations;
+    this.onProcess = onProcess;
+    this.process = null;
+    this.version = null;
+
+    // Responses arrive in request order
+    this.pending = [];
+    this.header = Buffer.alloc(0);
+    this.current = null;
+
+    // Animation key => helper id, in LRU order
+    this.loaded = new Map();
+    this.loading = new Map();
+    this.nextId = 1;
+
+    this.renders = 0;
+    this.loads = 0;
+    this.restarts = 0;
+  }
+
+  /**
+   * Spawn the helper and check it answers
+   * @returns {Promise<string>} Helper version
+   */
+  async start() {
+    if (this.process) return this.version;
+
+    const child = spawn(this.path, [], { stdio: ['pipe', 'pipe', 'inherit'] });
+    this.process = child;
+    if (child.pid) this.onProcess?.(child.pid, true);
+
+    // Events of a replaced helper must not touch its successor
+    child.stdout.on('data', chunk => {
+      if (this.process === child) this.onData(chunk);
+    });
+    child.stdin.on('error', () => {});
+    child.on('error', error => {
+      if (this.process === child) this.onExit(error);
+    });
+    child.on('exit', code => {
+      if (child.pid) this.onProcess?.(child.pid, false);
+      if (this.process === child) this.onExit(new Error(`rlottie helper exited with code ${code}`));
+    });
+
+    const response = await this.request(OP_PING, Buffer.alloc(0), START_TIMEOUT);
+    this.version = response.toString('utf8');
+    return this.version;
+  }
+
+  /**
+   * Render a frame, loading the animation into the helper if needed
+   * @param {string} json - Animation JSON
+   * @param {number} frame - Frame number (relative to `ip`)
+   * @param {number} width - Output width
+   * @param {number} height - Output height
+   * @param {string} [key] - Stable animation key (hash of json when omitted)
+   * @returns {Promise<Buffer>} Straight RGBA pixels
+   */
+  async renderFrame(json, frame, width, height, key = createHash('sha1').update(json).digest('hex')) {
+    if (!this.process) await this.start();
+
+    const id = await this.ensureLoaded(key, json);
+    const payload = Buffer.alloc(16);
+    payload.writeUInt32LE(id, 0);
+    payload.writeUInt32LE(frame, 4);
+    payload.writeUInt32LE(width, 8);
+    payload.writeUInt32LE(height, 12);
+
+    const pixels = await this.request(OP_RENDER, payload);
+    if (pixels.length !== width * height * 4) {
+      throw new Error(`rlottie helper returned ${pixels.length} bytes for ${width}x${height}`);
+    }
+
+    this.renders++;
+    return pixels;
+  }
+
+  /**
+   * Load an animation once, evicting the least recently used one when full
+   */
+  async ensureLoaded(key, json) {
+    const existing = this.loaded.get(key);
+
+    if (existing !== undefined) {
+      this.loaded.delete(key);
+      this.loaded.set(key, existing);
+      return existing;
+    }
+
+    // Concurrent frames of the same animation share one load
+    if (this.loading.has(key)) return this.loading.get(key);
+
+    if (this.loaded.size >= this.maxAnimations) {
+      const [oldKey, oldId] = this.loaded.entries().next().value;
+      this.loaded.delete(oldKey);
+      const payload = Buffer.alloc(4);
+      payload.writeUInt32LE(oldId, 0);
+      this.request(OP_UNLOAD, payload).catch(() => {});
+    }
+
+    const id = this.nextId++;
+    const header = Buffer.alloc(4);
+    header.writeUInt32LE(id, 0);
+
+    const load = this.request(OP_LOAD, Buffer.concat([header, Buffer.from(json)]))
+      .then(() => {
+        this.loaded.set(key, id);
+        this.loads++;
+        return id;
+      })
+      .finally(() => this.loading.delete(key));
+
+    this.loading.set(key, load);
+    return load;
+  }
+
+  /**
+   * Send one request and wait for its response
+   */
+  request(opcode, payload, timeout = REQUEST_TIMEOUT) {
+    if (!this.process) return Promise.reject(new Error('rlottie helper not running'));
+
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, timer: null };
+
+      // The stream can't be resynchronized after a lost response
+      entry.timer = setTimeout(() => {
+        this.kill(new Error('rlottie helper timed out'));
+      }, timeout);
+
+      this.pending.push(entry);
+
+      const header = Buffer.alloc(5);
+      header.writeUInt32LE(payload.length + 1, 0);
+      header[4] = opcode;
+      this.process.stdin.write(header);
+      if (payload.length > 0) this.process.stdin.write(payload);
+    });
+  }
+
+  /**
+   * Parse framed responses, copying payloads straight into their own buffer
+   */
+  onData(chunk) {
+    let offset = 0;
+
+    while (offset < chunk.length) {
+      if (!this.current) {
+        const needed = 5 - this.header.length;
+        this.header = Buffer.concat([this.header, chunk.subarray(offset, offset + needed)]);
+        offset += Math.min(needed, chunk.length - offset);
+        if (this.header.length < 5) return;
+
+        const size = this.header.readUInt32LE(0) - 1;
+        this.current = { status: this.header[4], payload: Buffer.allocUnsafe(size), filled: 0 };
+        this.header = Buffer.alloc(0);
+      }
+
+      const { payload } = this.current;
+      const count = Math.min(payload.length - this.current.filled, chunk.length - offset);
+      chunk.copy(payload, this.current.filled, offset, offset + count);
+      this.current.filled += count;
+      offset += count;
+
+      if (this.current.filled === payload.length) {
+        const { status } = this.current;
+        this.current = null;
+
+        const entry = this.pending.shift();
+        if (!entry) continue;
+        clearTimeout(entry.timer);
+
+        if (status === 0) entry.resolve(payload);
+        else entry.reject(new Error(`rlottie helper: ${payload.toString('utf8')}`));
+      }
+    }
+  }
+
+  /**
+   * Fail everything in flight; the next render starts a fresh helper
+   */
+  onExit(error) {
+    if (!this.process) return;
+
+    this.restarts++;
+    this.reset(error);
+  }
+
+  /**
+   * Forget the current process and reject requests in flight
+   */
+  reset(error) {
+    this.process = null;
+    this.loaded.clear();
+    this.header = Buffer.alloc(0);
+    this.current = null;
+
+    for (const entry of this.pending.splice(0)) {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    }
+  }
+
+  /**
+   * Kill the helper
+   */
+  kill(error = new Error('rlottie helper stopped')) {
+    const child = this.process;
+    this.onExit(error);
+    if (child) child.kill('SIGKILL');
+  }
+
+  /**
+   * Stop the helper cleanly (closing stdin ends its read loop)
+   */
+  stop() {
+    const child = this.process;
+    if (!child) return;
+
+    this.reset(new Error('rlottie helper stopped'));
+    child.stdin.end();
+  }
+
+  /**
+   * Get helper statistics
+   */
+  getStats() {
+    return {
+      running: !!this.process,
+      version: this.version,
+      loadedAnimations: this.loaded.size,
+      loads: this.loads,
+      renders: this.renders,
+      restarts: this.restarts
+    };
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Sprite sheet (texture atlas) assembly
+ * Lays rendered frames out on a grid and describes them with a
+ * TexturePacker "JSON Hash" frame map (loadable by Phaser, PixiJS, etc.)
+ */
+
+export const MAX_ATLAS_DIMENSION = 8192;
+
+/**
+ * Compute a grid layout
+ * @param {number} count - Number of frames
+ * @param {number} frameWidth - Cell width
+ * @param {number} frameHeight - Cell height
+ * @param {Object} [options]
+ * @param {number} [options.columns] - Columns (default: as square as possible)
+ * @param {number} [options.padding=0] - Gap around and between cells in pixels
+ * @returns {{ columns: number, rows: number, width: number, height: number, rects: Object[] }}
+ */
+export function layoutGrid(count, frameWidth, frameHeight, options = {}) {
+  const padding = options.padding || 0;
+  const columns = Math.max(1, Math.min(count, options.columns || Math.ceil(Math.sqrt(count))));
+  const rows = Math.ceil(count / columns);
+
+  const width = columns * frameWidth + (columns + 1) * padding;
+  const height = rows * frameHeight + (rows + 1) * padding;
+
+  if (width > MAX_ATLAS_DIMENSION || height > MAX_ATLAS_DIMENSION) {
+    throw new Error(`Sprite sheet too large: ${width}x${height} (max ${MAX_ATLAS_DIMENSION}x${MAX_ATLAS_DIMENSION}). Use fewer frames, more columns or a smaller scale`);
+  }
+
+  const rects = [];
+  for (let i = 0; i < count; i++) {
+    const column = i % columns;
+    const row = Math.floor(i / columns);
+    rects.push({
+      x: padding + column * (frameWidth + padding),
+      y: padding + row * (frameHeight + padding),
+      w: frameWidth,
+      h: frameHeight
+    });
+  }
+
+  return { columns, rows, width, height, rects };
+}
+
+/**
+ * Copy raw RGBA frames into one transparent sheet
+ * @param {Buffer[]} frames - RGBA frames, each rect.w * rect.h * 4 bytes
+ * @param {Object} layout - Result of layoutGrid
+ * @returns {Buffer} RGBA sheet (layout.width * layout.height * 4)
+ */
+export function composeSheet(frames, layout) {
+  const sheet = Buffer.alloc(layout.width * layout.height * 4);
+  const sheetStride = layout.width * 4;
+
+  frames.forEach((frame, i) => {
+    const rect = layout.rects[i];
+    const rowBytes = rect.w * 4;
+
+    for (let y = 0; y < rect.h; y++) {
+      frame.copy(sheet, (rect.y + y) * sheetStride + rect.x * 4, y * rowBytes, (y + 1) * rowBytes);
+    }
+  });
+
+  return sheet;
+}
+
+/**
+ * Build a TexturePacker JSON Hash frame map
+ * @param {Object} layout - Result of layoutGrid
+ * @param {number[]} frameNumbers - Source frame number of each cell
+ * @param {Object} options
+ * @param {string} options.image - Sheet file name referenced by the map
+ * @param {string} options.format - Sheet image format
+ * @param {number} options.frameRate - Source frame rate (`fr`)
+ * @param {number} [options.scale=1] - Scale the frames were rendered at
+ * @param {number} [options.step] - Step of a frame range, the last cell's length
+ *   (default: the gap before it, as for an explicit frame list)
+ * @returns {Object} Frame map
+ */
+export function buildFrameMap(layout, frameNumbers, options) {
+  const { image, format, frameRate, scale = 1, step } = options;
+  const frames = {};
+
+  frameNumbers.forEach((frameNumber, i) => {
+    const rect = layout.rects[i];
+    // Each cell lasts until the next selected frame; the last one as long as a step
+    const gap = i + 1 < frameNumbers.length
+      ? frameNumbers[i + 1] - frameNumber
+      : step ?? (i > 0 ? frameNumber - frameNumbers[i - 1] : 1);
+    const duration = Math.max(1, gap) * 1000 / frameRate;
+
+    frames[`frame_${String(frameNumber).padStart(4, '0')}`] = {
+      frame: { x: rect.x, y: rect.y, w: rect.w, h: rect.h },
+      rotated: false,
+      trimmed: false,
+      spriteSourceSize: { x: 0, y: 0, w: rect.w, h: rect.h },
+      sourceSize: { w: rect.w, h: rect.h },
+      duration: Math.round(duration * 100) / 100,
+      index: frameNumber
+    };
+  });
+
+  return {
+    frames,
+    meta: {
+      app: 'tgs-converter',
+      version: '1.0',
+      image,
+      format: 'RGBA8888',
+      imageFormat: format,
+      size: { w: layout.width, h: layout.height },
+      scale: String(scale),
+      columns: layout.columns,
+      rows: layout.rows,
+      frameRate
+    }
+  };
+}
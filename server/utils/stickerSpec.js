@@ -0,0 +1,173 @@
+/**
+ * Telegram animated sticker spec checks
+ * Reports every rule a TGS file breaks, with a JSON path to the offending
+ * value, so files can be fixed before Telegram rejects them
+ */
+
+import pako from 'pako';
+import { isGzip, compressTgs } from './tgsParser.js';
+
+export const TELEGRAM_STICKER_SPEC = {
+  width: 512,
+  height: 512,
+  frameRate: 60,
+  maxDuration: 3, // seconds
+  maxSize: 64 * 1024 // compressed bytes
+};
+
+// Mask modes rlottie (used by the Telegram apps) renders: none, add, subtract, intersect, difference
+const SUPPORTED_MASK_MODES = ['n', 'a', 's', 'i', 'f'];
+
+const IMAGE_LAYER = 2;
+
+/**
+ * Find expressions: property objects carry their expression source in `x`
+ */
+function findExpressions(value, path, violations) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => findExpressions(item, `${path}[${i}]`, violations));
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+
+  for (const [key, child] of Object.entries(value)) {
+    if (key === 'x' && typeof child === 'string') {
+      violations.push({ rule: 'expressions', path: `${path}.x`, message: 'Expressions are not supported' });
+    } else {
+      findExpressions(child, `${path}.${key}`, violations);
+    }
+  }
+}
+
+/**
+ * Check the layers of the root composition or of a precomp asset
+ */
+function checkLayers(layers, path, violations) {
+  if (!Array.isArray(layers)) return;
+
+  layers.forEach((layer, i) => {
+    if (!layer || typeof layer !== 'object') return;
+    const layerPath = `${path}[${i}]`;
+
+    if (layer.ty === IMAGE_LAYER) {
+      violations.push({ rule: 'images', path: `${layerPath}.ty`, message: 'Image layers are not supported' });
+    }
+
+    if (layer.ddd === 1) {
+      violations.push({ rule: '3d-layers', path: `${layerPath}.ddd`, message: '3D layers are not supported' });
+    }
+
+    (Array.isArray(layer.masksProperties) ? layer.masksProperties : []).forEach((mask, j) => {
+      if (mask?.mode !== undefined && !SUPPORTED_MASK_MODES.includes(mask.mode)) {
+        violations.push({
+          rule: 'mask-mode',
+          path: `${layerPath}.masksProperties[${j}].mode`,
+          message: `Mask mode "${mask.mode}" is not supported`,
+          actual: mask.mode,
+          expected: SUPPORTED_MASK_MODES
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Check a TGS file against the Telegram animated sticker requirements
+ * @param {Buffer} buffer - TGS file (plain Lottie JSON is checked as if packed)
+ * @returns {{ valid: boolean, violations: Object[], details: Object }}
+ *   Each violation is { rule, path, message, actual?, expected? }
+ */
+export function validateTelegramSticker(buffer) {
+  const spec = TELEGRAM_STICKER_SPEC;
+  const violations = [];
+  const details = { size: buffer.length };
+
+  let animationData;
+  try {
+    animationData = JSON.parse(isGzip(buffer) ? pako.ungzip(buffer, { to: 'string' }) : buffer.toString('utf8'));
+  } catch (error) {
+    animationData = null;
+  }
+
+  // Plain JSON is still checked (at its packed size) so everything can be fixed before packing
+  const plainJson = animationData !== null && !isGzip(buffer);
+  const size = plainJson ? compressTgs(animationData).length : buffer.length;
+  if (plainJson) details.packedSize = size;
+
+  if (size > spec.maxSize) {
+    violations.push({
+      rule: 'file-size',
+      path: '$',
+      message: `File is ${(size / 1024).toFixed(1)}KB compressed (max ${spec.maxSize / 1024}KB)`,
+      actual: size,
+      expected: spec.maxSize
+    });
+  }
+
+  if (animationData === null) {
+    violations.push({ rule: 'format', path: '$', message: 'Not gzipped Lottie JSON' });
+    return { valid: false, violations, details };
+  }
+  if (plainJson) {
+    violations.push({ rule: 'format', path: '$', message: 'Plain Lottie JSON, not gzipped (package it with /pack)' });
+  }
+
+  if (!animationData || typeof animationData !== 'object' || !Array.isArray(animationData.layers)) {
+    violations.push({ rule: 'format', path: '$.layers', message: 'Not a Lottie animation (no layers array)' });
+    return { valid: false, violations, details };
+  }
+
+  const { w, h, fr, ip = 0, op } = animationData;
+  details.width = w;
+  details.height = h;
+  details.frameRate = fr;
+  details.totalFrames = op - ip;
+  details.duration = fr > 0 ? (op - ip) / fr : null;
+
+  if (animationData.tgs !== 1) {
+    violations.push({ rule: 'tgs-flag', path: '$.tgs', message: 'Missing "tgs": 1 flag', actual: animationData.tgs ?? null, expected: 1 });
+  }
+
+  if (w !== spec.width) {
+    violations.push({ rule: 'canvas-size', path: '$.w', message: `Width must be ${spec.width}`, actual: w ?? null, expected: spec.width });
+  }
+  if (h !== spec.height) {
+    violations.push({ rule: 'canvas-size', path: '$.h', message: `Height must be ${spec.height}`, actual: h ?? null, expected: spec.height });
+  }
+
+  if (fr !== spec.frameRate) {
+    violations.push({ rule: 'frame-rate', path: '$.fr', message: `Frame rate must be ${spec.frameRate}fps`, actual: fr ?? null, expected: spec.frameRate });
+  }
+
+  if (details.duration === null || !(details.duration > 0)) {
+    violations.push({ rule: 'duration', path: '$.op', message: 'Animation has no frames' });
+  } else if (details.duration > spec.maxDuration) {
+    violations.push({
+      rule: 'duration',
+      path: '$.op',
+      message: `Animation is ${details.duration.toFixed(2)}s long (max ${spec.maxDuration}s)`,
+      actual: details.duration,
+      expected: spec.maxDuration
+    });
+  }
+
+  if (animationData.ddd === 1) {
+    violations.push({ rule: '3d-layers', path: '$.ddd', message: '3D compositions are not supported' });
+  }
+
+  checkLayers(animationData.layers, '$.layers', violations);
+
+  (Array.isArray(animationData.assets) ? animationData.assets : []).forEach((asset, i) => {
+    if (!asset || typeof asset !== 'object') return;
+
+    // Image assets have a file name (`p`), precomps have layers
+    if (asset.p !== undefined && !asset.layers) {
+      violations.push({ rule: 'images', path: `$.assets[${i}].p`, message: 'Image assets are not supported' });
+    }
+    checkLayers(asset.layers, `$.assets[${i}].layers`, violations);
+  });
+
+  findExpressions(animationData, '$', violations);
+
+  return { valid: violations.length === 0, violations, details };
+}
@@ -0,0 +1,123 @@
+/**
+ * Content-addressed sticker store
+ * Uploaded TGS files are kept on disk under their generateSlug() hash so
+ * they can be rendered later from plain GET URLs
+ */
+
+import { mkdir, readFile, writeFile, rename, access } from 'fs/promises';
+import { join } from 'path';
+import { parseTgs, generateSlug, getMetadata, isGzip, compressTgs } from './tgsParser.js';
+
+const SLUG_PATTERN = /^[0-9a-f]{16}$/;
+
+/**
+ * Check that a string looks like a slug
+ */
+export function isValidSlug(slug) {
+  return SLUG_PATTERN.test(slug);
+}
+
+export class StickerStore {
+  /**
+   * @param {string} dir - Directory stickers are stored in
+   * @param {Object} [options]
+   * @param {AnimationCache} [options.cache] - Parsed animations by slug: a hot sticker
+   *   is read and parsed once, not on every GET
+   */
+  constructor(dir, { cache = null } = {}) {
+    this.dir = dir;
+    this.cache = cache;
+    this.uploads = 0;
+    this.duplicates = 0;
+    this.loads = 0;
+    this.cachedLoads = 0;
+  }
+
+  /**
+   * Create the store directory
+   */
+  async initialize() {
+    await mkdir(this.dir, { recursive: true });
+  }
+
+  /**
+   * Store a TGS file (plain Lottie JSON is stored packed)
+   * @param {Buffer} buffer - TGS or Lottie JSON file (already size-checked)
+   * @returns {Promise<{ slug: string, metadata: Object, created: boolean }>}
+   */
+  async put(buffer) {
+    const animationData = parseTgs(buffer);
+    const slug = generateSlug(animationData);
+    const path = this.pathFor(slug);
+    const metadata = getMetadata(animationData);
+
+    try {
+      await access(path);
+      this.duplicates++;
+      return { slug, metadata, created: false };
+    } catch (e) {
+      // Not stored yet
+    }
+
+    const temp = `${path}.${process.pid}.${Date.now()}.tmp`;
+    await writeFile(temp, isGzip(buffer) ? buffer : compressTgs(animationData));
+    await rename(temp, path);
+    this.uploads++;
+
+    return { slug, metadata, created: true };
+  }
+
+  /**
+   * Load a stored sticker, from the animation cache when it is there
+   * Stickers are content-addressed, so a cached slug is always current.
+   * @returns {Promise<{ animationData: Object, metadata: Object, slug: string }|null>}
+   */
+  async load(slug) {
+    if (!isValidSlug(slug)) return null;
+
+    const cached = this.cache?.get(slug);
+    if (cached) {
+      this.cache.release(slug);
+      this.cachedLoads++;
+      return { ...cached, slug };
+    }
+
+    let buffer;
+    try {
+      buffer = await readFile(this.pathFor(slug));
+    } catch (e) {
+      return null;
+    }
+
+    const animationData = parseTgs(buffer);
+    const metadata = getMetadata(animationData);
+    this.loads++;
+
+    if (this.cache) {
+      this.cache.set(slug, animationData, metadata);
+      this.cache.release(slug);
+    }
+
+    return { animationData, metadata, slug };
+  }
+
+  /**
+   * File path of a slug
+   */
+  pathFor(slug) {
+    return join(this.dir, `${slug}.tgs`);
+  }
+
+  /**
+   * Get store statistics
+   */
+  getStats() {
+    return {
+      dir: this.dir,
+      uploads: this.uploads,
+      duplicates: this.duplicates,
+      loads: this.loads,
+      cachedLoads: this.cachedLoads
+    };
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Per-frame SVG export
+ * Serializes the vector scene of a frame (see lottieScene.js) instead of
+ * rasterizing it, so frames stay sharp at any print size
+ */
+
+import { buildScene } from './lottieScene.js';
+
+const CHECKERBOARD_TILE = 8;
+
+/**
+ * Compact number for path data and attributes
+ */
+function num(value) {
+  return Number.isFinite(value) ? String(Math.round(value * 100) / 100) : '0';
+}
+
+function hex(color) {
+  return '#' + color.slice(0, 3)
+    .map(value => Math.round(Math.min(1, Math.max(0, value)) * 255).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * SVG path data of a cubic bezier path ({ v, i, o, c } with absolute tangents)
+ */
+function pathData({ v, i, o, c }) {
+  if (v.length === 0) return '';
+
+  const point = p => `${num(p[0])} ${num(p[1])}`;
+  let d = `M${point(v[0])}`;
+
+  for (let k = 1; k < v.length; k++) {
+    d += `C${point(o[k - 1])} ${point(i[k])} ${point(v[k])}`;
+  }
+  if (c) d += `C${point(o[v.length - 1])} ${point(i[0])} ${point(v[0])}Z`;
+
+  return d;
+}
+
+/**
+ * Gradient definition for a gradient paint
+ */
+function gradientDef(paint, id) {
+  const stops = paint.stops.map(stop =>
+    `<stop offset="${num(stop.offset)}" stop-color="${hex(stop.color)}" stop-opacity="${num(stop.color[3])}"/>`
+  ).join('');
+  const transform = `gradientUnits="userSpaceOnUse" gradientTransform="matrix(${paint.matrix.map(num).join(' ')})"`;
+  const [sx, sy] = paint.start;
+  const [ex, ey] = paint.end;
+
+  if (paint.type === 'linear') {
+    return `<linearGradient id="${id}" ${transform} x1="${num(sx)}" y1="${num(sy)}" x2="${num(ex)}" y2="${num(ey)}">${stops}</linearGradient>`;
+  }
+
+  // Radial, with the focal point shifted by the highlight (as the rasterizer does)
+  const radius = Math.hypot(ex - sx, ey - sy);
+  const highlight = Math.min(0.99, Math.max(-0.99, paint.highlightLength || 0));
+  const angle = Math.atan2(ey - sy, ex - sx) + (paint.highlightAngle || 0) * Math.PI / 180;
+  const fx = sx + Math.cos(angle) * radius * highlight;
+  const fy = sy + Math.sin(angle) * radius * highlight;
+
+  return `<radialGradient id="${id}" ${transform} cx="${num(sx)}" cy="${num(sy)}" r="${num(radius)}" fx="${num(fx)}" fy="${num(fy)}">${stops}</radialGradient>`;
+}
+
+/**
+ * Background element for a layout background
+ */
+function backgroundElement(background, width, height, dpr, defs) {
+  if (!background || background === 'transparent') return '';
+
+  if (background === 'checkerboard') {
+    const tile = Math.max(1, Math.round(CHECKERBOARD_TILE * dpr));
+    defs.push(
+      `<pattern id="checkerboard" width="${tile * 2}" height="${tile * 2}" patternUnits="userSpaceOnUse">` +
+      `<rect width="${tile * 2}" height="${tile * 2}" fill="#ffffff"/>` +
+      `<rect width="${tile}" height="${tile}" fill="#cccccc"/>` +
+      `<rect x="${tile}" y="${tile}" width="${tile}" height="${tile}" fill="#cccccc"/>` +
+      `</pattern>`
+    );
+    return `<rect width="${width}" height="${height}" fill="url(#checkerboard)"/>`;
+  }
+
+  return `<rect width="${width}" height="${height}" fill="${background}"/>`;
+}
+
+/**
+ * Reject animations whose SVG would be drawn wrong: the vector scene has no
+ * masks or track mattes
+ * @param {{ masks: boolean, mattes: boolean }} features - Result of sceneFeatures
+ * @throws {Error} 422 when the animation uses masks or mattes
+ */
+export function validateSvgFeatures(features) {
+  const used = ['masks', 'mattes'].filter(feature => features[feature]);
+  if (used.length === 0) return;
+
+  const error = new Error(`SVG output can't draw this animation (uses ${used.join(', ')}); request a raster format`);
+  error.statusCode = 422;
+  throw error;
+}
+
+/**
+ * Render a frame as an SVG document
+ * @param {Object} animationData - Parsed Lottie JSON
+ * @param {number} frameNumber - Frame index relative to the animation's `ip`
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {Object} [layout] - Result of computeLayout (fit, padding, dpr, background)
+ * @returns {Buffer} UTF-8 SVG
+ */
+export function renderSvg(animationData, frameNumber, width, height, layout = null) {
+  const canvasWidth = layout ? layout.canvasWidth : width;
+  const canvasHeight = layout ? layout.canvasHeight : height;
+  const ops = buildScene(
+    animationData,
+    frameNumber,
+    layout ? layout.renderWidth : width,
+    layout ? layout.renderHeight : height
+  );
+
+  const defs = [];
+  const elements = [];
+
+  ops.forEach((op, index) => {
+    if (op.opacity <= 0 || op.paths.length === 0) return;
+
+    const d = op.paths.map(pathData).join('');
+    let paint;
+    let paintOpacity = op.opacity;
+
+    if (op.paint.type === 'solid') {
+      paint = hex(op.paint.color);
+      paintOpacity *= op.paint.color[3];
+    } else {
+      if (!op.paint.stops?.length) return;
+      const id = `g${index}`;
+      defs.push(gradientDef(op.paint, id));
+      paint = `url(#${id})`;
+    }
+
+    if (op.type === 'fill') {
+      const rule = op.fillRule === 'evenodd' ? ' fill-rule="evenodd"' : '';
+      elements.push(`<path d="${d}" fill="${paint}" fill-opacity="${num(paintOpacity)}"${rule}/>`);
+      return;
+    }
+
+    const { stroke } = op;
+    const dashes = stroke.dashes ? ` stroke-dasharray="${stroke.dashes.map(num).join(' ')}" stroke-dashoffset="${num(stroke.dashOffset)}"` : '';
+    elements.push(
+      `<path d="${d}" fill="none" stroke="${paint}" stroke-opacity="${num(paintOpacity)}" stroke-width="${num(stroke.width)}"` +
+      ` stroke-linecap="${stroke.cap}" stroke-linejoin="${stroke.join}" stroke-miterlimit="${num(stroke.miterLimit)}"${dashes}/>`
+    );
+  });
+
+  let content = elements.join('');
+  const background = layout ? backgroundElement(layout.background, canvasWidth, canvasHeight, layout.dpr, defs) : '';
+
+  if (layout) {
+    const { clip } = layout;
+    defs.push(`<clipPath id="clip"><rect x="${clip.left}" y="${clip.top}" width="${clip.right - clip.left}" height="${clip.bottom - clip.top}"/></clipPath>`);
+    content = `<g clip-path="url(#clip)"><g transform="translate(${layout.left} ${layout.top})">${content}</g></g>`;
+  }
+
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${canvasWidth}" height="${canvasHeight}" viewBox="0 0 ${canvasWidth} ${canvasHeight}">` +
+    (defs.length > 0 ? `<defs>${defs.join('')}</defs>` : '') +
+    background +
+    content +
+    `</svg>`;
+
+  return Buffer.from(svg);
+}
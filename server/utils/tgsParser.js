@@ -1,21 +1,44 @@
 /**
  * TGS file parsing utilities
- * Handles decompression and metadata extraction
+ * Handles decompression, packaging and metadata extraction
  */
 
 import pako from 'pako';
 import crypto from 'crypto';
 
 /**
- * Parse TGS buffer (gzipped JSON)
+ * Whether a buffer starts with the gzip magic bytes
+ */
+export function isGzip(buffer) {
+  return buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+/**
+ * Parse a TGS buffer (gzipped JSON) or a plain Lottie JSON buffer
  */
 export function parseTgs(buffer) {
+  let animationData;
   try {
-    const decompressed = pako.ungzip(buffer, { to: 'string' });
-    return JSON.parse(decompressed);
+    const text = isGzip(buffer)
+      ? pako.ungzip(buffer, { to: 'string' })
+      : buffer.toString('utf8').replace(/^\uFEFF/, '');
+    if (!text.trimStart().startsWith('{')) throw new Error('not gzip-compressed or Lottie JSON');
+    animationData = JSON.parse(text);
   } catch (error) {
-    throw new Error(`Invalid TGS file: ${error.message}`);
+    throw new Error(`Invalid TGS file: ${error.message || error}`);
+  }
+
+  if (!animationData || typeof animationData !== 'object' || !Array.isArray(animationData.layers)) {
+    throw new Error('Invalid TGS file: not a Lottie animation');
   }
+  return animationData;
+}
+
+/**
+ * Gzip an animation the way TGS files are stored
+ */
+export function compressTgs(animationData) {
+  return Buffer.from(pako.gzip(JSON.stringify(animationData), { level: 9 }));
 }
 
 /**
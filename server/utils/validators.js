@@ -2,9 +2,60 @@
  * Input validation utilities
  */
 
+import { BlockList } from 'net';
+import { lookup } from 'dns/promises';
+import { BACKEND_NAMES } from '../backends/index.js';
+
 const MAX_FILE_SIZE = 2 * 1024 * 1024; // 2MB
 const MAX_DIMENSION = 4096;
-const VALID_FORMATS = ['png', 'webp'];
+const VALID_FORMATS = ['png', 'webp', 'avif', 'jpeg', 'svg', 'raw'];
+const VALID_ANIMATED_FORMATS = ['webp', 'gif', 'apng'];
+const MAX_ANIMATION_FRAMES = 600;
+const VALID_VIDEO_FORMATS = ['webm', 'mp4'];
+const VALID_VIDEO_PRESETS = ['telegram'];
+const MAX_FRAME_RATE = 60;
+const VALID_SPRITESHEET_OUTPUTS = ['json', 'image'];
+const VALID_SPRITESHEET_FORMATS = ['png', 'webp', 'avif'];
+const MAX_SPRITESHEET_SCALE = 4;
+const MAX_SPRITESHEET_PADDING = 64;
+const VALID_OPTIMIZE_OUTPUTS = ['json', 'tgs'];
+const MAX_OPTIMIZE_PRECISION = 6;
+const VALID_PACK_OUTPUTS = ['tgs', 'json'];
+const VALID_FIT_MODES = ['fill', 'contain', 'cover'];
+const MAX_PADDING = 512;
+const MAX_DPR = 4;
+const MAX_SIZES = 8;
+const VALID_SIZES_PACKAGING = ['json', 'multipart'];
+const VALID_CHROMA_SUBSAMPLING = ['4:2:0', '4:4:4'];
+const VALID_PIXEL_FORMATS = ['rgba', 'bgra'];
+const VALID_STREAM_TRANSPORTS = ['sse', 'multipart'];
+const MAX_PALETTE_COLORS = 256;
+
+// Addresses webhooks may not target, so jobs can't be used to reach the
+// server's own network: unspecified, loopback, private, CGNAT, link-local,
+// benchmarking and multicast ranges (IPv4-mapped IPv6 addresses included)
+const BLOCKED_WEBHOOK_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Encoder options each format accepts (effort ranges are the encoder's own)
+const ENCODE_OPTIONS = {
+  png: { effort: [0, 9], palette: true },
+  webp: { effort: [0, 6], lossless: true },
+  avif: { effort: [0, 9], lossless: true, chromaSubsampling: true },
+  jpeg: { chromaSubsampling: true },
+  raw: { pixelFormat: true },
+  svg: {},
+  gif: {},
+  apng: { effort: [0, 9] }
+};
 
 /**
  * Validate file size
@@ -24,11 +75,360 @@ export function validateFormat(format) {
   }
 }
 
+/**
+ * Validate animated output format
+ */
+export function validateAnimatedFormat(format) {
+  if (!VALID_ANIMATED_FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format}. Supported: ${VALID_ANIMATED_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Validate a frame range (inclusive) and step, returns the selected frames
+ */
+export function validateFrameRange(start, end, step, totalFrames, maxFrames = MAX_ANIMATION_FRAMES) {
+  if (!Number.isInteger(step) || step < 1) {
+    throw new Error(`Invalid step: ${step}. Must be a positive integer`);
+  }
+  validateFrameNumber(start, totalFrames);
+  validateFrameNumber(end, totalFrames);
+  if (start > end) {
+    throw new Error(`Invalid frame range: ${start}-${end}`);
+  }
+  
+  const frames = [];
+  for (let frame = start; frame <= end; frame += step) {
+    frames.push(frame);
+  }
+  
+  if (frames.length > maxFrames) {
+    throw new Error(`Animation too large: ${frames.length} frames (max ${maxFrames}). Use a range or step`);
+  }
+  
+  return frames;
+}
+
+/**
+ * Validate an explicit comma-separated frame list, returns the frames
+ */
+export function validateFrameList(list, totalFrames, maxFrames = MAX_ANIMATION_FRAMES) {
+  const frames = String(list).split(',').map(value => value.trim()).filter(Boolean).map(Number);
+  
+  if (frames.length === 0 || frames.some(frame => !Number.isInteger(frame))) {
+    throw new Error(`Invalid frame list: ${list}`);
+  }
+  frames.forEach(frame => validateFrameNumber(frame, totalFrames));
+  
+  if (frames.length > maxFrames) {
+    throw new Error(`Animation too large: ${frames.length} frames (max ${maxFrames})`);
+  }
+  
+  return frames;
+}
+
+/**
+ * Validate sprite sheet layout options
+ */
+export function validateSpriteSheetOptions({ format, columns, padding, scale, output }) {
+  if (!VALID_SPRITESHEET_FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format}. Supported for sprite sheets: ${VALID_SPRITESHEET_FORMATS.join(', ')}`);
+  }
+  if (columns !== undefined && (!Number.isInteger(columns) || columns < 1)) {
+    throw new Error(`Invalid columns: ${columns}. Must be a positive integer`);
+  }
+  if (!Number.isInteger(padding) || padding < 0 || padding > MAX_SPRITESHEET_PADDING) {
+    throw new Error(`Invalid padding: ${padding}. Must be 0-${MAX_SPRITESHEET_PADDING}`);
+  }
+  if (!Number.isFinite(scale) || scale <= 0 || scale > MAX_SPRITESHEET_SCALE) {
+    throw new Error(`Invalid scale: ${scale}. Must be greater than 0 and at most ${MAX_SPRITESHEET_SCALE}`);
+  }
+  if (!VALID_SPRITESHEET_OUTPUTS.includes(output)) {
+    throw new Error(`Invalid output: ${output}. Supported: ${VALID_SPRITESHEET_OUTPUTS.join(', ')}`);
+  }
+}
+
+/**
+ * Validate /optimize options
+ */
+export function validateOptimizeOptions({ precision, tolerance, maxTolerance, output }) {
+  if (!Number.isInteger(precision) || precision < 0 || precision > MAX_OPTIMIZE_PRECISION) {
+    throw new Error(`Invalid precision: ${precision}. Must be 0-${MAX_OPTIMIZE_PRECISION}`);
+  }
+  if (!Number.isFinite(tolerance) || tolerance < 0 || tolerance > 255) {
+    throw new Error(`Invalid tolerance: ${tolerance}. Must be 0-255`);
+  }
+  if (!Number.isFinite(maxTolerance) || maxTolerance < 0 || maxTolerance > 255) {
+    throw new Error(`Invalid maxTolerance: ${maxTolerance}. Must be 0-255`);
+  }
+  if (!VALID_OPTIMIZE_OUTPUTS.includes(output)) {
+    throw new Error(`Invalid output: ${output}. Supported: ${VALID_OPTIMIZE_OUTPUTS.join(', ')}`);
+  }
+}
+
+/**
+ * Validate /pack options
+ */
+export function validatePackOptions({ output }) {
+  if (!VALID_PACK_OUTPUTS.includes(output)) {
+    throw new Error(`Invalid output: ${output}. Supported: ${VALID_PACK_OUTPUTS.join(', ')}`);
+  }
+}
+
+/**
+ * Validate video output format and optional preset
+ */
+export function validateVideoFormat(format, preset) {
+  if (!VALID_VIDEO_FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format}. Supported: ${VALID_VIDEO_FORMATS.join(', ')}`);
+  }
+  if (preset !== undefined && !VALID_VIDEO_PRESETS.includes(preset)) {
+    throw new Error(`Invalid preset: ${preset}. Supported: ${VALID_VIDEO_PRESETS.join(', ')}`);
+  }
+}
+
+/**
+ * Validate output frame rate
+ */
+export function validateFrameRate(fps, max = MAX_FRAME_RATE) {
+  if (!Number.isFinite(fps) || fps <= 0 || fps > max) {
+    throw new Error(`Invalid frame rate: ${fps}. Must be between 1 and ${max}`);
+  }
+}
+
+/**
+ * Validate a hex color (#rgb or #rrggbb), returns { r, g, b }
+ */
+export function validateColor(color) {
+  const short = /^#?([a-f\d])([a-f\d])([a-f\d])$/i.exec(color);
+  const long = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(color);
+  
+  if (short) {
+    return {
+      r: parseInt(short[1] + short[1], 16),
+      g: parseInt(short[2] + short[2], 16),
+      b: parseInt(short[3] + short[3], 16)
+    };
+  }
+  if (long) {
+    return {
+      r: parseInt(long[1], 16),
+      g: parseInt(long[2], 16),
+      b: parseInt(long[3], 16)
+    };
+  }
+  
+  throw new Error(`Invalid color: ${color}. Use #rgb or #rrggbb`);
+}
+
+/**
+ * Validate a render background: transparent, checkerboard or a hex color
+ * @returns {string} 'transparent', 'checkerboard' or '#rrggbb'
+ */
+export function validateBackground(background) {
+  if (background === 'transparent' || background === 'checkerboard') return background;
+  
+  try {
+    const { r, g, b } = validateColor(background);
+    return '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+  } catch (error) {
+    throw new Error(`Invalid background: ${background}. Use transparent, checkerboard or a hex color`);
+  }
+}
+
+/**
+ * Validate fit mode
+ */
+export function validateFit(fit) {
+  if (!VALID_FIT_MODES.includes(fit)) {
+    throw new Error(`Invalid fit: ${fit}. Supported: ${VALID_FIT_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Validate padding (CSS pixels)
+ */
+export function validatePadding(padding) {
+  if (!Number.isInteger(padding) || padding < 0 || padding > MAX_PADDING) {
+    throw new Error(`Invalid padding: ${padding}. Must be 0-${MAX_PADDING}`);
+  }
+}
+
+/**
+ * Validate device pixel ratio
+ */
+export function validateDpr(dpr) {
+  if (!Number.isFinite(dpr) || dpr <= 0 || dpr > MAX_DPR) {
+    throw new Error(`Invalid dpr: ${dpr}. Must be greater than 0 and at most ${MAX_DPR}`);
+  }
+}
+
+/**
+ * Validate a list of output sizes (e.g. "64,128,512") and the response packaging
+ * @returns {number[]} Sizes, deduplicated in the order given
+ */
+export function validateSizes(list, packaging = 'json', max = MAX_DIMENSION) {
+  const sizes = String(list).split(',').map(value => value.trim()).filter(Boolean).map(Number);
+  
+  if (sizes.length === 0 || sizes.some(size => !Number.isInteger(size) || size < 1 || size > max)) {
+    throw new Error(`Invalid sizes: ${list}. Use a comma-separated list of 1-${max}`);
+  }
+  if (sizes.length > MAX_SIZES) {
+    throw new Error(`Invalid sizes: ${list}. At most ${MAX_SIZES} sizes`);
+  }
+  if (!VALID_SIZES_PACKAGING.includes(packaging)) {
+    throw new Error(`Invalid packaging: ${packaging}. Supported: ${VALID_SIZES_PACKAGING.join(', ')}`);
+  }
+  
+  return [...new Set(sizes)];
+}
+
+/**
+ * Validate a frame stream transport
+ */
+export function validateStreamTransport(transport) {
+  if (!VALID_STREAM_TRANSPORTS.includes(transport)) {
+    throw new Error(`Invalid transport: ${transport}. Supported: ${VALID_STREAM_TRANSPORTS.join(', ')}`);
+  }
+}
+
+/**
+ * Validate loop count
+ */
+export function validateLoop(loop) {
+  if (!Number.isInteger(loop) || loop < 0 || loop > 65535) {
+    throw new Error(`Invalid loop count: ${loop}. Must be 0 (forever) to 65535`);
+  }
+}
+
+/**
+ * Validate a webhook URL: http or https, to a public address
+ * Hosts on the allowlist skip the address check (e.g. an internal service);
+ * when the list isn't empty, no other host is accepted.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string[]} [options.allowedHosts=[]] - Accepted host names (WEBHOOK_ALLOWED_HOSTS)
+ */
+export async function validateWebhookUrl(url, { allowedHosts = [] } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new Error(`Invalid webhook URL: ${url}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`Invalid webhook URL: ${url}. Must be http or https`);
+  }
+  
+  // IPv6 literals keep their brackets in `hostname`
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  if (allowedHosts.length > 0) {
+    if (!allowedHosts.includes(host)) {
+      throw new Error(`Invalid webhook URL: ${url}. Host is not in the allowed webhook hosts`);
+    }
+    return;
+  }
+  
+  let addresses;
+  try {
+    addresses = await lookup(host, { all: true, verbatim: true });
+  } catch (e) {
+    throw new Error(`Invalid webhook URL: ${url}. Host ${host} could not be resolved`);
+  }
+  for (const { address, family } of addresses) {
+    if (BLOCKED_WEBHOOK_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4')) {
+      throw new Error(`Invalid webhook URL: ${url}. ${address} is a private, loopback or link-local address`);
+    }
+  }
+}
+
+/**
+ * Validate a renderer backend name ('auto' or undefined = server default)
+ * Availability is checked by the worker that runs the task
+ */
+export function validateRenderer(renderer) {
+  if (renderer !== undefined && renderer !== 'auto' && !BACKEND_NAMES.includes(renderer)) {
+    throw new Error(`Invalid renderer: ${renderer}. Supported: auto, ${BACKEND_NAMES.join(', ')}`);
+  }
+}
+
+/**
+ * Validate format-specific encoder options
+ * Options a format doesn't support are rejected rather than ignored; quality
+ * is accepted everywhere (lossless formats ignore it). JPEG has no alpha
+ * channel, so it needs an opaque background
+ * @param {string} format - Output format (still, or animated for its frames)
+ * @param {Object} options - quality, effort, lossless, chromaSubsampling, palette, pixelFormat, background
+ * @returns {Object} Canonical encoder options (only those given)
+ */
+export function validateEncodeOptions(format, options = {}) {
+  const supported = ENCODE_OPTIONS[format] || {};
+  const result = {};
+  const given = name => options[name] !== undefined && options[name] !== '';
+  
+  for (const name of ['effort', 'lossless', 'chromaSubsampling', 'palette', 'pixelFormat']) {
+    if (given(name) && !supported[name]) {
+      throw new Error(`Invalid option: ${name} is not supported for ${format}`);
+    }
+  }
+  
+  if (given('quality')) {
+    const quality = Number(options.quality);
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw new Error(`Invalid quality: ${options.quality}. Must be 1-100`);
+    }
+  }
+  
+  if (given('effort')) {
+    const effort = Number(options.effort);
+    const [min, max] = supported.effort;
+    if (!Number.isInteger(effort) || effort < min || effort > max) {
+      throw new Error(`Invalid effort: ${options.effort}. Must be ${min}-${max} for ${format}`);
+    }
+    result.effort = effort;
+  }
+  
+  if (given('lossless')) {
+    if (![true, false, 'true', 'false', '1', '0'].includes(options.lossless)) {
+      throw new Error(`Invalid lossless: ${options.lossless}. Use true or false`);
+    }
+    result.lossless = options.lossless === true || options.lossless === 'true' || options.lossless === '1';
+  }
+  
+  if (given('chromaSubsampling')) {
+    if (!VALID_CHROMA_SUBSAMPLING.includes(options.chromaSubsampling)) {
+      throw new Error(`Invalid chromaSubsampling: ${options.chromaSubsampling}. Supported: ${VALID_CHROMA_SUBSAMPLING.join(', ')}`);
+    }
+    result.chromaSubsampling = options.chromaSubsampling;
+  }
+  
+  if (given('palette')) {
+    const colors = options.palette === true || options.palette === 'true' ? MAX_PALETTE_COLORS : Number(options.palette);
+    if (!Number.isInteger(colors) || colors < 2 || colors > MAX_PALETTE_COLORS) {
+      throw new Error(`Invalid palette: ${options.palette}. Use true or 2-${MAX_PALETTE_COLORS} colors`);
+    }
+    result.palette = colors;
+  }
+  
+  if (given('pixelFormat')) {
+    if (!VALID_PIXEL_FORMATS.includes(options.pixelFormat)) {
+      throw new Error(`Invalid pixelFormat: ${options.pixelFormat}. Supported: ${VALID_PIXEL_FORMATS.join(', ')}`);
+    }
+    result.pixelFormat = options.pixelFormat;
+  }
+  
+  if (format === 'jpeg' && (!options.background || options.background === 'transparent')) {
+    throw new Error('Invalid background: JPEG has no transparency, set background to a color or checkerboard');
+  }
+  
+  return result;
+}
+
 /**
  * Validate frame number
  */
 export function validateFrameNumber(frame, totalFrames) {
-  if (frame < 0 || frame >= totalFrames) {
+  if (!Number.isInteger(frame) || frame < 0 || frame >= totalFrames) {
     throw new Error(`Invalid frame: ${frame}. Valid range: 0-${totalFrames - 1}`);
   }
 }
@@ -0,0 +1,273 @@
+/**
+ * Video export via a local ffmpeg process
+ * Streams raw RGBA frames into ffmpeg to produce WebM (VP9 + alpha) or MP4 (H.264)
+ */
+
+import { spawn, execFile } from 'child_process';
+import { promisify } from 'util';
+import { readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const execFileAsync = promisify(execFile);
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const ENCODE_TIMEOUT = 120000;
+
+export const VIDEO_FORMATS = ['webm', 'mp4'];
+
+/**
+ * Telegram video sticker requirements
+ */
+export const TELEGRAM_PRESET = {
+  maxSide: 512,
+  maxDuration: 3,
+  maxFrameRate: 30,
+  maxBytes: 256 * 1024,
+  format: 'webm'
+};
+
+let ffmpegStatus = null;
+
+/**
+ * Check if ffmpeg is available (cached after the first call)
+ * @returns {Promise<{ available: boolean, path: string, version: string|null }>}
+ */
+export async function checkFfmpeg() {
+  if (ffmpegStatus) return ffmpegStatus;
+
+  try {
+    const { stdout } = await execFileAsync(FFMPEG_PATH, ['-hide_banner', '-version'], { timeout: 2000 });
+    const version = /ffmpeg version (\S+)/.exec(stdout)?.[1] || 'unknown';
+    ffmpegStatus = { available: true, path: FFMPEG_PATH, version };
+  } catch (e) {
+    ffmpegStatus = { available: false, path: FFMPEG_PATH, version: null };
+  }
+
+  return ffmpegStatus;
+}
+
+/**
+ * MIME type of a video format
+ */
+export function videoContentType(format) {
+  return `video/${format}`;
+}
+
+/**
+ * Pick which source frames to render for an output frame rate and duration
+ * @param {number} totalFrames - Frames in the animation
+ * @param {number} sourceRate - Animation frame rate (`fr`)
+ * @param {number} outputRate - Output frame rate
+ * @param {number} [maxDuration] - Optional duration cap in seconds
+ * @returns {number[]} Source frame numbers, one per output frame
+ */
+export function sampleFrames(totalFrames, sourceRate, outputRate, maxDuration = Infinity) {
+  const duration = Math.min(totalFrames / sourceRate, maxDuration);
+  const count = Math.max(1, Math.floor(duration * outputRate + 1e-6));
+  const frames = [];
+
+  for (let i = 0; i < count; i++) {
+    frames.push(Math.min(totalFrames - 1, Math.floor((i * sourceRate) / outputRate + 1e-6)));
+  }
+
+  return frames;
+}
+
+/**
+ * Flatten an RGBA frame onto an opaque background (RGB24)
+ */
+function flattenFrame(rgba, background) {
+  const rgb = Buffer.allocUnsafe((rgba.length / 4) * 3);
+
+  for (let i = 0, j = 0; i < rgba.length; i += 4, j += 3) {
+    const alpha = rgba[i + 3] / 255;
+    const inverse = 1 - alpha;
+    rgb[j] = Math.round(rgba[i] * alpha + background.r * inverse);
+    rgb[j + 1] = Math.round(rgba[i + 1] * alpha + background.g * inverse);
+    rgb[j + 2] = Math.round(rgba[i + 2] * alpha + background.b * inverse);
+  }
+
+  return rgb;
+}
+
+/**
+ * Build the ffmpeg argument list
+ */
+function ffmpegArgs({ format, width, height, frameRate, bitrate, output }) {
+  const input = [
+    '-hide_banner', '-loglevel', 'error', '-y',
+    '-f', 'rawvideo',
+    '-pix_fmt', format === 'webm' ? 'rgba' : 'rgb24',
+    '-s', `${width}x${height}`,
+    '-r', String(frameRate),
+    '-i', 'pipe:0',
+    '-an'
+  ];
+
+  if (format === 'webm') {
+    return [
+      ...input,
+      '-c:v', 'libvpx-vp9',
+      '-pix_fmt', 'yuva420p',
+      // Alt-ref frames drop the alpha plane in libvpx
+      '-auto-alt-ref', '0',
+      ...(bitrate ? ['-b:v', `${bitrate}`, '-maxrate', `${bitrate}`, '-bufsize', `${bitrate * 2}`] : ['-crf', '30', '-b:v', '0']),
+      '-deadline', 'good',
+      '-row-mt', '1',
+      '-f', 'webm',
+      output
+    ];
+  }
+
+  return [
+    ...input,
+    '-c:v', 'libx264',
+    '-pix_fmt', 'yuv420p',
+    // yuv420p needs even dimensions
+    '-vf', 'pad=ceil(iw/2)*2:ceil(ih/2)*2',
+    '-preset', 'fast',
+    ...(bitrate ? ['-b:v', `${bitrate}`, '-maxrate', `${bitrate}`, '-bufsize', `${bitrate * 2}`] : ['-crf', '23']),
+    '-movflags', '+faststart',
+    '-f', 'mp4',
+    output
+  ];
+}
+
+/**
+ * Encode frames to a video file
+ * Frames are requested with limited look-ahead and written in order, so only a
+ * handful of raw frames are held in memory at once
+ * @param {Object} options
+ * @param {string} options.format - webm or mp4
+ * @param {number} options.width - Frame width
+ * @param {number} options.height - Frame height
+ * @param {number} options.frameRate - Output frame rate
+ * @param {number} options.frameCount - Number of frames
+ * @param {Function} options.renderFrame - (index, signal) => Promise<Buffer> RGBA pixels;
+ *   `signal` aborts when the encode fails, cancelling renders still pending
+ * @param {Object} [options.background] - { r, g, b } for MP4 (no alpha channel)
+ * @param {number} [options.bitrate] - Target bitrate in bits/s (quality-based when omitted)
+ * @param {number} [options.concurrency=4] - Frames rendered ahead of the encoder
+ * @param {AbortSignal} [options.signal] - Cancels the encode
+ * @returns {Promise<Buffer>} Encoded video
+ */
+export async function encodeVideo(options) {
+  const {
+    format,
+    width,
+    height,
+    frameRate,
+    frameCount,
+    renderFrame,
+    background = { r: 255, g: 255, b: 255 },
+    bitrate,
+    concurrency = 4,
+    signal
+  } = options;
+
+  const status = await checkFfmpeg();
+  if (!status.available) {
+    throw new Error(`Video export unavailable: ffmpeg not found (${status.path})`);
+  }
+
+  const output = join(tmpdir(), `video_${process.pid}_${Date.now()}_${Math.random().toString(36).slice(2)}.${format}`);
+  const ffmpeg = spawn(status.path, ffmpegArgs({ format, width, height, frameRate, bitrate, output }), {
+    stdio: ['pipe', 'ignore', 'pipe']
+  });
+
+  let stderr = '';
+  ffmpeg.stderr.on('data', chunk => {
+    stderr = (stderr + chunk).slice(-2000);
+  });
+
+  const exited = new Promise((resolve, reject) => {
+    ffmpeg.on('error', reject);
+    ffmpeg.on('close', code => {
+      if (code === 0) resolve();
+      else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+    });
+  });
+
+  // Failures surface through `exited`; writes after ffmpeg dies just EPIPE
+  exited.catch(() => {});
+  ffmpeg.stdin.on('error', () => {});
+
+  const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), ENCODE_TIMEOUT);
+
+  // Aborted when the encode fails, so renders still in flight are cancelled
+  const renders = new AbortController();
+  const cancel = () => renders.abort();
+  if (signal?.aborted) cancel();
+  signal?.addEventListener('abort', cancel, { once: true });
+  
+  // Keep a window of frames rendering ahead of the writer
+  const pending = new Map();
+  let nextToRequest = 0;
+  const requestAhead = () => {
+    while (nextToRequest < frameCount && pending.size < concurrency) {
+      const promise = renderFrame(nextToRequest, renders.signal);
+      // A look-ahead frame may fail before it is awaited; the loop rethrows it
+      promise.catch(() => {});
+      pending.set(nextToRequest, promise);
+      nextToRequest++;
+    }
+  };
+
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      requestAhead();
+      const rgba = await pending.get(i);
+      pending.delete(i);
+
+      const frame = format === 'webm' ? rgba : flattenFrame(rgba, background);
+
+      if (!ffmpeg.stdin.write(frame)) {
+        await Promise.race([
+          new Promise(resolve => ffmpeg.stdin.once('drain', resolve)),
+          exited
+        ]);
+      }
+    }
+
+    ffmpeg.stdin.end();
+    await exited;
+
+    return await readFile(output);
+  } catch (error) {
+    ffmpeg.kill('SIGKILL');
+    renders.abort();
+    await Promise.allSettled(pending.values());
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', cancel);
+    await rm(output, { force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Encode a video that must fit a byte budget (e.g. Telegram's 256KB)
+ * Tries quality-based encoding first, then progressively lower bitrates
+ * @param {Object} options - Same as encodeVideo
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<{ video: Buffer, withinLimit: boolean, attempts: number }>}
+ */
+export async function encodeVideoWithinSize(options, maxBytes) {
+  const duration = options.frameCount / options.frameRate;
+  let bitrate = options.bitrate;
+  let video = null;
+
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    video = await encodeVideo({ ...options, bitrate });
+    if (video.length <= maxBytes) {
+      return { video, withinLimit: true, attempts: attempt };
+    }
+
+    // Aim under the budget, then back off further on each retry
+    const budget = Math.floor((maxBytes * 8 * 0.9) / duration);
+    bitrate = Math.floor(Math.min(bitrate || budget, budget) * (attempt === 1 ? 1 : 0.7));
+  }
+
+  return { video, withinLimit: false, attempts: 4 };
+}
@@ -0,0 +1,192 @@
+/**
+ * Minimal ZIP archive support
+ * Reads stored/deflated archives and streams stored archives, enough for
+ * sticker packs in and converted images out (no ZIP64, no encryption)
+ */
+
+import { inflateRawSync } from 'zlib';
+import { PassThrough } from 'stream';
+import { crc32 } from './animationEncoder.js';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const ENCRYPTED_FLAG = 0x0001;
+
+/**
+ * Check for the ZIP local file header signature
+ */
+export function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER;
+}
+
+/**
+ * Locate the end of central directory record (it may be followed by a comment)
+ */
+function findEndOfCentralDirectory(buffer) {
+  const min = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= min; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new Error('Invalid ZIP archive: end of central directory not found');
+}
+
+/**
+ * Read the files of a ZIP archive
+ * Entries are returned without being decompressed; call `entry.read()`, which
+ * enforces `maxEntrySize` so a single entry can't inflate without bound
+ * @param {Buffer} buffer - Archive
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=Infinity] - Maximum file entries
+ * @param {number} [options.maxEntrySize=Infinity] - Maximum uncompressed entry size
+ * @returns {Array<{ name: string, size: number, read: Function }>} File entries (directories skipped)
+ */
+export function readZip(buffer, options = {}) {
+  const { maxEntries = Infinity, maxEntrySize = Infinity } = options;
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+      throw new Error('Invalid ZIP archive: corrupt central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & UTF8_FLAG ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    if (entries.length >= maxEntries) {
+      throw new Error(`ZIP archive too large: more than ${maxEntries} files`);
+    }
+
+    entries.push({
+      name,
+      size,
+      read() {
+        if (flags & ENCRYPTED_FLAG) throw new Error('Invalid ZIP entry: encrypted');
+        if (size > maxEntrySize) {
+          throw new Error(`File too large: ${(size / 1024 / 1024).toFixed(2)}MB (max ${(maxEntrySize / 1024 / 1024).toFixed(2)}MB)`);
+        }
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+          throw new Error('Invalid ZIP entry: corrupt local header');
+        }
+
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) return Buffer.from(compressed);
+        if (method === 8) return inflateRawSync(compressed, { maxOutputLength: Math.max(1, Math.min(maxEntrySize, size)) });
+        throw new Error(`Invalid ZIP entry: unsupported compression method ${method}`);
+      }
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Streaming ZIP writer
+ * Files are stored uncompressed (converted images are already compressed)
+ * and written to `stream` as soon as they are added
+ */
+export class ZipWriter {
+  constructor() {
+    this.stream = new PassThrough();
+    this.entries = [];
+    this.offset = 0;
+    this.finished = false;
+  }
+
+  /**
+   * Append a file
+   * @param {string} name - Path inside the archive
+   * @param {Buffer} data - File contents
+   * @returns {boolean} false when the stream's buffer is full (wait for 'drain')
+   */
+  addFile(name, data) {
+    if (this.finished) throw new Error('ZIP archive already finished');
+
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+    const header = Buffer.alloc(30);
+
+    header.writeUInt32LE(LOCAL_HEADER, 0);
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(UTF8_FLAG, 6);
+    header.writeUInt16LE(0, 8); // stored
+    this.writeDosTime(header, 10);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    this.entries.push({ nameBuffer, crc, size: data.length, offset: this.offset });
+    this.offset += header.length + nameBuffer.length + data.length;
+
+    this.stream.write(header);
+    this.stream.write(nameBuffer);
+    return this.stream.write(data);
+  }
+
+  /**
+   * Write the central directory and end the stream
+   */
+  finish() {
+    if (this.finished) return;
+    this.finished = true;
+
+    const start = this.offset;
+    let size = 0;
+
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(CENTRAL_HEADER, 0);
+      header.writeUInt16LE(20, 4); // version made by
+      header.writeUInt16LE(20, 6); // version needed
+      header.writeUInt16LE(UTF8_FLAG, 8);
+      header.writeUInt16LE(0, 10);
+      this.writeDosTime(header, 12);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.size, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+
+      this.stream.write(header);
+      this.stream.write(entry.nameBuffer);
+      size += header.length + entry.nameBuffer.length;
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(size, 12);
+    end.writeUInt32LE(start, 16);
+
+    this.stream.end(end);
+  }
+
+  /**
+   * MS-DOS date/time of the current moment
+   */
+  writeDosTime(buffer, offset) {
+    const now = new Date();
+    buffer.writeUInt16LE((now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1), offset);
+    buffer.writeUInt16LE(((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate(), offset + 2);
+  }
+}
@@ -1,73 +1,54 @@
 /**
- * Worker thread for TGS rendering with rlottie CLI
- * Falls back to simplified renderer if rlottie not available
+ * Worker thread for TGS rendering
+ * Each task is routed to a renderer backend (see backends/): the one named by
+ * the task, or the first available one with the others as fallbacks
  */
 
 import { parentPort, workerData } from 'worker_threads';
+import { getHeapStatistics } from 'v8';
 import sharp from 'sharp';
-import { execFile } from 'child_process';
-import { promisify } from 'util';
-import { writeFile, unlink, readFile, rm } from 'fs/promises';
-import { tmpdir } from 'os';
-import { join } from 'path';
-
-const execFileAsync = promisify(execFile);
+import { BackendSet, DEFAULT_RENDERER } from './backends/index.js';
+import { computeLayout, composeFrame } from './utils/layout.js';
+import { encodeImage } from './utils/imageEncoder.js';
+import { renderSvg, validateSvgFeatures } from './utils/svgExporter.js';
+import { sceneFeatures } from './utils/lottieScene.js';
 
 let workerId = workerData?.workerId || 0;
-let initialized = false;
-let hasRLottie = false;
-let rlottieCommand = null;
 
-/**
- * Check if rlottie CLI is available
- */
-async function checkRLottie() {
-  // Try lottie2gif
-  try {
-    await execFileAsync('lottie2gif', ['--help'], { timeout: 1000 });
-    return 'lottie2gif';
-  } catch (e) {
-    // Try rlottie_dump
-    try {
-      await execFileAsync('rlottie_dump', ['--help'], { timeout: 1000 });
-      return 'rlottie_dump';
-    } catch (e2) {
-      return null;
-    }
-  }
-}
+// The pool kills helper processes left behind when it terminates this thread
+const backends = new BackendSet(DEFAULT_RENDERER, {
+  rlottie: { onProcess: (pid, running) => parentPort.postMessage({ type: 'helper', pid, running }) }
+});
+
+// Animation key => { animationData, handles: Map(backend name => handle) }, in
+// LRU order. The pool sends each animation once and mirrors this eviction.
+const animations = new Map();
+const maxAnimations = workerData?.maxAnimations || 16;
 
 /**
  * Initialize worker
  */
 async function initialize() {
-  if (initialized) return;
-  
   console.log(`[Worker ${workerId}] Initializing...`);
   
-  // Check for rlottie
-  rlottieCommand = await checkRLottie();
-  hasRLottie = !!rlottieCommand;
+  await backends.initialize();
   
-  if (hasRLottie) {
-    console.log(`[Worker ${workerId}] ✅ rlottie CLI detected (${rlottieCommand}) - native rendering enabled`);
-    console.log(`[Worker ${workerId}] Expected latency: 5-12ms per frame`);
-  } else {
-    console.log(`[Worker ${workerId}] ⚠️  rlottie CLI not found - using fallback renderer`);
-    console.log(`[Worker ${workerId}] Expected latency: 20-50ms per frame`);
-    console.log(`[Worker ${workerId}] Install rlottie for 4x+ performance boost: see QUICK_START.md`);
+  const status = backends.getStatus();
+  for (const [name, backend] of Object.entries(status.backends)) {
+    if (backend.available) {
+      console.log(`[Worker ${workerId}] ✅ ${name} backend ready (${backend.version})`);
+    } else {
+      console.log(`[Worker ${workerId}] ⚠️  ${name} backend unavailable: ${backend.error}`);
+    }
   }
+  console.log(`[Worker ${workerId}] Default renderer: ${status.default}`);
   
-  // Send rlottie status to parent
-  parentPort.postMessage({
-    type: 'rlottie-status',
-    status: {
-      available: hasRLottie,
-      command: rlottieCommand,
-      mode: hasRLottie ? 'native' : 'fallback',
-      expectedLatency: hasRLottie ? '5-12ms' : '20-50ms'
-    }
-  });
+  if (!status.backends.rlottie?.available) {
+    console.log(`[Worker ${workerId}] Build native/rlottie-server.cpp for 4x+ performance boost: see QUICK_START.md`);
+  }
+  
+  // Send backend status to parent
+  parentPort.postMessage({ type: 'backend-status', status });
   
   // Pre-warm sharp
   await sharp({
@@ -79,161 +60,56 @@ async function initialize() {
     }
   }).png().toBuffer();
   
-  initialized = true;
   console.log(`[Worker ${workerId}] Ready`);
 }
 
 /**
- * Render with rlottie CLI (fastest - 5-12ms)
- */
-async function renderWithRLottie(animationData, frameNumber, width, height, format) {
-  const tmpJson = join(tmpdir(), `lottie_${workerId}_${Date.now()}.json`);
-  const tmpOut = join(tmpdir(), `frame_${workerId}_${Date.now()}.png`);
-  
-  try {
-    // Write JSON
-    await writeFile(tmpJson, JSON.stringify(animationData));
-    
-    // Execute rlottie command with timeout
-    const timeout = 10000; // 10s timeout
-    
-    if (rlottieCommand === 'lottie2gif') {
-      await execFileAsync('lottie2gif', [
-        tmpJson,
-        tmpOut,
-        `${width}x${height}`,
-        frameNumber.toString()
-      ], { timeout });
-    } else {
-      await execFileAsync('rlottie_dump', [
-        tmpJson,
-        tmpOut,
-        width.toString(),
-        height.toString(),
-        frameNumber.toString()
-      ], { timeout });
-    }
-    
-    // Read and re-encode if needed
-    let buffer = await readFile(tmpOut);
-    
-    if (format === 'webp') {
-      buffer = await sharp(buffer)
-        .webp({ quality: 90 })
-        .toBuffer();
-    }
-    
-    return buffer;
-  } finally {
-    // Cleanup with force
-    try {
-      await Promise.allSettled([
-        rm(tmpJson, { force: true }),
-        rm(tmpOut, { force: true })
-      ]);
-    } catch (e) {
-      // Ignore cleanup errors
-    }
-  }
-}
-
-/**
- * Fallback: Extract first visible shape color and fill region (20-50ms)
+ * Registry entry of a task's animation: stored when the task carries the
+ * animation, looked up by key otherwise
  */
-function renderFallback(animationData, frameNumber, width, height) {
-  const buffer = Buffer.alloc(width * height * 4);
-  
-  // Start with background
-  let bgColor = { r: 255, g: 255, b: 255, a: 255 };
-  
-  if (animationData.bg) {
-    const bg = hexToRgb(animationData.bg);
-    bgColor = { ...bg, a: 255 };
+function resolveAnimation({ animationKey, animationData }) {
+  let entry = animations.get(animationKey);
+  animations.delete(animationKey);
+  
+  if (animationData) {
+    if (animations.size >= maxAnimations) animations.delete(animations.keys().next().value);
+    entry = { animationData, handles: new Map() };
+  } else if (!entry) {
+    throw new Error(`Animation ${animationKey} is not loaded in worker ${workerId}`);
   }
   
-  // Fill background
-  for (let i = 0; i < buffer.length; i += 4) {
-    buffer[i] = bgColor.r;
-    buffer[i + 1] = bgColor.g;
-    buffer[i + 2] = bgColor.b;
-    buffer[i + 3] = bgColor.a;
-  }
-  
-  // Find first visible shape color
-  let shapeColor = null;
-  
-  if (animationData.layers) {
-    for (const layer of animationData.layers) {
-      if (!shapeColor && layer.ty === 4 && layer.shapes) {
-        shapeColor = extractFirstColor(layer.shapes);
-        if (shapeColor) break;
-      }
-    }
-  }
-  
-  // If found a shape color, fill center region
-  if (shapeColor) {
-    const startX = Math.floor(width * 0.2);
-    const endX = Math.floor(width * 0.8);
-    const startY = Math.floor(height * 0.2);
-    const endY = Math.floor(height * 0.8);
-    
-    for (let y = startY; y < endY; y++) {
-      for (let x = startX; x < endX; x++) {
-        const idx = (y * width + x) * 4;
-        buffer[idx] = shapeColor.r;
-        buffer[idx + 1] = shapeColor.g;
-        buffer[idx + 2] = shapeColor.b;
-        buffer[idx + 3] = shapeColor.a;
-      }
-    }
-  }
-  
-  return buffer;
+  animations.set(animationKey, entry);
+  return entry;
 }
 
 /**
- * Extract first visible color from shapes
+ * Render RGBA pixels, falling back to the next backend when one fails
+ * Backend handles are kept with the animation, so it is loaded once per backend
+ * @returns {Promise<{ pixels: Buffer, renderer: string }>}
  */
-function extractFirstColor(shapes) {
-  for (const shape of shapes) {
-    if (shape.it) {
-      const fill = shape.it.find(item => item.ty === 'fl');
-      if (fill?.c?.k) {
-        const [r, g, b, a = 1] = fill.c.k;
-        return {
-          r: Math.round(r * 255),
-          g: Math.round(g * 255),
-          b: Math.round(b * 255),
-          a: Math.round(a * 255)
-        };
+async function renderPixels(animation, frame, width, height, renderer) {
+  animation.features ??= sceneFeatures(animation.animationData);
+  const candidates = backends.candidates(renderer, animation.features);
+  let lastError = new Error('No renderer backend available');
+  
+  for (const backend of candidates) {
+    try {
+      let handle = animation.handles.get(backend.name);
+      if (!handle) {
+        handle = await backend.load(animation.animationData);
+        animation.handles.set(backend.name, handle);
       }
-    }
-    
-    // Recursive search
-    if (shape.it) {
-      for (const item of shape.it) {
-        if (item.it) {
-          const color = extractFirstColor([item]);
-          if (color) return color;
-        }
+      const pixels = await backend.renderFrame(handle, frame, width, height);
+      return { pixels, renderer: backend.name };
+    } catch (error) {
+      lastError = error;
+      if (candidates.length > 1) {
+        console.error(`[Worker ${workerId}] ${backend.name} render failed, trying next backend:`, error.message);
       }
     }
   }
   
-  return null;
-}
-
-/**
- * Convert hex to RGB
- */
-function hexToRgb(hex) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result ? {
-    r: parseInt(result[1], 16),
-    g: parseInt(result[2], 16),
-    b: parseInt(result[3], 16)
-  } : { r: 255, g: 255, b: 255 };
+  throw lastError;
 }
 
 /**
@@ -252,44 +128,56 @@ function getMetadata(animationData) {
  * Process render task
  */
 async function processRenderTask(data) {
-  const { animationData, frameNumber, options } = data;
+  const { frameNumber, options } = data;
   
   try {
+    const animation = resolveAnimation(data);
+    const { animationData } = animation;
     const metadata = getMetadata(animationData);
-    const width = options.width || metadata.width;
-    const height = options.height || metadata.height;
     const frame = Math.min(Math.max(0, frameNumber), metadata.totalFrames - 1);
+    let width = options.width || metadata.width;
+    let height = options.height || metadata.height;
     
-    let imageBuffer;
+    // Fit, padding, dpr and background: render at the fitted size, then place on the canvas
+    const layout = options.layout ? computeLayout(metadata, width, height, options.layout) : null;
     
-    if (hasRLottie) {
-      // Use native rlottie (5-12ms)
-      imageBuffer = await renderWithRLottie(
-        animationData,
-        frame,
-        width,
-        height,
-        options.format
-      );
-    } else {
-      // Use fallback (20-50ms)
-      const rgbaBuffer = renderFallback(animationData, frame, width, height);
-      
-      if (options.format === 'webp') {
-        imageBuffer = await sharp(rgbaBuffer, {
-          raw: { width, height, channels: 4 }
-        })
-        .webp({ quality: options.quality || 90 })
-        .toBuffer();
-      } else {
-        imageBuffer = await sharp(rgbaBuffer, {
-          raw: { width, height, channels: 4 }
-        })
-        .png({ compressionLevel: 6 })
-        .toBuffer();
-      }
+    // SVG is serialized from the vector backend's scene instead of rasterized
+    if (options.format === 'svg') {
+      animation.features ??= sceneFeatures(animationData);
+      validateSvgFeatures(animation.features);
+      const imageBuffer = renderSvg(animationData, frame, width, height, layout);
+      return {
+        success: true,
+        data: {
+          buffer: imageBuffer,
+          width: layout ? layout.canvasWidth : width,
+          height: layout ? layout.canvasHeight : height,
+          format: 'svg',
+          renderer: 'vector',
+          size: imageBuffer.length
+        }
+      };
     }
     
+    let { pixels: rgbaBuffer, renderer } = await renderPixels(
+      animation,
+      frame,
+      layout ? layout.renderWidth : width,
+      layout ? layout.renderHeight : height,
+      options.renderer
+    );
+    
+    if (layout) {
+      rgbaBuffer = composeFrame(rgbaBuffer, layout);
+      width = layout.canvasWidth;
+      height = layout.canvasHeight;
+    }
+    
+    const imageBuffer = await encodeImage(rgbaBuffer, width, height, options.format, {
+      quality: options.quality,
+      ...options.encode
+    });
+    
     return {
       success: true,
       data: {
@@ -297,28 +185,63 @@ async function processRenderTask(data) {
         width,
         height,
         format: options.format,
+        renderer,
         size: imageBuffer.length
       }
     };
   } catch (error) {
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      statusCode: error.statusCode
     };
   }
 }
 
+/**
+ * Post a render result, moving the image's memory to the pool instead of
+ * having the main thread copy it
+ * Buffers from sharp, the canvas or Buffer's pool can't be detached, so the
+ * image is first copied into an ArrayBuffer of its own on this thread.
+ */
+function postResult(result) {
+  const image = result.data?.buffer;
+  if (!image) {
+    parentPort.postMessage(result);
+    return;
+  }
+  
+  const owned = new Uint8Array(image);
+  parentPort.postMessage({ ...result, data: { ...result.data, buffer: owned } }, [owned.buffer]);
+}
+
+/**
+ * Heap plus buffer memory of this worker, reported with every result for the
+ * pool's recycle policy
+ */
+function memoryUsage() {
+  const { used_heap_size: heap, external_memory: external = 0 } = getHeapStatistics();
+  return heap + external;
+}
+
+// Backends are probed up front so /health reports them before the first render
+const ready = initialize();
+
 /**
  * Message handler
  */
 parentPort.on('message', async (message) => {
-  if (!initialized) {
-    await initialize();
-  }
+  await ready;
 
   if (message.type === 'render') {
     const result = await processRenderTask(message.data);
-    parentPort.postMessage(result);
+    // A newly sent animation's size, for the pool's transport stats
+    const animationBytes = message.data.animationData ? JSON.stringify(message.data.animationData).length : undefined;
+    postResult({ ...result, memory: memoryUsage(), animationBytes });
+  } else if (message.type === 'shutdown') {
+    // Recycled or pool shutdown: stop helper processes, then exit cleanly
+    await backends.dispose();
+    process.exit(0);
   }
 });
 